@@ -0,0 +1,146 @@
+-- Move a whole multi-service booking (basket) at once: every segment gets its new time and
+-- stylist, checked under the per-salon lock, or none does. The basket's own segments don't
+-- block its new slots, so booking_slot_has_conflict learns to leave a basket out.
+-- Raises SQLSTATE 'P0409' when any segment's new slot is taken.
+BEGIN;
+
+-- Same check as before plus p_exclude_basket_id; the old signature is dropped so calls
+-- without the new argument aren't ambiguous
+DROP FUNCTION IF EXISTS public.booking_slot_has_conflict(UUID, UUID, DATE, TIME, TIME, INTEGER, INTEGER, INTEGER, INTEGER, UUID, UUID);
+
+CREATE FUNCTION public.booking_slot_has_conflict(
+  p_salon_id UUID,
+  p_staff_id UUID,
+  p_date DATE,
+  p_start TIME,
+  p_end TIME,
+  p_buffer_before INTEGER DEFAULT 0,
+  p_buffer_after INTEGER DEFAULT 0,
+  p_default_buffer_before INTEGER DEFAULT 0,
+  p_default_buffer_after INTEGER DEFAULT 0,
+  p_exclude_booking_id UUID DEFAULT NULL,
+  p_exclude_hold_id UUID DEFAULT NULL,
+  p_exclude_basket_id UUID DEFAULT NULL
+)
+RETURNS BOOLEAN
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_from TIMESTAMP := (p_date + p_start) - make_interval(mins => p_buffer_before);
+  v_to TIMESTAMP := (p_date + p_start)
+    + CASE WHEN p_end <= p_start THEN (p_end - p_start) + INTERVAL '1 day' ELSE (p_end - p_start) END
+    + make_interval(mins => p_buffer_after);
+BEGIN
+  IF EXISTS (
+    SELECT 1
+    FROM public.bookings b
+    JOIN public.salons sa ON sa.id = b.salon_id
+    LEFT JOIN public.services sv ON sv.id = b.service_id
+    WHERE b.salon_id = p_salon_id
+      AND b.status <> 'cancelled'
+      AND b.appointment_date BETWEEN p_date - 1 AND p_date + 1
+      AND (p_staff_id IS NULL OR b.staff_id = p_staff_id)
+      AND (p_exclude_booking_id IS NULL OR b.id <> p_exclude_booking_id)
+      AND (p_exclude_basket_id IS NULL OR b.basket_id IS DISTINCT FROM p_exclude_basket_id)
+      AND (b.appointment_date + b.start_time)
+          - make_interval(mins => COALESCE(sv.buffer_before_minutes, sa.buffer_before_minutes, p_default_buffer_before))
+          < v_to
+      AND (b.appointment_date + b.start_time)
+          + CASE WHEN b.end_time <= b.start_time THEN (b.end_time - b.start_time) + INTERVAL '1 day' ELSE (b.end_time - b.start_time) END
+          + make_interval(mins => COALESCE(sv.buffer_after_minutes, sa.buffer_after_minutes, p_default_buffer_after))
+          > v_from
+  ) THEN
+    RETURN TRUE;
+  END IF;
+
+  RETURN EXISTS (
+    SELECT 1
+    FROM public.booking_holds h
+    WHERE h.salon_id = p_salon_id
+      AND h.status = 'active'
+      AND h.expires_at > NOW()
+      AND h.appointment_date BETWEEN p_date - 1 AND p_date + 1
+      AND (p_staff_id IS NULL OR h.staff_id = p_staff_id)
+      AND (p_exclude_hold_id IS NULL OR h.id <> p_exclude_hold_id)
+      AND (h.appointment_date + h.start_time) - make_interval(mins => h.buffer_before_minutes) < v_to
+      AND (h.appointment_date + h.start_time)
+          + CASE WHEN h.end_time <= h.start_time THEN (h.end_time - h.start_time) + INTERVAL '1 day' ELSE (h.end_time - h.start_time) END
+          + make_interval(mins => h.buffer_after_minutes)
+          > v_from
+  );
+END;
+$$;
+
+-- p_items: [{ booking_id, staff_id, date, start, end, buffer_before, buffer_after }, ...] in order
+CREATE OR REPLACE FUNCTION public.move_booking_basket_atomic(
+  p_basket_id UUID,
+  p_items JSONB,
+  p_status TEXT,
+  p_default_buffer_before INTEGER,
+  p_default_buffer_after INTEGER
+)
+RETURNS UUID
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_salon_id UUID;
+  v_item JSONB;
+  v_first JSONB := p_items -> 0;
+  v_last JSONB := p_items -> (jsonb_array_length(p_items) - 1);
+BEGIN
+  SELECT salon_id INTO v_salon_id FROM public.booking_baskets WHERE id = p_basket_id;
+  IF v_salon_id IS NULL THEN
+    RAISE EXCEPTION 'Basket not found' USING ERRCODE = 'P0002';
+  END IF;
+
+  PERFORM pg_advisory_xact_lock(hashtext('booking:' || v_salon_id::text));
+
+  FOR v_item IN SELECT * FROM jsonb_array_elements(p_items) LOOP
+    IF public.booking_slot_has_conflict(
+      v_salon_id,
+      NULLIF(v_item ->> 'staff_id', '')::UUID,
+      (v_item ->> 'date')::DATE,
+      (v_item ->> 'start')::TIME,
+      (v_item ->> 'end')::TIME,
+      COALESCE((v_item ->> 'buffer_before')::INTEGER, 0),
+      COALESCE((v_item ->> 'buffer_after')::INTEGER, 0),
+      p_default_buffer_before,
+      p_default_buffer_after,
+      NULL,
+      NULL,
+      p_basket_id
+    ) THEN
+      RAISE EXCEPTION 'Time slot not available' USING ERRCODE = 'P0409';
+    END IF;
+  END LOOP;
+
+  FOR v_item IN SELECT * FROM jsonb_array_elements(p_items) LOOP
+    UPDATE public.bookings
+    SET staff_id = NULLIF(v_item ->> 'staff_id', '')::UUID,
+        appointment_date = (v_item ->> 'date')::DATE,
+        start_time = (v_item ->> 'start')::TIME,
+        end_time = (v_item ->> 'end')::TIME,
+        status = COALESCE(p_status, status),
+        updated_at = NOW()
+    WHERE id = (v_item ->> 'booking_id')::UUID
+      AND basket_id = p_basket_id;
+  END LOOP;
+
+  UPDATE public.booking_baskets
+  SET appointment_date = (v_first ->> 'date')::DATE,
+      start_time = (v_first ->> 'start')::TIME,
+      end_time = (v_last ->> 'end')::TIME
+  WHERE id = p_basket_id;
+
+  RETURN p_basket_id;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.move_booking_basket_atomic FROM PUBLIC, anon, authenticated;
+
+COMMIT;
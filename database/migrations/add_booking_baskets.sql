@@ -0,0 +1,117 @@
+-- Multi-service bookings ("baskets"): e.g. cut + colour + blow-dry back to back.
+-- Each service is a normal booking row (a segment) so staff calendars, conflicts and
+-- reminders keep working unchanged; the segments share a basket_id. The basket holds the
+-- totals and points at the primary (first) segment, which carries the single payment.
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS public.booking_baskets (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  client_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  salon_id UUID NOT NULL REFERENCES public.salons(id) ON DELETE CASCADE,
+  primary_booking_id UUID REFERENCES public.bookings(id) ON DELETE SET NULL,
+  appointment_date DATE NOT NULL,
+  start_time TIME NOT NULL,
+  end_time TIME NOT NULL,
+  total_duration INTEGER NOT NULL,
+  total_price DECIMAL(10,2) NOT NULL,
+  currency TEXT NOT NULL DEFAULT 'EUR',
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+ALTER TABLE public.bookings
+ADD COLUMN IF NOT EXISTS basket_id UUID REFERENCES public.booking_baskets(id) ON DELETE SET NULL,
+ADD COLUMN IF NOT EXISTS basket_position INTEGER;
+
+CREATE INDEX IF NOT EXISTS idx_bookings_basket_id ON public.bookings(basket_id);
+
+ALTER TABLE public.booking_baskets ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Clients can view own baskets" ON public.booking_baskets;
+CREATE POLICY "Clients can view own baskets" ON public.booking_baskets
+  FOR SELECT USING (auth.uid() = client_id);
+
+DROP POLICY IF EXISTS "Salon owners can view their baskets" ON public.booking_baskets;
+CREATE POLICY "Salon owners can view their baskets" ON public.booking_baskets
+  FOR SELECT USING (
+    EXISTS (SELECT 1 FROM public.salons s WHERE s.id = salon_id AND s.owner_id = auth.uid())
+  );
+
+-- Reserve all segments of a basket or none. Every segment is checked under the salon lock
+-- before any is inserted (segments are consecutive, so they never clash with each other).
+-- p_items: [{ service_id, staff_id, date, start, end, buffer_before, buffer_after }, ...] in order.
+-- Raises SQLSTATE 'P0409' when any segment is taken.
+CREATE OR REPLACE FUNCTION public.create_booking_basket_atomic(
+  p_salon_id UUID,
+  p_client_id UUID,
+  p_items JSONB,
+  p_client_notes TEXT,
+  p_status TEXT,
+  p_total_duration INTEGER,
+  p_total_price DECIMAL,
+  p_currency TEXT,
+  p_default_buffer_before INTEGER,
+  p_default_buffer_after INTEGER
+)
+RETURNS UUID
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_item JSONB;
+  v_basket_id UUID;
+  v_booking_id UUID;
+  v_position INTEGER := 0;
+  v_first JSONB := p_items -> 0;
+  v_last JSONB := p_items -> (jsonb_array_length(p_items) - 1);
+BEGIN
+  PERFORM pg_advisory_xact_lock(hashtext('booking:' || p_salon_id::text));
+
+  FOR v_item IN SELECT * FROM jsonb_array_elements(p_items) LOOP
+    IF public.booking_slot_has_conflict(
+      p_salon_id,
+      NULLIF(v_item ->> 'staff_id', '')::UUID,
+      (v_item ->> 'date')::DATE,
+      (v_item ->> 'start')::TIME,
+      (v_item ->> 'end')::TIME,
+      COALESCE((v_item ->> 'buffer_before')::INTEGER, 0),
+      COALESCE((v_item ->> 'buffer_after')::INTEGER, 0),
+      p_default_buffer_before,
+      p_default_buffer_after
+    ) THEN
+      RAISE EXCEPTION 'Time slot not available' USING ERRCODE = 'P0409';
+    END IF;
+  END LOOP;
+
+  INSERT INTO public.booking_baskets (
+    client_id, salon_id, appointment_date, start_time, end_time, total_duration, total_price, currency
+  ) VALUES (
+    p_client_id, p_salon_id, (v_first ->> 'date')::DATE, (v_first ->> 'start')::TIME,
+    (v_last ->> 'end')::TIME, p_total_duration, p_total_price, p_currency
+  )
+  RETURNING id INTO v_basket_id;
+
+  FOR v_item IN SELECT * FROM jsonb_array_elements(p_items) LOOP
+    INSERT INTO public.bookings (
+      client_id, salon_id, service_id, staff_id, appointment_date, start_time, end_time,
+      client_notes, status, basket_id, basket_position
+    ) VALUES (
+      p_client_id, p_salon_id, (v_item ->> 'service_id')::UUID, NULLIF(v_item ->> 'staff_id', '')::UUID,
+      (v_item ->> 'date')::DATE, (v_item ->> 'start')::TIME, (v_item ->> 'end')::TIME,
+      p_client_notes, p_status, v_basket_id, v_position
+    )
+    RETURNING id INTO v_booking_id;
+
+    IF v_position = 0 THEN
+      UPDATE public.booking_baskets SET primary_booking_id = v_booking_id WHERE id = v_basket_id;
+    END IF;
+    v_position := v_position + 1;
+  END LOOP;
+
+  RETURN v_basket_id;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.create_booking_basket_atomic FROM PUBLIC, anon, authenticated;
+
+COMMIT;
@@ -0,0 +1,80 @@
+-- Booking for someone else and group bookings.
+-- bookings.family_member_id records who the appointment is for (NULL = the account holder).
+-- A group booking is several parallel appointments (one per guest) sharing a group_id.
+BEGIN;
+
+ALTER TABLE public.bookings
+ADD COLUMN IF NOT EXISTS family_member_id UUID,
+ADD COLUMN IF NOT EXISTS group_id UUID;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_constraint WHERE conname = 'bookings_family_member_id_fkey'
+  ) THEN
+    ALTER TABLE public.bookings
+    ADD CONSTRAINT bookings_family_member_id_fkey
+    FOREIGN KEY (family_member_id) REFERENCES public.family_members(id) ON DELETE SET NULL;
+  END IF;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_bookings_family_member_id ON public.bookings(family_member_id);
+CREATE INDEX IF NOT EXISTS idx_bookings_group_id ON public.bookings(group_id);
+
+-- Reserve all guests of a group or none. Each guest is checked and inserted in turn under the
+-- salon lock, so later guests see earlier ones (two guests can't share a stylist).
+-- p_items: [{ service_id, staff_id, family_member_id, date, start, end, buffer_before, buffer_after }, ...]
+-- Raises SQLSTATE 'P0409' when any guest's slot is taken.
+CREATE OR REPLACE FUNCTION public.create_booking_group_atomic(
+  p_salon_id UUID,
+  p_client_id UUID,
+  p_items JSONB,
+  p_client_notes TEXT,
+  p_status TEXT,
+  p_default_buffer_before INTEGER,
+  p_default_buffer_after INTEGER
+)
+RETURNS UUID
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_item JSONB;
+  v_group_id UUID := gen_random_uuid();
+BEGIN
+  PERFORM pg_advisory_xact_lock(hashtext('booking:' || p_salon_id::text));
+
+  FOR v_item IN SELECT * FROM jsonb_array_elements(p_items) LOOP
+    IF public.booking_slot_has_conflict(
+      p_salon_id,
+      NULLIF(v_item ->> 'staff_id', '')::UUID,
+      (v_item ->> 'date')::DATE,
+      (v_item ->> 'start')::TIME,
+      (v_item ->> 'end')::TIME,
+      COALESCE((v_item ->> 'buffer_before')::INTEGER, 0),
+      COALESCE((v_item ->> 'buffer_after')::INTEGER, 0),
+      p_default_buffer_before,
+      p_default_buffer_after
+    ) THEN
+      RAISE EXCEPTION 'Time slot not available' USING ERRCODE = 'P0409';
+    END IF;
+
+    INSERT INTO public.bookings (
+      client_id, salon_id, service_id, staff_id, family_member_id, appointment_date, start_time, end_time,
+      client_notes, status, group_id
+    ) VALUES (
+      p_client_id, p_salon_id, (v_item ->> 'service_id')::UUID, NULLIF(v_item ->> 'staff_id', '')::UUID,
+      NULLIF(v_item ->> 'family_member_id', '')::UUID,
+      (v_item ->> 'date')::DATE, (v_item ->> 'start')::TIME, (v_item ->> 'end')::TIME,
+      p_client_notes, p_status, v_group_id
+    );
+  END LOOP;
+
+  RETURN v_group_id;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.create_booking_group_atomic FROM PUBLIC, anon, authenticated;
+
+COMMIT;
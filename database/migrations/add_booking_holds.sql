@@ -0,0 +1,214 @@
+-- Slot holds and atomic booking creation.
+--
+-- A hold reserves a slot for a few minutes while the client is on the payment sheet.
+-- Holds and bookings are both written through the functions below, which take a per-salon
+-- advisory lock and re-check conflicts inside the same transaction, so two clients tapping
+-- the same slot can never both succeed.
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS public.booking_holds (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  salon_id UUID NOT NULL REFERENCES public.salons(id) ON DELETE CASCADE,
+  service_id UUID NOT NULL REFERENCES public.services(id) ON DELETE CASCADE,
+  staff_id UUID REFERENCES public.staff(id) ON DELETE SET NULL,
+  client_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  appointment_date DATE NOT NULL,
+  start_time TIME NOT NULL,
+  end_time TIME NOT NULL,
+  buffer_before_minutes INTEGER NOT NULL DEFAULT 0,
+  buffer_after_minutes INTEGER NOT NULL DEFAULT 0,
+  stripe_payment_intent_id TEXT,
+  status TEXT NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'converted', 'released', 'expired')),
+  booking_id UUID REFERENCES public.bookings(id) ON DELETE SET NULL,
+  expires_at TIMESTAMPTZ NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_booking_holds_salon_date ON public.booking_holds(salon_id, appointment_date) WHERE status = 'active';
+CREATE INDEX IF NOT EXISTS idx_booking_holds_payment_intent ON public.booking_holds(stripe_payment_intent_id);
+CREATE INDEX IF NOT EXISTS idx_booking_holds_expires_at ON public.booking_holds(expires_at) WHERE status = 'active';
+
+ALTER TABLE public.booking_holds ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Clients can view own holds" ON public.booking_holds;
+CREATE POLICY "Clients can view own holds" ON public.booking_holds
+  FOR SELECT USING (auth.uid() = client_id);
+
+-- Whether [p_date p_start, p_date p_end) widened by the given buffers overlaps an existing
+-- booking or active hold. Existing bookings are widened by their service's (or salon's) buffers.
+-- With p_staff_id only that stylist's bookings/holds count; without it the salon is a single chair.
+CREATE OR REPLACE FUNCTION public.booking_slot_has_conflict(
+  p_salon_id UUID,
+  p_staff_id UUID,
+  p_date DATE,
+  p_start TIME,
+  p_end TIME,
+  p_buffer_before INTEGER DEFAULT 0,
+  p_buffer_after INTEGER DEFAULT 0,
+  p_default_buffer_before INTEGER DEFAULT 0,
+  p_default_buffer_after INTEGER DEFAULT 0,
+  p_exclude_booking_id UUID DEFAULT NULL,
+  p_exclude_hold_id UUID DEFAULT NULL
+)
+RETURNS BOOLEAN
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_from TIMESTAMP := (p_date + p_start) - make_interval(mins => p_buffer_before);
+  v_to TIMESTAMP := (p_date + p_start)
+    + CASE WHEN p_end <= p_start THEN (p_end - p_start) + INTERVAL '1 day' ELSE (p_end - p_start) END
+    + make_interval(mins => p_buffer_after);
+BEGIN
+  IF EXISTS (
+    SELECT 1
+    FROM public.bookings b
+    JOIN public.salons sa ON sa.id = b.salon_id
+    LEFT JOIN public.services sv ON sv.id = b.service_id
+    WHERE b.salon_id = p_salon_id
+      AND b.status <> 'cancelled'
+      AND b.appointment_date BETWEEN p_date - 1 AND p_date + 1
+      AND (p_staff_id IS NULL OR b.staff_id = p_staff_id)
+      AND (p_exclude_booking_id IS NULL OR b.id <> p_exclude_booking_id)
+      AND (b.appointment_date + b.start_time)
+          - make_interval(mins => COALESCE(sv.buffer_before_minutes, sa.buffer_before_minutes, p_default_buffer_before))
+          < v_to
+      AND (b.appointment_date + b.start_time)
+          + CASE WHEN b.end_time <= b.start_time THEN (b.end_time - b.start_time) + INTERVAL '1 day' ELSE (b.end_time - b.start_time) END
+          + make_interval(mins => COALESCE(sv.buffer_after_minutes, sa.buffer_after_minutes, p_default_buffer_after))
+          > v_from
+  ) THEN
+    RETURN TRUE;
+  END IF;
+
+  RETURN EXISTS (
+    SELECT 1
+    FROM public.booking_holds h
+    WHERE h.salon_id = p_salon_id
+      AND h.status = 'active'
+      AND h.expires_at > NOW()
+      AND h.appointment_date BETWEEN p_date - 1 AND p_date + 1
+      AND (p_staff_id IS NULL OR h.staff_id = p_staff_id)
+      AND (p_exclude_hold_id IS NULL OR h.id <> p_exclude_hold_id)
+      AND (h.appointment_date + h.start_time) - make_interval(mins => h.buffer_before_minutes) < v_to
+      AND (h.appointment_date + h.start_time)
+          + CASE WHEN h.end_time <= h.start_time THEN (h.end_time - h.start_time) + INTERVAL '1 day' ELSE (h.end_time - h.start_time) END
+          + make_interval(mins => h.buffer_after_minutes)
+          > v_from
+  );
+END;
+$$;
+
+-- Place a hold. Raises SQLSTATE 'P0409' when the slot is taken.
+CREATE OR REPLACE FUNCTION public.create_booking_hold(
+  p_salon_id UUID,
+  p_service_id UUID,
+  p_staff_id UUID,
+  p_client_id UUID,
+  p_date DATE,
+  p_start TIME,
+  p_end TIME,
+  p_buffer_before INTEGER,
+  p_buffer_after INTEGER,
+  p_default_buffer_before INTEGER,
+  p_default_buffer_after INTEGER,
+  p_expires_at TIMESTAMPTZ
+)
+RETURNS public.booking_holds
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_hold public.booking_holds;
+BEGIN
+  -- Serialise all reservations for this salon until the transaction ends
+  PERFORM pg_advisory_xact_lock(hashtext('booking:' || p_salon_id::text));
+
+  -- A client only keeps one active hold at a salon at a time
+  UPDATE public.booking_holds
+  SET status = 'released', updated_at = NOW()
+  WHERE client_id = p_client_id AND salon_id = p_salon_id AND status = 'active';
+
+  IF public.booking_slot_has_conflict(
+    p_salon_id, p_staff_id, p_date, p_start, p_end,
+    p_buffer_before, p_buffer_after, p_default_buffer_before, p_default_buffer_after
+  ) THEN
+    RAISE EXCEPTION 'Time slot not available' USING ERRCODE = 'P0409';
+  END IF;
+
+  INSERT INTO public.booking_holds (
+    salon_id, service_id, staff_id, client_id, appointment_date, start_time, end_time,
+    buffer_before_minutes, buffer_after_minutes, expires_at
+  ) VALUES (
+    p_salon_id, p_service_id, p_staff_id, p_client_id, p_date, p_start, p_end,
+    p_buffer_before, p_buffer_after, p_expires_at
+  )
+  RETURNING * INTO v_hold;
+
+  RETURN v_hold;
+END;
+$$;
+
+-- Insert a booking after re-checking conflicts under the salon lock.
+-- p_hold_id (optional) is excluded from the check and marked converted.
+-- Raises SQLSTATE 'P0409' when the slot is taken.
+CREATE OR REPLACE FUNCTION public.create_booking_atomic(
+  p_salon_id UUID,
+  p_service_id UUID,
+  p_staff_id UUID,
+  p_client_id UUID,
+  p_date DATE,
+  p_start TIME,
+  p_end TIME,
+  p_client_notes TEXT,
+  p_status TEXT,
+  p_buffer_before INTEGER,
+  p_buffer_after INTEGER,
+  p_default_buffer_before INTEGER,
+  p_default_buffer_after INTEGER,
+  p_hold_id UUID DEFAULT NULL
+)
+RETURNS UUID
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_booking_id UUID;
+BEGIN
+  PERFORM pg_advisory_xact_lock(hashtext('booking:' || p_salon_id::text));
+
+  IF public.booking_slot_has_conflict(
+    p_salon_id, p_staff_id, p_date, p_start, p_end,
+    p_buffer_before, p_buffer_after, p_default_buffer_before, p_default_buffer_after,
+    NULL, p_hold_id
+  ) THEN
+    RAISE EXCEPTION 'Time slot not available' USING ERRCODE = 'P0409';
+  END IF;
+
+  INSERT INTO public.bookings (
+    client_id, salon_id, service_id, staff_id, appointment_date, start_time, end_time, client_notes, status
+  ) VALUES (
+    p_client_id, p_salon_id, p_service_id, p_staff_id, p_date, p_start, p_end, p_client_notes, p_status
+  )
+  RETURNING id INTO v_booking_id;
+
+  IF p_hold_id IS NOT NULL THEN
+    UPDATE public.booking_holds
+    SET status = 'converted', booking_id = v_booking_id, updated_at = NOW()
+    WHERE id = p_hold_id;
+  END IF;
+
+  RETURN v_booking_id;
+END;
+$$;
+
+-- Only the backend (service role) may reserve slots
+REVOKE EXECUTE ON FUNCTION public.create_booking_hold FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION public.create_booking_atomic FROM PUBLIC, anon, authenticated;
+
+COMMIT;
@@ -0,0 +1,196 @@
+-- Booking reminders: one record per booking and reminder offset.
+--
+-- Each salon picks how long before an appointment its clients are reminded
+-- (salons.reminder_offsets_hours, e.g. {48,24,2}). sync_booking_reminders() keeps a
+-- booking_reminders row per booking and offset in line with the booking: a trigger runs it
+-- whenever a booking is created, moved or changes status, and whenever a salon changes its
+-- offsets or timezone. A moved booking gets its reminders rescheduled (also ones already sent);
+-- a cancelled or finished booking gets its pending reminders cancelled. Offsets whose time has
+-- already passed when the booking is made are 'skipped' rather than sent right away.
+--
+-- /api/cron/send-booking-reminders sends the due ones through the notification dispatcher
+-- (bookingRemindersService). While a reminder is 'sending', next_attempt_at is the end of the
+-- worker's lease; failed sends are retried a few times, then marked 'failed'.
+BEGIN;
+
+ALTER TABLE public.salons
+ADD COLUMN IF NOT EXISTS reminder_offsets_hours INTEGER[] NOT NULL DEFAULT '{24,2}';
+
+COMMENT ON COLUMN public.salons.reminder_offsets_hours IS 'Hours before an appointment its client is reminded.';
+
+CREATE TABLE IF NOT EXISTS public.booking_reminders (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  booking_id UUID NOT NULL REFERENCES public.bookings(id) ON DELETE CASCADE,
+  offset_hours INTEGER NOT NULL CHECK (offset_hours > 0),
+  -- Appointment start the reminder was scheduled for
+  starts_at TIMESTAMPTZ NOT NULL,
+  send_at TIMESTAMPTZ NOT NULL,
+  status TEXT NOT NULL DEFAULT 'scheduled'
+    CHECK (status IN ('scheduled', 'sending', 'sent', 'failed', 'cancelled', 'skipped')),
+  attempts INTEGER NOT NULL DEFAULT 0,
+  next_attempt_at TIMESTAMPTZ,
+  last_error TEXT,
+  -- notification_deliveries.dispatch_id of the notify() call that sent it
+  dispatch_id UUID,
+  sent_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (booking_id, offset_hours)
+);
+
+CREATE INDEX IF NOT EXISTS idx_booking_reminders_due ON public.booking_reminders(next_attempt_at)
+  WHERE status IN ('scheduled', 'sending');
+
+-- Only the service role (reminder job) reads or writes reminders
+ALTER TABLE public.booking_reminders ENABLE ROW LEVEL SECURITY;
+
+CREATE OR REPLACE FUNCTION public.sync_booking_reminders(p_booking_id UUID)
+RETURNS VOID
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_booking RECORD;
+  v_offsets INTEGER[];
+  v_starts_at TIMESTAMPTZ;
+  v_send_at TIMESTAMPTZ;
+  v_offset INTEGER;
+BEGIN
+  SELECT b.appointment_date, b.start_time, b.status, s.timezone, s.reminder_offsets_hours
+  INTO v_booking
+  FROM public.bookings b
+  JOIN public.salons s ON s.id = b.salon_id
+  WHERE b.id = p_booking_id;
+
+  IF NOT FOUND THEN
+    RETURN;
+  END IF;
+
+  IF v_booking.status NOT IN ('pending', 'confirmed')
+     OR v_booking.appointment_date IS NULL
+     OR v_booking.start_time IS NULL THEN
+    UPDATE public.booking_reminders
+    SET status = 'cancelled', next_attempt_at = NULL, updated_at = NOW()
+    WHERE booking_id = p_booking_id AND status IN ('scheduled', 'sending');
+    RETURN;
+  END IF;
+
+  -- Booking times are salon wall-clock time
+  BEGIN
+    v_starts_at := (v_booking.appointment_date + v_booking.start_time) AT TIME ZONE COALESCE(v_booking.timezone, 'Europe/Amsterdam');
+  EXCEPTION WHEN invalid_parameter_value THEN
+    v_starts_at := (v_booking.appointment_date + v_booking.start_time) AT TIME ZONE 'Europe/Amsterdam';
+  END;
+
+  v_offsets := COALESCE(v_booking.reminder_offsets_hours, '{}');
+
+  -- Offsets the salon no longer uses
+  UPDATE public.booking_reminders
+  SET status = 'cancelled', next_attempt_at = NULL, updated_at = NOW()
+  WHERE booking_id = p_booking_id
+    AND status = 'scheduled'
+    AND NOT (offset_hours = ANY(v_offsets));
+
+  FOREACH v_offset IN ARRAY v_offsets LOOP
+    v_send_at := v_starts_at - make_interval(hours => v_offset);
+
+    INSERT INTO public.booking_reminders (booking_id, offset_hours, starts_at, send_at, next_attempt_at, status)
+    VALUES (
+      p_booking_id,
+      v_offset,
+      v_starts_at,
+      v_send_at,
+      v_send_at,
+      CASE WHEN v_send_at <= NOW() THEN 'skipped' ELSE 'scheduled' END
+    )
+    ON CONFLICT (booking_id, offset_hours) DO UPDATE
+    SET starts_at = EXCLUDED.starts_at,
+        send_at = EXCLUDED.send_at,
+        next_attempt_at = EXCLUDED.next_attempt_at,
+        status = EXCLUDED.status,
+        attempts = 0,
+        last_error = NULL,
+        dispatch_id = NULL,
+        sent_at = NULL,
+        updated_at = NOW()
+    -- Only when the booking moved, or comes back after a cancellation
+    WHERE public.booking_reminders.starts_at IS DISTINCT FROM EXCLUDED.starts_at
+       OR public.booking_reminders.status = 'cancelled';
+  END LOOP;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.sync_booking_reminders FROM PUBLIC, anon, authenticated;
+
+-- A reminder problem never blocks writing the booking itself
+CREATE OR REPLACE FUNCTION public.handle_booking_reminders()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  BEGIN
+    PERFORM public.sync_booking_reminders(NEW.id);
+  EXCEPTION WHEN OTHERS THEN
+    RAISE WARNING 'Reminders of booking % not synced: %', NEW.id, SQLERRM;
+  END;
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS sync_booking_reminders ON public.bookings;
+CREATE TRIGGER sync_booking_reminders
+  AFTER INSERT OR UPDATE OF appointment_date, start_time, status ON public.bookings
+  FOR EACH ROW EXECUTE FUNCTION public.handle_booking_reminders();
+
+CREATE OR REPLACE FUNCTION public.handle_salon_reminder_settings()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_booking_id UUID;
+BEGIN
+  FOR v_booking_id IN
+    SELECT id FROM public.bookings
+    WHERE salon_id = NEW.id
+      AND status IN ('pending', 'confirmed')
+      AND appointment_date >= CURRENT_DATE - 1
+  LOOP
+    BEGIN
+      PERFORM public.sync_booking_reminders(v_booking_id);
+    EXCEPTION WHEN OTHERS THEN
+      RAISE WARNING 'Reminders of booking % not synced: %', v_booking_id, SQLERRM;
+    END;
+  END LOOP;
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS sync_salon_booking_reminders ON public.salons;
+CREATE TRIGGER sync_salon_booking_reminders
+  AFTER UPDATE OF reminder_offsets_hours, timezone ON public.salons
+  FOR EACH ROW
+  WHEN (OLD.reminder_offsets_hours IS DISTINCT FROM NEW.reminder_offsets_hours
+        OR OLD.timezone IS DISTINCT FROM NEW.timezone)
+  EXECUTE FUNCTION public.handle_salon_reminder_settings();
+
+-- Schedule reminders for the bookings already in the diary
+DO $$
+DECLARE
+  v_booking_id UUID;
+BEGIN
+  FOR v_booking_id IN
+    SELECT id FROM public.bookings
+    WHERE status IN ('pending', 'confirmed')
+      AND appointment_date >= CURRENT_DATE - 1
+  LOOP
+    PERFORM public.sync_booking_reminders(v_booking_id);
+  END LOOP;
+END;
+$$;
+
+COMMIT;
@@ -0,0 +1,43 @@
+-- Recurring appointments: a series groups bookings of the same service repeated every N weeks.
+-- Every occurrence is a normal booking row (created up front), so conflicts, reminders and
+-- payments work per occurrence; series_index orders them for "this and following" edits.
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS public.booking_series (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  client_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  salon_id UUID NOT NULL REFERENCES public.salons(id) ON DELETE CASCADE,
+  service_id UUID NOT NULL REFERENCES public.services(id) ON DELETE CASCADE,
+  staff_id UUID REFERENCES public.staff(id) ON DELETE SET NULL,
+  interval_weeks INTEGER NOT NULL CHECK (interval_weeks BETWEEN 1 AND 52),
+  start_date DATE NOT NULL,
+  start_time TIME NOT NULL,
+  until_date DATE,
+  occurrence_count INTEGER,
+  status TEXT NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'ended', 'cancelled')),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_booking_series_client ON public.booking_series(client_id);
+CREATE INDEX IF NOT EXISTS idx_booking_series_salon ON public.booking_series(salon_id);
+
+ALTER TABLE public.bookings
+ADD COLUMN IF NOT EXISTS series_id UUID REFERENCES public.booking_series(id) ON DELETE SET NULL,
+ADD COLUMN IF NOT EXISTS series_index INTEGER;
+
+CREATE INDEX IF NOT EXISTS idx_bookings_series ON public.bookings(series_id, series_index);
+
+ALTER TABLE public.booking_series ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Clients can view own series" ON public.booking_series;
+CREATE POLICY "Clients can view own series" ON public.booking_series
+  FOR SELECT USING (auth.uid() = client_id);
+
+DROP POLICY IF EXISTS "Salon owners can view their series" ON public.booking_series;
+CREATE POLICY "Salon owners can view their series" ON public.booking_series
+  FOR SELECT USING (
+    EXISTS (SELECT 1 FROM public.salons s WHERE s.id = salon_id AND s.owner_id = auth.uid())
+  );
+
+COMMIT;
@@ -0,0 +1,27 @@
+-- Configurable slot rules per salon, optionally overridden per service.
+-- NULL on a service = use the salon value; NULL on the salon = use the platform default (config.booking).
+--   slot_interval_minutes     - granularity of offered start times
+--   buffer_before_minutes     - preparation time blocked before an appointment
+--   buffer_after_minutes      - cleanup/processing time blocked after an appointment
+--   min_lead_time_minutes     - how far in advance a booking must be made
+--   max_booking_horizon_days  - how far ahead clients can book
+BEGIN;
+
+ALTER TABLE public.salons
+ADD COLUMN IF NOT EXISTS slot_interval_minutes INTEGER CHECK (slot_interval_minutes > 0),
+ADD COLUMN IF NOT EXISTS buffer_before_minutes INTEGER CHECK (buffer_before_minutes >= 0),
+ADD COLUMN IF NOT EXISTS buffer_after_minutes INTEGER CHECK (buffer_after_minutes >= 0),
+ADD COLUMN IF NOT EXISTS min_lead_time_minutes INTEGER CHECK (min_lead_time_minutes >= 0),
+ADD COLUMN IF NOT EXISTS max_booking_horizon_days INTEGER CHECK (max_booking_horizon_days > 0);
+
+ALTER TABLE public.services
+ADD COLUMN IF NOT EXISTS slot_interval_minutes INTEGER CHECK (slot_interval_minutes > 0),
+ADD COLUMN IF NOT EXISTS buffer_before_minutes INTEGER CHECK (buffer_before_minutes >= 0),
+ADD COLUMN IF NOT EXISTS buffer_after_minutes INTEGER CHECK (buffer_after_minutes >= 0),
+ADD COLUMN IF NOT EXISTS min_lead_time_minutes INTEGER CHECK (min_lead_time_minutes >= 0),
+ADD COLUMN IF NOT EXISTS max_booking_horizon_days INTEGER CHECK (max_booking_horizon_days > 0);
+
+COMMENT ON COLUMN public.salons.slot_interval_minutes IS 'Minutes between offered start times. Null = platform default.';
+COMMENT ON COLUMN public.services.buffer_after_minutes IS 'Cleanup/processing time after this service. Null = salon value.';
+
+COMMIT;
@@ -0,0 +1,23 @@
+-- Cancellation policy per salon and what a cancellation cost.
+-- NULL policy values fall back to the platform defaults (BOOKING_FREE_CANCEL_WINDOW_HOURS etc.).
+BEGIN;
+
+ALTER TABLE public.salons
+ADD COLUMN IF NOT EXISTS free_cancel_window_hours INTEGER CHECK (free_cancel_window_hours >= 0),
+ADD COLUMN IF NOT EXISTS late_cancel_fee_percent DECIMAL(5,2) CHECK (late_cancel_fee_percent BETWEEN 0 AND 100),
+ADD COLUMN IF NOT EXISTS no_show_fee_percent DECIMAL(5,2) CHECK (no_show_fee_percent BETWEEN 0 AND 100);
+
+ALTER TABLE public.bookings
+ADD COLUMN IF NOT EXISTS cancelled_by TEXT CHECK (cancelled_by IN ('client', 'salon')),
+ADD COLUMN IF NOT EXISTS cancelled_at TIMESTAMPTZ,
+ADD COLUMN IF NOT EXISTS cancellation_fee DECIMAL(10,2) NOT NULL DEFAULT 0;
+
+-- Booking payments vs. fees charged afterwards (late cancellation, no-show)
+ALTER TABLE public.payments
+ADD COLUMN IF NOT EXISTS payment_type TEXT NOT NULL DEFAULT 'booking',
+ADD COLUMN IF NOT EXISTS refunded_amount DECIMAL(10,2) NOT NULL DEFAULT 0,
+ADD COLUMN IF NOT EXISTS stripe_refund_id VARCHAR(255);
+
+CREATE INDEX IF NOT EXISTS idx_payments_booking_type ON public.payments(booking_id, payment_type);
+
+COMMIT;
@@ -0,0 +1,197 @@
+-- Gift cards (prepaid vouchers) sold or issued by a salon and spent on its bookings.
+--
+-- gift_cards.balance is what is left on the card; every change to it is a row in
+-- gift_card_transactions (the ledger), so balance = sum(amount) of the card's transactions.
+-- Cards bought online start as pending_payment and become active when the Checkout session is
+-- paid. Redeeming and releasing go through the functions below, which lock the card row.
+-- payments.gift_card_amount is the part of a payment covered by gift cards.
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS public.gift_cards (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  salon_id UUID NOT NULL REFERENCES public.salons(id) ON DELETE CASCADE,
+  code TEXT NOT NULL UNIQUE,
+  initial_amount DECIMAL(10,2) NOT NULL CHECK (initial_amount > 0),
+  balance DECIMAL(10,2) NOT NULL CHECK (balance >= 0),
+  currency VARCHAR(3) NOT NULL DEFAULT 'EUR',
+  status TEXT NOT NULL DEFAULT 'active' CHECK (status IN ('pending_payment', 'active', 'redeemed', 'void', 'canceled')),
+  expires_at TIMESTAMPTZ,
+  source TEXT NOT NULL CHECK (source IN ('issued', 'purchased')),
+  issued_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+  purchaser_id UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+  purchaser_email TEXT,
+  recipient_name TEXT,
+  recipient_email TEXT,
+  message TEXT,
+  stripe_checkout_session_id TEXT UNIQUE,
+  stripe_payment_intent_id TEXT,
+  delivered_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CHECK (balance <= initial_amount)
+);
+
+CREATE INDEX IF NOT EXISTS idx_gift_cards_salon ON public.gift_cards(salon_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_gift_cards_purchaser ON public.gift_cards(purchaser_id);
+
+CREATE TABLE IF NOT EXISTS public.gift_card_transactions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  gift_card_id UUID NOT NULL REFERENCES public.gift_cards(id) ON DELETE CASCADE,
+  type TEXT NOT NULL CHECK (type IN ('issue', 'purchase', 'redeem', 'release', 'void')),
+  -- Signed: positive adds to the balance, negative takes from it
+  amount DECIMAL(10,2) NOT NULL,
+  balance_after DECIMAL(10,2) NOT NULL CHECK (balance_after >= 0),
+  booking_id UUID REFERENCES public.bookings(id) ON DELETE SET NULL,
+  payment_id UUID REFERENCES public.payments(id) ON DELETE SET NULL,
+  created_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+  note TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_gift_card_transactions_card ON public.gift_card_transactions(gift_card_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_gift_card_transactions_payment ON public.gift_card_transactions(payment_id);
+
+ALTER TABLE public.payments
+ADD COLUMN IF NOT EXISTS gift_card_amount DECIMAL(10,2) NOT NULL DEFAULT 0;
+
+ALTER TABLE public.gift_cards ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.gift_card_transactions ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Salon owners can view their gift cards" ON public.gift_cards;
+CREATE POLICY "Salon owners can view their gift cards" ON public.gift_cards
+  FOR SELECT USING (
+    EXISTS (SELECT 1 FROM public.salons s WHERE s.id = salon_id AND s.owner_id = auth.uid())
+  );
+
+DROP POLICY IF EXISTS "Purchasers can view their gift cards" ON public.gift_cards;
+CREATE POLICY "Purchasers can view their gift cards" ON public.gift_cards
+  FOR SELECT USING (purchaser_id = auth.uid());
+
+DROP POLICY IF EXISTS "Salon owners can view their gift card ledger" ON public.gift_card_transactions;
+CREATE POLICY "Salon owners can view their gift card ledger" ON public.gift_card_transactions
+  FOR SELECT USING (
+    EXISTS (
+      SELECT 1 FROM public.gift_cards g
+      JOIN public.salons s ON s.id = g.salon_id
+      WHERE g.id = gift_card_id AND s.owner_id = auth.uid()
+    )
+  );
+
+-- Spend a gift card on a payment. Takes the smallest of p_amount (NULL = as much as possible),
+-- the card balance and what is still due on the payment.
+-- Raises P0404 (no such card at this salon), P0410 (not usable: expired, void, used up, pending)
+-- and P0422 (currency mismatch or nothing left to pay).
+CREATE OR REPLACE FUNCTION public.redeem_gift_card(
+  p_code TEXT,
+  p_salon_id UUID,
+  p_payment_id UUID,
+  p_amount DECIMAL,
+  p_user_id UUID
+)
+RETURNS public.gift_card_transactions
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_card public.gift_cards;
+  v_payment public.payments;
+  v_due DECIMAL(10,2);
+  v_take DECIMAL(10,2);
+  v_tx public.gift_card_transactions;
+BEGIN
+  SELECT * INTO v_card FROM public.gift_cards
+  WHERE code = upper(p_code) AND salon_id = p_salon_id
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Gift card not found' USING ERRCODE = 'P0404';
+  END IF;
+  IF v_card.status <> 'active' OR v_card.balance <= 0 OR (v_card.expires_at IS NOT NULL AND v_card.expires_at <= NOW()) THEN
+    RAISE EXCEPTION 'Gift card cannot be used' USING ERRCODE = 'P0410';
+  END IF;
+
+  SELECT * INTO v_payment FROM public.payments WHERE id = p_payment_id FOR UPDATE;
+  IF upper(coalesce(v_payment.currency, 'EUR')) <> upper(v_card.currency) THEN
+    RAISE EXCEPTION 'Gift card currency does not match the payment' USING ERRCODE = 'P0422';
+  END IF;
+
+  v_due := v_payment.amount - v_payment.gift_card_amount;
+  v_take := LEAST(coalesce(p_amount, v_card.balance), v_card.balance, v_due);
+  IF v_take <= 0 THEN
+    RAISE EXCEPTION 'Nothing left to pay with a gift card' USING ERRCODE = 'P0422';
+  END IF;
+
+  UPDATE public.gift_cards
+  SET balance = balance - v_take,
+      status = CASE WHEN balance - v_take = 0 THEN 'redeemed' ELSE status END,
+      updated_at = NOW()
+  WHERE id = v_card.id;
+
+  UPDATE public.payments
+  SET gift_card_amount = gift_card_amount + v_take, updated_at = NOW()
+  WHERE id = p_payment_id;
+
+  INSERT INTO public.gift_card_transactions (gift_card_id, type, amount, balance_after, booking_id, payment_id, created_by)
+  VALUES (v_card.id, 'redeem', -v_take, v_card.balance - v_take, v_payment.booking_id, p_payment_id, p_user_id)
+  RETURNING * INTO v_tx;
+
+  RETURN v_tx;
+END;
+$$;
+
+-- Put gift card money spent on a payment back on the cards (cancellations), newest redemption
+-- first, up to p_amount (NULL = everything). Returns the amount released.
+CREATE OR REPLACE FUNCTION public.release_gift_card_payment(
+  p_payment_id UUID,
+  p_amount DECIMAL,
+  p_user_id UUID,
+  p_note TEXT
+)
+RETURNS DECIMAL
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_left DECIMAL(10,2) := p_amount;
+  v_released DECIMAL(10,2) := 0;
+  v_row RECORD;
+  v_give DECIMAL(10,2);
+  v_balance DECIMAL(10,2);
+BEGIN
+  PERFORM 1 FROM public.payments WHERE id = p_payment_id FOR UPDATE;
+
+  FOR v_row IN
+    SELECT t.gift_card_id, -SUM(t.amount) AS outstanding, MAX(t.created_at) AS last_at
+    FROM public.gift_card_transactions t
+    WHERE t.payment_id = p_payment_id AND t.type IN ('redeem', 'release')
+    GROUP BY t.gift_card_id
+    HAVING -SUM(t.amount) > 0
+    ORDER BY last_at DESC
+  LOOP
+    EXIT WHEN p_amount IS NOT NULL AND v_left <= 0;
+    v_give := CASE WHEN p_amount IS NULL THEN v_row.outstanding ELSE LEAST(v_row.outstanding, v_left) END;
+
+    UPDATE public.gift_cards
+    SET balance = balance + v_give,
+        status = CASE WHEN status = 'redeemed' THEN 'active' ELSE status END,
+        updated_at = NOW()
+    WHERE id = v_row.gift_card_id
+    RETURNING balance INTO v_balance;
+
+    INSERT INTO public.gift_card_transactions (gift_card_id, type, amount, balance_after, booking_id, payment_id, created_by, note)
+    SELECT v_row.gift_card_id, 'release', v_give, v_balance, p.booking_id, p_payment_id, p_user_id, p_note
+    FROM public.payments p WHERE p.id = p_payment_id;
+
+    IF p_amount IS NOT NULL THEN
+      v_left := v_left - v_give;
+    END IF;
+    v_released := v_released + v_give;
+  END LOOP;
+
+  RETURN v_released;
+END;
+$$;
+
+COMMIT;
@@ -0,0 +1,125 @@
+-- Invoices and credit notes for completed payments.
+--
+-- An invoice is issued once per paid payment, a credit note once per succeeded refund. Both are
+-- numbered from one gap-free sequence per salon and calendar year (2026-00001, 2026-00002, ...):
+-- issue_invoice takes the next number and inserts the document in one transaction, so a failed
+-- insert doesn't use up a number. The document keeps a snapshot of its lines, VAT and the
+-- seller/buyer details, so a later change to the salon or the service doesn't alter it; the PDF
+-- is rendered from that snapshot.
+BEGIN;
+
+-- Company details printed on invoices
+ALTER TABLE public.salons
+ADD COLUMN IF NOT EXISTS legal_name TEXT,
+ADD COLUMN IF NOT EXISTS kvk_number VARCHAR(8),
+ADD COLUMN IF NOT EXISTS vat_number VARCHAR(14),
+-- Registered company address when it differs from the salon's address
+ADD COLUMN IF NOT EXISTS invoice_address TEXT;
+
+-- VAT percentage included in the service price; NULL = platform default
+ALTER TABLE public.services
+ADD COLUMN IF NOT EXISTS vat_rate DECIMAL(5,2) CHECK (vat_rate >= 0 AND vat_rate <= 100);
+
+CREATE TABLE IF NOT EXISTS public.invoice_sequences (
+  salon_id UUID NOT NULL REFERENCES public.salons(id) ON DELETE CASCADE,
+  year INTEGER NOT NULL,
+  last_number INTEGER NOT NULL DEFAULT 0,
+  PRIMARY KEY (salon_id, year)
+);
+
+CREATE TABLE IF NOT EXISTS public.invoices (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  salon_id UUID NOT NULL REFERENCES public.salons(id) ON DELETE RESTRICT,
+  type TEXT NOT NULL CHECK (type IN ('invoice', 'credit_note')),
+  number TEXT NOT NULL,
+  payment_id UUID NOT NULL REFERENCES public.payments(id) ON DELETE RESTRICT,
+  -- Credit notes only: the refund and the invoice it corrects
+  refund_id UUID REFERENCES public.payment_refunds(id) ON DELETE RESTRICT,
+  credited_invoice_id UUID REFERENCES public.invoices(id) ON DELETE RESTRICT,
+  currency VARCHAR(3) NOT NULL DEFAULT 'EUR',
+  -- [{ description, quantity, unit_price, vat_rate, net, vat, gross }]; prices include VAT
+  lines JSONB NOT NULL,
+  subtotal DECIMAL(10,2) NOT NULL,
+  vat_amount DECIMAL(10,2) NOT NULL,
+  total DECIMAL(10,2) NOT NULL,
+  seller JSONB NOT NULL,
+  buyer JSONB NOT NULL,
+  issued_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (salon_id, number),
+  CHECK ((type = 'invoice') = (refund_id IS NULL))
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_invoices_payment ON public.invoices(payment_id) WHERE type = 'invoice';
+CREATE UNIQUE INDEX IF NOT EXISTS idx_invoices_refund ON public.invoices(refund_id) WHERE type = 'credit_note';
+
+ALTER TABLE public.invoice_sequences ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.invoices ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Clients can view own invoices" ON public.invoices;
+CREATE POLICY "Clients can view own invoices" ON public.invoices
+  FOR SELECT USING (
+    EXISTS (
+      SELECT 1 FROM public.payments p
+      JOIN public.bookings b ON b.id = p.booking_id
+      WHERE p.id = payment_id AND b.client_id = auth.uid()
+    )
+  );
+
+DROP POLICY IF EXISTS "Salon owners can view their invoices" ON public.invoices;
+CREATE POLICY "Salon owners can view their invoices" ON public.invoices
+  FOR SELECT USING (
+    EXISTS (SELECT 1 FROM public.salons s WHERE s.id = salon_id AND s.owner_id = auth.uid())
+  );
+
+-- Number and store an invoice or credit note. Returns the existing document when the payment
+-- (invoice) or refund (credit note) already has one.
+CREATE OR REPLACE FUNCTION public.issue_invoice(
+  p_type TEXT,
+  p_salon_id UUID,
+  p_payment_id UUID,
+  p_refund_id UUID,
+  p_credited_invoice_id UUID,
+  p_currency TEXT,
+  p_lines JSONB,
+  p_subtotal DECIMAL,
+  p_vat_amount DECIMAL,
+  p_total DECIMAL,
+  p_seller JSONB,
+  p_buyer JSONB
+)
+RETURNS SETOF public.invoices
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_year INTEGER := EXTRACT(YEAR FROM NOW() AT TIME ZONE 'Europe/Amsterdam');
+  v_sequence INTEGER;
+BEGIN
+  RETURN QUERY
+  SELECT * FROM public.invoices
+  WHERE (p_type = 'invoice' AND type = 'invoice' AND payment_id = p_payment_id)
+     OR (p_type = 'credit_note' AND type = 'credit_note' AND refund_id = p_refund_id);
+  IF FOUND THEN
+    RETURN;
+  END IF;
+
+  INSERT INTO public.invoice_sequences (salon_id, year, last_number)
+  VALUES (p_salon_id, v_year, 1)
+  ON CONFLICT (salon_id, year) DO UPDATE SET last_number = public.invoice_sequences.last_number + 1
+  RETURNING last_number INTO v_sequence;
+
+  RETURN QUERY
+  INSERT INTO public.invoices (
+    salon_id, type, number, payment_id, refund_id, credited_invoice_id, currency,
+    lines, subtotal, vat_amount, total, seller, buyer
+  )
+  VALUES (
+    p_salon_id, p_type, v_year || '-' || lpad(v_sequence::TEXT, 5, '0'), p_payment_id, p_refund_id,
+    p_credited_invoice_id, p_currency, p_lines, p_subtotal, p_vat_amount, p_total, p_seller, p_buyer
+  )
+  RETURNING *;
+END;
+$$;
+
+COMMIT;
@@ -0,0 +1,56 @@
+-- Move an existing booking (reschedule / reassign) with the same guarantee as create_booking_atomic:
+-- conflicts are re-checked under the per-salon lock in the transaction that writes the change.
+-- Raises SQLSTATE 'P0409' when the new slot is taken.
+BEGIN;
+
+CREATE OR REPLACE FUNCTION public.move_booking_atomic(
+  p_booking_id UUID,
+  p_staff_id UUID,
+  p_date DATE,
+  p_start TIME,
+  p_end TIME,
+  p_status TEXT,
+  p_buffer_before INTEGER,
+  p_buffer_after INTEGER,
+  p_default_buffer_before INTEGER,
+  p_default_buffer_after INTEGER
+)
+RETURNS UUID
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_salon_id UUID;
+BEGIN
+  SELECT salon_id INTO v_salon_id FROM public.bookings WHERE id = p_booking_id;
+  IF v_salon_id IS NULL THEN
+    RAISE EXCEPTION 'Booking not found' USING ERRCODE = 'P0002';
+  END IF;
+
+  PERFORM pg_advisory_xact_lock(hashtext('booking:' || v_salon_id::text));
+
+  IF public.booking_slot_has_conflict(
+    v_salon_id, p_staff_id, p_date, p_start, p_end,
+    p_buffer_before, p_buffer_after, p_default_buffer_before, p_default_buffer_after,
+    p_booking_id, NULL
+  ) THEN
+    RAISE EXCEPTION 'Time slot not available' USING ERRCODE = 'P0409';
+  END IF;
+
+  UPDATE public.bookings
+  SET staff_id = p_staff_id,
+      appointment_date = p_date,
+      start_time = p_start,
+      end_time = p_end,
+      status = COALESCE(p_status, status),
+      updated_at = NOW()
+  WHERE id = p_booking_id;
+
+  RETURN p_booking_id;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.move_booking_atomic FROM PUBLIC, anon, authenticated;
+
+COMMIT;
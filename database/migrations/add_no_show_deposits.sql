@@ -0,0 +1,17 @@
+-- No-show tracking and deposits for repeat offenders.
+-- No-shows are counted per client per salon from bookings.status = 'no_show'.
+-- A salon can require a deposit (percentage of the service price, paid up front through a
+-- PaymentIntent) once a client reaches deposit_after_no_shows no-shows. NULL/0 = never.
+-- The deposit is recorded as a payments row (payment_type = 'deposit') and counts towards the price.
+BEGIN;
+
+ALTER TABLE public.salons
+ADD COLUMN IF NOT EXISTS deposit_after_no_shows INTEGER CHECK (deposit_after_no_shows >= 0),
+ADD COLUMN IF NOT EXISTS deposit_percent DECIMAL(5,2) CHECK (deposit_percent > 0 AND deposit_percent <= 100);
+
+ALTER TABLE public.bookings
+ADD COLUMN IF NOT EXISTS no_show_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS idx_bookings_client_salon_status ON public.bookings(client_id, salon_id, status);
+
+COMMIT;
@@ -0,0 +1,42 @@
+-- Notification dispatcher: channel preferences, quiet hours and delivery records.
+--
+-- notificationService.notify(userId, eventType, payload) sends an event on every channel the
+-- event supports (email, WhatsApp, in-app, push), as far as the user's user_settings allow.
+-- During the user's quiet hours (in their timezone; the window may wrap past midnight) the
+-- interrupting channels, WhatsApp and push, are held back unless the event is urgent. Every
+-- channel of every notify() call leaves a notification_deliveries row: sent, failed or skipped
+-- (with the reason).
+BEGIN;
+
+ALTER TABLE public.user_settings
+ADD COLUMN IF NOT EXISTS whatsapp_notifications BOOLEAN DEFAULT true,
+ADD COLUMN IF NOT EXISTS quiet_hours_start TIME,
+ADD COLUMN IF NOT EXISTS quiet_hours_end TIME,
+ADD COLUMN IF NOT EXISTS timezone TEXT;
+
+CREATE TABLE IF NOT EXISTS public.notification_deliveries (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  -- Shared by the channels of one notify() call
+  dispatch_id UUID NOT NULL,
+  user_id UUID NOT NULL REFERENCES public.user_profiles(id) ON DELETE CASCADE,
+  event_type TEXT NOT NULL,
+  channel TEXT NOT NULL CHECK (channel IN ('email', 'whatsapp', 'in_app', 'push')),
+  status TEXT NOT NULL CHECK (status IN ('sent', 'failed', 'skipped')),
+  -- Why it was skipped or failed (disabled, quiet_hours, not_configured, no_address, ...)
+  reason TEXT,
+  provider_message_id TEXT,
+  -- The inbox row, for in-app deliveries
+  notification_id UUID REFERENCES public.notifications(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_notification_deliveries_user ON public.notification_deliveries(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_notification_deliveries_dispatch ON public.notification_deliveries(dispatch_id);
+
+ALTER TABLE public.notification_deliveries ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can view own notification deliveries" ON public.notification_deliveries;
+CREATE POLICY "Users can view own notification deliveries" ON public.notification_deliveries
+  FOR SELECT USING (auth.uid() = user_id);
+
+COMMIT;
@@ -0,0 +1,18 @@
+-- Notification inbox: /api/notifications lists, counts, marks read and deletes a user's in-app
+-- notifications. Booking, review, payment, waitlist and chat events land here through
+-- notificationService.notify().
+BEGIN;
+
+-- Unread badge and the ?unread=true filter
+CREATE INDEX IF NOT EXISTS idx_notifications_user_unread
+  ON public.notifications(user_id, created_at DESC)
+  WHERE read_at IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_notifications_user_created
+  ON public.notifications(user_id, created_at DESC);
+
+DROP POLICY IF EXISTS "Users can delete own notifications" ON public.notifications;
+CREATE POLICY "Users can delete own notifications" ON public.notifications
+  FOR DELETE USING (auth.uid() = user_id);
+
+COMMIT;
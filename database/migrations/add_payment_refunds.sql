@@ -0,0 +1,48 @@
+-- Refunds of booking payments.
+--
+-- One row per Stripe refund, whether it was issued by a salon owner, by a cancellation or from
+-- the Stripe dashboard (picked up by the refund webhooks). payments.refunded_amount is the sum of
+-- the refunds that haven't failed, and payments.status becomes 'refunded' once it covers the
+-- whole amount. receipt_sent_at makes sure the refund receipt email goes out once.
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS public.payment_refunds (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  payment_id UUID NOT NULL REFERENCES public.payments(id) ON DELETE CASCADE,
+  booking_id UUID REFERENCES public.bookings(id) ON DELETE SET NULL,
+  stripe_refund_id TEXT NOT NULL UNIQUE,
+  amount DECIMAL(10,2) NOT NULL CHECK (amount > 0),
+  currency VARCHAR(3) NOT NULL DEFAULT 'EUR',
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'requires_action', 'succeeded', 'failed', 'canceled')),
+  reason TEXT,
+  note TEXT,
+  initiated_by TEXT NOT NULL DEFAULT 'stripe' CHECK (initiated_by IN ('salon', 'salon_cancellation', 'client_cancellation', 'stripe')),
+  created_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+  failure_reason TEXT,
+  receipt_sent_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_payment_refunds_payment ON public.payment_refunds(payment_id);
+CREATE INDEX IF NOT EXISTS idx_payment_refunds_booking ON public.payment_refunds(booking_id);
+
+ALTER TABLE public.payment_refunds ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Clients can view own refunds" ON public.payment_refunds;
+CREATE POLICY "Clients can view own refunds" ON public.payment_refunds
+  FOR SELECT USING (
+    EXISTS (SELECT 1 FROM public.bookings b WHERE b.id = booking_id AND b.client_id = auth.uid())
+  );
+
+DROP POLICY IF EXISTS "Salon owners can view their refunds" ON public.payment_refunds;
+CREATE POLICY "Salon owners can view their refunds" ON public.payment_refunds
+  FOR SELECT USING (
+    EXISTS (
+      SELECT 1 FROM public.bookings b
+      JOIN public.salons s ON s.id = b.salon_id
+      WHERE b.id = booking_id AND s.owner_id = auth.uid()
+    )
+  );
+
+COMMIT;
@@ -0,0 +1,159 @@
+-- Salon promotions: promo codes and automatic discount rules for bookings.
+--
+-- A promotion with a code applies when the client enters the code; one without a code applies
+-- automatically to every booking that matches its conditions (first visit, off-peak window,
+-- services). Only the best single discount is applied to a booking.
+-- Usage is counted in promotion_redemptions; redeem_promotion() claims a use under a row lock so
+-- max_uses and max_uses_per_client hold under concurrent bookings. Cancelling a booking releases
+-- its redemption.
+-- bookings.total_price and payments.discount_amount record the discounted price and the discount.
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS public.promotions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  salon_id UUID NOT NULL REFERENCES public.salons(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  -- NULL = automatic rule. Stored upper-case and matched exactly (no ILIKE: _ is a wildcard there)
+  code TEXT CHECK (code = upper(code)),
+  discount_type TEXT NOT NULL CHECK (discount_type IN ('percentage', 'fixed')),
+  discount_value DECIMAL(10,2) NOT NULL CHECK (discount_value > 0),
+  first_visit_only BOOLEAN NOT NULL DEFAULT false,
+  -- Off-peak window: the appointment must start on one of these days (0 = Sunday) between
+  -- start_time and end_time (salon local time). NULL = any day / any time.
+  days_of_week SMALLINT[],
+  start_time TIME,
+  end_time TIME,
+  -- NULL = every service of the salon
+  service_ids UUID[],
+  valid_from TIMESTAMPTZ,
+  valid_until TIMESTAMPTZ,
+  max_uses INTEGER CHECK (max_uses > 0),
+  max_uses_per_client INTEGER CHECK (max_uses_per_client > 0),
+  uses_count INTEGER NOT NULL DEFAULT 0 CHECK (uses_count >= 0),
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CHECK (discount_type <> 'percentage' OR discount_value <= 100),
+  CHECK ((start_time IS NULL) = (end_time IS NULL)),
+  CHECK (valid_until IS NULL OR valid_from IS NULL OR valid_until > valid_from)
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_promotions_salon_code ON public.promotions(salon_id, upper(code)) WHERE code IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_promotions_salon_active ON public.promotions(salon_id) WHERE is_active = true;
+
+CREATE TABLE IF NOT EXISTS public.promotion_redemptions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  promotion_id UUID NOT NULL REFERENCES public.promotions(id) ON DELETE CASCADE,
+  client_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  -- Set once the booking exists (the use is claimed before the booking is created)
+  booking_id UUID REFERENCES public.bookings(id) ON DELETE SET NULL,
+  discount_amount DECIMAL(10,2) NOT NULL CHECK (discount_amount >= 0),
+  status TEXT NOT NULL DEFAULT 'applied' CHECK (status IN ('applied', 'released')),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  released_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_promotion_redemptions_client ON public.promotion_redemptions(promotion_id, client_id) WHERE status = 'applied';
+CREATE INDEX IF NOT EXISTS idx_promotion_redemptions_booking ON public.promotion_redemptions(booking_id);
+
+ALTER TABLE public.bookings
+ADD COLUMN IF NOT EXISTS total_price DECIMAL(10,2),
+ADD COLUMN IF NOT EXISTS discount_amount DECIMAL(10,2) NOT NULL DEFAULT 0,
+ADD COLUMN IF NOT EXISTS promotion_id UUID REFERENCES public.promotions(id) ON DELETE SET NULL;
+
+ALTER TABLE public.payments
+ADD COLUMN IF NOT EXISTS discount_amount DECIMAL(10,2) NOT NULL DEFAULT 0;
+
+ALTER TABLE public.promotions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.promotion_redemptions ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Salon owners can manage their promotions" ON public.promotions;
+CREATE POLICY "Salon owners can manage their promotions" ON public.promotions
+  FOR ALL USING (
+    EXISTS (SELECT 1 FROM public.salons s WHERE s.id = salon_id AND s.owner_id = auth.uid())
+  );
+
+DROP POLICY IF EXISTS "Salon owners can view their promotion redemptions" ON public.promotion_redemptions;
+CREATE POLICY "Salon owners can view their promotion redemptions" ON public.promotion_redemptions
+  FOR SELECT USING (
+    EXISTS (
+      SELECT 1 FROM public.promotions p
+      JOIN public.salons s ON s.id = p.salon_id
+      WHERE p.id = promotion_id AND s.owner_id = auth.uid()
+    )
+  );
+
+-- Claim one use of a promotion for a client.
+-- Raises P0410 (inactive, outside its validity window or used up) and P0429 (the client used
+-- it as often as allowed).
+CREATE OR REPLACE FUNCTION public.redeem_promotion(
+  p_promotion_id UUID,
+  p_client_id UUID,
+  p_discount DECIMAL
+)
+RETURNS public.promotion_redemptions
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_promotion public.promotions;
+  v_client_uses INTEGER;
+  v_redemption public.promotion_redemptions;
+BEGIN
+  SELECT * INTO v_promotion FROM public.promotions WHERE id = p_promotion_id FOR UPDATE;
+
+  IF NOT FOUND
+    OR NOT v_promotion.is_active
+    OR (v_promotion.valid_from IS NOT NULL AND v_promotion.valid_from > NOW())
+    OR (v_promotion.valid_until IS NOT NULL AND v_promotion.valid_until <= NOW())
+    OR (v_promotion.max_uses IS NOT NULL AND v_promotion.uses_count >= v_promotion.max_uses) THEN
+    RAISE EXCEPTION 'Promotion is not available' USING ERRCODE = 'P0410';
+  END IF;
+
+  IF v_promotion.max_uses_per_client IS NOT NULL THEN
+    SELECT COUNT(*) INTO v_client_uses FROM public.promotion_redemptions
+    WHERE promotion_id = p_promotion_id AND client_id = p_client_id AND status = 'applied';
+
+    IF v_client_uses >= v_promotion.max_uses_per_client THEN
+      RAISE EXCEPTION 'Promotion already used' USING ERRCODE = 'P0429';
+    END IF;
+  END IF;
+
+  UPDATE public.promotions SET uses_count = uses_count + 1, updated_at = NOW() WHERE id = p_promotion_id;
+
+  INSERT INTO public.promotion_redemptions (promotion_id, client_id, discount_amount)
+  VALUES (p_promotion_id, p_client_id, p_discount)
+  RETURNING * INTO v_redemption;
+
+  RETURN v_redemption;
+END;
+$$;
+
+-- Give a use back (booking cancelled or never created). Returns false if it was already released.
+CREATE OR REPLACE FUNCTION public.release_promotion_redemption(p_redemption_id UUID)
+RETURNS BOOLEAN
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_promotion_id UUID;
+BEGIN
+  UPDATE public.promotion_redemptions
+  SET status = 'released', released_at = NOW()
+  WHERE id = p_redemption_id AND status = 'applied'
+  RETURNING promotion_id INTO v_promotion_id;
+
+  IF NOT FOUND THEN
+    RETURN false;
+  END IF;
+
+  UPDATE public.promotions
+  SET uses_count = GREATEST(uses_count - 1, 0), updated_at = NOW()
+  WHERE id = v_promotion_id;
+  RETURN true;
+END;
+$$;
+
+COMMIT;
@@ -0,0 +1,37 @@
+-- Push device registry: the phones (and browsers) a user gets push notifications on.
+--
+-- The app registers its FCM token per device after sign-in (POST /api/notifications/devices)
+-- and unregisters it on sign-out. A token belongs to one user at a time: registering it for a
+-- new user (someone else signing in on the same phone) moves it. Tokens FCM reports as gone
+-- are removed when a push to them fails. The locale picks the language of the device's pushes.
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS public.push_devices (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES public.user_profiles(id) ON DELETE CASCADE,
+  -- Stable id the app generates per installation
+  device_id TEXT NOT NULL,
+  token TEXT NOT NULL,
+  platform TEXT NOT NULL CHECK (platform IN ('ios', 'android', 'web')),
+  locale TEXT,
+  app_version TEXT,
+  last_seen_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (user_id, device_id)
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_push_devices_token ON public.push_devices(token);
+CREATE INDEX IF NOT EXISTS idx_push_devices_user ON public.push_devices(user_id);
+
+ALTER TABLE public.push_devices ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can view own push devices" ON public.push_devices;
+CREATE POLICY "Users can view own push devices" ON public.push_devices
+  FOR SELECT USING (auth.uid() = user_id);
+
+DROP POLICY IF EXISTS "Users can delete own push devices" ON public.push_devices;
+CREATE POLICY "Users can delete own push devices" ON public.push_devices
+  FOR DELETE USING (auth.uid() = user_id);
+
+COMMIT;
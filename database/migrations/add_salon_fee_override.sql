@@ -0,0 +1,9 @@
+-- Per-salon platform fee override.
+-- NULL = the rate of the salon's plan (or the platform default), see src/utils/feePolicy.js.
+-- Set by platform staff for negotiated rates; salon owners can't change it.
+BEGIN;
+
+ALTER TABLE public.salons
+ADD COLUMN IF NOT EXISTS application_fee_percent DECIMAL(5,2) CHECK (application_fee_percent BETWEEN 0 AND 100);
+
+COMMIT;
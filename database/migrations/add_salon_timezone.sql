@@ -0,0 +1,7 @@
+-- Salon timezone (IANA name, e.g. 'Europe/Amsterdam').
+-- appointment_date/start_time are stored as salon wall-clock time; this column tells the
+-- backend how to interpret them (today's slots, lead time, reminders) when the server runs in UTC.
+ALTER TABLE public.salons
+ADD COLUMN IF NOT EXISTS timezone TEXT NOT NULL DEFAULT 'Europe/Amsterdam';
+
+COMMENT ON COLUMN public.salons.timezone IS 'IANA timezone of the salon. Booking times are local to this zone.';
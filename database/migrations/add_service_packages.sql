@@ -0,0 +1,176 @@
+-- Service packages: prepaid bundles of credits for one service ("5 blow-dries for the price of 4").
+--
+-- service_packages are defined by the salon. A client buys one through Stripe Checkout, which
+-- creates a package_purchases row (pending_payment until the session is paid) holding the
+-- credits and their expiry. createBooking spends a credit instead of opening a payment;
+-- cancelling the booking in time gives it back. Every credit spent or given back is a row in
+-- package_credit_usages.
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS public.service_packages (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  salon_id UUID NOT NULL REFERENCES public.salons(id) ON DELETE CASCADE,
+  service_id UUID NOT NULL REFERENCES public.services(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  description TEXT,
+  credits INTEGER NOT NULL CHECK (credits > 0),
+  price DECIMAL(10,2) NOT NULL CHECK (price > 0),
+  currency VARCHAR(3) NOT NULL DEFAULT 'EUR',
+  -- Days the credits stay valid after purchase; NULL = no expiry
+  validity_days INTEGER CHECK (validity_days > 0),
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_service_packages_salon ON public.service_packages(salon_id) WHERE is_active = true;
+
+CREATE TABLE IF NOT EXISTS public.package_purchases (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  package_id UUID NOT NULL REFERENCES public.service_packages(id) ON DELETE RESTRICT,
+  salon_id UUID NOT NULL REFERENCES public.salons(id) ON DELETE CASCADE,
+  service_id UUID NOT NULL REFERENCES public.services(id) ON DELETE CASCADE,
+  client_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  credits_total INTEGER NOT NULL CHECK (credits_total > 0),
+  credits_remaining INTEGER NOT NULL DEFAULT 0 CHECK (credits_remaining >= 0),
+  price_paid DECIMAL(10,2) NOT NULL,
+  currency VARCHAR(3) NOT NULL DEFAULT 'EUR',
+  status TEXT NOT NULL DEFAULT 'pending_payment' CHECK (status IN ('pending_payment', 'active', 'canceled')),
+  -- Set when the purchase is paid
+  expires_at TIMESTAMPTZ,
+  stripe_checkout_session_id TEXT UNIQUE,
+  stripe_payment_intent_id TEXT,
+  purchased_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CHECK (credits_remaining <= credits_total)
+);
+
+CREATE INDEX IF NOT EXISTS idx_package_purchases_client ON public.package_purchases(client_id, salon_id, service_id) WHERE status = 'active';
+
+CREATE TABLE IF NOT EXISTS public.package_credit_usages (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  purchase_id UUID NOT NULL REFERENCES public.package_purchases(id) ON DELETE CASCADE,
+  booking_id UUID REFERENCES public.bookings(id) ON DELETE SET NULL,
+  -- 'consume' spends a credit on the booking, 'restore' gives it back
+  type TEXT NOT NULL CHECK (type IN ('consume', 'restore')),
+  credits_after INTEGER NOT NULL CHECK (credits_after >= 0),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_package_credit_usages_booking ON public.package_credit_usages(booking_id);
+
+ALTER TABLE public.bookings
+ADD COLUMN IF NOT EXISTS package_purchase_id UUID REFERENCES public.package_purchases(id) ON DELETE SET NULL;
+
+ALTER TABLE public.service_packages ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.package_purchases ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.package_credit_usages ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Anyone can view active service packages" ON public.service_packages;
+CREATE POLICY "Anyone can view active service packages" ON public.service_packages
+  FOR SELECT USING (is_active = true);
+
+DROP POLICY IF EXISTS "Salon owners can manage their service packages" ON public.service_packages;
+CREATE POLICY "Salon owners can manage their service packages" ON public.service_packages
+  FOR ALL USING (
+    EXISTS (SELECT 1 FROM public.salons s WHERE s.id = salon_id AND s.owner_id = auth.uid())
+  );
+
+DROP POLICY IF EXISTS "Clients can view their package purchases" ON public.package_purchases;
+CREATE POLICY "Clients can view their package purchases" ON public.package_purchases
+  FOR SELECT USING (client_id = auth.uid());
+
+DROP POLICY IF EXISTS "Salon owners can view package purchases" ON public.package_purchases;
+CREATE POLICY "Salon owners can view package purchases" ON public.package_purchases
+  FOR SELECT USING (
+    EXISTS (SELECT 1 FROM public.salons s WHERE s.id = salon_id AND s.owner_id = auth.uid())
+  );
+
+-- Spend one credit of the client's package for this service on a booking: the purchase that
+-- expires first. Returns the purchase, or no row when the client has no usable credit.
+CREATE OR REPLACE FUNCTION public.consume_package_credit(
+  p_client_id UUID,
+  p_salon_id UUID,
+  p_service_id UUID,
+  p_booking_id UUID
+)
+RETURNS SETOF public.package_purchases
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_purchase public.package_purchases;
+BEGIN
+  SELECT * INTO v_purchase FROM public.package_purchases
+  WHERE client_id = p_client_id
+    AND salon_id = p_salon_id
+    AND service_id = p_service_id
+    AND status = 'active'
+    AND credits_remaining > 0
+    AND (expires_at IS NULL OR expires_at > NOW())
+  ORDER BY expires_at ASC NULLS LAST, created_at ASC
+  LIMIT 1
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RETURN;
+  END IF;
+
+  UPDATE public.package_purchases
+  SET credits_remaining = credits_remaining - 1, updated_at = NOW()
+  WHERE id = v_purchase.id
+  RETURNING * INTO v_purchase;
+
+  UPDATE public.bookings SET package_purchase_id = v_purchase.id WHERE id = p_booking_id;
+
+  INSERT INTO public.package_credit_usages (purchase_id, booking_id, type, credits_after)
+  VALUES (v_purchase.id, p_booking_id, 'consume', v_purchase.credits_remaining);
+
+  RETURN NEXT v_purchase;
+END;
+$$;
+
+-- Give back the credit a booking spent. Returns false when there is nothing to give back
+-- (no credit spent, or already given back).
+CREATE OR REPLACE FUNCTION public.restore_package_credit(p_booking_id UUID)
+RETURNS BOOLEAN
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_purchase_id UUID;
+  v_outstanding INTEGER;
+  v_credits INTEGER;
+BEGIN
+  SELECT package_purchase_id INTO v_purchase_id FROM public.bookings WHERE id = p_booking_id;
+  IF v_purchase_id IS NULL THEN
+    RETURN false;
+  END IF;
+
+  PERFORM 1 FROM public.package_purchases WHERE id = v_purchase_id FOR UPDATE;
+
+  SELECT COUNT(*) FILTER (WHERE type = 'consume') - COUNT(*) FILTER (WHERE type = 'restore')
+  INTO v_outstanding
+  FROM public.package_credit_usages
+  WHERE purchase_id = v_purchase_id AND booking_id = p_booking_id;
+
+  IF v_outstanding <= 0 THEN
+    RETURN false;
+  END IF;
+
+  UPDATE public.package_purchases
+  SET credits_remaining = credits_remaining + 1, updated_at = NOW()
+  WHERE id = v_purchase_id
+  RETURNING credits_remaining INTO v_credits;
+
+  INSERT INTO public.package_credit_usages (purchase_id, booking_id, type, credits_after)
+  VALUES (v_purchase_id, p_booking_id, 'restore', v_credits);
+
+  RETURN true;
+END;
+$$;
+
+COMMIT;
@@ -0,0 +1,32 @@
+-- Stripe webhook event log.
+--
+-- Every verified event is stored before it is handled; the Stripe event id is the primary key,
+-- so a redelivered event is recognised and not handled twice. Failed events are retried with
+-- backoff (next_attempt_at) by /api/cron/retry-webhook-events and end up in 'dead_letter'
+-- after STRIPE_WEBHOOK_MAX_ATTEMPTS. Admins can replay any event.
+-- While an event is 'received' or 'processing', next_attempt_at is the end of the worker's lease,
+-- after which an attempt that died half-way is picked up again by the retry job.
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS public.stripe_webhook_events (
+  id TEXT PRIMARY KEY,
+  type TEXT NOT NULL,
+  livemode BOOLEAN NOT NULL DEFAULT false,
+  payload JSONB NOT NULL,
+  status TEXT NOT NULL DEFAULT 'received' CHECK (status IN ('received', 'processing', 'processed', 'failed', 'dead_letter')),
+  attempts INTEGER NOT NULL DEFAULT 0,
+  last_error TEXT,
+  next_attempt_at TIMESTAMPTZ,
+  processed_at TIMESTAMPTZ,
+  received_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_stripe_webhook_events_due ON public.stripe_webhook_events(next_attempt_at)
+  WHERE status IN ('received', 'failed', 'processing');
+CREATE INDEX IF NOT EXISTS idx_stripe_webhook_events_status ON public.stripe_webhook_events(status, received_at DESC);
+
+-- Only the service role (webhook pipeline) reads or writes events
+ALTER TABLE public.stripe_webhook_events ENABLE ROW LEVEL SECURITY;
+
+COMMIT;
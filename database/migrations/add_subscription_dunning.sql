@@ -0,0 +1,18 @@
+-- Failed subscription payments (dunning).
+-- payment_failed_at is set by the first invoice.payment_failed and cleared by invoice.paid.
+-- Until grace_period_ends_at the salon keeps its plan; after that the dunning cron downgrades it
+-- to basic (remembering downgraded_from_plan) and drops featured placement. dunning_emails_sent
+-- counts the reminder emails of the current failure so each one goes out once.
+BEGIN;
+
+ALTER TABLE public.salons
+ADD COLUMN IF NOT EXISTS payment_failed_at TIMESTAMPTZ,
+ADD COLUMN IF NOT EXISTS grace_period_ends_at TIMESTAMPTZ,
+ADD COLUMN IF NOT EXISTS dunning_emails_sent INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN IF NOT EXISTS downgraded_at TIMESTAMPTZ,
+ADD COLUMN IF NOT EXISTS downgraded_from_plan VARCHAR(50);
+
+CREATE INDEX IF NOT EXISTS idx_salons_dunning ON public.salons(grace_period_ends_at)
+  WHERE payment_failed_at IS NOT NULL;
+
+COMMIT;
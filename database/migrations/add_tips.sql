@@ -0,0 +1,15 @@
+-- Tips at checkout, on card and cash payments.
+--
+-- payments.amount stays the service amount; the tip is stored next to it in tip_amount and
+-- credited to the booking's staff member (tip_staff_id, copied when the tip is given so it
+-- survives a later change of the booking's staff). Card charges are amount - gift_card_amount
+-- + tip_amount.
+BEGIN;
+
+ALTER TABLE public.payments
+ADD COLUMN IF NOT EXISTS tip_amount DECIMAL(10,2) NOT NULL DEFAULT 0 CHECK (tip_amount >= 0),
+ADD COLUMN IF NOT EXISTS tip_staff_id UUID REFERENCES public.staff(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_payments_tip_staff ON public.payments(tip_staff_id) WHERE tip_amount > 0;
+
+COMMIT;
@@ -30,6 +30,12 @@ const reviewRoutes = require('./routes/reviewRoutes');
 const reportRoutes = require('./routes/reportRoutes');
 const aiRoutes = require('./routes/aiRoutes');
 const webhookRoutes = require('./routes/webhookRoutes');
+const giftCardRoutes = require('./routes/giftCardRoutes');
+const promotionRoutes = require('./routes/promotionRoutes');
+const packageRoutes = require('./routes/packageRoutes');
+const notificationRoutes = require('./routes/notificationRoutes');
+const emailTemplateRoutes = require('./routes/emailTemplateRoutes');
+const webhookController = require('./controllers/webhookController');
 const geocodeRoutes = require('./routes/geocode');
 
 const path = require('path');
@@ -68,16 +74,10 @@ const limiter = rateLimit({
   legacyHeaders: false
 });
 
-// Stripe webhook endpoint (MUST be before JSON parsing middleware)
-app.post('/webhook/stripe', express.raw({ type: 'application/json' }), (req, res) => {
-  console.log('Webhook received:', req.headers['stripe-signature']);
-  console.log('Webhook body type:', typeof req.body);
-  console.log('Webhook body length:', req.body ? req.body.length : 'No body');
-  
-  // This will be handled by the Stripe service
-  const stripeService = require('./services/stripeService');
-  stripeService.handleWebhook(req, res);
-});
+// Stripe webhooks (MUST be before JSON parsing middleware). The legacy endpoint paths feed the
+// same pipeline so events from endpoints already registered in Stripe aren't handled twice.
+app.use('/api/webhooks', webhookRoutes);
+app.post(['/webhook/stripe', '/api/payments/webhook'], express.raw({ type: 'application/json' }), webhookController.handleStripeWebhook);
 
 // Static files for landing page
 app.use('/salontime-landing', express.static(path.join(__dirname, '../salontime-landing')));
@@ -163,7 +163,12 @@ app.use('/api/payments', paymentRoutes);
 app.use('/api/onboarding', onboardingRoutes);
 app.use('/api/subscriptions', subscriptionRoutes);
 app.use('/api/waitlist', waitlistRoutes);
+app.use('/api/gift-cards', giftCardRoutes);
+app.use('/api/promotions', promotionRoutes);
+app.use('/api/packages', packageRoutes);
 app.use('/api/chat', chatRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/email-templates', emailTemplateRoutes);
 app.use('/api/sample-data', sampleDataRoutes);
 app.use('/api/favorites', favoritesRoutes);
 app.use('/api/analytics', analyticsRoutes);
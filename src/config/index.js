@@ -26,6 +26,11 @@ const config = {
     publishable_key: process.env.STRIPE_PUBLISHABLE_KEY,
     secret_key: process.env.STRIPE_SECRET_KEY,
     webhook_secret: process.env.STRIPE_WEBHOOK_SECRET,
+    // Secret of the thin-payload event destination, if one is configured
+    webhook_secret_thin: process.env.STRIPE_WEBHOOK_SECRET_THIN,
+    // Webhook events are retried with exponential backoff, then dead-lettered
+    webhook_max_attempts: parseInt(process.env.STRIPE_WEBHOOK_MAX_ATTEMPTS) || 6,
+    webhook_retry_base_seconds: parseInt(process.env.STRIPE_WEBHOOK_RETRY_BASE_SECONDS) || 60,
     plus_plan_price_id: process.env.STRIPE_PLUS_PLAN_PRICE_ID || 'price_plus_plan',
     premium_plan_price_id: process.env.STRIPE_PREMIUM_PLAN_PRICE_ID || 'price_premium_plan',
     enterprise_plan_price_id: process.env.STRIPE_ENTERPRISE_PLAN_PRICE_ID || 'price_enterprise_plan'
@@ -35,15 +40,64 @@ const config = {
   subscription: {
     trial_days: parseInt(process.env.SUBSCRIPTION_TRIAL_DAYS) || 7,
     currency: process.env.SUBSCRIPTION_CURRENCY || 'usd',
-    enable_trials: process.env.SUBSCRIPTION_ENABLE_TRIALS === 'true'
+    enable_trials: process.env.SUBSCRIPTION_ENABLE_TRIALS === 'true',
+    // After a failed renewal the salon keeps its plan this long, then it is downgraded to basic
+    grace_period_days: parseInt(process.env.SUBSCRIPTION_GRACE_PERIOD_DAYS) || 7,
+    // Days after the first failed payment on which a dunning email goes out
+    dunning_email_days: (process.env.SUBSCRIPTION_DUNNING_EMAIL_DAYS || '0,3,6')
+      .split(',')
+      .map(day => parseInt(day))
+      .filter(day => day >= 0)
   },
 
   // Payment Configuration
   payment: {
     currency: process.env.PAYMENT_CURRENCY || 'usd',
-    application_fee_percent: parseFloat(process.env.PAYMENT_APPLICATION_FEE_PERCENT) || 0,
-    platform_fee_enabled: process.env.PLATFORM_FEE_ENABLED === 'true',
-    commission_rate: parseFloat(process.env.COMMISSION_RATE) || 0.00
+    // Platform fee on client payments to salons (see utils/feePolicy). COMMISSION_RATE is the
+    // older fraction-style setting (0.05 = 5%) and is only used when the percent isn't set.
+    platform_fee_enabled: process.env.PLATFORM_FEE_ENABLED !== 'false',
+    application_fee_percent: parseFloat(process.env.PAYMENT_APPLICATION_FEE_PERCENT) ||
+      (parseFloat(process.env.COMMISSION_RATE) * 100) || 5,
+    // Lower rates for salons on a paid plan; a higher plan never pays more than the one below
+    plan_application_fee_percent: {
+      plus: parseFloat(process.env.PAYMENT_PLUS_APPLICATION_FEE_PERCENT) || 3,
+      premium: parseFloat(process.env.PAYMENT_PREMIUM_APPLICATION_FEE_PERCENT) || 2,
+      enterprise: parseFloat(process.env.PAYMENT_ENTERPRISE_APPLICATION_FEE_PERCENT) || 1
+    },
+    // Fee caps in the payment currency's major units (0 = no cap)
+    min_application_fee: parseFloat(process.env.PAYMENT_MIN_APPLICATION_FEE) || 0,
+    max_application_fee: parseFloat(process.env.PAYMENT_MAX_APPLICATION_FEE) || 0,
+    // Highest fixed tip accepted at checkout, in major units (percentages stop at 100%)
+    max_tip_amount: parseFloat(process.env.PAYMENT_MAX_TIP_AMOUNT) || 500
+  },
+
+  // Gift cards sold/issued by salons (amounts in the card's currency)
+  gift_card: {
+    min_amount: parseFloat(process.env.GIFT_CARD_MIN_AMOUNT) || 5,
+    max_amount: parseFloat(process.env.GIFT_CARD_MAX_AMOUNT) || 1000,
+    // Validity of new cards when the salon doesn't pick an expiry (0 = never expire)
+    validity_months: process.env.GIFT_CARD_VALIDITY_MONTHS !== undefined
+      ? parseInt(process.env.GIFT_CARD_VALIDITY_MONTHS) || 0
+      : 12
+  },
+
+  // Invoices and credit notes
+  invoice: {
+    // VAT percentage included in service prices when the service has no rate of its own
+    default_vat_rate: process.env.INVOICE_DEFAULT_VAT_RATE !== undefined
+      ? parseFloat(process.env.INVOICE_DEFAULT_VAT_RATE) || 0
+      : 21
+  },
+
+  // Mobile push (fcm, or fake to log payloads in memory; unset = no push)
+  push: {
+    provider: process.env.PUSH_PROVIDER || null,
+    fcm: {
+      project_id: process.env.FCM_PROJECT_ID,
+      client_email: process.env.FCM_CLIENT_EMAIL,
+      // Service account key; .env files usually hold it with escaped newlines
+      private_key: process.env.FCM_PRIVATE_KEY?.replace(/\\n/g, '\n')
+    }
   },
 
   // Email Configuration
@@ -115,7 +169,29 @@ const config = {
     max_advance_booking_days: parseInt(process.env.MAX_ADVANCE_BOOKING_DAYS) || 90,
     min_advance_booking_hours: parseInt(process.env.MIN_ADVANCE_BOOKING_HOURS) || 2,
     default_duration_minutes: parseInt(process.env.DEFAULT_BOOKING_DURATION_MINUTES) || 60,
-    max_duration_minutes: parseInt(process.env.MAX_BOOKING_DURATION_MINUTES) || 480
+    max_duration_minutes: parseInt(process.env.MAX_BOOKING_DURATION_MINUTES) || 480,
+    // Defaults for salons/services that don't set their own slot rules
+    slot_interval_minutes: parseInt(process.env.BOOKING_SLOT_INTERVAL_MINUTES) || 15,
+    buffer_before_minutes: parseInt(process.env.BOOKING_BUFFER_BEFORE_MINUTES) || 0,
+    buffer_after_minutes: parseInt(process.env.BOOKING_BUFFER_AFTER_MINUTES) || 0,
+    min_lead_time_minutes: parseInt(process.env.BOOKING_MIN_LEAD_TIME_MINUTES) || 0,
+    // How long a slot stays reserved while the client is on the payment sheet
+    hold_ttl_minutes: parseInt(process.env.BOOKING_HOLD_TTL_MINUTES) || 10,
+    // Maximum number of services in one multi-service booking
+    max_basket_items: parseInt(process.env.BOOKING_MAX_BASKET_ITEMS) || 6,
+    // Maximum number of occurrences created for one recurring booking
+    max_series_occurrences: parseInt(process.env.BOOKING_MAX_SERIES_OCCURRENCES) || 26,
+    // Maximum number of guests in one group booking
+    max_group_guests: parseInt(process.env.BOOKING_MAX_GROUP_GUESTS) || 6,
+    // Default cancellation policy (salons can override each value)
+    free_cancel_window_hours: parseInt(process.env.BOOKING_FREE_CANCEL_WINDOW_HOURS) || 24,
+    late_cancel_fee_percent: parseFloat(process.env.BOOKING_LATE_CANCEL_FEE_PERCENT) || 0,
+    no_show_fee_percent: parseFloat(process.env.BOOKING_NO_SHOW_FEE_PERCENT) || 0,
+    // Deposit for clients with repeated no-shows (0 = never required)
+    deposit_after_no_shows: parseInt(process.env.BOOKING_DEPOSIT_AFTER_NO_SHOWS) || 0,
+    deposit_percent: parseFloat(process.env.BOOKING_DEPOSIT_PERCENT) || 50,
+    // Used for salons without a timezone and for platform-wide cron schedules
+    default_timezone: process.env.DEFAULT_TIMEZONE || 'Europe/Amsterdam'
   },
 
   // Cache Configuration
@@ -1,5 +1,6 @@
 const { asyncHandler, AppError } = require('../middleware/errorHandler');
 const { supabase, supabaseAdmin } = require('../config/database');
+const { entitlementsFor } = require('../utils/plans');
 
 class AnalyticsController {
   /**
@@ -11,7 +12,7 @@ class AnalyticsController {
       // Get salon ID for the authenticated user
       const { data: salon, error: salonError } = await supabase
         .from('salons')
-        .select('id')
+        .select('id, subscription_plan, subscription_status, trial_ends_at, grace_period_ends_at')
         .eq('owner_id', req.user.id)
         .single();
 
@@ -23,7 +24,10 @@ class AnalyticsController {
       console.log('📊 Fetching analytics for salon:', salonId, 'owner:', req.user.id);
       
       const { period = '30' } = req.query; // Default to last 30 days
-      const daysAgo = parseInt(period);
+      // How far back the salon's plan lets it look (null = all history)
+      const historyLimit = entitlementsFor(salon).analytics_history_days;
+      const requestedDays = parseInt(period) || 30;
+      const daysAgo = historyLimit === null ? requestedDays : Math.min(requestedDays, historyLimit);
       const startDate = new Date();
       startDate.setDate(startDate.getDate() - daysAgo);
       
@@ -69,6 +73,8 @@ class AnalyticsController {
           performance: performanceMetrics,
           period: {
             days: daysAgo,
+            max_days: historyLimit,
+            limited_by_plan: daysAgo < requestedDays,
             start: startDate.toISOString(),
             end: new Date().toISOString()
           }
@@ -93,6 +99,8 @@ class AnalyticsController {
       .from('payments')
       .select(`
         amount,
+        discount_amount,
+        tip_amount,
         currency,
         status,
         created_at,
@@ -105,16 +113,22 @@ class AnalyticsController {
 
     if (error) {
       console.error('Revenue query error:', error);
-      return { total: 0, count: 0, currency: 'EUR', timeline: [] };
+      return { total: 0, discounts: 0, tips: 0, count: 0, currency: 'EUR', timeline: [] };
     }
 
+    // amount is what was charged, after promo codes and discount rules
     const total = payments?.reduce((sum, p) => sum + parseFloat(p.amount || 0), 0) || 0;
+    const discounts = payments?.reduce((sum, p) => sum + parseFloat(p.discount_amount || 0), 0) || 0;
+    // Tips are on top of amount, not part of it
+    const tips = payments?.reduce((sum, p) => sum + parseFloat(p.tip_amount || 0), 0) || 0;
     
     // Group by date for timeline
     const timeline = this._groupByDate(payments || [], 'created_at', 'amount');
 
     return {
       total: parseFloat(total.toFixed(2)),
+      discounts: parseFloat(discounts.toFixed(2)),
+      tips: parseFloat(tips.toFixed(2)),
       count: payments?.length || 0,
       currency: payments?.[0]?.currency || 'EUR',
       timeline
@@ -462,7 +476,7 @@ class AnalyticsController {
       const serviceId = b.service_id;
       const serviceName = b.services?.name || 'Unknown';
       const category = b.services?.category || 'Other';
-      const price = parseFloat(b.total_price || b.services?.price || 0);
+      const price = parseFloat(b.total_price ?? b.services?.price ?? 0);
 
       if (!serviceStats[serviceId]) {
         serviceStats[serviceId] = {
@@ -485,7 +499,7 @@ class AnalyticsController {
     const categoryStats = {};
     bookings.forEach(b => {
       const category = b.services?.category || 'Other';
-      const price = parseFloat(b.total_price || b.services?.price || 0);
+      const price = parseFloat(b.total_price ?? b.services?.price ?? 0);
 
       if (!categoryStats[category]) {
         categoryStats[category] = { category, bookings: 0, revenue: 0 };
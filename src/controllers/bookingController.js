@@ -1,7 +1,22 @@
 const supabaseService = require('../services/supabaseService');
 const emailService = require('../services/emailService');
-const whatsappService = require('../services/whatsappService');
+const availabilityService = require('../services/availabilityService');
+const bookingHoldService = require('../services/bookingHoldService');
+const bookingSeriesService = require('../services/bookingSeriesService');
+const { timeToMinutes, minutesToTime, dayDiff } = require('../utils/availability');
+const { getSalonTimezone, zonedTimeToUtc, addDays } = require('../utils/timezone');
+const { resolveCancellationPolicy, quoteCancellation, roundMoney } = require('../utils/cancellationPolicy');
+const { toMinorUnits, fromMinorUnits, destinationChargeParams } = require('../utils/feePolicy');
+const { validateTip, tipAmount, hasTip } = require('../utils/tips');
+const stripeService = require('../services/stripeService');
+const refundService = require('../services/refundService');
+const giftCardService = require('../services/giftCardService');
+const promotionService = require('../services/promotionService');
+const packageService = require('../services/packageService');
+const notificationService = require('../services/notificationService');
+const clientReliabilityService = require('../services/clientReliabilityService');
 const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const config = require('../config');
 const { supabase, supabaseAdmin, getAuthenticatedClient } = require('../config/database');
 const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
 
@@ -16,7 +31,12 @@ class BookingController {
       start_time,
       client_notes,
       family_member_id,
-      payment_intent_id
+      payment_intent_id,
+      hold_id,
+      recurrence,
+      deposit_payment_intent_id,
+      promo_code,
+      use_package_credit
     } = req.body;
 
     // Validate required fields
@@ -24,6 +44,14 @@ class BookingController {
       throw new AppError('Missing required booking information', 400, 'MISSING_BOOKING_INFO');
     }
 
+    // Optional repeat rule: { interval_weeks, until?, count? }
+    const recurrenceRule = recurrence ? bookingSeriesService.parseRule(recurrence) : null;
+
+    // Promotion use claimed for this booking; given back if the booking isn't inserted. Once it
+    // is, the booking keeps its discounted price, so the use stays claimed even if a later step fails
+    let redemption = null;
+    let bookingCreated = false;
+
     try {
       // Get service details (without join to avoid RLS issues)
       const { data: service, error: serviceError } = await supabase
@@ -56,82 +84,149 @@ class BookingController {
       // Attach salon to service for email service
       service.salons = salon;
 
-      // Calculate end time
-      const startTime = new Date(`${appointment_date}T${start_time}`);
-      const endTime = new Date(startTime.getTime() + service.duration * 60000);
-      const endTimeStr = endTime.toTimeString().split(' ')[0].slice(0, 5);
+      // Calculate end time (salon wall-clock time, independent of the server's timezone)
+      const startMinutes = timeToMinutes(start_time);
+      const endTimeStr = minutesToTime(startMinutes + service.duration);
 
       // Get authenticated Supabase client with user's token for RLS
       const authenticatedSupabase = getAuthenticatedClient(req.token);
 
-      // Check for conflicts - when staff_id set, only that staff's bookings; else any booking (salon-wide)
-      const { data: conflicts } = await (() => {
-        let q = authenticatedSupabase
-          .from('bookings')
-          .select('id')
-          .eq('salon_id', salon_id)
-          .eq('appointment_date', appointment_date)
-          .neq('status', 'cancelled')
-          .lt('start_time', endTimeStr)
-          .gt('end_time', start_time);
-        if (staff_id) q = q.eq('staff_id', staff_id);
-        return q;
-      })();
-
-      if (conflicts && conflicts.length > 0) {
-        throw new AppError('Time slot not available', 409, 'TIME_SLOT_CONFLICT');
-      }
-
-      // Determine client ID (could be family member)
-      let clientId = req.user.id;
-      if (family_member_id) {
-        const { data: familyMember } = await authenticatedSupabase
-          .from('family_members')
-          .select('id')
-          .eq('id', family_member_id)
-          .eq('parent_id', req.user.id)
-          .single();
-
-        if (!familyMember) {
-          throw new AppError('Family member not found', 404, 'FAMILY_MEMBER_NOT_FOUND');
+      // A hold placed while the client was on the payment sheet pins the slot (and stylist)
+      let hold = null;
+      if (hold_id) {
+        hold = await bookingHoldService.getActiveHold(hold_id, req.user.id);
+        if (
+          hold.salon_id !== salon_id ||
+          hold.service_id !== service_id ||
+          hold.appointment_date !== appointment_date ||
+          timeToMinutes(hold.start_time) !== startMinutes
+        ) {
+          throw new AppError('Hold does not match this booking', 400, 'HOLD_MISMATCH');
         }
+      } else {
+        // Enforce lead time / booking horizon for this salon and service
+        availabilityService.assertBookableTime({ salon, service, date: appointment_date, startTime: start_time });
+      }
+
+      // Staff, business hours and buffers; with no stylist chosen the first free one is assigned
+      const assignedStaffId = await availabilityService.assertSlotAvailable({
+        salon,
+        service,
+        date: appointment_date,
+        startTime: start_time,
+        staffId: hold ? hold.staff_id : (staff_id || null),
+        excludeHoldId: hold?.id || null
+      });
+
+      // The account holder is always the client (and pays); family_member_id records who the
+      // appointment is for when booking for someone else
+      const clientId = req.user.id;
+      const familyMemberId = family_member_id || null;
+      if (familyMemberId) {
+        await this._loadFamilyMembers(authenticatedSupabase, req.user.id, [familyMemberId]);
+      }
+
+      // Later occurrences of a series are paid at the salon, so only the first could use these
+      if (recurrenceRule) {
+        await bookingSeriesService.assertSeriesPayable({
+          salon,
+          service,
+          clientId,
+          paymentIntentId: payment_intent_id || hold?.stripe_payment_intent_id || null,
+          promoCode: promo_code,
+          usePackageCredit: use_package_credit !== false
+        });
       }
 
+      // Clients with repeated no-shows at this salon pay a deposit up front (see createDepositIntent)
+      const deposit = await this._verifyDeposit({ salon, service, clientId, depositPaymentIntentId: deposit_payment_intent_id });
+
+      // Promo code or automatic discount; the use is claimed now and given back if the insert fails
+      let pricing = await promotionService.quote({
+        salon,
+        service,
+        clientId,
+        date: appointment_date,
+        startTime: start_time,
+        promoCode: promo_code
+      });
+      redemption = await promotionService.claim(pricing, clientId);
+
       // Create booking
       console.log('📅 Creating booking:', {
         client_id: clientId,
         salon_id,
         service_id,
-        staff_id,
+        staff_id: assignedStaffId,
         appointment_date,
         start_time,
         end_time: endTimeStr,
+        hold_id: hold?.id || null
+      });
+
+      // Conflict check (including buffers and other clients' holds) and insert happen in one
+      // transaction under a per-salon lock, so two clients can't both get the same slot
+      const bookingId = await bookingHoldService.createBookingAtomic({
+        salon,
+        service,
+        clientId,
+        staffId: assignedStaffId,
+        date: appointment_date,
+        startTime: minutesToTime(startMinutes),
+        endTime: endTimeStr,
+        clientNotes: client_notes,
+        status: 'confirmed', // Auto-approve bookings
+        holdId: hold?.id || null
       });
+      bookingCreated = true;
+
+      // A package credit for the service pays for the booking instead of a new payment
+      let packagePurchase = null;
+      if (use_package_credit !== false && !payment_intent_id && !hold?.stripe_payment_intent_id) {
+        try {
+          packagePurchase = await packageService.consumeCredit({ clientId, salonId: salon_id, serviceId: service_id, bookingId });
+        } catch (creditError) {
+          console.warn('⚠️ Package credit not used, booking is paid as usual:', creditError.message);
+        }
+      }
+      if (packagePurchase) {
+        await promotionService.release(redemption);
+        redemption = null;
+        pricing = {
+          price: pricing.price,
+          discount: 0,
+          total: 0,
+          currency: pricing.currency,
+          promotion: null,
+          package_credit: {
+            purchase_id: packagePurchase.id,
+            credits_remaining: packagePurchase.credits_remaining,
+            expires_at: packagePurchase.expires_at,
+            value: roundMoney(Number(packagePurchase.price_paid) / packagePurchase.credits_total)
+          }
+        };
+      }
+
+      await this._recordBookingPrice(bookingId, pricing, redemption);
+
+      if (familyMemberId) {
+        await this._setFamilyMember([bookingId], familyMemberId);
+      }
 
       const { data: booking, error: bookingError } = await authenticatedSupabase
         .from('bookings')
-        .insert([{
-          client_id: clientId,
-          salon_id,
-          service_id,
-          staff_id,
-          appointment_date,
-          start_time,
-          end_time: endTimeStr,
-          client_notes,
-          status: 'confirmed' // Auto-approve bookings
-        }])
         .select(`
           *,
           services(*),
           salons(*),
-          staff(*)
+          staff(*),
+          family_members(*)
         `)
+        .eq('id', bookingId)
         .single();
 
       if (bookingError) {
-        console.error('❌ Booking creation error:', bookingError);
-        console.error('❌ Booking error details:', JSON.stringify(bookingError, null, 2));
+        console.error('❌ Error loading created booking:', bookingError);
         throw new AppError(`Failed to create booking: ${bookingError.message}`, 500, 'BOOKING_CREATION_FAILED');
       }
 
@@ -147,133 +242,870 @@ class BookingController {
         // Don't fail the booking if count increment fails
       }
 
-      // Create pending payment record linked to booking
-      let paymentRecord = null;
-      try {
-        const paymentData = {
-          booking_id: booking.id,
-          amount: service.price,
-          currency: service.currency || 'EUR',
-          status: 'pending'
-        };
+      if (deposit) {
+        await this._recordDeposit(booking.id, deposit);
+      }
+
+      // Create pending payment record linked to booking (the deposit is part of the price);
+      // a booking paid with a package credit has nothing left to pay
+      let paymentRecord = null;
+      if (!packagePurchase) {
+        try {
+          const paymentData = {
+            booking_id: booking.id,
+            amount: deposit ? roundMoney(Math.max(pricing.total - deposit.amount, 0)) : pricing.total,
+            discount_amount: pricing.discount,
+            currency: service.currency || 'EUR',
+            status: 'pending'
+          };
+
+          // Link payment intent if provided (or the one attached to the hold)
+          const linkedPaymentIntentId = payment_intent_id || hold?.stripe_payment_intent_id;
+          if (linkedPaymentIntentId) {
+            paymentData.stripe_payment_intent_id = linkedPaymentIntentId;
+          }
+
+          // Payment records don't need RLS auth context - use admin or base client
+          // Actually, payments might have RLS too, let's use authenticated client
+          const { data: payment, error: paymentError } = await authenticatedSupabase
+            .from('payments')
+            .insert([paymentData])
+            .select()
+            .single();
+
+          if (paymentError) {
+            console.warn('⚠️ Could not create payment record (non-critical):', paymentError.message);
+            // Don't fail booking creation if payment record fails
+          } else {
+            paymentRecord = payment;
+          }
+        } catch (paymentErr) {
+          console.warn('⚠️ Payment record creation skipped:', paymentErr.message);
+        }
+      }
+
+      // If payment intent was provided but payment record creation failed, try to link via webhook later
+      // The webhook handler will catch payment_intent.succeeded and link it to the booking
+
+      // Recurring booking: this booking is the first occurrence, the rest are booked (or reported) per date
+      let seriesResult = null;
+      if (recurrenceRule) {
+        seriesResult = await bookingSeriesService.createSeries({
+          salon,
+          service,
+          clientId,
+          staffId: staff_id || null,
+          firstBooking: booking,
+          rule: recurrenceRule,
+          clientNotes: client_notes,
+          familyMemberId
+        });
+        booking.series_id = seriesResult.series.id;
+        booking.series_index = 0;
+      }
+
+      // Send confirmation email
+      const { data: client } = await authenticatedSupabase
+        .from('user_profiles')
+        .select('*')
+        .eq('id', clientId)
+        .single();
+
+      await this._sendNewBookingNotifications({
+        booking,
+        client,
+        salon,
+        serviceName: service.name,
+        totalAmount: pricing.total,
+        discountAmount: pricing.discount,
+        appointmentDate: appointment_date,
+        startTime: start_time
+      });
+
+      res.status(201).json({
+        success: true,
+        data: seriesResult
+          ? { booking, pricing, series: seriesResult.series, occurrences: seriesResult.occurrences }
+          : { booking, pricing }
+      });
+
+    } catch (error) {
+      if (!bookingCreated) {
+        await promotionService.release(redemption);
+      }
+      if (error instanceof AppError) {
+        throw error;
+      }
+      throw new AppError('Failed to create booking', 500, 'BOOKING_CREATION_FAILED');
+    }
+  });
+
+  // Create a multi-service booking (basket): services back to back, one payment for the whole visit
+  createBasketBooking = asyncHandler(async (req, res) => {
+    const {
+      salon_id,
+      appointment_date,
+      start_time,
+      items,
+      client_notes,
+      payment_intent_id,
+      deposit_payment_intent_id
+    } = req.body;
+
+    if (!salon_id || !appointment_date || !start_time || !Array.isArray(items) || items.length === 0) {
+      throw new AppError('Missing required booking information', 400, 'MISSING_BOOKING_INFO');
+    }
+
+    const maxItems = config.booking.max_basket_items;
+    if (items.length > maxItems) {
+      throw new AppError(`A booking can contain at most ${maxItems} services`, 400, 'TOO_MANY_SERVICES');
+    }
+    if (items.some(item => !item?.service_id)) {
+      throw new AppError('Each item needs a service_id', 400, 'MISSING_BOOKING_INFO');
+    }
+
+    try {
+      const { data: salon, error: salonError } = await supabase
+        .from('salons')
+        .select('*')
+        .eq('id', salon_id)
+        .single();
+
+      if (salonError || !salon) {
+        throw new AppError('Salon not found', 404, 'SALON_NOT_FOUND');
+      }
+
+      const serviceIds = [...new Set(items.map(item => item.service_id))];
+      const { data: services, error: servicesError } = await supabase
+        .from('services')
+        .select('*')
+        .in('id', serviceIds)
+        .eq('salon_id', salon_id);
+
+      if (servicesError) {
+        console.error('❌ Service lookup error:', servicesError);
+        throw new AppError('Service not found', 404, 'SERVICE_NOT_FOUND');
+      }
+
+      const servicesById = new Map((services || []).map(service => [service.id, service]));
+      if (serviceIds.some(id => !servicesById.has(id))) {
+        throw new AppError('Service does not belong to this salon', 404, 'SERVICE_NOT_FOUND');
+      }
+
+      const basketItems = items.map(item => ({
+        service: servicesById.get(item.service_id),
+        staffId: item.staff_id || null
+      }));
+
+      // Lead time / horizon apply to the start of the visit
+      availabilityService.assertBookableTime({
+        salon,
+        service: basketItems[0].service,
+        date: appointment_date,
+        startTime: start_time
+      });
+
+      // Consecutive segments, each checked like a single booking (stylist assigned per segment)
+      const segments = await availabilityService.planBasket({
+        salon,
+        items: basketItems,
+        date: appointment_date,
+        startTime: start_time
+      });
+
+      const totalDuration = basketItems.reduce((sum, item) => sum + (item.service.duration || 0), 0);
+      const totalPrice = basketItems.reduce((sum, item) => sum + Number(item.service.price || 0), 0);
+      const currency = basketItems[0].service.currency || 'EUR';
+
+      // The deposit rule applies to the whole visit
+      const deposit = await this._verifyDeposit({
+        salon,
+        service: this._depositVisit(basketItems.map(item => item.service)),
+        clientId: req.user.id,
+        depositPaymentIntentId: deposit_payment_intent_id
+      });
+
+      console.log(`🧺 Creating basket booking: ${segments.length} services on ${appointment_date} ${start_time}`);
+
+      const basketId = await bookingHoldService.createBasketAtomic({
+        salon,
+        clientId: req.user.id,
+        segments,
+        clientNotes: client_notes,
+        status: 'confirmed',
+        totalDuration,
+        totalPrice,
+        currency
+      });
+
+      const authenticatedSupabase = getAuthenticatedClient(req.token);
+      const { data: bookings, error: bookingsError } = await authenticatedSupabase
+        .from('bookings')
+        .select(`
+          *,
+          services(*),
+          salons(*),
+          staff(*)
+        `)
+        .eq('basket_id', basketId)
+        .order('basket_position', { ascending: true });
+
+      if (bookingsError || !bookings?.length) {
+        console.error('❌ Error loading created basket:', bookingsError);
+        throw new AppError('Failed to create booking', 500, 'BOOKING_CREATION_FAILED');
+      }
+
+      const { data: basket } = await supabaseAdmin
+        .from('booking_baskets')
+        .select('*')
+        .eq('id', basketId)
+        .single();
+
+      const primaryBooking = bookings[0];
+      console.log('✅ Basket booking created successfully:', basketId);
+
+      try {
+        await supabaseAdmin.rpc('increment_salon_booking_count', {
+          salon_id_param: salon_id
+        });
+      } catch (countError) {
+        console.error('⚠️ Failed to increment booking count:', countError);
+      }
+
+      if (deposit) {
+        await this._recordDeposit(primaryBooking.id, deposit);
+      }
+
+      // One pending payment for the whole basket, linked to the first segment (less the deposit)
+      try {
+        const paymentData = {
+          booking_id: primaryBooking.id,
+          amount: deposit ? roundMoney(Math.max(totalPrice - deposit.amount, 0)) : totalPrice,
+          currency,
+          status: 'pending'
+        };
+        if (payment_intent_id) {
+          paymentData.stripe_payment_intent_id = payment_intent_id;
+        }
+
+        const { error: paymentError } = await authenticatedSupabase
+          .from('payments')
+          .insert([paymentData]);
+
+        if (paymentError) {
+          console.warn('⚠️ Could not create payment record (non-critical):', paymentError.message);
+        }
+      } catch (paymentErr) {
+        console.warn('⚠️ Payment record creation skipped:', paymentErr.message);
+      }
+
+      const { data: client } = await authenticatedSupabase
+        .from('user_profiles')
+        .select('*')
+        .eq('id', req.user.id)
+        .single();
+
+      await this._sendNewBookingNotifications({
+        booking: { ...primaryBooking, end_time: bookings[bookings.length - 1].end_time },
+        client,
+        salon,
+        serviceName: basketItems.map(item => item.service.name).join(' + '),
+        totalAmount: totalPrice,
+        appointmentDate: appointment_date,
+        startTime: start_time
+      });
+
+      res.status(201).json({
+        success: true,
+        data: { basket, bookings }
+      });
+
+    } catch (error) {
+      if (error instanceof AppError) {
+        throw error;
+      }
+      throw new AppError('Failed to create booking', 500, 'BOOKING_CREATION_FAILED');
+    }
+  });
+
+  // Book several people (the client and/or family members) in parallel at the same time,
+  // each with their own service and stylist. All guests are booked or none.
+  createGroupBooking = asyncHandler(async (req, res) => {
+    const {
+      salon_id,
+      appointment_date,
+      start_time,
+      guests,
+      client_notes,
+      deposit_payment_intent_id
+    } = req.body;
+
+    if (!salon_id || !appointment_date || !start_time || !Array.isArray(guests) || guests.length === 0) {
+      throw new AppError('Missing required booking information', 400, 'MISSING_BOOKING_INFO');
+    }
+
+    const maxGuests = config.booking.max_group_guests;
+    if (guests.length > maxGuests) {
+      throw new AppError(`A group booking can contain at most ${maxGuests} guests`, 400, 'TOO_MANY_GUESTS');
+    }
+    if (guests.some(guest => !guest?.service_id)) {
+      throw new AppError('Each guest needs a service_id', 400, 'MISSING_BOOKING_INFO');
+    }
+
+    // Each person can only be in one chair at a time (null family_member_id = the client)
+    const people = guests.map(guest => guest.family_member_id || null);
+    if (new Set(people).size !== people.length) {
+      throw new AppError('Each guest can only be booked once per group', 400, 'DUPLICATE_GUEST');
+    }
+
+    try {
+      const authenticatedSupabase = getAuthenticatedClient(req.token);
+
+      const { data: salon, error: salonError } = await supabase
+        .from('salons')
+        .select('*')
+        .eq('id', salon_id)
+        .single();
+
+      if (salonError || !salon) {
+        throw new AppError('Salon not found', 404, 'SALON_NOT_FOUND');
+      }
+
+      const serviceIds = [...new Set(guests.map(guest => guest.service_id))];
+      const { data: services, error: servicesError } = await supabase
+        .from('services')
+        .select('*')
+        .in('id', serviceIds)
+        .eq('salon_id', salon_id);
+
+      if (servicesError) {
+        console.error('❌ Service lookup error:', servicesError);
+        throw new AppError('Service not found', 404, 'SERVICE_NOT_FOUND');
+      }
+
+      const servicesById = new Map((services || []).map(service => [service.id, service]));
+      if (serviceIds.some(id => !servicesById.has(id))) {
+        throw new AppError('Service does not belong to this salon', 404, 'SERVICE_NOT_FOUND');
+      }
+
+      const familyMembers = await this._loadFamilyMembers(
+        authenticatedSupabase,
+        req.user.id,
+        people.filter(Boolean)
+      );
+
+      const items = guests.map(guest => ({
+        service: servicesById.get(guest.service_id),
+        staffId: guest.staff_id || null,
+        familyMemberId: guest.family_member_id || null
+      }));
+
+      for (const item of items) {
+        availabilityService.assertBookableTime({ salon, service: item.service, date: appointment_date, startTime: start_time });
+      }
+
+      // Parallel slots: every guest gets a different stylist (or free chair)
+      const planned = await availabilityService.planGroup({
+        salon,
+        items,
+        date: appointment_date,
+        startTime: start_time
+      });
+
+      // The account holder pays one deposit for the whole group
+      const deposit = await this._verifyDeposit({
+        salon,
+        service: this._depositVisit(items.map(item => item.service)),
+        clientId: req.user.id,
+        depositPaymentIntentId: deposit_payment_intent_id
+      });
+
+      console.log(`👨‍👩‍👧 Creating group booking: ${planned.length} guests on ${appointment_date} ${start_time}`);
+
+      const groupId = await bookingHoldService.createGroupAtomic({
+        salon,
+        clientId: req.user.id,
+        guests: planned,
+        clientNotes: client_notes,
+        status: 'confirmed'
+      });
+
+      const { data: bookings, error: bookingsError } = await authenticatedSupabase
+        .from('bookings')
+        .select(`
+          *,
+          services(*),
+          salons(*),
+          staff(*),
+          family_members(*)
+        `)
+        .eq('group_id', groupId)
+        .order('created_at', { ascending: true });
+
+      if (bookingsError || !bookings?.length) {
+        console.error('❌ Error loading created group booking:', bookingsError);
+        throw new AppError('Failed to create booking', 500, 'BOOKING_CREATION_FAILED');
+      }
+
+      console.log('✅ Group booking created successfully:', groupId);
+
+      // The deposit is split over the appointments by price, so each one is prepaid in part
+      const depositShares = deposit ? this._splitDeposit(deposit.amount, bookings) : [];
+      for (const [index, booking] of bookings.entries()) {
+        if (depositShares[index] > 0) {
+          await this._recordDeposit(booking.id, { ...deposit, amount: depositShares[index] });
+        }
+      }
+
+      // Pending payment per appointment, like single bookings (less its part of the deposit)
+      const { error: paymentError } = await authenticatedSupabase
+        .from('payments')
+        .insert(bookings.map((booking, index) => ({
+          booking_id: booking.id,
+          amount: roundMoney(Math.max(Number(booking.services?.price || 0) - (depositShares[index] || 0), 0)),
+          currency: booking.services?.currency || 'EUR',
+          status: 'pending'
+        })));
+
+      if (paymentError) {
+        console.warn('⚠️ Could not create payment records (non-critical):', paymentError.message);
+      }
+
+      const { data: client } = await authenticatedSupabase
+        .from('user_profiles')
+        .select('*')
+        .eq('id', req.user.id)
+        .single();
+
+      const describeGuest = booking => {
+        const who = booking.family_member_id
+          ? this._familyMemberName(familyMembers.get(booking.family_member_id))
+          : 'you';
+        return `${booking.services?.name || 'Service'} (${who})`;
+      };
+
+      await this._sendNewBookingNotifications({
+        booking: bookings[0],
+        client,
+        salon,
+        serviceName: bookings.map(describeGuest).join(', '),
+        totalAmount: bookings.reduce((sum, booking) => sum + Number(booking.services?.price || 0), 0),
+        appointmentDate: appointment_date,
+        startTime: start_time
+      });
+
+      res.status(201).json({
+        success: true,
+        data: {
+          group_id: groupId,
+          bookings: bookings.map(booking => ({ ...booking, bookedFor: this._bookedFor(booking) }))
+        }
+      });
+
+    } catch (error) {
+      if (error instanceof AppError) {
+        throw error;
+      }
+      throw new AppError('Failed to create booking', 500, 'BOOKING_CREATION_FAILED');
+    }
+  });
+
+  // A group deposit per appointment, in proportion to its price; the last one takes the rounding
+  _splitDeposit(amount, bookings) {
+    const prices = bookings.map(booking => Number(booking.services?.price || 0));
+    const total = prices.reduce((sum, price) => sum + price, 0);
+    let left = roundMoney(amount);
+    return prices.map((price, index) => {
+      const share = index === prices.length - 1
+        ? left
+        : roundMoney(total > 0 ? (amount * price) / total : amount / prices.length);
+      left = roundMoney(left - share);
+      return share;
+    });
+  }
+
+  // Family members of the account holder by id; throws 404 when any of them isn't theirs
+  async _loadFamilyMembers(authenticatedSupabase, userId, ids) {
+    const members = new Map();
+    if (ids.length === 0) return members;
+
+    const { data } = await authenticatedSupabase
+      .from('family_members')
+      .select('*')
+      .in('id', ids)
+      .eq('parent_id', userId);
+
+    for (const member of data || []) {
+      members.set(member.id, member);
+    }
+    if (ids.some(id => !members.has(id))) {
+      throw new AppError('Family member not found', 404, 'FAMILY_MEMBER_NOT_FOUND');
+    }
+    return members;
+  }
+
+  // Record who the appointment(s) are for
+  async _setFamilyMember(bookingIds, familyMemberId) {
+    const { error } = await supabaseAdmin
+      .from('bookings')
+      .update({ family_member_id: familyMemberId })
+      .in('id', bookingIds);
+
+    if (error) {
+      console.error('❌ Failed to link family member to booking:', error);
+      throw new AppError('Failed to create booking', 500, 'BOOKING_CREATION_FAILED');
+    }
+  }
+
+  _familyMemberName(member) {
+    if (!member) return 'Family member';
+    return member.name || [member.first_name, member.last_name].filter(Boolean).join(' ') || 'Family member';
+  }
+
+  // Who an appointment is for: the family member it was booked for, or the account holder
+  _bookedFor(booking) {
+    if (!booking.family_member_id) {
+      return { type: 'self', family_member_id: null, name: null };
+    }
+    return {
+      type: 'family_member',
+      family_member_id: booking.family_member_id,
+      name: this._familyMemberName(booking.family_members),
+      relation: booking.family_members?.relationship || booking.family_members?.relation || null
+    };
+  }
+
+  // Collapse the segments of a basket into one appointment (the first segment plus items[]).
+  // Rows keep their order; segments of a basket take the place of its first segment in the list.
+  _foldBaskets(bookings) {
+    const segmentsByBasket = new Map();
+    for (const booking of bookings) {
+      if (!booking.basket_id) continue;
+      if (!segmentsByBasket.has(booking.basket_id)) {
+        segmentsByBasket.set(booking.basket_id, []);
+      }
+      segmentsByBasket.get(booking.basket_id).push(booking);
+    }
+
+    const folded = [];
+    for (const booking of bookings) {
+      if (!booking.basket_id) {
+        folded.push(booking);
+        continue;
+      }
+      const segments = segmentsByBasket.get(booking.basket_id);
+      if (!segments) continue; // already emitted
+
+      segmentsByBasket.delete(booking.basket_id);
+      segments.sort((a, b) => (a.basket_position ?? 0) - (b.basket_position ?? 0));
+      const first = segments[0];
+      const last = segments[segments.length - 1];
+      const basket = first.booking_baskets || null;
+
+      folded.push({
+        ...first,
+        end_time: last.end_time,
+        payments: segments.flatMap(segment => segment.payments || []),
+        basket,
+        items: segments.map(segment => ({
+          booking_id: segment.id,
+          service_id: segment.service_id,
+          service_name: segment.services?.name || null,
+          staff_id: segment.staff_id,
+          staff_name: segment.staff?.name || null,
+          appointment_date: segment.appointment_date,
+          start_time: segment.start_time,
+          end_time: segment.end_time,
+          status: segment.status
+        }))
+      });
+    }
+    return folded;
+  }
+
+  // Cancel the other upcoming occurrences of a recurring booking ("following" or "all") with the
+  // same update as the chosen one, free their slots for the waitlist and close the series.
+  // Returns the extra bookings that were cancelled.
+  async _cancelSeriesOccurrences(booking, scope, updateData) {
+    if (scope === 'this' || !booking.series_id) return [];
+
+    const others = (await bookingSeriesService.getScopeBookings(booking, scope)).slice(1);
+    if (others.length > 0) {
+      const { error } = await supabaseAdmin
+        .from('bookings')
+        .update(updateData)
+        .in('id', others.map(b => b.id));
+
+      if (error) {
+        console.error('❌ Failed to cancel series occurrences:', error);
+        throw new AppError('Failed to cancel recurring bookings', 500, 'BOOKING_UPDATE_FAILED');
+      }
+
+      const waitlistController = require('./waitlistController');
+      for (const occurrence of others) {
+        await waitlistController.processWaitlistForCancelledBooking(
+          occurrence.salon_id,
+          occurrence.service_id,
+          occurrence.appointment_date,
+          occurrence.start_time
+        );
+      }
+    }
+
+    await bookingSeriesService.closeSeries(booking, scope);
+    console.log(`🔁 Cancelled ${others.length} more occurrence(s) of series ${booking.series_id} (${scope})`);
+    return others;
+  }
+
+  // Deposit PaymentIntent for clients who must pay one before booking (after repeated no-shows).
+  // A basket or group books several services at once: service_ids lists one per item or guest.
+  // Returns { required: false } when no deposit is needed.
+  createDepositIntent = asyncHandler(async (req, res) => {
+    const { salon_id, service_id, service_ids } = req.body;
+    const ids = Array.isArray(service_ids) && service_ids.length ? service_ids : [service_id].filter(Boolean);
+
+    if (!salon_id || ids.length === 0) {
+      throw new AppError('salon_id and service_id (or service_ids) are required', 400, 'MISSING_BOOKING_INFO');
+    }
+
+    const { data: services } = await supabase
+      .from('services')
+      .select('*, salons(*)')
+      .in('id', [...new Set(ids)])
+      .eq('salon_id', salon_id);
+
+    const servicesById = new Map((services || []).map(service => [service.id, service]));
+    if (ids.some(id => !servicesById.has(id))) {
+      throw new AppError('Service not found', 404, 'SERVICE_NOT_FOUND');
+    }
+
+    const salon = services[0].salons;
+    const service = this._depositVisit(ids.map(id => servicesById.get(id)));
+    const requirement = await clientReliabilityService.getDepositRequirement(salon, service, req.user.id);
+    if (!requirement.required) {
+      return res.status(200).json({
+        success: true,
+        data: { required: false }
+      });
+    }
+
+    if (!salon.stripe_account_id) {
+      throw new AppError('Salon payment not configured', 400, 'STRIPE_NOT_CONFIGURED');
+    }
+
+    const intent = await stripeService.createFeePaymentIntent({
+      amount: requirement.amount,
+      currency: service.currency || 'eur',
+      salon,
+      feeType: 'deposit',
+      description: `Deposit - ${service.name} at ${salon.business_name || 'Salon'}`,
+      metadata: { salon_id, service_id: ids.join(','), client_id: req.user.id }
+    });
+
+    res.status(201).json({
+      success: true,
+      data: {
+        required: true,
+        amount: requirement.amount,
+        percent: requirement.percent,
+        noShows: requirement.noShows,
+        paymentIntentId: intent.id,
+        clientSecret: intent.client_secret
+      }
+    });
+  });
+
+  // Several services booked at once (basket items, group guests) as the one service the deposit
+  // is worked out on
+  _depositVisit(services) {
+    return {
+      name: services.map(service => service.name).join(' + '),
+      price: roundMoney(services.reduce((sum, service) => sum + Number(service.price || 0), 0)),
+      currency: services[0].currency
+    };
+  }
+
+  // Enforce the salon's deposit rule for a new booking. Returns the verified deposit
+  // ({ amount, paymentIntentId, status }) or null when none is required.
+  async _verifyDeposit({ salon, service, clientId, depositPaymentIntentId }) {
+    const requirement = await clientReliabilityService.getDepositRequirement(salon, service, clientId);
+    if (!requirement.required) return null;
+
+    if (!depositPaymentIntentId) {
+      throw new AppError(
+        `A deposit of ${requirement.amount.toFixed(2)} is required to book at this salon after ${requirement.noShows} missed appointments`,
+        402,
+        'DEPOSIT_REQUIRED'
+      );
+    }
+
+    // A deposit pays for one booking only
+    const { data: used } = await supabaseAdmin
+      .from('payments')
+      .select('id')
+      .eq('stripe_payment_intent_id', depositPaymentIntentId)
+      .limit(1);
+    if (used?.length) {
+      throw new AppError('This deposit has already been used', 409, 'DEPOSIT_ALREADY_USED');
+    }
+
+    const intent = await stripeService.verifyDepositPayment(depositPaymentIntentId, {
+      amount: requirement.amount,
+      currency: service.currency,
+      clientId,
+      salonId: salon.id
+    });
 
-        // Link payment intent if provided
-        if (payment_intent_id) {
-          paymentData.stripe_payment_intent_id = payment_intent_id;
-        }
+    return {
+      amount: fromMinorUnits(intent.amount, intent.currency),
+      paymentIntentId: intent.id,
+      status: intent.status === 'succeeded' ? 'succeeded' : 'pending'
+    };
+  }
 
-        // Payment records don't need RLS auth context - use admin or base client
-        // Actually, payments might have RLS too, let's use authenticated client
-        const { data: payment, error: paymentError } = await authenticatedSupabase
-          .from('payments')
-          .insert([paymentData])
-          .select()
-          .single();
+  // Discounted price on the booking (analytics) and the promotion use linked to it. A booking
+  // paid with a package credit is worth its share of the package price.
+  async _recordBookingPrice(bookingId, pricing, redemption) {
+    const { error } = await supabaseAdmin
+      .from('bookings')
+      .update({
+        total_price: pricing.package_credit ? pricing.package_credit.value : pricing.total,
+        discount_amount: pricing.discount,
+        promotion_id: pricing.promotion?.id || null
+      })
+      .eq('id', bookingId);
+
+    if (error) {
+      console.error('⚠️ Failed to record booking price:', error);
+    }
+    await promotionService.attachToBooking(redemption, bookingId);
+  }
 
-        if (paymentError) {
-          console.warn('⚠️ Could not create payment record (non-critical):', paymentError.message);
-          // Don't fail booking creation if payment record fails
-        } else {
-          paymentRecord = payment;
-        }
-      } catch (paymentErr) {
-        console.warn('⚠️ Payment record creation skipped:', paymentErr.message);
-      }
+  async _recordDeposit(bookingId, deposit) {
+    const { error } = await supabaseAdmin
+      .from('payments')
+      .insert([{
+        booking_id: bookingId,
+        amount: deposit.amount,
+        status: deposit.status,
+        payment_type: 'deposit',
+        stripe_payment_intent_id: deposit.paymentIntentId
+      }]);
+
+    if (error) {
+      console.error('❌ Failed to record deposit payment:', error);
+    }
+  }
 
-      // If payment intent was provided but payment record creation failed, try to link via webhook later
-      // The webhook handler will catch payment_intent.succeeded and link it to the booking
+  // No-show fee from the salon's cancellation policy for what wasn't paid up front
+  // (booking payment and deposit). Opens a fee PaymentIntent the client settles in the app.
+  async _chargeNoShowFee(booking) {
+    const policy = resolveCancellationPolicy(booking.salons);
+    if (!policy.noShowFeePercent) return null;
 
-      // Send confirmation email
-      const { data: client } = await authenticatedSupabase
-        .from('user_profiles')
-        .select('*')
-        .eq('id', clientId)
-        .single();
+    const { amount: price, paid } = this._prepaidTotals(booking);
+    const due = roundMoney((price * policy.noShowFeePercent) / 100 - paid);
 
-      emailService.sendBookingConfirmation(
-        { ...booking, service_name: service.name, total_amount: service.price },
-        client,
-        service.salons
-      );
+    if (due <= 0) return null;
+    if (!booking.salons?.stripe_account_id || !stripeService.isEnabled) {
+      console.warn(`⚠️ No-show fee for booking ${booking.id} not charged: salon payments not configured`);
+      return null;
+    }
 
-      // WhatsApp: notify client (booker), owner, and staff (from salon's number)
-      const salonPhoneId = salon.whatsapp_phone_number_id || null;
-      if (!whatsappService.isEnabled(salonPhoneId)) {
-        if (!process.env.WHATSAPP_ACCESS_TOKEN) {
-          console.info('WhatsApp: skipped (WHATSAPP_ACCESS_TOKEN not set)');
-        } else if (!salonPhoneId && !process.env.WHATSAPP_PHONE_NUMBER_ID) {
-          console.info('WhatsApp: skipped (no salon whatsapp_phone_number_id and no WHATSAPP_PHONE_NUMBER_ID)');
-        }
-      } else {
-        try {
-          const clientName = [client?.first_name, client?.last_name].filter(Boolean).join(' ') || 'Client';
-          const salonName = salon.business_name || salon.name || 'Salon';
-          const payload = {
-            clientName,
-            serviceName: service.name,
-            date: appointment_date,
-            time: start_time,
-            salonName,
-          };
-          const recipients = [];
+    const intent = await stripeService.createFeePaymentIntent({
+      amount: due,
+      currency: booking.services?.currency || 'eur',
+      salon: booking.salons,
+      bookingId: booking.id,
+      feeType: 'no_show_fee',
+      description: `No-show fee - ${booking.salons.business_name || 'Salon'}`
+    });
 
-          // Client (person who booked) – so they get a confirmation via WhatsApp
-          if (client?.phone && !recipients.some((r) => r.phone === client.phone)) {
-            recipients.push({ phone: client.phone });
-          }
+    await supabaseAdmin
+      .from('payments')
+      .insert([{
+        booking_id: booking.id,
+        amount: due,
+        currency: booking.services?.currency || 'EUR',
+        status: 'pending',
+        payment_type: 'no_show_fee',
+        stripe_payment_intent_id: intent.id
+      }]);
+
+    return { id: intent.id, amount: due };
+  }
 
-          // Owner
-          const { data: ownerProfile } = await supabaseAdmin
-            .from('user_profiles')
-            .select('phone')
-            .eq('id', salon.owner_id)
-            .single();
-          if (ownerProfile?.phone && !recipients.some((r) => r.phone === ownerProfile.phone)) {
-            recipients.push({ phone: ownerProfile.phone });
-          }
+  // New booking: confirmation to the client, heads-up to the owner and staff (with an account,
+  // or on WhatsApp when the salon only has their phone number)
+  async _sendNewBookingNotifications({ booking, client, salon, serviceName, totalAmount, discountAmount = 0, appointmentDate, startTime }) {
+    const clientId = client?.id || booking.client_id;
+    const payload = {
+      booking,
+      client,
+      salon,
+      serviceName,
+      totalAmount,
+      discountAmount,
+      date: appointmentDate,
+      time: startTime
+    };
 
-          // Staff (employees) - include assigned staff and all active staff
-          const { data: staffList } = await supabaseAdmin
-            .from('staff')
-            .select('id, phone, user_id')
-            .eq('salon_id', salon_id)
-            .eq('is_active', true);
-          for (const s of staffList || []) {
-            let phone = s.phone;
-            if (!phone && s.user_id) {
-              const { data: up } = await supabaseAdmin
-                .from('user_profiles')
-                .select('phone')
-                .eq('id', s.user_id)
-                .single();
-              phone = up?.phone;
-            }
-            if (phone && !recipients.some((r) => r.phone === phone)) {
-              recipients.push({ phone });
-            }
-          }
+    try {
+      await notificationService.notify(clientId, 'booking_confirmed', payload);
 
-          const lang = req.headers['accept-language']?.includes('nl') ? 'nl' : 'en';
-          for (const r of recipients) {
-            await whatsappService.sendNewBookingNotification(r.phone, payload, lang, salonPhoneId);
-          }
-        } catch (waErr) {
-          console.warn('WhatsApp booking notification failed:', waErr?.message || waErr);
-        }
+      const salonUserIds = (await this._salonUserIds(salon)).filter(userId => userId !== clientId);
+      await notificationService.notifyMany(salonUserIds, 'booking_received', payload);
+
+      for (const contact of await this._staffPhoneContacts(salon)) {
+        await notificationService.notifyContact(contact, 'booking_received', payload);
       }
+    } catch (error) {
+      console.warn('New booking notifications failed:', error?.message || error);
+    }
+  }
 
-      res.status(201).json({
-        success: true,
-        data: { booking }
+  // Cancelled or moved booking: tell the client and the salon, except whoever made the change
+  async _notifyBookingChange(eventType, booking, actorId) {
+    try {
+      const salon = booking.salons || { id: booking.salon_id };
+      const recipients = [booking.client_id, ...await this._salonUserIds(salon)]
+        .filter(userId => userId !== actorId);
+
+      await notificationService.notifyMany(recipients, eventType, {
+        booking,
+        salon,
+        client: booking.user_profiles,
+        serviceName: booking.services?.name || 'Service',
+        date: booking.appointment_date,
+        time: booking.start_time?.slice(0, 5)
       });
-
     } catch (error) {
-      if (error instanceof AppError) {
-        throw error;
-      }
-      throw new AppError('Failed to create booking', 500, 'BOOKING_CREATION_FAILED');
+      console.warn(`${eventType} notifications failed:`, error?.message || error);
     }
-  });
+  }
+
+  // Owner and active staff with an account
+  async _salonUserIds(salon) {
+    const { data: staffList } = await supabaseAdmin
+      .from('staff')
+      .select('user_id')
+      .eq('salon_id', salon.id)
+      .eq('is_active', true)
+      .not('user_id', 'is', null);
+    return [salon.owner_id, ...(staffList || []).map(s => s.user_id)].filter(Boolean);
+  }
+
+  // Active staff without an account, reachable only on the phone number the salon entered
+  async _staffPhoneContacts(salon) {
+    const { data: staffList } = await supabaseAdmin
+      .from('staff')
+      .select('phone')
+      .eq('salon_id', salon.id)
+      .eq('is_active', true)
+      .is('user_id', null)
+      .not('phone', 'is', null);
+    return [...new Set((staffList || []).map(s => s.phone).filter(Boolean))].map(phone => ({ phone }));
+  }
 
   // Get user's bookings
   getMyBookings = asyncHandler(async (req, res) => {
@@ -291,7 +1123,9 @@ class BookingController {
           services(*),
           salons(*),
           staff(*),
-          payments(*)
+          payments(*),
+          booking_baskets!bookings_basket_id_fkey(*),
+          family_members(*)
         `)
         .eq('client_id', req.user.id)
         // Don't exclude cancelled by default - let the UI decide
@@ -319,18 +1153,17 @@ class BookingController {
       }
 
       // Filter by upcoming/past in JavaScript (more reliable than complex SQL)
-      let filteredBookings = allBookings || [];
+      // Multi-service baskets show as a single appointment
+      let filteredBookings = this._foldBaskets(allBookings || []);
       if (upcoming !== undefined) {
-        const today = new Date().toISOString().split('T')[0]; // YYYY-MM-DD
-        const now = new Date();
-        const currentDateTime = now;
+        const currentDateTime = new Date();
         
         filteredBookings = filteredBookings.filter(booking => {
-          const appointmentDate = booking.appointment_date;
-          const [hours, minutes, seconds] = (booking.start_time || '00:00:00').split(':').map(Number);
-          const appointmentDateTime = new Date(
-            appointmentDate + 'T' + 
-            `${hours.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`
+          // Appointment times are the salon's local time
+          const appointmentDateTime = zonedTimeToUtc(
+            booking.appointment_date,
+            booking.start_time || '00:00:00',
+            getSalonTimezone(booking.salons)
           );
           
           const isUpcoming = appointmentDateTime >= currentDateTime;
@@ -347,10 +1180,14 @@ class BookingController {
       const flattenedBookings = paginatedBookings.map(booking => ({
         ...booking,
         salonName: booking.salons?.business_name || 'Unknown Salon',
-        serviceName: booking.services?.name || 'Unknown Service',
-        servicePrice: booking.services?.price || 0,
-        serviceDuration: booking.services?.duration || 0,
+        serviceName: booking.items
+          ? booking.items.map(item => item.service_name || 'Unknown Service').join(' + ')
+          : booking.services?.name || 'Unknown Service',
+        servicePrice: booking.basket ? Number(booking.basket.total_price) : booking.services?.price || 0,
+        serviceDuration: booking.basket ? booking.basket.total_duration : booking.services?.duration || 0,
         staffName: booking.staff?.name || 'Any Staff',
+        bookedFor: this._bookedFor(booking),
+        bookedForName: booking.family_member_id ? this._familyMemberName(booking.family_members) : 'You',
         paymentStatus: booking.payments?.[0]?.status || 'pending',
         paymentAmount: booking.payments?.[0]?.amount || 0,
       }));
@@ -422,7 +1259,9 @@ class BookingController {
           services(*),
           user_profiles!bookings_client_id_fkey(id, first_name, last_name, phone, avatar_url),
           staff(*),
-          payments(*)
+          payments(*),
+          booking_baskets!bookings_basket_id_fkey(*),
+          family_members(*)
         `)
         .eq('salon_id', salonId)
         .order('appointment_date', { ascending: true })
@@ -453,7 +1292,8 @@ class BookingController {
       res.status(200).json({
         success: true,
         data: {
-          bookings,
+          // Multi-service baskets show as a single appointment
+          bookings: this._foldBaskets(bookings || []),
           pagination: {
             page: parseInt(page),
             limit: parseInt(limit)
@@ -472,12 +1312,15 @@ class BookingController {
   // Reschedule booking (client can change date/time)
   rescheduleBooking = asyncHandler(async (req, res) => {
     const { bookingId } = req.params;
-    const { appointment_date, start_time } = req.body;
+    const { appointment_date, start_time, scope } = req.body;
 
     if (!appointment_date || !start_time) {
       throw new AppError('Missing required fields: appointment_date, start_time', 400, 'MISSING_FIELDS');
     }
 
+    // Recurring bookings: "this", "following" or "all" occurrences
+    const editScope = bookingSeriesService.parseScope(scope);
+
     try {
       console.log('📋 Reschedule booking - bookingId:', bookingId, 'newDate:', appointment_date, 'newTime:', start_time);
       
@@ -486,7 +1329,7 @@ class BookingController {
         .from('bookings')
         .select(`
           *,
-          salons(owner_id),
+          salons(*),
           services(*)
         `)
         .eq('id', bookingId)
@@ -498,9 +1341,22 @@ class BookingController {
         throw new AppError('Booking not found', 404, 'BOOKING_NOT_FOUND');
       }
 
-      // Only client can reschedule their own booking
-      if (booking.client_id !== req.user.id) {
-        throw new AppError('Only the client can reschedule this booking', 403, 'INSUFFICIENT_PERMISSIONS');
+      // The client, the salon owner or staff at the salon can reschedule
+      const isClient = booking.client_id === req.user.id;
+      const isOwner = booking.salons.owner_id === req.user.id;
+      let isStaff = false;
+      if (!isClient && !isOwner) {
+        const { data: staffMember } = await supabaseAdmin
+          .from('staff')
+          .select('id')
+          .eq('salon_id', booking.salon_id)
+          .eq('user_id', req.user.id)
+          .eq('is_active', true)
+          .maybeSingle();
+        isStaff = !!staffMember;
+      }
+      if (!isClient && !isOwner && !isStaff) {
+        throw new AppError('Insufficient permissions', 403, 'INSUFFICIENT_PERMISSIONS');
       }
 
       // Can only reschedule pending or confirmed bookings
@@ -508,48 +1364,48 @@ class BookingController {
         throw new AppError('Can only reschedule pending or confirmed bookings', 400, 'INVALID_STATUS');
       }
 
-      // Calculate new end time
-      const startTime = new Date(`${appointment_date}T${start_time}`);
-      const endTime = new Date(startTime.getTime() + booking.services.duration * 60000);
-      const endTimeStr = endTime.toTimeString().split(' ')[0].slice(0, 5);
-
-      console.log('📋 Checking for conflicts - salon:', booking.salon_id, 'date:', appointment_date, 'time:', start_time, '-', endTimeStr);
-
-      // Check for conflicts at new time - use supabaseAdmin
-      const { data: conflicts } = await supabaseAdmin
-        .from('bookings')
-        .select('id')
-        .eq('salon_id', booking.salon_id)
-        .eq('appointment_date', appointment_date)
-        .neq('status', 'cancelled')
-        .neq('id', bookingId) // Exclude current booking
-        .or(`start_time.lte.${start_time},end_time.gte.${endTimeStr}`)
-        .or(`start_time.lt.${endTimeStr},end_time.gt.${start_time}`);
-
-      console.log('📋 Conflicts found:', conflicts ? conflicts.length : 0);
+      console.log('📋 Checking for conflicts - salon:', booking.salon_id, 'date:', appointment_date, 'time:', start_time);
+
+      // The chosen booking must move, otherwise nothing changes
+      await this._moveOccurrence(booking, appointment_date, start_time);
+
+      // Other occurrences in scope keep their spacing: same day shift and the new time.
+      // Those that can't move are reported and stay where they are.
+      const occurrences = [];
+      if (editScope !== 'this' && booking.series_id) {
+        const shiftDays = dayDiff(booking.appointment_date, appointment_date);
+        const scopeBookings = await bookingSeriesService.getScopeBookings(booking, editScope, '*, salons(*), services(*)');
+
+        for (const occurrence of scopeBookings.slice(1)) {
+          const date = addDays(occurrence.appointment_date, shiftDays);
+          try {
+            await this._moveOccurrence(occurrence, date, start_time);
+            occurrences.push({ booking_id: occurrence.id, appointment_date: date, status: 'moved' });
+          } catch (moveError) {
+            occurrences.push({
+              booking_id: occurrence.id,
+              appointment_date: date,
+              status: 'conflict',
+              reason: moveError.code || 'RESCHEDULE_FAILED',
+              message: moveError.message
+            });
+          }
+        }
 
-      if (conflicts && conflicts.length > 0) {
-        throw new AppError('Time slot not available', 409, 'TIME_SLOT_CONFLICT');
+        if (editScope === 'all') {
+          await bookingSeriesService.updateSeriesTime(booking.series_id, minutesToTime(timeToMinutes(start_time)));
+        }
       }
 
-      console.log('📋 Updating booking with new date/time');
-
-      // Update booking - use supabaseAdmin
       const { data: updatedBooking, error: updateError } = await supabaseAdmin
         .from('bookings')
-        .update({
-          appointment_date,
-          start_time,
-          end_time: endTimeStr,
-          status: 'pending' // Reset to pending for salon to reconfirm
-        })
-        .eq('id', bookingId)
         .select(`
           *,
           services(*),
           salons(*),
           user_profiles!client_id(*)
         `)
+        .eq('id', bookingId)
         .single();
 
       console.log('📋 Update result:', updatedBooking ? 'success' : 'failed', updateError ? `error: ${updateError.message}` : '');
@@ -566,10 +1422,11 @@ class BookingController {
         booking.appointment_date,
         booking.start_time
       );
+      await this._notifyBookingChange('booking_rescheduled', updatedBooking, req.user.id);
 
       res.status(200).json({
         success: true,
-        data: { booking: updatedBooking }
+        data: editScope === 'this' ? { booking: updatedBooking } : { booking: updatedBooking, occurrences }
       });
 
     } catch (error) {
@@ -580,17 +1437,134 @@ class BookingController {
     }
   });
 
+  // Move one booking to a new date/time: lead time, horizon, stylist, hours and buffers are
+  // checked and the move is written under the salon lock. Throws AppError when it can't move.
+  // A basket moves as a whole, and the new time is when the visit starts.
+  async _moveOccurrence(booking, date, startTime) {
+    availabilityService.assertBookableTime({
+      salon: booking.salons,
+      service: booking.services,
+      date,
+      startTime
+    });
+
+    if (booking.basket_id) {
+      await this._moveBasket(booking, { date, startTime, status: 'pending' });
+      return;
+    }
+
+    const startMinutes = timeToMinutes(startTime);
+
+    // Same stylist (or the first free one if none was assigned); the booking itself is ignored
+    const staffId = await availabilityService.assertSlotAvailable({
+      salon: booking.salons,
+      service: booking.services,
+      date,
+      startTime,
+      staffId: booking.staff_id,
+      excludeBookingId: booking.id
+    });
+
+    await bookingHoldService.moveBookingAtomic({
+      bookingId: booking.id,
+      salon: booking.salons,
+      service: booking.services,
+      staffId,
+      date,
+      startTime: minutesToTime(startMinutes),
+      endTime: minutesToTime(startMinutes + booking.services.duration),
+      status: 'pending' // Reset to pending for salon to reconfirm
+    });
+  }
+
+  // Re-plan all segments of a basket back to back (the basket itself ignored) and move them in
+  // one go. Without a date and time the visit keeps its start; staffIds changes segments' stylists.
+  async _moveBasket(booking, { date = null, startTime = null, staffIds = {}, status = null } = {}) {
+    const { data: segments, error } = await supabaseAdmin
+      .from('bookings')
+      .select('id, staff_id, appointment_date, start_time, services(*)')
+      .eq('basket_id', booking.basket_id)
+      .neq('status', 'cancelled')
+      .order('basket_position', { ascending: true });
+
+    if (error || !segments?.length) {
+      throw new AppError('Booking not found', 404, 'BOOKING_NOT_FOUND');
+    }
+
+    const planned = await availabilityService.planBasket({
+      salon: booking.salons,
+      items: segments.map(segment => ({ service: segment.services, staffId: staffIds[segment.id] || segment.staff_id })),
+      date: date || segments[0].appointment_date,
+      startTime: startTime || segments[0].start_time,
+      excludeBookingIds: segments.map(segment => segment.id)
+    });
+
+    await bookingHoldService.moveBasketAtomic({
+      basketId: booking.basket_id,
+      salon: booking.salons,
+      segments: planned.map((segment, index) => ({ ...segment, bookingId: segments[index].id })),
+      status
+    });
+  }
+
+  // Baskets are cancelled through their first segment, which carries the payment for the visit
+  async _basketPrimaryId(bookingId) {
+    const { data: booking } = await supabaseAdmin
+      .from('bookings')
+      .select('basket_id, booking_baskets!bookings_basket_id_fkey(primary_booking_id)')
+      .eq('id', bookingId)
+      .maybeSingle();
+
+    return booking?.booking_baskets?.primary_booking_id || bookingId;
+  }
+
+  // The other segments of a cancelled basket follow its first one; the money was settled there
+  async _cancelBasketSegments(booking, updateData) {
+    if (!booking.basket_id) return [];
+
+    const { data: segments, error } = await supabaseAdmin
+      .from('bookings')
+      .update({ ...updateData, cancellation_fee: 0 })
+      .eq('basket_id', booking.basket_id)
+      .neq('id', booking.id)
+      .neq('status', 'cancelled')
+      .select('id, salon_id, service_id, appointment_date, start_time');
+
+    if (error) {
+      console.error('❌ Failed to cancel basket segments:', error);
+      throw new AppError('Failed to cancel booking', 500, 'BOOKING_CANCEL_FAILED');
+    }
+
+    const waitlistController = require('./waitlistController');
+    for (const segment of segments || []) {
+      await waitlistController.processWaitlistForCancelledBooking(
+        segment.salon_id,
+        segment.service_id,
+        segment.appointment_date,
+        segment.start_time
+      );
+    }
+    return segments || [];
+  }
+
   // Update booking status
   updateBookingStatus = asyncHandler(async (req, res) => {
-    const { bookingId } = req.params;
-    const { status, staff_notes, cancellation_reason } = req.body;
+    const { status, staff_notes, cancellation_reason, scope } = req.body;
 
     const validStatuses = ['pending', 'confirmed', 'completed', 'cancelled', 'no_show'];
     if (!validStatuses.includes(status)) {
       throw new AppError('Invalid booking status', 400, 'INVALID_STATUS');
     }
 
+    // Recurring bookings can be cancelled as "this", "following" or "all" occurrences
+    const cancelScope = status === 'cancelled' ? bookingSeriesService.parseScope(scope) : 'this';
+
     try {
+      // A basket is cancelled as a whole, whichever of its segments was picked
+      const bookingId = status === 'cancelled'
+        ? await this._basketPrimaryId(req.params.bookingId)
+        : req.params.bookingId;
+
       console.log('📋 Update booking status - bookingId:', bookingId, 'status:', status);
       
       // Check if user owns the salon or is the client
@@ -599,8 +1573,9 @@ class BookingController {
         .from('bookings')
         .select(`
           *,
-          salons(owner_id),
+          salons(*),
           services(*),
+          payments(*),
           user_profiles!client_id(*)
         `)
         .eq('id', bookingId)
@@ -642,10 +1617,52 @@ class BookingController {
 
       // Staff and owners can update status and add notes
       const updateData = { status };
+
+      // Clients cancelling themselves are bound by the salon's cancellation policy
+      let clientCancellation = null;
+      if (status === 'cancelled' && isClient && !isOwner && !isStaff) {
+        const cancellable = await this._getClientBookingForCancel(bookingId, req.user.id);
+        const { quote } = this._quoteClientCancellation(cancellable);
+        const settlement = await this._settleCancellation(cancellable, quote);
+        clientCancellation = {
+          ...quote,
+          refund: settlement.refundAmount,
+          giftCardRefund: settlement.giftCardRefund,
+          packageCreditRestored: settlement.packageCreditRestored,
+          feePayment: settlement.feePayment
+        };
+        updateData.cancelled_by = 'client';
+        updateData.cancelled_at = new Date().toISOString();
+        updateData.cancellation_fee = quote.fee;
+      }
+
+      // Salon-side cancellations give the client back everything they paid
+      let salonRefunds = null;
+      let salonGiftCardRefund = 0;
+      let salonCreditRestored = false;
+      if (status === 'cancelled' && (isOwner || isStaff) && booking.status !== 'cancelled') {
+        salonRefunds = await refundService.refundBooking(bookingId, {
+          note: cancellation_reason || 'Booking cancelled by salon',
+          initiatedBy: 'salon_cancellation',
+          userId: req.user.id
+        });
+        salonGiftCardRefund = await giftCardService.releaseForBooking(bookingId, {
+          userId: req.user.id,
+          note: cancellation_reason || 'Booking cancelled by salon'
+        });
+        salonCreditRestored = await packageService.restoreCredit(bookingId);
+        updateData.cancelled_by = 'salon';
+        updateData.cancelled_at = new Date().toISOString();
+      }
       if (staff_notes && (isOwner || isStaff)) {
         updateData.salon_notes = staff_notes;
       }
       
+      // No-shows count against the client at this salon (deposit rule, reliability)
+      if (status === 'no_show') {
+        updateData.no_show_at = new Date().toISOString();
+      }
+
       // Store cancellation reason if provided (for both clients and salon owners)
       if (status === 'cancelled' && cancellation_reason) {
         updateData.cancellation_reason = cancellation_reason;
@@ -671,14 +1688,19 @@ class BookingController {
         throw new AppError('Failed to update booking', 500, 'BOOKING_UPDATE_FAILED');
       }
 
+      const salonRefundAmount = salonRefunds ? roundMoney(salonRefunds.reduce((sum, r) => sum + Number(r.amount), 0)) : 0;
+
       // Send notification email if cancelled
       if (status === 'cancelled') {
+        await promotionService.releaseForBooking(bookingId);
+
         emailService.sendCancellationNotice(
-          { ...updatedBooking, service_name: booking.services.name },
+          { ...updatedBooking, service_name: booking.services.name, refund_amount: clientCancellation?.refund || salonRefundAmount },
           booking.user_profiles,
           booking.salons,
-          staff_notes || 'Booking cancelled'
+          staff_notes
         );
+        await this._notifyBookingChange('booking_cancelled', updatedBooking, req.user.id);
 
         // Process waitlist for cancelled booking
         const waitlistController = require('./waitlistController');
@@ -690,9 +1712,34 @@ class BookingController {
         );
       }
 
+      if (status === 'cancelled') {
+        await this._cancelBasketSegments(booking, updateData);
+      }
+
+      // Other occurrences are further out, so they are cancelled without a fee
+      const seriesCancelled = status === 'cancelled'
+        ? await this._cancelSeriesOccurrences(booking, cancelScope, { ...updateData, cancellation_fee: 0 })
+        : [];
+
+      const data = { booking: updatedBooking };
+      if (cancelScope !== 'this') data.cancelledOccurrences = seriesCancelled.map(b => b.id);
+      if (clientCancellation) data.cancellation = clientCancellation;
+      if (salonRefunds) data.refunds = salonRefunds;
+      if (salonGiftCardRefund > 0) data.giftCardRefund = salonGiftCardRefund;
+      if (salonCreditRestored) data.packageCreditRestored = true;
+
+      if (status === 'no_show' && booking.status !== 'no_show') {
+        try {
+          data.noShowFee = await this._chargeNoShowFee(booking);
+        } catch (feeError) {
+          // The no-show itself is recorded either way
+          console.error('⚠️ Failed to charge no-show fee:', feeError.message);
+        }
+      }
+
       res.status(200).json({
         success: true,
-        data: { booking: updatedBooking }
+        data
       });
 
     } catch (error) {
@@ -716,7 +1763,7 @@ class BookingController {
       .from('bookings')
       .select(`
         *,
-        salons(owner_id),
+        salons(*),
         services(*)
       `)
       .eq('id', bookingId)
@@ -741,22 +1788,33 @@ class BookingController {
       throw new AppError('Insufficient permissions', 403, 'INSUFFICIENT_PERMISSIONS');
     }
 
-    const { data: newStaff, error: staffError } = await supabaseAdmin
-      .from('staff')
-      .select('id, name')
-      .eq('id', newStaffId)
-      .eq('salon_id', booking.salon_id)
-      .eq('is_active', true)
-      .single();
+    if (booking.basket_id) {
+      // The whole basket is re-checked and moved with it, so the visit stays back to back
+      await this._moveBasket(booking, { staffIds: { [bookingId]: newStaffId } });
+    } else {
+      // The new stylist must exist, work at that time and be free (this booking itself ignored)
+      await availabilityService.assertSlotAvailable({
+        salon: booking.salons,
+        service: booking.services,
+        date: booking.appointment_date,
+        startTime: booking.start_time,
+        staffId: newStaffId,
+        excludeBookingId: bookingId
+      });
 
-    if (staffError || !newStaff) {
-      throw new AppError('Staff member not found or not active at this salon', 400, 'INVALID_STAFF');
+      await bookingHoldService.moveBookingAtomic({
+        bookingId,
+        salon: booking.salons,
+        service: booking.services,
+        staffId: newStaffId,
+        date: booking.appointment_date,
+        startTime: booking.start_time,
+        endTime: booking.end_time
+      });
     }
 
     const { data: updatedBooking, error: updateError } = await supabaseAdmin
       .from('bookings')
-      .update({ staff_id: newStaffId })
-      .eq('id', bookingId)
       .select(`
         *,
         services(*),
@@ -764,6 +1822,7 @@ class BookingController {
         staff(*),
         user_profiles!client_id(*)
       `)
+      .eq('id', bookingId)
       .single();
 
     if (updateError) {
@@ -776,7 +1835,98 @@ class BookingController {
     });
   });
 
-  // Get available time slots
+  // Hold a slot while the client is on the payment sheet
+  createHold = asyncHandler(async (req, res) => {
+    const { salon_id, service_id, staff_id, appointment_date, start_time } = req.body;
+
+    if (!salon_id || !service_id || !appointment_date || !start_time) {
+      throw new AppError('Missing required booking information', 400, 'MISSING_BOOKING_INFO');
+    }
+
+    try {
+      const { data: service } = await supabaseAdmin
+        .from('services')
+        .select('*')
+        .eq('id', service_id)
+        .eq('salon_id', salon_id)
+        .maybeSingle();
+
+      if (!service) {
+        throw new AppError('Service not found', 404, 'SERVICE_NOT_FOUND');
+      }
+
+      const { data: salon } = await supabaseAdmin
+        .from('salons')
+        .select('*')
+        .eq('id', salon_id)
+        .maybeSingle();
+
+      if (!salon) {
+        throw new AppError('Salon not found', 404, 'SALON_NOT_FOUND');
+      }
+
+      availabilityService.assertBookableTime({ salon, service, date: appointment_date, startTime: start_time });
+
+      // Same check and stylist assignment as createBooking so the hold pins a concrete chair
+      const assignedStaffId = await availabilityService.assertSlotAvailable({
+        salon,
+        service,
+        date: appointment_date,
+        startTime: start_time,
+        staffId: staff_id || null
+      });
+
+      const hold = await bookingHoldService.createHold({
+        salon,
+        service,
+        clientId: req.user.id,
+        date: appointment_date,
+        startTime: start_time,
+        staffId: assignedStaffId
+      });
+
+      res.status(201).json({
+        success: true,
+        data: { hold }
+      });
+    } catch (error) {
+      if (error instanceof AppError) {
+        throw error;
+      }
+      throw new AppError('Failed to hold time slot', 500, 'HOLD_CREATION_FAILED');
+    }
+  });
+
+  // Link the payment intent created for a hold, so a failed payment releases the slot
+  updateHold = asyncHandler(async (req, res) => {
+    const { holdId } = req.params;
+    const { payment_intent_id } = req.body;
+
+    if (!payment_intent_id) {
+      throw new AppError('payment_intent_id is required', 400, 'MISSING_PAYMENT_INTENT');
+    }
+
+    const hold = await bookingHoldService.attachPaymentIntent(holdId, req.user.id, payment_intent_id);
+
+    res.status(200).json({
+      success: true,
+      data: { hold }
+    });
+  });
+
+  // Release a hold (client left the payment sheet)
+  releaseHold = asyncHandler(async (req, res) => {
+    const { holdId } = req.params;
+
+    const released = await bookingHoldService.releaseHold(holdId, req.user.id);
+
+    res.status(200).json({
+      success: true,
+      data: { released }
+    });
+  });
+
+  // Get available time slots (per staff member plus a merged "any available stylist" view)
   getAvailableSlots = asyncHandler(async (req, res) => {
     const { salon_id, service_id, date, staff_id } = req.query;
 
@@ -788,10 +1938,10 @@ class BookingController {
       // Use authenticated client for RLS compliance
       const authenticatedSupabase = getAuthenticatedClient(req.token);
 
-      // Get service duration
+      // Get service duration and slot rule overrides
       const { data: service, error: serviceError } = await authenticatedSupabase
         .from('services')
-        .select('duration')
+        .select('*')
         .eq('id', service_id)
         .single();
 
@@ -799,10 +1949,10 @@ class BookingController {
         throw new AppError('Service not found', 404, 'SERVICE_NOT_FOUND');
       }
 
-      // Get salon business hours
+      // Get salon business hours and slot rules
       const { data: salon, error: salonError } = await authenticatedSupabase
         .from('salons')
-        .select('business_hours')
+        .select('*')
         .eq('id', salon_id)
         .single();
 
@@ -810,129 +1960,32 @@ class BookingController {
         throw new AppError('Salon not found', 404, 'SALON_NOT_FOUND');
       }
 
-      // Get existing bookings for the date with timeout protection
-      let bookingsQuery = authenticatedSupabase
-        .from('bookings')
-        .select('start_time, end_time')
-        .eq('salon_id', salon_id)
-        .eq('appointment_date', date)
-        .neq('status', 'cancelled')
-        .limit(1000); // Limit to prevent timeout
-
-      if (staff_id) {
-        bookingsQuery = bookingsQuery.eq('staff_id', staff_id);
-      }
-
-      const { data: existingBookings, error: bookingsError } = await bookingsQuery;
-      
-      let bookings = existingBookings || [];
-      if (bookingsError) {
-        console.error('❌ Error fetching bookings for available slots:', bookingsError);
-        // Continue with empty bookings array if query fails
-        bookings = [];
-      }
-
-      // Calculate available slots
-      // Get day name (monday, tuesday, etc.) from date string
-      const [year, month, day] = date.split('-').map(Number);
-      const dateObj = new Date(year, month - 1, day);
-      const days = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
-      const dayOfWeek = days[dateObj.getDay()];
-      let businessHours = salon.business_hours?.[dayOfWeek];
-
-      // When staff_id is provided, use staff's availability and require them to be clocked in
-      if (staff_id) {
-        const { data: staffRow } = await supabaseAdmin
-          .from('staff')
-          .select('availability_schedule, clocked_in_at')
-          .eq('id', staff_id)
-          .eq('is_active', true)
-          .single();
-        // Employee must be clocked in to receive bookings
-        const clockedInAt = staffRow?.clocked_in_at;
-        if (!clockedInAt || (typeof clockedInAt === 'string' && clockedInAt.trim() === '')) {
-          return res.status(200).json({
-            success: true,
-            data: { available_slots: [] }
-          });
-        }
-        const schedule = staffRow?.availability_schedule;
-        // Normalize day key to lowercase (DB may store monday/Monday)
-        const staffSchedule = schedule?.[dayOfWeek] ?? schedule?.[dayOfWeek.toLowerCase()];
-        if (staffSchedule && (staffSchedule.closed === true || staffSchedule.closed === 'true')) {
-          return res.status(200).json({
-            success: true,
-            data: { available_slots: [] }
-          });
-        }
-        const staffOpen = staffSchedule?.opening ?? staffSchedule?.open;
-        const staffClose = staffSchedule?.closing ?? staffSchedule?.close;
-        const hasStaffTimes = (staffOpen !== undefined && staffOpen !== null && staffOpen !== '') &&
-          (staffClose !== undefined && staffClose !== null && staffClose !== '');
-        if (hasStaffTimes) {
-          businessHours = { open: staffOpen, close: staffClose, opening: staffOpen, closing: staffClose };
-        }
-      }
-
-      if (!businessHours || businessHours.closed === true || businessHours.closed === 'true') {
-        return res.status(200).json({
-          success: true,
-          data: { available_slots: [] }
-        });
-      }
-
-      // Handle both formats: {open: "09:00", close: "18:00"} or "09:00-18:00"
-      let openTime, closeTime;
-      if (typeof businessHours === 'string') {
-        [openTime, closeTime] = businessHours.split('-');
-      } else {
-        openTime = businessHours.open || businessHours.opening;
-        closeTime = businessHours.close || businessHours.closing;
-      }
-      // Normalize number (minutes) to "HH:mm" if backend stored minutes
-      if (typeof openTime === 'number') {
-        openTime = `${String(Math.floor(openTime / 60)).padStart(2, '0')}:${String(openTime % 60).padStart(2, '0')}`;
-      }
-      if (typeof closeTime === 'number') {
-        closeTime = `${String(Math.floor(closeTime / 60)).padStart(2, '0')}:${String(closeTime % 60).padStart(2, '0')}`;
-      }
-
-      if (!openTime || !closeTime) {
-        return res.status(200).json({
-          success: true,
-          data: { available_slots: [] }
-        });
-      }
-
-      const slots = this._calculateAvailableSlots(
-        openTime,
-        closeTime,
-        service.duration,
+      const staffList = await availabilityService.getActiveStaff(salon_id, staff_id || null);
+      if (staff_id && staffList.length === 0) {
+        throw new AppError('Staff member not found or not active at this salon', 404, 'STAFF_NOT_FOUND');
+      }
+
+      // Include the next day: after-midnight bookings block overnight opening hours
+      const bookings = await availabilityService.getBookings(salon_id, date, addDays(date, 1), staff_id || null);
+
+      const { available_slots, staff_slots } = availabilityService.calculateDaySlots({
+        salon,
+        service,
+        date,
+        staffList,
         bookings,
-        date // Pass date to allow current time booking for today
-      );
+        singleStaff: !!staff_id
+      });
 
-      console.log(`📅 Calculated ${slots.length} available slots for ${date} (${dayOfWeek}), service duration: ${service.duration} mins, business hours: ${openTime}-${closeTime}`);
-      if (slots.length > 0) {
-        console.log(`📅 First slot: ${slots[0].start_time}, Last slot: ${slots[slots.length - 1].start_time}`);
-      } else {
-        const now = new Date();
-        const currentTimeStr = `${String(now.getHours()).padStart(2, '0')}:${String(now.getMinutes()).padStart(2, '0')}`;
-        console.log(`📅 No slots available for ${date} (${dayOfWeek}) with business hours ${openTime}-${closeTime}, service duration: ${service.duration} mins`);
-        console.log(`📅 Current time: ${currentTimeStr}, Closing time: ${closeTime}`);
-        if (currentTimeStr > closeTime) {
-          console.log(`📅 ⚠️ It's past closing time - that's why no slots are available`);
-        }
-      }
+      console.log(`📅 Calculated ${available_slots.length} available slots for ${date} across ${staff_slots.length} staff, service duration: ${service.duration} mins`);
 
       res.status(200).json({
         success: true,
-        data: { available_slots: slots }
+        data: { available_slots, staff_slots }
       });
 
     } catch (error) {
       console.error('❌ Error in getAvailableSlots:', error);
-      console.error('❌ Error stack:', error.stack);
       if (error instanceof AppError) {
         throw error;
       }
@@ -940,117 +1993,6 @@ class BookingController {
     }
   });
 
-  // Helper method to calculate available slots
-  _calculateAvailableSlots(openTime, closeTime, serviceDuration, existingBookings, appointmentDate = null) {
-    try {
-      const slots = [];
-      const slotInterval = 15; // 15-minute intervals for more flexibility
-      
-      // Define slotInterval before it's used in the today booking adjustment
-
-      const [openHour, openMinute] = openTime.split(':').map(Number);
-      const [closeHour, closeMinute] = closeTime.split(':').map(Number);
-
-      if (isNaN(openHour) || isNaN(openMinute) || isNaN(closeHour) || isNaN(closeMinute)) {
-        console.error(`❌ Invalid time format - openTime: ${openTime}, closeTime: ${closeTime}`);
-        return [];
-      }
-
-      let currentTime = openHour * 60 + openMinute; // Convert to minutes
-      let endTime = closeHour * 60 + closeMinute;
-
-      // Handle overnight hours (e.g. Sunday 10:00 - 02:00 = open until 2 AM Monday)
-      if (endTime <= currentTime) {
-        endTime += 24 * 60; // Add 24 hours
-      }
-
-      // Get current time if booking for today - allow booking at current time
-      if (appointmentDate) {
-        // Get today's date in YYYY-MM-DD format (using local timezone)
-        // Use UTC methods but interpret as local time for date comparison
-        const now = new Date();
-        // Get local date components (UTC methods return local time when date is constructed locally)
-        const localYear = now.getFullYear();
-        const localMonth = now.getMonth() + 1;
-        const localDay = now.getDate();
-        const today = `${localYear}-${String(localMonth).padStart(2, '0')}-${String(localDay).padStart(2, '0')}`;
-        
-        // Normalize appointmentDate to YYYY-MM-DD format (handle both date strings and Date objects)
-        let appointmentDateStr = appointmentDate;
-        if (appointmentDate instanceof Date) {
-          appointmentDateStr = `${appointmentDate.getFullYear()}-${String(appointmentDate.getMonth() + 1).padStart(2, '0')}-${String(appointmentDate.getDate()).padStart(2, '0')}`;
-        } else if (typeof appointmentDate === 'string') {
-          // Ensure format is YYYY-MM-DD (remove time if present)
-          appointmentDateStr = appointmentDate.split('T')[0].split(' ')[0];
-        }
-        
-        console.log(`📅 Checking if today - appointmentDateStr: "${appointmentDateStr}", today: "${today}"`);
-        if (appointmentDateStr === today) {
-          // Use local time for current time calculation
-          const localHours = now.getHours();
-          const localMinutes = now.getMinutes();
-          const currentMinutes = localHours * 60 + localMinutes;
-          // Allow booking at current time or very soon (5 minute buffer for processing)
-          const minBookingTime = currentMinutes - 5;
-          console.log(`📅 TODAY BOOKING DETECTED - Local time: ${localHours}:${String(localMinutes).padStart(2, '0')} (${currentMinutes} min = ${this._minutesToTimeString(currentMinutes)}), minBookingTime: ${minBookingTime} (${this._minutesToTimeString(minBookingTime)}), opening: ${this._minutesToTimeString(currentTime)}, closing: ${this._minutesToTimeString(endTime)}`);
-          // Round minBookingTime up to next 15-minute interval to ensure we start from a valid slot time
-          const roundedMinBookingTime = Math.ceil(minBookingTime / slotInterval) * slotInterval;
-          // Start from minimum of (opening time, rounded current time with buffer)
-          // But ensure we don't go past closing time
-          const oldCurrentTime = currentTime;
-          currentTime = Math.max(currentTime, roundedMinBookingTime);
-          console.log(`📅 Adjusted currentTime from ${this._minutesToTimeString(oldCurrentTime)} to ${this._minutesToTimeString(currentTime)} (rounded from ${this._minutesToTimeString(minBookingTime)})`);
-          // If minBookingTime is past closing time, no slots available
-          if (currentTime >= endTime) {
-            console.log(`📅 No slots available - currentTime (${this._minutesToTimeString(currentTime)}) >= endTime (${this._minutesToTimeString(endTime)}) - IT'S PAST CLOSING TIME`);
-            return [];
-          }
-        } else {
-          console.log(`📅 Not today - will calculate all slots from opening to closing`);
-        }
-      }
-
-      while (currentTime + serviceDuration <= endTime) {
-        const timeStr = this._minutesToTimeString(currentTime);
-        const endTimeStr = this._minutesToTimeString(currentTime + serviceDuration);
-
-        // Check if slot conflicts with existing bookings
-        const hasConflict = existingBookings.some(booking => {
-          const bookingStart = this._timeStringToMinutes(booking.start_time);
-          const bookingEnd = this._timeStringToMinutes(booking.end_time);
-
-          return (currentTime < bookingEnd && currentTime + serviceDuration > bookingStart);
-        });
-
-        if (!hasConflict) {
-          slots.push({
-            start_time: timeStr,
-            end_time: endTimeStr
-          });
-        }
-
-        currentTime += slotInterval;
-      }
-
-      return slots;
-    } catch (error) {
-      console.error('❌ Error in _calculateAvailableSlots:', error);
-      console.error('❌ Parameters - openTime:', openTime, 'closeTime:', closeTime, 'serviceDuration:', serviceDuration);
-      throw error;
-    }
-  }
-
-  _minutesToTimeString(minutes) {
-    const hours = Math.floor(minutes / 60);
-    const mins = minutes % 60;
-    return `${hours.toString().padStart(2, '0')}:${mins.toString().padStart(2, '0')}`;
-  }
-
-  _timeStringToMinutes(timeStr) {
-    const [hours, minutes] = timeStr.split(':').map(Number);
-    return hours * 60 + minutes;
-  }
-
   // Get available slots count for multiple dates (for calendar heat map)
   getAvailableSlotsCount = asyncHandler(async (req, res) => {
     const { salon_id, service_id, start_date, end_date, staff_id } = req.query;
@@ -1064,7 +2006,7 @@ class BookingController {
       console.log(`📅 Looking up service: ${service_id} for salon: ${salon_id}`);
       const { data: service, error: serviceError } = await supabase
         .from('services')
-        .select('duration, id, name, salon_id')
+        .select('*')
         .eq('id', service_id)
         .single();
 
@@ -1086,10 +2028,10 @@ class BookingController {
       
       console.log(`✅ Found service: ${service.name} (duration: ${service.duration} mins)`);
 
-      // Get salon business hours
+      // Get salon business hours and slot rules
       const { data: salon, error: salonError } = await supabase
         .from('salons')
-        .select('business_hours')
+        .select('*')
         .eq('id', salon_id)
         .single();
 
@@ -1097,123 +2039,42 @@ class BookingController {
         throw new AppError('Salon not found', 404, 'SALON_NOT_FOUND');
       }
 
-      // When staff_id provided, fetch staff availability and require clocked in for slot counts
-      let staffSchedule = null;
-      let staffClockedIn = true;
-      if (staff_id) {
-        const { data: staffRow } = await supabaseAdmin
-          .from('staff')
-          .select('availability_schedule, clocked_in_at')
-          .eq('id', staff_id)
-          .eq('is_active', true)
-          .single();
-        const clockedInAt = staffRow?.clocked_in_at;
-        staffClockedIn = !!(clockedInAt && (typeof clockedInAt !== 'string' || clockedInAt.trim() !== ''));
-        staffSchedule = staffClockedIn ? (staffRow?.availability_schedule || null) : null;
-      }
-
-      // Get all bookings in date range
-      let bookingsQuery = supabase
-        .from('bookings')
-        .select('appointment_date, start_time, end_time')
-        .eq('salon_id', salon_id)
-        .gte('appointment_date', start_date)
-        .lte('appointment_date', end_date)
-        .neq('status', 'cancelled');
-
-      if (staff_id) {
-        bookingsQuery = bookingsQuery.eq('staff_id', staff_id);
-      }
+      const staffList = await availabilityService.getActiveStaff(salon_id, staff_id || null);
+      const allBookings = await availabilityService.getBookings(salon_id, start_date, addDays(end_date, 1), staff_id || null);
 
-      const { data: allBookings } = await bookingsQuery;
-      
       // Group bookings by date
       const bookingsByDate = {};
-      if (allBookings) {
-        allBookings.forEach(booking => {
-          if (!bookingsByDate[booking.appointment_date]) {
-            bookingsByDate[booking.appointment_date] = [];
-          }
-          bookingsByDate[booking.appointment_date].push({
-            start_time: booking.start_time,
-            end_time: booking.end_time
-          });
-        });
-      }
+      allBookings.forEach(booking => {
+        if (!bookingsByDate[booking.appointment_date]) {
+          bookingsByDate[booking.appointment_date] = [];
+        }
+        bookingsByDate[booking.appointment_date].push(booking);
+      });
 
       // Calculate slots count for each date
       const slotsCountByDate = {};
-      const start = new Date(start_date);
-      const end = new Date(end_date);
-      const days = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
-
-      // When a specific employee is selected but not clocked in, show no slots for any date
-      if (staff_id && !staffClockedIn) {
-        for (let d = new Date(start); d <= end; d.setDate(d.getDate() + 1)) {
-          slotsCountByDate[d.toISOString().split('T')[0]] = 0;
-        }
-        res.status(200).json({
-          success: true,
-          data: { slots_count_by_date: slotsCountByDate }
-        });
-        return;
-      }
+      const start = new Date(`${start_date}T00:00:00Z`);
+      const end = new Date(`${end_date}T00:00:00Z`);
 
-      for (let d = new Date(start); d <= end; d.setDate(d.getDate() + 1)) {
+      for (let d = new Date(start); d <= end; d.setUTCDate(d.getUTCDate() + 1)) {
         const dateStr = d.toISOString().split('T')[0];
-        const dayOfWeek = days[d.getDay()];
-        let businessHours = salon.business_hours?.[dayOfWeek];
-
-        // When staff_id provided, use staff's availability for this day (overrides salon)
-        if (staffSchedule) {
-          const staffDay = staffSchedule[dayOfWeek] ?? staffSchedule[dayOfWeek.toLowerCase()];
-          if (staffDay && (staffDay.closed === true || staffDay.closed === 'true')) {
-            slotsCountByDate[dateStr] = 0;
-            continue;
-          }
-          const staffOpen = staffDay?.opening ?? staffDay?.open;
-          const staffClose = staffDay?.closing ?? staffDay?.close;
-          if (staffOpen != null && staffClose != null && staffOpen !== '' && staffClose !== '') {
-            businessHours = { open: staffOpen, close: staffClose, opening: staffOpen, closing: staffClose };
-          }
-        }
-
-        if (!businessHours || businessHours.closed === true || businessHours.closed === 'true') {
-          slotsCountByDate[dateStr] = 0;
-          continue;
-        }
 
-        // Handle both formats
-        let openTime, closeTime;
-        if (typeof businessHours === 'string') {
-          [openTime, closeTime] = businessHours.split('-');
-        } else {
-          openTime = businessHours.open || businessHours.opening;
-          closeTime = businessHours.close || businessHours.closing;
-        }
-
-        if (!openTime || !closeTime) {
+        // A specific employee was requested but is not active at this salon
+        if (staff_id && staffList.length === 0) {
           slotsCountByDate[dateStr] = 0;
           continue;
         }
 
-        // Normalize number (minutes) to "HH:mm" if stored as number
-        if (typeof openTime === 'number') {
-          openTime = `${String(Math.floor(openTime / 60)).padStart(2, '0')}:${String(openTime % 60).padStart(2, '0')}`;
-        }
-        if (typeof closeTime === 'number') {
-          closeTime = `${String(Math.floor(closeTime / 60)).padStart(2, '0')}:${String(closeTime % 60).padStart(2, '0')}`;
-        }
-
-        const existingBookings = bookingsByDate[dateStr] || [];
-        const slots = this._calculateAvailableSlots(
-          openTime,
-          closeTime,
-          service.duration,
-          existingBookings
-        );
+        const { available_slots } = availabilityService.calculateDaySlots({
+          salon,
+          service,
+          date: dateStr,
+          staffList,
+          bookings: [...(bookingsByDate[dateStr] || []), ...(bookingsByDate[addDays(dateStr, 1)] || [])],
+          singleStaff: !!staff_id
+        });
 
-        slotsCountByDate[dateStr] = slots.length;
+        slotsCountByDate[dateStr] = available_slots.length;
       }
 
       res.status(200).json({
@@ -1229,19 +2090,16 @@ class BookingController {
     }
   });
 
-  // Send booking reminders (admin/manual trigger - for testing)
+  // Send the booking reminders that are due (admin/manual trigger - for testing)
   sendBookingReminders = asyncHandler(async (req, res) => {
     const bookingRemindersService = require('../services/bookingRemindersService');
-    
+
     try {
-      const { hoursAhead } = req.query;
-      const hours = hoursAhead ? parseInt(hoursAhead) : 24;
-      
-      const result = await bookingRemindersService.sendRemindersForHoursAhead(hours);
-      
+      const result = await bookingRemindersService.processDue();
+
       res.status(200).json({
         success: true,
-        message: `Sent ${result.count} booking reminders`,
+        message: `Sent ${result.sent} booking reminders`,
         data: result
       });
     } catch (error) {
@@ -1386,18 +2244,23 @@ class BookingController {
 
   // Salon owner cancel booking with reason
   cancelBookingAsSalonOwner = asyncHandler(async (req, res) => {
-    const { bookingId } = req.params;
-    const { cancellation_reason } = req.body;
+    const { cancellation_reason, scope } = req.body;
+
+    // Recurring bookings can be cancelled as "this", "following" or "all" occurrences
+    const cancelScope = bookingSeriesService.parseScope(scope);
 
     try {
+      // A basket is cancelled as a whole, whichever of its segments was picked
+      const bookingId = await this._basketPrimaryId(req.params.bookingId);
+
       // Fetch booking with salon info
       const { data: booking, error: bookingError } = await supabase
         .from('bookings')
         .select(`
           *,
-          salons(owner_id, name),
+          salons(id, owner_id, name, business_name),
           services(name, price),
-          user_profiles!client_id(email, first_name, last_name)
+          user_profiles!client_id(id, email, first_name, last_name, language)
         `)
         .eq('id', bookingId)
         .single();
@@ -1416,10 +2279,25 @@ class BookingController {
         throw new AppError('Booking is already cancelled', 400, 'BOOKING_ALREADY_CANCELLED');
       }
 
+      // The client gets back everything they paid; if Stripe refuses, the booking stays as it is
+      const refunds = await refundService.refundBooking(bookingId, {
+        note: cancellation_reason || 'Booking cancelled by salon',
+        initiatedBy: 'salon_cancellation',
+        userId: req.user.id
+      });
+      const refundAmount = roundMoney(refunds.reduce((sum, r) => sum + Number(r.amount), 0));
+      const giftCardRefund = await giftCardService.releaseForBooking(bookingId, {
+        userId: req.user.id,
+        note: cancellation_reason || 'Booking cancelled by salon'
+      });
+      const packageCreditRestored = await packageService.restoreCredit(bookingId);
+
       // Update booking status to cancelled with reason
       const updateData = {
         status: 'cancelled',
-        cancellation_reason: cancellation_reason || 'Cancelled by salon'
+        cancellation_reason: cancellation_reason || 'Cancelled by salon',
+        cancelled_by: 'salon',
+        cancelled_at: new Date().toISOString()
       };
 
       const { data: updatedBooking, error: updateError } = await supabase
@@ -1439,18 +2317,21 @@ class BookingController {
         throw new AppError('Failed to cancel booking', 500, 'BOOKING_CANCEL_FAILED');
       }
 
+      await promotionService.releaseForBooking(bookingId);
+
       // Send cancellation email to client
       try {
         await emailService.sendCancellationNotice(
-          { ...updatedBooking, service_name: booking.services.name },
+          { ...updatedBooking, service_name: booking.services.name, refund_amount: refundAmount },
           booking.user_profiles,
           booking.salons,
-          cancellation_reason || 'Booking cancelled by salon'
+          cancellation_reason
         );
       } catch (emailError) {
         console.error('Failed to send cancellation email:', emailError);
         // Don't fail the request if email fails
       }
+      await this._notifyBookingChange('booking_cancelled', { ...booking, status: 'cancelled' }, req.user.id);
 
       // Process waitlist for cancelled booking
       try {
@@ -1466,10 +2347,21 @@ class BookingController {
         // Don't fail the request if waitlist processing fails
       }
 
+      await this._cancelBasketSegments(booking, updateData);
+      const seriesCancelled = await this._cancelSeriesOccurrences(booking, cancelScope, updateData);
+
       res.status(200).json({
         success: true,
-        message: 'Booking cancelled successfully',
-        data: updatedBooking
+        message: seriesCancelled.length
+          ? `Booking and ${seriesCancelled.length} more occurrence(s) cancelled successfully`
+          : 'Booking cancelled successfully',
+        data: {
+          ...updatedBooking,
+          refund_amount: refundAmount,
+          gift_card_refund: giftCardRefund,
+          package_credit_restored: packageCreditRestored,
+          refunds
+        }
       });
 
     } catch (error) {
@@ -1481,13 +2373,327 @@ class BookingController {
     }
   });
 
-  // Mark booking as paid with cash (salon owner only)
+  // Price of a booking before it is made: service price, best discount (promo code or
+  // automatic rule) and what the client pays
+  getPriceQuote = asyncHandler(async (req, res) => {
+    const { salon_id, service_id, appointment_date, start_time, promo_code } = req.query;
+    if (!salon_id || !service_id || !appointment_date || !start_time) {
+      throw new AppError('salon_id, service_id, appointment_date and start_time are required', 400, 'MISSING_BOOKING_INFO');
+    }
+
+    const [{ data: salon }, { data: service }] = await Promise.all([
+      supabaseAdmin.from('salons').select('id').eq('id', salon_id).maybeSingle(),
+      supabaseAdmin.from('services').select('*').eq('id', service_id).eq('salon_id', salon_id).maybeSingle()
+    ]);
+    if (!salon || !service) {
+      throw new AppError('Service not found', 404, 'SERVICE_NOT_FOUND');
+    }
+
+    const pricing = await promotionService.quote({
+      salon,
+      service,
+      clientId: req.user.id,
+      date: appointment_date,
+      startTime: start_time,
+      promoCode: promo_code
+    });
+
+    res.status(200).json({
+      success: true,
+      data: { pricing }
+    });
+  });
+
+  // Preview what cancelling would cost the client under the salon's policy
+  getCancellationQuote = asyncHandler(async (req, res) => {
+    const bookingId = await this._basketPrimaryId(req.params.bookingId);
+
+    const booking = await this._getClientBookingForCancel(bookingId, req.user.id);
+    const { policy, quote } = this._quoteClientCancellation(booking);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        policy,
+        cancellation: quote
+      }
+    });
+  });
+
+  // Client cancels their own booking: free inside the salon's free-cancel window, otherwise
+  // the late-cancel fee is kept from the payment (rest refunded) or charged separately
+  cancelBookingAsClient = asyncHandler(async (req, res) => {
+    const { cancellation_reason } = req.body;
+
+    try {
+      // A basket is cancelled as a whole, whichever of its segments was picked
+      const bookingId = await this._basketPrimaryId(req.params.bookingId);
+      const booking = await this._getClientBookingForCancel(bookingId, req.user.id);
+      const { quote } = this._quoteClientCancellation(booking);
+
+      // Money first: if Stripe fails the booking stays as it was and the client can retry
+      const settlement = await this._settleCancellation(booking, quote);
+
+      const updateData = {
+        status: 'cancelled',
+        cancellation_reason: cancellation_reason || 'Cancelled by client',
+        cancelled_by: 'client',
+        cancelled_at: new Date().toISOString(),
+        cancellation_fee: quote.fee
+      };
+
+      const { data: updatedBooking, error: updateError } = await supabaseAdmin
+        .from('bookings')
+        .update(updateData)
+        .eq('id', bookingId)
+        .select(`
+          *,
+          services(*),
+          salons(*),
+          user_profiles!client_id(*)
+        `)
+        .single();
+
+      if (updateError) {
+        console.error('❌ Error cancelling booking:', updateError);
+        throw new AppError('Failed to cancel booking', 500, 'BOOKING_CANCEL_FAILED');
+      }
+
+      console.log(`🚫 Client cancelled booking ${bookingId} (late: ${quote.late}, fee: ${quote.fee}, refund: ${settlement.refundAmount})`);
+      await promotionService.releaseForBooking(bookingId);
+      await this._cancelBasketSegments(booking, updateData);
+
+      emailService.sendCancellationNotice(
+        {
+          ...updatedBooking,
+          service_name: booking.services?.name,
+          refund_amount: settlement.refundAmount
+        },
+        booking.user_profiles,
+        booking.salons,
+        updateData.cancellation_reason
+      );
+      await this._notifyBookingChange('booking_cancelled', updatedBooking, req.user.id);
+
+      const waitlistController = require('./waitlistController');
+      await waitlistController.processWaitlistForCancelledBooking(
+        booking.salon_id,
+        booking.service_id,
+        booking.appointment_date,
+        booking.start_time
+      );
+
+      res.status(200).json({
+        success: true,
+        message: 'Booking cancelled successfully',
+        data: {
+          booking: updatedBooking,
+          cancellation: {
+            ...quote,
+            refund: settlement.refundAmount,
+            giftCardRefund: settlement.giftCardRefund,
+            packageCreditRestored: settlement.packageCreditRestored,
+            feePayment: settlement.feePayment
+          }
+        }
+      });
+
+    } catch (error) {
+      if (error instanceof AppError) {
+        throw error;
+      }
+      console.error('Client cancel booking error:', error);
+      throw new AppError('Failed to cancel booking', 500, 'BOOKING_CANCEL_FAILED');
+    }
+  });
+
+  // Booking the client may cancel themselves (their own, not yet started, pending/confirmed)
+  async _getClientBookingForCancel(bookingId, userId) {
+    const { data: booking, error } = await supabaseAdmin
+      .from('bookings')
+      .select(`
+        *,
+        services(*),
+        salons(*),
+        payments(*),
+        user_profiles!client_id(*)
+      `)
+      .eq('id', bookingId)
+      .single();
+
+    if (error || !booking) {
+      throw new AppError('Booking not found', 404, 'BOOKING_NOT_FOUND');
+    }
+    if (booking.client_id !== userId) {
+      throw new AppError('Only the client can cancel this booking', 403, 'INSUFFICIENT_PERMISSIONS');
+    }
+    if (!['pending', 'confirmed'].includes(booking.status)) {
+      throw new AppError('Can only cancel pending or confirmed bookings', 400, 'INVALID_STATUS');
+    }
+
+    const startsAt = zonedTimeToUtc(booking.appointment_date, booking.start_time, getSalonTimezone(booking.salons));
+    if (startsAt <= new Date()) {
+      throw new AppError('This appointment has already started', 400, 'BOOKING_ALREADY_STARTED');
+    }
+    return booking;
+  }
+
+  // Policy and fee/refund for cancelling a booking now; a deposit counts towards both the
+  // price and what was paid
+  _quoteClientCancellation(booking) {
+    const policy = resolveCancellationPolicy(booking.salons);
+    const payment = this._bookingPayment(booking);
+    let { amount, paid } = this._prepaidTotals(booking);
+
+    // A package credit paid for it: a late fee is covered by keeping the credit
+    if (booking.package_purchase_id) {
+      amount = Number(booking.total_price ?? amount);
+      paid = amount;
+    }
+
+    const quote = quoteCancellation({
+      policy,
+      startsAt: zonedTimeToUtc(booking.appointment_date, booking.start_time, getSalonTimezone(booking.salons)),
+      amount,
+      paidAmount: paid
+    });
+    return { policy, quote, payment };
+  }
+
+  // The booking's own payment (not a later fee)
+  _bookingPayment(booking) {
+    return (booking.payments || []).find(p => (p.payment_type || 'booking') === 'booking') || null;
+  }
+
+  // Price of the booking (its payment plus any deposit) and how much of it the client has paid
+  _prepaidTotals(booking) {
+    const payments = booking.payments || [];
+    const amount = Number(this._bookingPayment(booking)?.amount ?? booking.services?.price ?? 0) +
+      payments
+        .filter(p => p.payment_type === 'deposit')
+        .reduce((sum, p) => sum + Number(p.amount), 0);
+    const paid = payments
+      .filter(p => ['booking', 'deposit'].includes(p.payment_type || 'booking') && ['succeeded', 'completed'].includes(p.status))
+      .reduce((sum, p) => sum + Number(p.amount) - Number(p.refunded_amount || 0), 0);
+    return { amount, paid };
+  }
+
+  // Refund what isn't kept as a fee, or open a fee payment to the salon's Connect account
+  // for the part of the fee that wasn't prepaid
+  async _settleCancellation(booking, quote) {
+    const payment = this._bookingPayment(booking);
+    const note = quote.late ? 'Late cancellation (the cancellation fee is kept by the salon)' : 'Booking cancelled';
+    const deposits = (booking.payments || []).filter(p => p.payment_type === 'deposit');
+    const depositPaid = deposits.reduce((sum, p) => sum + refundService.refundableAmount(p), 0);
+    let refundAmount = 0;
+    let giftCardRefund = 0;
+    let packageCreditRestored = false;
+    let feePayment = null;
+
+    // The credit comes back on a free cancellation; a late one uses it up. Either way the
+    // credit covers the fee, so a deposit goes back in full.
+    if (booking.package_purchase_id) {
+      if (!quote.late) {
+        packageCreditRestored = await packageService.restoreCredit(booking.id);
+      }
+      refundAmount = await this._refundDeposits(booking, deposits, depositPaid, note);
+      return { refundAmount, giftCardRefund, packageCreditRestored, feePayment };
+    }
+
+    // The fee is kept from the deposit first; what's left of the deposit goes back, and the
+    // booking payment gets the rest of the refund
+    const depositRefund = roundMoney(Math.min(quote.refund, Math.max(depositPaid - quote.fee, 0)));
+    const bookingRefund = roundMoney(quote.refund - depositRefund);
+
+    // The card charge is refunded first (a tip always in full), the rest goes back to the gift
+    // cards that paid it
+    const tip = Number(payment?.tip_amount || 0);
+    const cardRefund = Math.min(roundMoney(bookingRefund + tip), refundService.refundableAmount(payment));
+    if (cardRefund > 0 && payment?.stripe_payment_intent_id) {
+      const refund = await refundService.refundPayment(payment, {
+        amount: cardRefund,
+        note,
+        initiatedBy: 'client_cancellation',
+        userId: booking.client_id
+      });
+      refundAmount = Number(refund.amount);
+    }
+
+    if (Number(payment?.gift_card_amount) > 0) {
+      // Gift card money on a payment that never completed was not paid yet: all of it goes back
+      const paid = ['succeeded', 'completed'].includes(payment.status);
+      giftCardRefund = await giftCardService.releaseForPayment(payment, {
+        amount: paid ? roundMoney(bookingRefund - Math.max(0, refundAmount - tip)) : null,
+        userId: booking.client_id,
+        note
+      });
+    }
+
+    refundAmount = roundMoney(refundAmount + await this._refundDeposits(booking, deposits, depositRefund, note));
+
+    if (quote.chargeDue > 0) {
+      const connectedAccountId = booking.salons?.stripe_account_id;
+      if (!connectedAccountId || !stripeService.isEnabled) {
+        console.warn(`⚠️ Late-cancel fee for booking ${booking.id} not charged: salon payments not configured`);
+      } else {
+        const intent = await stripeService.createFeePaymentIntent({
+          amount: quote.chargeDue,
+          currency: payment?.currency || booking.services?.currency || 'eur',
+          salon: booking.salons,
+          bookingId: booking.id,
+          feeType: 'cancellation_fee',
+          description: `Late cancellation fee - ${booking.salons?.business_name || 'Salon'}`
+        });
+
+        await supabaseAdmin
+          .from('payments')
+          .insert([{
+            booking_id: booking.id,
+            amount: quote.chargeDue,
+            currency: payment?.currency || booking.services?.currency || 'EUR',
+            status: 'pending',
+            payment_type: 'cancellation_fee',
+            stripe_payment_intent_id: intent.id
+          }]);
+
+        feePayment = { id: intent.id, client_secret: intent.client_secret, amount: quote.chargeDue };
+      }
+    }
+
+    return { refundAmount, giftCardRefund, packageCreditRestored, feePayment };
+  }
+
+  // Refund up to amount of the booking's card deposits; returns what was refunded
+  async _refundDeposits(booking, deposits, amount, note) {
+    let left = roundMoney(amount);
+    for (const deposit of deposits) {
+      const value = Math.min(left, refundService.refundableAmount(deposit));
+      if (!(value > 0) || !deposit.stripe_payment_intent_id) continue;
+
+      const refund = await refundService.refundPayment(deposit, {
+        amount: value,
+        note,
+        initiatedBy: 'client_cancellation',
+        userId: booking.client_id
+      });
+      left = roundMoney(left - Number(refund.amount));
+    }
+    return roundMoney(amount - left);
+  }
+
+  // Mark booking as paid with cash (salon owner only); the body may add a cash tip
+  // (tip_amount or tip_percentage), credited to the booking's staff
   markAsPaidCash = asyncHandler(async (req, res) => {
     const { bookingId } = req.params;
 
     console.log(`💵 markAsPaidCash called for booking: ${bookingId}`);
 
     try {
+      const tipError = validateTip(req.body);
+      if (tipError) {
+        throw new AppError(tipError, 400, 'INVALID_TIP');
+      }
+
       // Step 1: Get booking with service to get price
       const { data: booking, error: bookingError } = await supabaseAdmin
         .from('bookings')
@@ -1555,6 +2761,9 @@ class BookingController {
       let amount;
       if (existingPayment) {
         amount = parseFloat(existingPayment.amount) || 0;
+      } else if (booking.total_price != null) {
+        // Price after discounts, recorded when the booking was made
+        amount = parseFloat(booking.total_price) || 0;
       } else {
         let servicePrice = 0;
         if (booking.service_id) {
@@ -1577,6 +2786,13 @@ class BookingController {
       const amountFinal = Math.max(0, Number(amount) || 0);
       console.log(`💵 Payment amount: ${amountFinal} (existing: ${existingPayment?.amount}, service_id: ${booking.service_id})`);
 
+      const tipFields = {};
+      if (hasTip(req.body)) {
+        const tip = tipAmount(req.body, amountFinal);
+        tipFields.tip_amount = tip;
+        tipFields.tip_staff_id = tip > 0 ? booking.staff_id || null : null;
+      }
+
       // Use 'completed' to match payments table CHECK (pending, completed, failed, refunded)
       const paidStatus = 'completed';
 
@@ -1586,6 +2802,7 @@ class BookingController {
           .update({
             status: paidStatus,
             payment_method: 'cash',
+            ...tipFields,
             updated_at: new Date().toISOString()
           })
           .eq('id', existingPayment.id);
@@ -1600,9 +2817,11 @@ class BookingController {
           .insert({
             booking_id: bookingId,
             amount: amountFinal,
+            discount_amount: Number(booking.discount_amount || 0),
             currency: 'EUR',
             status: paidStatus,
             payment_method: 'cash',
+            ...tipFields,
           });
 
         if (createError) {
@@ -1616,6 +2835,10 @@ class BookingController {
       res.status(200).json({
         success: true,
         message: 'Booking marked as paid with cash',
+        data: {
+          amount: amountFinal,
+          tip_amount: tipFields.tip_amount ?? 0
+        }
       });
     } catch (error) {
       if (error instanceof AppError) {
@@ -1765,20 +2988,28 @@ class BookingController {
   });
 
   /**
-   * Create Stripe Checkout Session for client to pay
+   * Create Stripe Checkout Session for client to pay. A gift card code in the body pays part or
+   * all of it first; a booking fully covered by gift cards is settled without Stripe. An optional
+   * tip (tip_amount or tip_percentage) is charged on top and credited to the booking's staff.
    */
   createPaymentIntent = asyncHandler(async (req, res) => {
     try {
       const { bookingId } = req.params;
+      const { gift_card_code, gift_card_amount } = req.body || {};
       console.log(`💳 Creating checkout session for booking: ${bookingId}`);
 
+      const tipError = validateTip(req.body);
+      if (tipError) {
+        throw new AppError(tipError, 400, 'INVALID_TIP');
+      }
+
       // Get booking with payment details
       const { data: booking, error: bookingError } = await supabaseAdmin
         .from('bookings')
         .select(`
           *,
           services(name, price),
-          salons!inner(business_name, stripe_account_id)
+          salons!inner(*)
         `)
         .eq('id', bookingId)
         .single();
@@ -1797,6 +3028,7 @@ class BookingController {
         .from('payments')
         .select('*')
         .eq('booking_id', bookingId)
+        .eq('payment_type', 'booking')
         .maybeSingle();
 
       if (!payment.data) {
@@ -1804,14 +3036,73 @@ class BookingController {
       }
 
       const paymentRecord = payment.data;
+      if (['completed', 'succeeded'].includes(paymentRecord.status)) {
+        throw new AppError('This booking is already paid', 409, 'PAYMENT_ALREADY_COMPLETED');
+      }
+
       const amount = parseFloat(paymentRecord.amount);
+      const currency = (paymentRecord.currency || 'eur').toLowerCase();
+      let giftCardAmount = roundMoney(Number(paymentRecord.gift_card_amount || 0));
+
+      if (gift_card_code) {
+        const redemption = await giftCardService.redeem({
+          code: gift_card_code,
+          salonId: booking.salon_id,
+          payment: paymentRecord,
+          amount: gift_card_amount,
+          userId: req.user.id
+        });
+        giftCardAmount = roundMoney(giftCardAmount - Number(redemption.amount));
+      }
+
+      // The tip goes on the card on top of the service; a new tip replaces one given earlier
+      let tip = roundMoney(Number(paymentRecord.tip_amount || 0));
+      if (hasTip(req.body)) {
+        tip = tipAmount(req.body, amount);
+        const { error: tipUpdateError } = await supabaseAdmin
+          .from('payments')
+          .update({ tip_amount: tip, tip_staff_id: tip > 0 ? booking.staff_id || null : null })
+          .eq('id', paymentRecord.id);
+        if (tipUpdateError) {
+          throw new AppError('Failed to save tip', 500, 'PAYMENT_UPDATE_FAILED');
+        }
+      }
+
+      const serviceDue = roundMoney(amount - giftCardAmount);
+      const amountDue = roundMoney(serviceDue + tip);
+      if (giftCardAmount > 0 || hasTip(req.body)) {
+        // A session created before the gift card or tip was applied would charge another amount
+        const previousSession = paymentRecord.stripe_payment_intent_id;
+        if (previousSession && previousSession.startsWith('cs_')) {
+          await stripeService.expireCheckoutSession(previousSession);
+        }
+      }
+
+      if (amountDue <= 0) {
+        await stripeService.markPaymentPaid(paymentRecord, { payment_method: 'gift_card' });
+        console.log(`✅ Booking ${bookingId} paid in full with gift cards`);
+
+        return res.status(200).json({
+          success: true,
+          data: {
+            paid: true,
+            amount,
+            gift_card_amount: giftCardAmount,
+            amount_due: 0,
+            currency,
+          }
+        });
+      }
+
+      const serviceMinor = toMinorUnits(Math.max(0, serviceDue), currency);
+      const tipMinor = toMinorUnits(tip, currency);
       const stripeAccountId = booking.salons.stripe_account_id;
 
       if (!stripeAccountId) {
         throw new AppError('Salon payment not configured', 400, 'STRIPE_NOT_CONFIGURED');
       }
 
-      console.log(`💳 Creating Stripe checkout session: €${amount} for salon: ${stripeAccountId}`);
+      console.log(`💳 Creating Stripe checkout session: €${amountDue} for salon: ${stripeAccountId}`);
 
       // Verify Stripe is configured
       if (!process.env.STRIPE_SECRET_KEY) {
@@ -1828,27 +3119,40 @@ class BookingController {
       console.log(`💳 Success URL: ${successUrl}`);
       console.log(`💳 Cancel URL: ${cancelUrl}`);
       
-      const session = await stripe.checkout.sessions.create({
-        payment_method_types: ['card', 'ideal'],
-        line_items: [{
+      const lineItems = [];
+      if (serviceMinor > 0) {
+        lineItems.push({
           price_data: {
-            currency: 'eur',
+            currency,
             product_data: {
               name: booking.services.name,
               description: `Booking at ${booking.salons.business_name}`,
             },
-            unit_amount: Math.round(amount * 100), // Convert to cents
+            unit_amount: serviceMinor,
+          },
+          quantity: 1,
+        });
+      }
+      if (tipMinor > 0) {
+        lineItems.push({
+          price_data: {
+            currency,
+            product_data: { name: 'Tip' },
+            unit_amount: tipMinor,
           },
           quantity: 1,
-        }],
+        });
+      }
+
+      const session = await stripe.checkout.sessions.create({
+        payment_method_types: ['card', 'ideal'],
+        line_items: lineItems,
         mode: 'payment',
         success_url: successUrl,
         cancel_url: cancelUrl,
         payment_intent_data: {
-          application_fee_amount: Math.round(amount * 100 * 0.05), // 5% platform fee
-          transfer_data: {
-            destination: stripeAccountId,
-          },
+          // No platform fee on the tip: it goes to the salon in full
+          ...destinationChargeParams({ amount: serviceMinor, currency, salon: booking.salons }),
           metadata: {
             booking_id: bookingId,
             salon_name: booking.salons.business_name,
@@ -1878,7 +3182,10 @@ class BookingController {
           checkoutUrl: session.url,
           sessionId: session.id,
           amount: amount,
-          currency: 'eur',
+          gift_card_amount: giftCardAmount,
+          tip_amount: tip,
+          amount_due: amountDue,
+          currency,
         }
       });
 
@@ -1,4 +1,5 @@
 const supabaseService = require('../services/supabaseService');
+const notificationService = require('../services/notificationService');
 const { asyncHandler, AppError } = require('../middleware/errorHandler');
 
 class ChatController {
@@ -170,6 +171,12 @@ class ChatController {
       })
       .eq('id', conversationId);
 
+    await notificationService.notify(otherUserId, 'chat_message', {
+      conversationId,
+      message,
+      senderName: message.sender?.name
+    });
+
     res.status(201).json({
       success: true,
       data: message
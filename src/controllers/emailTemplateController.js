@@ -0,0 +1,34 @@
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const { listEmailTemplates, previewEmail } = require('../services/emailTemplates');
+const { SUPPORTED_LANGUAGES, DEFAULT_LANGUAGE } = require('../utils/i18n');
+
+class EmailTemplateController {
+  // Every email template with the languages it can be sent in (admin)
+  listTemplates = asyncHandler(async (req, res) => {
+    res.json({
+      success: true,
+      data: { templates: listEmailTemplates() }
+    });
+  });
+
+  // A template rendered with example data; ?language=nl, ?format=html for the page itself (admin)
+  previewTemplate = asyncHandler(async (req, res) => {
+    const language = req.query.language || DEFAULT_LANGUAGE;
+    if (!SUPPORTED_LANGUAGES.includes(language)) {
+      throw new AppError(`Language must be one of: ${SUPPORTED_LANGUAGES.join(', ')}`, 400, 'UNSUPPORTED_LANGUAGE');
+    }
+
+    const { subject, html } = previewEmail(req.params.template, language);
+
+    if (req.query.format === 'html') {
+      return res.type('html').send(html);
+    }
+
+    res.json({
+      success: true,
+      data: { template: req.params.template, language, subject, html }
+    });
+  });
+}
+
+module.exports = new EmailTemplateController();
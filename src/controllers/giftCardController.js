@@ -0,0 +1,176 @@
+const { supabaseAdmin } = require('../config/database');
+const giftCardService = require('../services/giftCardService');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+
+class GiftCardController {
+  // Issue a gift card (salon owner)
+  issueGiftCard = asyncHandler(async (req, res) => {
+    const { amount, currency, expires_at, recipient_name, recipient_email, message } = req.body;
+    const salon = await this._getOwnerSalon(req.user.id);
+
+    const giftCard = await giftCardService.issue(salon, {
+      amount,
+      currency,
+      expiresAt: expires_at,
+      recipientName: recipient_name,
+      recipientEmail: recipient_email,
+      message,
+      userId: req.user.id
+    });
+
+    res.status(201).json({
+      success: true,
+      data: { gift_card: giftCard }
+    });
+  });
+
+  // List the salon's gift cards (salon owner)
+  getSalonGiftCards = asyncHandler(async (req, res) => {
+    const { status, page = 1, limit = 20 } = req.query;
+    const salon = await this._getOwnerSalon(req.user.id);
+    const offset = (page - 1) * limit;
+
+    let query = supabaseAdmin
+      .from('gift_cards')
+      .select('*', { count: 'exact' })
+      .eq('salon_id', salon.id)
+      .order('created_at', { ascending: false })
+      .range(offset, offset + Number(limit) - 1);
+
+    if (status) {
+      query = query.eq('status', status);
+    }
+
+    const { data: giftCards, error, count } = await query;
+    if (error) {
+      throw new AppError('Failed to fetch gift cards', 500, 'GIFT_CARD_FETCH_FAILED');
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        gift_cards: (giftCards || []).map(card => ({ ...card, status: giftCardService.effectiveStatus(card) })),
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total: count || 0
+        }
+      }
+    });
+  });
+
+  // One gift card with its balance history (salon owner)
+  getGiftCard = asyncHandler(async (req, res) => {
+    const salon = await this._getOwnerSalon(req.user.id);
+    const giftCard = await this._getSalonGiftCard(salon.id, req.params.giftCardId);
+    const transactions = await giftCardService.getTransactions(giftCard.id);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        gift_card: { ...giftCard, status: giftCardService.effectiveStatus(giftCard) },
+        transactions
+      }
+    });
+  });
+
+  // Void a gift card (salon owner)
+  voidGiftCard = asyncHandler(async (req, res) => {
+    const salon = await this._getOwnerSalon(req.user.id);
+    const giftCard = await this._getSalonGiftCard(salon.id, req.params.giftCardId);
+
+    const voided = await giftCardService.void(giftCard, { userId: req.user.id, note: req.body.reason });
+
+    res.status(200).json({
+      success: true,
+      data: { gift_card: voided }
+    });
+  });
+
+  // Buy a gift card for a salon through Stripe Checkout (client)
+  purchaseGiftCard = asyncHandler(async (req, res) => {
+    const { salon_id, amount, recipient_name, recipient_email, message } = req.body;
+    if (!salon_id) {
+      throw new AppError('salon_id is required', 400, 'MISSING_SALON_ID');
+    }
+
+    const { data: salon, error } = await supabaseAdmin
+      .from('salons')
+      .select('id, business_name, stripe_account_id, subscription_plan, subscription_status, trial_ends_at, grace_period_ends_at')
+      .eq('id', salon_id)
+      .maybeSingle();
+
+    if (error || !salon) {
+      throw new AppError('Salon not found', 404, 'SALON_NOT_FOUND');
+    }
+
+    const { giftCard, session } = await giftCardService.startPurchase(salon, {
+      amount,
+      recipientName: recipient_name,
+      recipientEmail: recipient_email,
+      message,
+      purchaser: req.user
+    });
+
+    res.status(201).json({
+      success: true,
+      data: {
+        gift_card_id: giftCard.id,
+        checkout_url: session.url,
+        session_id: session.id
+      }
+    });
+  });
+
+  // Balance of a code at a salon, before paying with it
+  checkGiftCard = asyncHandler(async (req, res) => {
+    const { code, salon_id } = req.query;
+    if (!code || !salon_id) {
+      throw new AppError('code and salon_id are required', 400, 'MISSING_GIFT_CARD_CODE');
+    }
+
+    const giftCard = await giftCardService.findByCode(salon_id, code);
+    const status = giftCardService.effectiveStatus(giftCard);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        code: giftCard.code,
+        status,
+        usable: status === 'active' && Number(giftCard.balance) > 0,
+        balance: Number(giftCard.balance),
+        currency: giftCard.currency,
+        expires_at: giftCard.expires_at
+      }
+    });
+  });
+
+  async _getOwnerSalon(userId) {
+    const { data: salon, error } = await supabaseAdmin
+      .from('salons')
+      .select('id, business_name')
+      .eq('owner_id', userId)
+      .maybeSingle();
+
+    if (error || !salon) {
+      throw new AppError('Salon not found', 404, 'SALON_NOT_FOUND');
+    }
+    return salon;
+  }
+
+  async _getSalonGiftCard(salonId, giftCardId) {
+    const { data: giftCard, error } = await supabaseAdmin
+      .from('gift_cards')
+      .select('*')
+      .eq('id', giftCardId)
+      .eq('salon_id', salonId)
+      .maybeSingle();
+
+    if (error || !giftCard) {
+      throw new AppError('Gift card not found', 404, 'GIFT_CARD_NOT_FOUND');
+    }
+    return giftCard;
+  }
+}
+
+module.exports = new GiftCardController();
@@ -0,0 +1,109 @@
+const notificationService = require('../services/notificationService');
+const pushService = require('../services/pushService');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+
+class NotificationController {
+  // The user's inbox, newest first; ?unread=true for unread ones only
+  getNotifications = asyncHandler(async (req, res) => {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    const unreadOnly = req.query.unread === 'true';
+
+    const [{ notifications, total }, unreadCount] = await Promise.all([
+      notificationService.getInbox(req.user.id, { page, limit, unreadOnly }),
+      notificationService.getUnreadCount(req.user.id)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        notifications,
+        unread_count: unreadCount,
+        pagination: {
+          page,
+          limit,
+          total,
+          hasMore: page * limit < total
+        }
+      }
+    });
+  });
+
+  // Badge count
+  getUnreadCount = asyncHandler(async (req, res) => {
+    const count = await notificationService.getUnreadCount(req.user.id);
+
+    res.status(200).json({
+      success: true,
+      data: { unread_count: count }
+    });
+  });
+
+  // Mark one notification read
+  markAsRead = asyncHandler(async (req, res) => {
+    const notification = await notificationService.markRead(req.user.id, req.params.notificationId);
+
+    res.status(200).json({
+      success: true,
+      data: { notification }
+    });
+  });
+
+  // Mark the whole inbox read
+  markAllAsRead = asyncHandler(async (req, res) => {
+    const updated = await notificationService.markAllRead(req.user.id);
+
+    res.status(200).json({
+      success: true,
+      data: { updated, unread_count: 0 }
+    });
+  });
+
+  // Remove a notification from the inbox
+  deleteNotification = asyncHandler(async (req, res) => {
+    await notificationService.deleteNotification(req.user.id, req.params.notificationId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Notification deleted'
+    });
+  });
+
+  // Register this device for push (after sign-in, and whenever the token changes)
+  registerDevice = asyncHandler(async (req, res) => {
+    const { device_id, token, platform, locale, app_version } = req.body;
+    const device = await pushService.registerDevice(req.user.id, { device_id, token, platform, locale, app_version });
+
+    res.status(200).json({
+      success: true,
+      data: { device }
+    });
+  });
+
+  // Stop pushing to this device (sign-out)
+  unregisterDevice = asyncHandler(async (req, res) => {
+    const removed = await pushService.unregisterDevice(req.user.id, req.params.deviceId);
+    if (!removed) {
+      throw new AppError('Device not found', 404, 'DEVICE_NOT_FOUND');
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Device unregistered'
+    });
+  });
+
+  // Devices the user gets push notifications on
+  getDevices = asyncHandler(async (req, res) => {
+    const devices = await pushService.getDevices(req.user.id);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        devices: devices.map(({ token, ...device }) => device)
+      }
+    });
+  });
+}
+
+module.exports = new NotificationController();
@@ -0,0 +1,215 @@
+const { supabaseAdmin } = require('../config/database');
+const packageService = require('../services/packageService');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+
+const PACKAGE_FIELDS = ['service_id', 'name', 'description', 'credits', 'price', 'validity_days', 'is_active'];
+
+class PackageController {
+  // Packages a salon sells (public)
+  getSalonPackages = asyncHandler(async (req, res) => {
+    const { data: packages, error } = await supabaseAdmin
+      .from('service_packages')
+      .select('*, services(id, name, price, duration)')
+      .eq('salon_id', req.params.salonId)
+      .eq('is_active', true)
+      .order('price', { ascending: true });
+
+    if (error) {
+      throw new AppError('Failed to fetch packages', 500, 'PACKAGE_FETCH_FAILED');
+    }
+
+    res.status(200).json({
+      success: true,
+      data: { packages: packages || [] }
+    });
+  });
+
+  // All packages of the owner's salon, including ones no longer sold (salon owner)
+  getMyPackages = asyncHandler(async (req, res) => {
+    const salon = await this._getOwnerSalon(req.user.id);
+
+    const { data: packages, error } = await supabaseAdmin
+      .from('service_packages')
+      .select('*, services(id, name, price)')
+      .eq('salon_id', salon.id)
+      .order('created_at', { ascending: false });
+
+    if (error) {
+      throw new AppError('Failed to fetch packages', 500, 'PACKAGE_FETCH_FAILED');
+    }
+
+    res.status(200).json({
+      success: true,
+      data: { packages: packages || [] }
+    });
+  });
+
+  // Define a package (salon owner)
+  createPackage = asyncHandler(async (req, res) => {
+    const salon = await this._getOwnerSalon(req.user.id);
+    const fields = this._pickFields(req.body);
+    const service = await this._validate(fields, salon);
+
+    const { data: servicePackage, error } = await supabaseAdmin
+      .from('service_packages')
+      .insert([{ ...fields, salon_id: salon.id, currency: service.currency || 'EUR' }])
+      .select()
+      .single();
+
+    if (error) {
+      console.error('❌ Error creating package:', error);
+      throw new AppError('Failed to create package', 500, 'PACKAGE_SAVE_FAILED');
+    }
+
+    res.status(201).json({
+      success: true,
+      data: { package: servicePackage }
+    });
+  });
+
+  // Change a package; purchases already made keep their credits and expiry
+  updatePackage = asyncHandler(async (req, res) => {
+    const salon = await this._getOwnerSalon(req.user.id);
+    const existing = await this._getSalonPackage(salon.id, req.params.packageId);
+    const fields = this._pickFields(req.body);
+    await this._validate({ ...existing, ...fields }, salon);
+
+    const { data: servicePackage, error } = await supabaseAdmin
+      .from('service_packages')
+      .update({ ...fields, updated_at: new Date().toISOString() })
+      .eq('id', existing.id)
+      .select()
+      .single();
+
+    if (error) {
+      throw new AppError('Failed to update package', 500, 'PACKAGE_SAVE_FAILED');
+    }
+
+    res.status(200).json({
+      success: true,
+      data: { package: servicePackage }
+    });
+  });
+
+  // Stop selling a package; credits already bought stay usable
+  deactivatePackage = asyncHandler(async (req, res) => {
+    const salon = await this._getOwnerSalon(req.user.id);
+    const existing = await this._getSalonPackage(salon.id, req.params.packageId);
+
+    const { data: servicePackage, error } = await supabaseAdmin
+      .from('service_packages')
+      .update({ is_active: false, updated_at: new Date().toISOString() })
+      .eq('id', existing.id)
+      .select()
+      .single();
+
+    if (error) {
+      throw new AppError('Failed to update package', 500, 'PACKAGE_SAVE_FAILED');
+    }
+
+    res.status(200).json({
+      success: true,
+      data: { package: servicePackage }
+    });
+  });
+
+  // Buy a package through Stripe Checkout (client)
+  purchasePackage = asyncHandler(async (req, res) => {
+    const { data: servicePackage, error } = await supabaseAdmin
+      .from('service_packages')
+      .select('*, services(name), salons(id, business_name, stripe_account_id, subscription_plan, subscription_status, trial_ends_at, grace_period_ends_at)')
+      .eq('id', req.params.packageId)
+      .maybeSingle();
+
+    if (error || !servicePackage) {
+      throw new AppError('Package not found', 404, 'PACKAGE_NOT_FOUND');
+    }
+
+    const { purchase, session } = await packageService.startPurchase(servicePackage, servicePackage.salons, req.user);
+
+    res.status(201).json({
+      success: true,
+      data: {
+        purchase_id: purchase.id,
+        checkout_url: session.url,
+        session_id: session.id
+      }
+    });
+  });
+
+  // The client's unused credits
+  getMyCredits = asyncHandler(async (req, res) => {
+    const credits = await packageService.getClientCredits(req.user.id);
+
+    res.status(200).json({
+      success: true,
+      data: { credits }
+    });
+  });
+
+  _pickFields(body) {
+    const fields = {};
+    for (const key of PACKAGE_FIELDS) {
+      if (body[key] !== undefined) fields[key] = body[key];
+    }
+    return fields;
+  }
+
+  // Check package fields; returns the service the package is for
+  async _validate(fields, salon) {
+    if (!fields.name || typeof fields.name !== 'string') {
+      throw new AppError('name is required', 400, 'INVALID_PACKAGE');
+    }
+    if (!Number.isInteger(Number(fields.credits)) || Number(fields.credits) < 1) {
+      throw new AppError('credits must be 1 or more', 400, 'INVALID_PACKAGE');
+    }
+    if (!(Number(fields.price) > 0)) {
+      throw new AppError('price must be more than 0', 400, 'INVALID_PACKAGE');
+    }
+    if (fields.validity_days !== undefined && fields.validity_days !== null &&
+      (!Number.isInteger(Number(fields.validity_days)) || Number(fields.validity_days) < 1)) {
+      throw new AppError('validity_days must be 1 or more (or null for no expiry)', 400, 'INVALID_PACKAGE');
+    }
+
+    const { data: service } = await supabaseAdmin
+      .from('services')
+      .select('id, currency')
+      .eq('id', fields.service_id)
+      .eq('salon_id', salon.id)
+      .maybeSingle();
+
+    if (!service) {
+      throw new AppError('Service not found', 404, 'SERVICE_NOT_FOUND');
+    }
+    return service;
+  }
+
+  async _getOwnerSalon(userId) {
+    const { data: salon, error } = await supabaseAdmin
+      .from('salons')
+      .select('id')
+      .eq('owner_id', userId)
+      .maybeSingle();
+
+    if (error || !salon) {
+      throw new AppError('Salon not found', 404, 'SALON_NOT_FOUND');
+    }
+    return salon;
+  }
+
+  async _getSalonPackage(salonId, packageId) {
+    const { data: servicePackage, error } = await supabaseAdmin
+      .from('service_packages')
+      .select('*')
+      .eq('id', packageId)
+      .eq('salon_id', salonId)
+      .maybeSingle();
+
+    if (error || !servicePackage) {
+      throw new AppError('Package not found', 404, 'PACKAGE_NOT_FOUND');
+    }
+    return servicePackage;
+  }
+}
+
+module.exports = new PackageController();
@@ -1,59 +1,20 @@
 const stripeService = require('../services/stripeService');
+const refundService = require('../services/refundService');
+const promotionService = require('../services/promotionService');
+const invoiceService = require('../services/invoiceService');
 const { supabase, supabaseAdmin } = require('../config/database');
-const whatsappService = require('../services/whatsappService');
 const config = require('../config');
 const { asyncHandler, AppError } = require('../middleware/errorHandler');
 
 class PaymentController {
-  // Handle Stripe webhooks (no auth required - uses webhook signature verification)
-  async handleWebhook(req, res) {
-    try {
-      const sig = req.headers['stripe-signature'];
-      const endpointSecret = config.stripe.webhook_secret;
-      
-      if (!endpointSecret) {
-        console.error('Webhook secret not configured');
-        return res.status(400).send('Webhook secret not configured');
-      }
-
-      // Verify webhook signature
-      const event = stripeService.constructWebhookEvent(req.body, sig, endpointSecret);
-      
-      console.log('Received webhook event:', event.type);
-
-      switch (event.type) {
-        case 'payment_intent.succeeded':
-          await this.handlePaymentSuccess(event.data.object);
-          break;
-        case 'payment_intent.payment_failed':
-          await this.handlePaymentFailure(event.data.object);
-          break;
-        case 'checkout.session.completed':
-          await this.handleCheckoutSessionCompleted(event.data.object);
-          break;
-        case 'customer.subscription.created':
-        case 'customer.subscription.updated':
-        case 'customer.subscription.deleted':
-          await this.handleSubscriptionChange(event.data.object);
-          break;
-        default:
-          console.log(`Unhandled event type: ${event.type}`);
-      }
-
-      res.json({ received: true });
-    } catch (error) {
-      console.error('Webhook error:', error);
-      res.status(400).send(`Webhook Error: ${error.message}`);
-    }
-  }
-
   // Create payment intent for service booking
   async createPaymentIntent(req, res) {
     try {
-      const { amount, currency = 'usd', serviceId, salonId } = req.body;
+      const { amount, currency = 'usd', serviceId, salonId, appointmentDate, startTime, promoCode } = req.body;
       const userId = req.user.id;
+      const priceOnServer = Boolean(appointmentDate && startTime);
 
-      if (!amount || !serviceId || !salonId) {
+      if ((!amount && !priceOnServer) || !serviceId || !salonId) {
         return res.status(400).json({ 
           error: 'Missing required fields: amount, serviceId, salonId' 
         });
@@ -62,7 +23,7 @@ class PaymentController {
       // Get salon's Stripe account
       const { data: salon } = await supabase
         .from('salons')
-        .select('stripe_account_id, name')
+        .select('*')
         .eq('id', salonId)
         .single();
 
@@ -72,18 +33,41 @@ class PaymentController {
         });
       }
 
-      // Create payment intent - NO APPLICATION FEE (commission removed)
+      // With the appointment slot the price comes from the service, promo codes and discount
+      // rules included, so the intent matches the payment record createBooking writes
+      let pricing = null;
+      if (priceOnServer) {
+        const { data: service } = await supabase
+          .from('services')
+          .select('*')
+          .eq('id', serviceId)
+          .eq('salon_id', salonId)
+          .single();
+
+        if (!service) {
+          return res.status(404).json({ error: 'Service not found' });
+        }
+        pricing = await promotionService.quote({
+          salon,
+          service,
+          clientId: userId,
+          date: appointmentDate,
+          startTime,
+          promoCode
+        });
+      }
+
+      // Platform fee per the salon's plan/override (utils/feePolicy)
       const paymentIntent = await stripeService.createPaymentIntent({
-        amount: Math.round(amount * 100), // Convert to cents
-        currency,
-        transfer_data: {
-          destination: salon.stripe_account_id,
-        },
+        amount: pricing ? pricing.total : amount,
+        currency: pricing ? pricing.currency : currency,
+        salon,
         metadata: {
           userId,
           serviceId,
           salonId,
-          salonName: salon.name
+          salonName: salon.name,
+          ...(pricing?.promotion ? { promotionId: pricing.promotion.id, discountAmount: String(pricing.discount) } : {})
         }
       });
 
@@ -94,6 +78,7 @@ class PaymentController {
       res.json({
         clientSecret: paymentIntent.client_secret,
         paymentIntentId: paymentIntent.id,
+        pricing,
         metadata: {
           userId,
           serviceId,
@@ -101,6 +86,9 @@ class PaymentController {
         }
       });
     } catch (error) {
+      if (error instanceof AppError && error.statusCode < 500) {
+        return res.status(error.statusCode).json({ error: error.message, code: error.code });
+      }
       console.error('Payment intent creation error:', error);
       res.status(500).json({ error: 'Failed to create payment intent' });
     }
@@ -300,10 +288,12 @@ class PaymentController {
         .from('payments')
         .select(`
           amount,
+          tip_amount,
           currency,
           created_at,
           services(name, category),
-          bookings(appointment_date)
+          bookings(appointment_date),
+          tip_staff:staff!tip_staff_id(id, name)
         `)
         .eq('salon_id', salon.id)
         .eq('status', 'succeeded')
@@ -320,6 +310,23 @@ class PaymentController {
       const totalTransactions = payments.length;
       const averageTransaction = totalTransactions > 0 ? totalRevenue / totalTransactions : 0;
 
+      // Tips are kept out of revenue and reported per staff member they were given to
+      const tipsByStaff = payments.reduce((acc, payment) => {
+        const tip = parseFloat(payment.tip_amount || 0);
+        if (!(tip > 0)) return acc;
+        const staffId = payment.tip_staff?.id || 'unassigned';
+        if (!acc[staffId]) {
+          acc[staffId] = { staffId: payment.tip_staff?.id || null, name: payment.tip_staff?.name || null, tips: 0, count: 0 };
+        }
+        acc[staffId].tips += tip;
+        acc[staffId].count += 1;
+        return acc;
+      }, {});
+      const tipRows = Object.values(tipsByStaff)
+        .map(row => ({ ...row, tips: Math.round(row.tips * 100) / 100 }))
+        .sort((a, b) => b.tips - a.tips);
+      const totalTips = Math.round(tipRows.reduce((sum, row) => sum + row.tips, 0) * 100) / 100;
+
       // Revenue by service category
       const revenueByCategory = payments.reduce((acc, payment) => {
         const category = payment.services?.category || 'Other';
@@ -394,6 +401,7 @@ class PaymentController {
             totalRevenue,
             totalTransactions,
             averageTransaction,
+            totalTips,
             currency: payments[0]?.currency || 'usd'
           },
           growth: {
@@ -406,7 +414,8 @@ class PaymentController {
           },
           breakdown: {
             byCategory: revenueByCategory,
-            topServices
+            topServices,
+            tipsByStaff: tipRows
           }
         }
       });
@@ -472,206 +481,6 @@ class PaymentController {
     }
   }
 
-  // Handle successful payment webhook
-  async handlePaymentSuccess(paymentIntent) {
-    try {
-      // Extract metadata to find the booking if payment record doesn't exist yet
-      const metadata = paymentIntent.metadata || {};
-      const { userId, serviceId, salonId } = metadata;
-
-      // Try to find existing payment record
-      let { data: existingPayment } = await supabase
-        .from('payments')
-        .select('*')
-        .eq('stripe_payment_intent_id', paymentIntent.id)
-        .single();
-
-      // If no payment record exists, try to find booking and create payment record
-      if (!existingPayment && userId && serviceId && salonId) {
-        // Find the most recent booking for this user/service/salon that doesn't have a payment yet
-        const { data: booking } = await supabase
-          .from('bookings')
-          .select('id')
-          .eq('client_id', userId)
-          .eq('salon_id', salonId)
-          .eq('service_id', serviceId)
-          .order('created_at', { ascending: false })
-          .limit(1)
-          .single();
-
-        if (booking) {
-          // Check if payment record already exists for this booking
-          const { data: bookingPayment } = await supabase
-            .from('payments')
-            .select('*')
-            .eq('booking_id', booking.id)
-            .single();
-
-          if (!bookingPayment) {
-            // Create payment record linked to booking
-            const { data: newPayment } = await supabase
-              .from('payments')
-              .insert([{
-                booking_id: booking.id,
-                stripe_payment_intent_id: paymentIntent.id,
-                amount: paymentIntent.amount / 100, // Convert from cents
-                currency: paymentIntent.currency.toUpperCase(),
-                status: 'completed'
-              }])
-              .select()
-              .single();
-
-            existingPayment = newPayment;
-            console.log(`✅ Created and linked payment record for booking ${booking.id}`);
-          } else {
-            // Update existing payment record with payment intent ID
-            const { data: updatedPayment } = await supabase
-              .from('payments')
-              .update({
-                stripe_payment_intent_id: paymentIntent.id,
-                status: 'completed'
-        })
-              .eq('booking_id', booking.id)
-              .select()
-              .single();
-
-            existingPayment = updatedPayment;
-            console.log(`✅ Linked payment intent to existing payment record for booking ${booking.id}`);
-          }
-        }
-      }
-
-      // Update payment status if record exists
-      if (existingPayment) {
-        const { error } = await supabase
-        .from('payments')
-        .update({ 
-            status: 'completed'
-        })
-          .eq('id', existingPayment.id);
-
-      if (error) {
-        console.error('Failed to update payment status:', error);
-        } else {
-          console.log(`✅ Payment succeeded and updated: ${paymentIntent.id}`);
-          
-          // Also update booking status if payment is linked to a booking
-          if (existingPayment.booking_id) {
-            const { error: bookingError } = await supabase
-              .from('bookings')
-              .update({
-                status: 'confirmed',
-                updated_at: new Date().toISOString()
-              })
-              .eq('id', existingPayment.booking_id);
-            
-            if (bookingError) {
-              console.error('Failed to update booking status:', bookingError);
-            } else {
-              console.log(`✅ Updated booking ${existingPayment.booking_id} status to 'confirmed'`);
-            }
-          }
-
-          // WhatsApp: notify customer and salon owner (from salon's number)
-          if (existingPayment.booking_id) {
-            try {
-              const { data: booking } = await supabaseAdmin
-                .from('bookings')
-                .select('client_id, salon_id, appointment_date, start_time')
-                .eq('id', existingPayment.booking_id)
-                .single();
-              if (booking) {
-                const { data: salonData } = await supabaseAdmin
-                  .from('salons')
-                  .select('owner_id, business_name, whatsapp_phone_number_id')
-                  .eq('id', booking.salon_id)
-                  .single();
-                const salonPhoneId = salonData?.whatsapp_phone_number_id || null;
-                if (whatsappService.isEnabled(salonPhoneId)) {
-                  const amount = (existingPayment.amount || paymentIntent.amount / 100).toFixed(2);
-                  const date = booking.appointment_date || new Date().toISOString().split('T')[0];
-                  const payload = { amount: `€${amount}`, salonName: salonData?.business_name || 'Salon', date };
-
-                  const recipients = [];
-                  const { data: clientProfile } = await supabaseAdmin
-                    .from('user_profiles')
-                    .select('phone')
-                    .eq('id', booking.client_id)
-                    .single();
-                  if (clientProfile?.phone) recipients.push(clientProfile.phone);
-                  if (salonData?.owner_id) {
-                    const { data: ownerProfile } = await supabaseAdmin
-                      .from('user_profiles')
-                      .select('phone')
-                      .eq('id', salonData.owner_id)
-                      .single();
-                    if (ownerProfile?.phone && !recipients.includes(ownerProfile.phone)) {
-                      recipients.push(ownerProfile.phone);
-                    }
-                  }
-                  for (const phone of recipients) {
-                    await whatsappService.sendPaymentSuccessNotification(phone, payload, 'en', salonPhoneId);
-                  }
-                }
-              }
-            } catch (waErr) {
-              console.warn('WhatsApp payment notification failed:', waErr?.message || waErr);
-            }
-          }
-        }
-      } else {
-        console.warn(`⚠️ Payment succeeded but no booking found to link: ${paymentIntent.id}`);
-      }
-    } catch (error) {
-      console.error('Error handling payment success:', error);
-    }
-  }
-
-  // Handle failed payment webhook
-  async handlePaymentFailure(paymentIntent) {
-    try {
-      // Find payment record
-      const { data: payment } = await supabase
-        .from('payments')
-        .select('booking_id')
-        .eq('stripe_payment_intent_id', paymentIntent.id)
-        .single();
-
-      // Update payment status
-      const { error } = await supabase
-        .from('payments')
-        .update({ 
-          status: 'failed'
-        })
-        .eq('stripe_payment_intent_id', paymentIntent.id);
-
-      if (error) {
-        console.error('Failed to update payment status:', error);
-      }
-
-      // Also update booking status if payment is linked to a booking
-      if (payment && payment.booking_id) {
-        const { error: bookingError } = await supabase
-          .from('bookings')
-          .update({
-            status: 'pending', // Reset to pending on failure
-            updated_at: new Date().toISOString()
-          })
-          .eq('id', payment.booking_id);
-        
-        if (bookingError) {
-          console.error('Failed to update booking status:', bookingError);
-        } else {
-          console.log(`✅ Updated booking ${payment.booking_id} status to 'pending'`);
-        }
-      }
-
-      console.log(`Payment failed: ${paymentIntent.id}`);
-    } catch (error) {
-      console.error('Error handling payment failure:', error);
-    }
-  }
-
   // Update payment status manually (for cash/physical payments - salon owner only)
   updatePaymentStatus = asyncHandler(async (req, res) => {
     const { bookingId } = req.params;
@@ -738,7 +547,7 @@ class PaymentController {
       .from('bookings')
       .select(`
         *,
-        salons(owner_id, stripe_account_id, business_name),
+        salons(*),
         services(name, price),
         user_profiles!client_id(email, first_name, last_name)
       `)
@@ -772,7 +581,8 @@ class PaymentController {
         .from('payments')
         .insert([{
           booking_id: bookingId,
-          amount: booking.services.price,
+          amount: booking.total_price ?? booking.services.price,
+          discount_amount: Number(booking.discount_amount || 0),
           currency: 'EUR',
           status: 'pending'
         }])
@@ -790,7 +600,7 @@ class PaymentController {
       bookingId: bookingId,
       amount: payment.amount,
       currency: payment.currency || 'eur',
-      connectedAccountId: booking.salons.stripe_account_id,
+      salon: booking.salons,
       productName: `${booking.services.name} - ${booking.salons.business_name}`,
       description: `Payment for booking on ${booking.appointment_date} at ${booking.start_time}`,
       successUrl: `${process.env.FRONTEND_URL || 'http://localhost:3000'}/payment-success?session_id={CHECKOUT_SESSION_ID}&booking_id=${bookingId}`,
@@ -825,68 +635,146 @@ class PaymentController {
     });
   });
 
-  // Handle checkout session completed webhook
-  async handleCheckoutSessionCompleted(session) {
-    try {
-      const { booking_id } = session.metadata || {};
-      
-      if (!booking_id) {
-        console.warn('⚠️ Checkout session completed but no booking_id in metadata:', session.id);
-        return;
-      }
+  // Refund (part of) a booking's card payment (salon owner only)
+  refundBookingPayment = asyncHandler(async (req, res) => {
+    const { bookingId } = req.params;
+    const { amount, reason, reason_code, payment_id } = req.body;
 
-      // Update payment record
-      const { error: updateError } = await supabase
-        .from('payments')
-        .update({
-          status: 'completed',
-          stripe_checkout_session_id: session.id,
-          stripe_payment_intent_id: session.payment_intent,
-          payment_method: 'card'
-        })
-        .eq('booking_id', booking_id);
+    if (!reason || !String(reason).trim()) {
+      throw new AppError('A reason for the refund is required', 400, 'REFUND_REASON_REQUIRED');
+    }
+    if (amount !== undefined && amount !== null && !(Number(amount) > 0)) {
+      throw new AppError('amount must be a positive number', 400, 'INVALID_REFUND_AMOUNT');
+    }
 
-      if (updateError) {
-        console.error('Failed to update payment from checkout session:', updateError);
-      } else {
-        console.log(`✅ Payment completed via checkout session for booking ${booking_id}`);
-      }
-    } catch (error) {
-      console.error('Error handling checkout session completed:', error);
+    const booking = await this._getBookingWithSalon(bookingId);
+    if (booking.salons.owner_id !== req.user.id) {
+      throw new AppError('Access denied: Not the salon owner', 403, 'ACCESS_DENIED');
+    }
+
+    const { data: payments, error: paymentsError } = await supabaseAdmin
+      .from('payments')
+      .select('*')
+      .eq('booking_id', bookingId);
+
+    if (paymentsError) {
+      throw new AppError('Failed to fetch payments', 500, 'PAYMENT_FETCH_FAILED');
+    }
+
+    // The booking payment, unless a specific one (deposit, fee) is given
+    const payment = payment_id
+      ? (payments || []).find(p => p.id === payment_id)
+      : (payments || []).find(p => (p.payment_type || 'booking') === 'booking');
+    if (!payment) {
+      throw new AppError('Payment not found', 404, 'PAYMENT_NOT_FOUND');
+    }
+
+    const refund = await refundService.refundPayment(payment, {
+      amount,
+      note: String(reason).trim().slice(0, 500),
+      reasonCode: reason_code || undefined,
+      initiatedBy: 'salon',
+      userId: req.user.id
+    });
+
+    const { data: updatedPayment } = await supabaseAdmin
+      .from('payments')
+      .select('*')
+      .eq('id', payment.id)
+      .single();
+
+    res.status(201).json({
+      success: true,
+      data: { refund, payment: updatedPayment }
+    });
+  });
+
+  // Refunds of a booking (salon owner or the client)
+  getBookingRefunds = asyncHandler(async (req, res) => {
+    const { bookingId } = req.params;
+
+    const booking = await this._getBookingWithSalon(bookingId);
+    if (booking.salons.owner_id !== req.user.id && booking.client_id !== req.user.id) {
+      throw new AppError('Access denied', 403, 'ACCESS_DENIED');
+    }
+
+    const refunds = await refundService.getRefundsForBooking(bookingId);
+
+    res.json({
+      success: true,
+      data: { refunds }
+    });
+  });
+
+  // Invoice of a completed payment as PDF (?format=json for the document and its credit notes)
+  getInvoice = asyncHandler(async (req, res) => {
+    await this._getAccessiblePayment(req.params.paymentId, req.user.id);
+
+    const invoice = await invoiceService.getOrIssueInvoice(req.params.paymentId);
+
+    if (req.query.format === 'json') {
+      const creditNotes = await invoiceService.getCreditNotes(req.params.paymentId);
+      return res.json({
+        success: true,
+        data: { invoice, credit_notes: creditNotes }
+      });
     }
+
+    this._sendPdf(res, await invoiceService.renderPdf(invoice), `invoice-${invoice.number}.pdf`);
+  });
+
+  // Credit note of a refund as PDF
+  getCreditNote = asyncHandler(async (req, res) => {
+    const { paymentId, creditNoteId } = req.params;
+    await this._getAccessiblePayment(paymentId, req.user.id);
+
+    const creditNotes = await invoiceService.getCreditNotes(paymentId);
+    const creditNote = creditNotes.find(note => note.id === creditNoteId);
+    if (!creditNote) {
+      throw new AppError('Credit note not found', 404, 'CREDIT_NOTE_NOT_FOUND');
+    }
+
+    this._sendPdf(res, await invoiceService.renderPdf(creditNote), `credit-note-${creditNote.number}.pdf`);
+  });
+
+  _sendPdf(res, pdf, filename) {
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="${filename}"`,
+      'Content-Length': pdf.length
+    });
+    res.send(pdf);
   }
 
-  // Handle subscription changes webhook
-  async handleSubscriptionChange(subscription) {
-    try {
-      const salonId = subscription.metadata.salonId;
-      
-      if (!salonId) {
-        console.error('No salon ID in subscription metadata');
-        return;
-      }
+  // A payment of the user's own booking or of a booking at the salon they own
+  async _getAccessiblePayment(paymentId, userId) {
+    const { data: payment, error } = await supabaseAdmin
+      .from('payments')
+      .select('id, booking_id, bookings(client_id, salons(owner_id))')
+      .eq('id', paymentId)
+      .maybeSingle();
 
-      const { error } = await supabase
-        .from('salon_subscriptions')
-        .upsert({
-          salon_id: salonId,
-          stripe_subscription_id: subscription.id,
-          status: subscription.status,
-          current_period_start: new Date(subscription.current_period_start * 1000).toISOString(),
-          current_period_end: new Date(subscription.current_period_end * 1000).toISOString(),
-          updated_at: new Date().toISOString()
-        });
+    if (error || !payment) {
+      throw new AppError('Payment not found', 404, 'PAYMENT_NOT_FOUND');
+    }
+    if (payment.bookings?.client_id !== userId && payment.bookings?.salons?.owner_id !== userId) {
+      throw new AppError('Access denied', 403, 'ACCESS_DENIED');
+    }
+    return payment;
+  }
 
-      if (error) {
-        console.error('Failed to update subscription status:', error);
-      }
+  async _getBookingWithSalon(bookingId) {
+    const { data: booking, error } = await supabaseAdmin
+      .from('bookings')
+      .select('id, client_id, salon_id, salons(owner_id)')
+      .eq('id', bookingId)
+      .single();
 
-      console.log(`Subscription updated: ${subscription.id}`);
-    } catch (error) {
-      console.error('Error handling subscription change:', error);
+    if (error || !booking) {
+      throw new AppError('Booking not found', 404, 'BOOKING_NOT_FOUND');
     }
+    return booking;
   }
 }
 
 module.exports = new PaymentController();
-
@@ -0,0 +1,166 @@
+const { supabaseAdmin } = require('../config/database');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const { validatePromotion } = require('../utils/discounts');
+
+const PROMOTION_FIELDS = [
+  'name',
+  'code',
+  'discount_type',
+  'discount_value',
+  'first_visit_only',
+  'days_of_week',
+  'start_time',
+  'end_time',
+  'service_ids',
+  'valid_from',
+  'valid_until',
+  'max_uses',
+  'max_uses_per_client',
+  'is_active'
+];
+
+class PromotionController {
+  // List the salon's promo codes and discount rules (salon owner)
+  getPromotions = asyncHandler(async (req, res) => {
+    const salon = await this._getOwnerSalon(req.user.id);
+
+    const { data: promotions, error } = await supabaseAdmin
+      .from('promotions')
+      .select('*')
+      .eq('salon_id', salon.id)
+      .order('created_at', { ascending: false });
+
+    if (error) {
+      throw new AppError('Failed to fetch promotions', 500, 'PROMOTION_FETCH_FAILED');
+    }
+
+    res.status(200).json({
+      success: true,
+      data: { promotions: promotions || [] }
+    });
+  });
+
+  // Create a promo code (with code) or an automatic rule (without)
+  createPromotion = asyncHandler(async (req, res) => {
+    const salon = await this._getOwnerSalon(req.user.id);
+    const fields = this._pickFields(req.body);
+
+    const validationError = validatePromotion(fields);
+    if (validationError) {
+      throw new AppError(validationError, 400, 'INVALID_PROMOTION');
+    }
+
+    const { data: promotion, error } = await supabaseAdmin
+      .from('promotions')
+      .insert([{ ...fields, salon_id: salon.id }])
+      .select()
+      .single();
+
+    if (error) {
+      this._throwSaveError(error);
+    }
+
+    res.status(201).json({
+      success: true,
+      data: { promotion }
+    });
+  });
+
+  // Change a promotion (uses so far are kept)
+  updatePromotion = asyncHandler(async (req, res) => {
+    const salon = await this._getOwnerSalon(req.user.id);
+    const existing = await this._getSalonPromotion(salon.id, req.params.promotionId);
+    const fields = this._pickFields(req.body);
+
+    const validationError = validatePromotion({ ...existing, ...fields });
+    if (validationError) {
+      throw new AppError(validationError, 400, 'INVALID_PROMOTION');
+    }
+
+    const { data: promotion, error } = await supabaseAdmin
+      .from('promotions')
+      .update({ ...fields, updated_at: new Date().toISOString() })
+      .eq('id', existing.id)
+      .select()
+      .single();
+
+    if (error) {
+      this._throwSaveError(error);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: { promotion }
+    });
+  });
+
+  // Switch a promotion off; bookings that used it keep their discount
+  deactivatePromotion = asyncHandler(async (req, res) => {
+    const salon = await this._getOwnerSalon(req.user.id);
+    const existing = await this._getSalonPromotion(salon.id, req.params.promotionId);
+
+    const { data: promotion, error } = await supabaseAdmin
+      .from('promotions')
+      .update({ is_active: false, updated_at: new Date().toISOString() })
+      .eq('id', existing.id)
+      .select()
+      .single();
+
+    if (error) {
+      this._throwSaveError(error);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: { promotion }
+    });
+  });
+
+  _pickFields(body) {
+    const fields = {};
+    for (const key of PROMOTION_FIELDS) {
+      if (body[key] !== undefined) fields[key] = body[key];
+    }
+    if (typeof fields.code === 'string') {
+      fields.code = fields.code.trim().toUpperCase() || null;
+    }
+    return fields;
+  }
+
+  _throwSaveError(error) {
+    if (error.code === '23505') {
+      throw new AppError('This salon already has a promotion with that code', 409, 'PROMO_CODE_TAKEN');
+    }
+    console.error('❌ Error saving promotion:', error);
+    throw new AppError('Failed to save promotion', 500, 'PROMOTION_SAVE_FAILED');
+  }
+
+  async _getOwnerSalon(userId) {
+    const { data: salon, error } = await supabaseAdmin
+      .from('salons')
+      .select('id')
+      .eq('owner_id', userId)
+      .maybeSingle();
+
+    if (error || !salon) {
+      throw new AppError('Salon not found', 404, 'SALON_NOT_FOUND');
+    }
+    return salon;
+  }
+
+  async _getSalonPromotion(salonId, promotionId) {
+    const { data: promotion, error } = await supabaseAdmin
+      .from('promotions')
+      .select('*')
+      .eq('id', promotionId)
+      .eq('salon_id', salonId)
+      .maybeSingle();
+
+    if (error || !promotion) {
+      throw new AppError('Promotion not found', 404, 'PROMOTION_NOT_FOUND');
+    }
+    return promotion;
+  }
+}
+
+module.exports = new PromotionController();
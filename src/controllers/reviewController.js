@@ -1,6 +1,7 @@
 const { supabase, supabaseAdmin } = require('../config/database');
 const { asyncHandler, AppError } = require('../middleware/errorHandler');
 const emailService = require('../services/emailService');
+const notificationService = require('../services/notificationService');
 const supabaseService = require('../services/supabaseService');
 const aiService = require('../services/aiService');
 
@@ -265,9 +266,9 @@ class ReviewController {
         });
       }
 
-      // Send email notification to salon owner
+      // Notify the salon owner (inbox and email)
       try {
-        await this._sendReviewNotificationEmail(review, clientData, salon_id);
+        await this._sendReviewNotifications(review, clientData, salon_id);
       } catch (emailError) {
         console.error('Failed to send review notification email:', emailError);
         // Don't fail the review creation if email fails
@@ -630,8 +631,8 @@ class ReviewController {
     }
   }
 
-  // Send email notification to salon owner when they receive a review
-  async _sendReviewNotificationEmail(review, client, salonId) {
+  // Notify the salon owner when they receive a review: inbox, then email
+  async _sendReviewNotifications(review, client, salonId) {
     try {
       // Get salon information
       const { data: salon, error: salonError } = await supabaseAdmin
@@ -657,6 +658,8 @@ class ReviewController {
         return;
       }
 
+      await notificationService.notify(owner.id, 'review_received', { review, client, salon });
+
       // Get service name if booking_id exists
       let serviceName = 'Service';
       if (review.booking_id) {
@@ -686,22 +689,20 @@ class ReviewController {
         return;
       }
 
-      // Get owner's language preference (default to 'en' if not set)
-      const ownerLanguage = owner.language || 'en';
-
-      // Send email notification
+      // Send email notification, in the owner's language
       await emailService.sendReviewNotification({
         salon: {
           business_name: salon.business_name,
           email: recipientEmail,
         },
         owner: {
+          id: owner.id,
           first_name: owner.first_name,
           last_name: owner.last_name,
-          language: ownerLanguage,
+          language: owner.language,
         },
         client: {
-          first_name: client?.first_name || 'A client',
+          first_name: client?.first_name || '',
           last_name: client?.last_name || '',
         },
         review: {
@@ -739,7 +740,7 @@ class ReviewController {
       // Get the review
       const { data: review, error: reviewError } = await supabaseAdmin
         .from('reviews')
-        .select('id, salon_id')
+        .select('id, salon_id, client_id')
         .eq('id', reviewId)
         .single();
 
@@ -758,7 +759,7 @@ class ReviewController {
       // Get the salon to verify ownership
       const { data: salon, error: salonError } = await supabaseAdmin
         .from('salons')
-        .select('id, owner_id')
+        .select('id, owner_id, business_name')
         .eq('id', review.salon_id)
         .single();
 
@@ -799,6 +800,10 @@ class ReviewController {
         throw new AppError('Failed to add reply', 500, 'REPLY_UPDATE_FAILED');
       }
 
+      if (review.client_id) {
+        await notificationService.notify(review.client_id, 'review_reply', { review: updatedReview, salon });
+      }
+
       res.status(200).json({
         success: true,
         data: {
@@ -4,6 +4,14 @@ const stripeService = require('../services/stripeService');
 const supabaseService = require('../services/supabaseService');
 const { asyncHandler, AppError } = require('../middleware/errorHandler');
 const config = require('../config');
+const { getDayKey } = require('../utils/availability');
+const { getSalonTimezone, nowInZone, isValidTimezone } = require('../utils/timezone');
+const { validateCancellationPolicy } = require('../utils/cancellationPolicy');
+const { validateCompanyDetails, normalizeVatNumber } = require('../utils/invoices');
+const { validateReminderOffsets, normalizeReminderOffsets } = require('../utils/reminders');
+const clientReliabilityService = require('../services/clientReliabilityService');
+const planService = require('../services/planService');
+const notificationService = require('../services/notificationService');
 
 const DAY_KEYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
 
@@ -90,6 +98,7 @@ class SalonController {
       phone,
       email,
       business_hours,
+      timezone,
       latitude: providedLatitude,
       longitude: providedLongitude
     } = req.body;
@@ -107,6 +116,9 @@ class SalonController {
     if (!zip_code) {
       throw new AppError('Zip code is required', 400, 'MISSING_ZIP_CODE');
     }
+    if (timezone !== undefined && !isValidTimezone(timezone)) {
+      throw new AppError('Invalid timezone', 400, 'INVALID_TIMEZONE');
+    }
 
     try {
       // Debug logging
@@ -173,6 +185,7 @@ class SalonController {
           phone,
           email,
           business_hours,
+          timezone: timezone || config.booking.default_timezone,
           latitude,
           longitude
         }])
@@ -383,9 +396,48 @@ class SalonController {
       images,
       latitude: providedLatitude,
       longitude: providedLongitude,
-      whatsapp_phone_number_id
+      whatsapp_phone_number_id,
+      timezone,
+      free_cancel_window_hours,
+      late_cancel_fee_percent,
+      no_show_fee_percent,
+      deposit_after_no_shows,
+      deposit_percent,
+      legal_name,
+      kvk_number,
+      vat_number,
+      invoice_address,
+      reminder_offsets_hours
     } = req.body;
 
+    if (timezone !== undefined && !isValidTimezone(timezone)) {
+      throw new AppError('Invalid timezone', 400, 'INVALID_TIMEZONE');
+    }
+
+    const policyError = validateCancellationPolicy(req.body);
+    if (policyError) {
+      throw new AppError(policyError, 400, 'INVALID_CANCELLATION_POLICY');
+    }
+
+    if (deposit_after_no_shows !== undefined && deposit_after_no_shows !== null &&
+        (!Number.isInteger(Number(deposit_after_no_shows)) || Number(deposit_after_no_shows) < 0)) {
+      throw new AppError('deposit_after_no_shows must be 0 or more', 400, 'INVALID_DEPOSIT_RULE');
+    }
+    if (deposit_percent !== undefined && deposit_percent !== null &&
+        (!(Number(deposit_percent) > 0) || Number(deposit_percent) > 100)) {
+      throw new AppError('deposit_percent must be between 0 and 100', 400, 'INVALID_DEPOSIT_RULE');
+    }
+
+    const companyError = validateCompanyDetails(req.body);
+    if (companyError) {
+      throw new AppError(companyError, 400, 'INVALID_COMPANY_DETAILS');
+    }
+
+    const reminderError = reminder_offsets_hours !== undefined ? validateReminderOffsets(reminder_offsets_hours) : null;
+    if (reminderError) {
+      throw new AppError(reminderError, 400, 'INVALID_REMINDER_OFFSETS');
+    }
+
     try {
       // Get coordinates: use provided coordinates from frontend, or geocode if not provided
       let latitude = undefined;
@@ -439,6 +491,25 @@ class SalonController {
 
       // Only update business_hours when explicitly provided (avoids overwriting with null)
       if (business_hours !== undefined) updateData.business_hours = business_hours;
+      if (timezone !== undefined) updateData.timezone = timezone;
+
+      // Cancellation policy (null = platform default)
+      if (free_cancel_window_hours !== undefined) updateData.free_cancel_window_hours = free_cancel_window_hours;
+      if (late_cancel_fee_percent !== undefined) updateData.late_cancel_fee_percent = late_cancel_fee_percent;
+      if (no_show_fee_percent !== undefined) updateData.no_show_fee_percent = no_show_fee_percent;
+
+      // Deposit after repeated no-shows (0/null = never)
+      if (deposit_after_no_shows !== undefined) updateData.deposit_after_no_shows = deposit_after_no_shows;
+      if (deposit_percent !== undefined) updateData.deposit_percent = deposit_percent;
+
+      // Client reminders, in hours before the appointment ([] = none)
+      if (reminder_offsets_hours !== undefined) updateData.reminder_offsets_hours = normalizeReminderOffsets(reminder_offsets_hours);
+
+      // Company details printed on invoices
+      if (legal_name !== undefined) updateData.legal_name = legal_name || null;
+      if (kvk_number !== undefined) updateData.kvk_number = kvk_number ? String(kvk_number).replace(/\s/g, '') : null;
+      if (vat_number !== undefined) updateData.vat_number = vat_number ? normalizeVatNumber(vat_number) : null;
+      if (invoice_address !== undefined) updateData.invoice_address = invoice_address || null;
 
       // Add coordinates if geocoded
       if (latitude !== undefined) updateData.latitude = latitude;
@@ -880,12 +951,11 @@ class SalonController {
 
       // Filter by open_now (business hours check - requires JSON parsing)
       if (open_now === 'true' || openNow === 'true' || open_now === true || openNow === true) {
-        const now = new Date();
-        const dayOfWeek = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'][now.getDay()];
-        const currentTime = `${now.getHours().toString().padStart(2, '0')}:${now.getMinutes().toString().padStart(2, '0')}`;
-        
             filteredSalons = filteredSalons.filter(salon => {
           if (!salon.business_hours) return false;
+          // "Now" in the salon's own timezone
+          const { date, time: currentTime } = nowInZone(getSalonTimezone(salon));
+          const dayOfWeek = getDayKey(date);
           const dayHours = salon.business_hours[dayOfWeek];
           if (!dayHours || dayHours.closed === true || dayHours.closed === 'true') return false;
           const openTime = dayHours.open || dayHours.opening;
@@ -1434,6 +1504,15 @@ class SalonController {
         return acc;
       }, []);
 
+      // No-shows, late cancellations and a reliability score per client at this salon
+      const reliability = await clientReliabilityService.getReliabilityForClients(
+        salon.id,
+        uniqueClients.map(client => client.id)
+      );
+      for (const client of uniqueClients) {
+        client.reliability = reliability.get(client.id) || clientReliabilityService.summarize([]);
+      }
+
       res.status(200).json({
         success: true,
         data: {
@@ -1994,7 +2073,7 @@ class SalonController {
 
     const { data: salon, error: salonError } = await supabaseAdmin
       .from('salons')
-      .select('id, owner_id, business_name')
+      .select('id, owner_id, business_name, subscription_plan, subscription_status, trial_ends_at, grace_period_ends_at')
       .eq('join_code', normalizedCode)
       .single();
 
@@ -2020,6 +2099,8 @@ class SalonController {
       });
     }
 
+    await planService.assertCanAddStaff(salon);
+
     const userProfile = await supabaseService.getUserProfile(req.user.id).catch(() => null);
     const displayName = userProfile ? [userProfile.first_name, userProfile.last_name].filter(Boolean).join(' ') : req.user.email?.split('@')[0] || 'Employee';
 
@@ -2186,10 +2267,11 @@ class SalonController {
 
     const bookingIds = (bookings || []).map(b => b.id).filter(Boolean);
     let paymentByBooking = {};
+    let tipPayments = [];
     if (bookingIds.length > 0) {
       const { data: payments, error: payError } = await supabaseAdmin
         .from('payments')
-        .select('booking_id, amount, status')
+        .select('booking_id, amount, tip_amount, tip_staff_id, status')
         .in('booking_id', bookingIds)
         .in('status', ['succeeded', 'paid', 'completed']);
 
@@ -2197,6 +2279,7 @@ class SalonController {
         payments.forEach(p => {
           if (p.booking_id) paymentByBooking[p.booking_id] = parseFloat(p.amount || 0);
         });
+        tipPayments = payments.filter(p => parseFloat(p.tip_amount || 0) > 0);
       }
     }
 
@@ -2220,7 +2303,9 @@ class SalonController {
         avatar_url,
         bookings_count: 0,
         completed_count: 0,
-        revenue: 0
+        revenue: 0,
+        tips: 0,
+        tips_count: 0
       };
     }
 
@@ -2233,8 +2318,19 @@ class SalonController {
       if (amt) statsByStaff[b.staff_id].revenue += amt;
     });
 
+    // Tips go to the staff member they were given to, separate from revenue
+    tipPayments.forEach(p => {
+      const stats = statsByStaff[p.tip_staff_id];
+      if (!stats) return;
+      stats.tips += parseFloat(p.tip_amount);
+      stats.tips_count++;
+    });
+
     const list = Object.values(statsByStaff);
-    list.forEach(s => { s.revenue = Math.round(s.revenue * 100) / 100; });
+    list.forEach(s => {
+      s.revenue = Math.round(s.revenue * 100) / 100;
+      s.tips = Math.round(s.tips * 100) / 100;
+    });
     list.sort((a, b) => (b.bookings_count || 0) - (a.bookings_count || 0));
 
     res.status(200).json({
@@ -2408,14 +2504,11 @@ class SalonController {
       .eq('id', salonId)
       .single();
     if (salonRow?.owner_id) {
-      const { error: notifErr } = await supabaseAdmin.from('notifications').insert({
-        user_id: salonRow.owner_id,
-        type: 'staff_clock_in',
-        title: 'Medewerker ingeklokt',
-        body: `${staffRow.name || 'Medewerker'} is ingeklokt.`,
-        data: { staff_id: staffRow.id, staff_name: staffRow.name, salon_id: salonId, clocked_in_at: now }
+      await notificationService.notify(salonRow.owner_id, 'staff_clock_in', {
+        staff: staffRow,
+        salonId,
+        clockedInAt: now
       });
-      if (notifErr) console.warn('Could not create clock-in notification for owner:', notifErr.message);
     }
     res.status(200).json({
       success: true,
@@ -2482,15 +2575,22 @@ class SalonController {
     }
     const bookingIds = (bookings || []).map(b => b.id).filter(Boolean);
     let revenue = 0;
+    let tips = 0;
+    let tips_count = 0;
     if (bookingIds.length > 0) {
       const { data: payments } = await supabaseAdmin
         .from('payments')
-        .select('booking_id, amount')
+        .select('booking_id, amount, tip_amount, tip_staff_id')
         .in('booking_id', bookingIds)
         .in('status', ['succeeded', 'paid', 'completed']);
       const paymentByBooking = {};
       (payments || []).forEach(p => { if (p.booking_id) paymentByBooking[p.booking_id] = parseFloat(p.amount || 0); });
       revenue = (bookings || []).reduce((sum, b) => sum + (paymentByBooking[b.id] || 0), 0);
+      (payments || []).forEach(p => {
+        if (p.tip_staff_id !== staffRow.id || !(parseFloat(p.tip_amount) > 0)) return;
+        tips += parseFloat(p.tip_amount);
+        tips_count++;
+      });
     }
     const completed_count = (bookings || []).filter(b => b.status === 'completed').length;
     res.status(200).json({
@@ -2501,6 +2601,8 @@ class SalonController {
         bookings_count: (bookings || []).length,
         completed_count,
         revenue: Math.round(revenue * 100) / 100,
+        tips: Math.round(tips * 100) / 100,
+        tips_count,
         period_days: period
       }
     });
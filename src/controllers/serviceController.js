@@ -1,5 +1,6 @@
 const { asyncHandler, AppError } = require('../middleware/errorHandler');
 const { supabase, getAuthenticatedClient } = require('../config/database');
+const { validateVatRate } = require('../utils/invoices');
 
 class ServiceController {
   // Get all services for a salon
@@ -56,7 +57,7 @@ class ServiceController {
 
   // Create a new service
   createService = asyncHandler(async (req, res) => {
-    const { name, description, price, duration, category_id, is_active = true } = req.body;
+    const { name, description, price, duration, category_id, is_active = true, vat_rate } = req.body;
 
     // Validate required fields
     if (!name || name.trim() === '') {
@@ -68,6 +69,10 @@ class ServiceController {
     if (!duration || isNaN(parseInt(duration)) || parseInt(duration) <= 0) {
       throw new AppError('Valid duration is required', 400, 'VALIDATION_ERROR');
     }
+    const vatRateError = validateVatRate(vat_rate);
+    if (vatRateError) {
+      throw new AppError(vatRateError, 400, 'VALIDATION_ERROR');
+    }
 
     // Get user's salon
     const { data: salon, error: salonError } = await supabase
@@ -111,7 +116,9 @@ class ServiceController {
           price: parseFloat(price),
           duration: parseInt(duration),
           category_id: finalCategoryId,
-          is_active
+          is_active,
+          // VAT included in the price; null = platform default (config.invoice)
+          vat_rate: vat_rate ?? null
         })
         .select(`
           *,
@@ -146,7 +153,12 @@ class ServiceController {
   // Update a service
   updateService = asyncHandler(async (req, res) => {
     const { serviceId } = req.params;
-    const { name, description, price, duration, category_id, is_active } = req.body;
+    const { name, description, price, duration, category_id, is_active, vat_rate } = req.body;
+
+    const vatRateError = validateVatRate(vat_rate);
+    if (vatRateError) {
+      throw new AppError(vatRateError, 400, 'VALIDATION_ERROR');
+    }
 
     // Get user's salon
     const { data: salon, error: salonError } = await supabase
@@ -173,6 +185,7 @@ class ServiceController {
         updateData.category_id = (category_id && category_id.trim() !== '') ? category_id : null;
       }
       if (is_active !== undefined) updateData.is_active = is_active;
+      if (vat_rate !== undefined) updateData.vat_rate = vat_rate;
 
       console.log('📝 Updating service:', serviceId, 'with data:', updateData);
       console.log('📝 Salon ID:', salonId);
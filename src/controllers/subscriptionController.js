@@ -2,13 +2,37 @@ const { supabase } = require('../config/database');
 const stripeService = require('../services/stripeService');
 const { asyncHandler, AppError } = require('../middleware/errorHandler');
 const config = require('../config');
+const planService = require('../services/planService');
+const {
+  getPlan,
+  isKnownPlan,
+  activePlan,
+  entitlementsFor,
+  hasEntitlement,
+  cheapestPlanWith,
+  listPlans
+} = require('../utils/plans');
+const { fromMinorUnits } = require('../utils/feePolicy');
 
 class SubscriptionController {
-  // Create premium subscription for salon owner
+  // List the plans and what each includes
+  getPlans = asyncHandler(async (req, res) => {
+    res.status(200).json({
+      success: true,
+      data: { plans: listPlans() }
+    });
+  });
+
+  // Create a paid plan subscription (plus by default) for salon owner
   createSubscription = asyncHandler(async (req, res) => {
-    const { payment_method_id } = req.body;
+    const { payment_method_id, plan: planId = 'plus' } = req.body;
 
     try {
+      const plan = getPlan(planId);
+      if (!isKnownPlan(planId) || !plan.price_id) {
+        throw new AppError('Unknown plan', 400, 'INVALID_PLAN');
+      }
+
       // Get salon and check if owner
       const { data: salon, error: salonError } = await supabase
         .from('salons')
@@ -20,8 +44,8 @@ class SubscriptionController {
         throw new AppError('Salon not found', 404, 'SALON_NOT_FOUND');
       }
 
-      if (salon.subscription_plan === 'plus' && salon.subscription_status === 'active') {
-        throw new AppError('Already subscribed to premium plan', 400, 'ALREADY_SUBSCRIBED');
+      if (salon.stripe_subscription_id && activePlan(salon) !== 'basic') {
+        throw new AppError('Already subscribed. Change your plan instead.', 400, 'ALREADY_SUBSCRIBED');
       }
 
       // Create customer if doesn't exist
@@ -54,14 +78,18 @@ class SubscriptionController {
       }
 
       // Create subscription with configurable trial period
-      const priceId = config.stripe.plus_plan_price_id;
-      const subscription = await stripeService.createSubscription(customerId, priceId, config.subscription.trial_days);
+      const subscription = await stripeService.createSubscription(
+        customerId,
+        plan.price_id,
+        config.subscription.trial_days,
+        { salon_id: salon.id, plan: plan.id }
+      );
 
       // Update salon record
       const { data: updatedSalon, error: updateError } = await supabase
         .from('salons')
         .update({
-          subscription_plan: 'plus',
+          subscription_plan: plan.id,
           subscription_status: subscription.status,
           stripe_subscription_id: subscription.id,
           trial_ends_at: subscription.trial_end ? new Date(subscription.trial_end * 1000).toISOString() : null,
@@ -108,7 +136,10 @@ class SubscriptionController {
           trial_ends_at,
           subscription_ends_at,
           stripe_subscription_id,
-          last_payment_date
+          last_payment_date,
+          payment_failed_at,
+          grace_period_ends_at,
+          downgraded_from_plan
         `)
         .eq('owner_id', req.user.id)
         .single();
@@ -125,6 +156,8 @@ class SubscriptionController {
       let accessStatus = 'active';
       if (salon.subscription_plan === 'basic') {
         accessStatus = 'basic';
+      } else if (salon.payment_failed_at && activePlan(salon) !== 'basic') {
+        accessStatus = 'grace_period'; // renewal failed, plan kept until grace_period_ends_at
       } else if (trialEnded && salon.subscription_status !== 'active') {
         accessStatus = 'expired';
       } else if (subscriptionExpired && salon.subscription_status !== 'active') {
@@ -135,6 +168,8 @@ class SubscriptionController {
         success: true,
         data: {
           ...salon,
+          active_plan: activePlan(salon),
+          entitlements: entitlementsFor(salon),
           access_status: accessStatus,
           days_remaining: salon.trial_ends_at ? 
             Math.max(0, Math.ceil((new Date(salon.trial_ends_at) - now) / (1000 * 60 * 60 * 24))) : 
@@ -249,7 +284,8 @@ class SubscriptionController {
           subscription_plan,
           subscription_status,
           trial_ends_at,
-          subscription_ends_at
+          subscription_ends_at,
+          grace_period_ends_at
         `)
         .eq('owner_id', req.user.id)
         .single();
@@ -264,21 +300,12 @@ class SubscriptionController {
 
       // Allow access if:
       // 1. Basic plan (always allowed)
-      // 2. Plus plan with active subscription
-      // 3. Plus plan within trial period
-      if (salon.subscription_plan === 'basic') {
-        req.subscriptionPlan = 'basic';
+      // 2. Paid plan with active subscription or within trial period
+      if (salon.subscription_plan === 'basic' || activePlan(salon) !== 'basic') {
+        req.subscriptionPlan = activePlan(salon);
         return next();
       }
 
-      if (salon.subscription_plan === 'plus') {
-        if (salon.subscription_status === 'active' || 
-            (salon.subscription_status === 'trialing' && !trialEnded)) {
-          req.subscriptionPlan = 'plus';
-          return next();
-        }
-      }
-
       // Access denied - subscription expired
       throw new AppError(
         'Premium subscription required. Please upgrade your plan to continue.',
@@ -304,6 +331,8 @@ class SubscriptionController {
           business_name,
           subscription_plan,
           subscription_status,
+          trial_ends_at,
+          grace_period_ends_at,
           is_featured,
           featured_until,
           trending_score,
@@ -322,8 +351,7 @@ class SubscriptionController {
       const isFeatured = salon.is_featured && 
                         (!salon.featured_until || new Date(salon.featured_until) > now);
 
-      const canBeFeatured = ['premium', 'professional', 'enterprise'].includes(salon.subscription_plan) &&
-                           salon.subscription_status === 'active';
+      const canBeFeatured = hasEntitlement(salon, 'featured_listing');
 
       res.status(200).json({
         success: true,
@@ -342,7 +370,7 @@ class SubscriptionController {
             favorite_count: salon.favorite_count,
           },
           upgrade_info: {
-            required_plan: 'premium',
+            required_plan: cheapestPlanWith('featured_listing').id,
             benefits: [
               'Featured placement in app',
               'Priority in search results',
@@ -375,9 +403,8 @@ class SubscriptionController {
         throw new AppError('Salon not found', 404, 'SALON_NOT_FOUND');
       }
 
-      // Check if already subscribed to premium
-      if (['premium', 'professional', 'enterprise'].includes(salon.subscription_plan) &&
-          salon.subscription_status === 'active') {
+      // Check if already on a plan with featured listing
+      if (hasEntitlement(salon, 'featured_listing')) {
         // Just enable featured if not already
         if (!salon.is_featured) {
           await supabase
@@ -399,6 +426,15 @@ class SubscriptionController {
         });
       }
 
+      // An existing subscription is moved to the new plan (prorated) rather than a second one started
+      if (salon.stripe_subscription_id && activePlan(salon) !== 'basic') {
+        throw new AppError(
+          'Change your plan to one with featured listing instead',
+          409,
+          'PLAN_CHANGE_REQUIRED'
+        );
+      }
+
       // Create Stripe checkout session for premium subscription
       const stripe_service = require('../services/stripeService');
       
@@ -418,8 +454,8 @@ class SubscriptionController {
           .eq('id', salon.id);
       }
 
-      // Get premium price ID from environment
-      const premiumPriceId = process.env.STRIPE_PREMIUM_PRICE_ID || config.stripe.premium_price_id;
+      const featuredPlan = cheapestPlanWith('featured_listing');
+      const premiumPriceId = featuredPlan.price_id;
       if (!premiumPriceId) {
         throw new AppError('Premium plan not configured', 500, 'PREMIUM_PLAN_NOT_CONFIGURED');
       }
@@ -441,7 +477,11 @@ class SubscriptionController {
         metadata: {
           salon_id: salon.id,
           user_id: req.user.id,
-          upgrade_type: 'featured'
+          upgrade_type: 'featured',
+          plan: featuredPlan.id
+        },
+        subscription_data: {
+          metadata: { salon_id: salon.id, plan: featuredPlan.id }
         },
       });
 
@@ -461,6 +501,123 @@ class SubscriptionController {
       throw new AppError('Failed to create upgrade session', 500, 'UPGRADE_FAILED');
     }
   });
+
+  // Preview the prorated cost of switching plans
+  previewPlanChange = asyncHandler(async (req, res) => {
+    const { salon, currentPlan, targetPlan, upgrade } = await this._resolvePlanChange(req.user.id, req.query.plan);
+
+    const preview = await stripeService.previewSubscriptionChange(salon.stripe_subscription_id, targetPlan.price_id);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        current_plan: currentPlan.id,
+        new_plan: targetPlan.id,
+        change: upgrade ? 'upgrade' : 'downgrade',
+        // Upgrades are charged now; downgrade credit is taken off the next invoice
+        due_now: upgrade ? fromMinorUnits(Math.max(preview.proration_amount, 0), preview.currency) : 0,
+        proration_amount: fromMinorUnits(preview.proration_amount, preview.currency),
+        currency: preview.currency.toUpperCase(),
+        proration_date: preview.proration_date,
+        next_invoice_at: preview.next_payment_attempt
+          ? new Date(preview.next_payment_attempt * 1000).toISOString()
+          : null,
+        entitlements: targetPlan.entitlements
+      }
+    });
+  });
+
+  // Switch the salon's subscription to another paid plan, prorated through Stripe
+  changePlan = asyncHandler(async (req, res) => {
+    const { plan: planId, proration_date: prorationDate } = req.body;
+    const { salon, currentPlan, targetPlan, upgrade } = await this._resolvePlanChange(req.user.id, planId);
+
+    if (!upgrade) {
+      await planService.assertFitsPlan(salon, targetPlan.id);
+    }
+
+    const subscription = await stripeService.changeSubscriptionPlan(
+      salon.stripe_subscription_id,
+      targetPlan.price_id,
+      { upgrade, prorationDate: parseInt(prorationDate) || undefined }
+    );
+
+    const periodEnd = subscription.current_period_end ?? subscription.items?.data?.[0]?.current_period_end;
+    const updates = {
+      subscription_plan: targetPlan.id,
+      subscription_status: subscription.status,
+      subscription_ends_at: periodEnd ? new Date(periodEnd * 1000).toISOString() : salon.subscription_ends_at,
+      updated_at: new Date().toISOString()
+    };
+    if (!targetPlan.entitlements.featured_listing) {
+      updates.is_featured = false;
+      updates.featured_until = null;
+    }
+
+    const { data: updatedSalon, error } = await supabase
+      .from('salons')
+      .update(updates)
+      .eq('id', salon.id)
+      .select()
+      .single();
+
+    if (error) {
+      // Stripe has the new plan; the subscription webhook will bring the salon in line
+      console.error('❌ Error saving plan change:', error);
+      throw new AppError('Plan changed but the salon could not be updated', 500, 'SALON_UPDATE_FAILED');
+    }
+
+    console.log(`🔁 Salon ${salon.id} moved from ${currentPlan.id} to ${targetPlan.id}`);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        salon: updatedSalon,
+        change: upgrade ? 'upgrade' : 'downgrade',
+        subscription: {
+          id: subscription.id,
+          status: subscription.status,
+          current_period_end: periodEnd
+        },
+        entitlements: targetPlan.entitlements
+      }
+    });
+  });
+
+  // Owner's salon, its current paid plan and the plan to move to
+  async _resolvePlanChange(userId, planId) {
+    if (!planId || !isKnownPlan(planId)) {
+      throw new AppError('A valid plan is required', 400, 'INVALID_PLAN');
+    }
+
+    const { data: salon, error } = await supabase
+      .from('salons')
+      .select('*')
+      .eq('owner_id', userId)
+      .single();
+
+    if (error || !salon) {
+      throw new AppError('Salon not found', 404, 'SALON_NOT_FOUND');
+    }
+
+    const currentPlan = getPlan(activePlan(salon));
+    if (!salon.stripe_subscription_id || currentPlan.id === 'basic') {
+      throw new AppError('No active subscription to change. Subscribe to a plan first.', 409, 'NO_ACTIVE_SUBSCRIPTION');
+    }
+
+    const targetPlan = getPlan(planId);
+    if (targetPlan.id === 'basic') {
+      throw new AppError('Cancel your subscription to go back to Basic', 400, 'USE_CANCEL_FOR_BASIC');
+    }
+    if (targetPlan.id === currentPlan.id) {
+      throw new AppError(`Already on the ${currentPlan.name} plan`, 400, 'SAME_PLAN');
+    }
+    if (!targetPlan.price_id) {
+      throw new AppError(`${targetPlan.name} plan not configured`, 500, 'PLAN_NOT_CONFIGURED');
+    }
+
+    return { salon, currentPlan, targetPlan, upgrade: targetPlan.rank > currentPlan.rank };
+  }
 }
 
 module.exports = new SubscriptionController();
@@ -1,6 +1,8 @@
 const supabaseService = require('../services/supabaseService');
+const packageService = require('../services/packageService');
 const { supabaseAdmin } = require('../config/database');
 const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const { validateQuietHours } = require('../utils/notificationPreferences');
 const multer = require('multer');
 const config = require('../config');
 
@@ -58,6 +60,10 @@ class UserController {
         message: `Welcome to your ${userProfile.user_type === 'salon_owner' ? 'salon owner' : 'client'} dashboard!`
       };
 
+      if (userProfile.user_type === 'client') {
+        dashboardData.package_credits = await packageService.getClientCredits(req.user.id);
+      }
+
       res.status(200).json({
         success: true,
         data: dashboardData
@@ -101,9 +107,13 @@ class UserController {
             notifications_enabled: settings.notifications_enabled,
             email_notifications: settings.email_notifications,
             sms_notifications: settings.sms_notifications,
+            whatsapp_notifications: settings.whatsapp_notifications,
             push_notifications: settings.push_notifications,
             booking_reminders: settings.booking_reminders,
-            marketing_emails: settings.marketing_emails
+            marketing_emails: settings.marketing_emails,
+            quiet_hours_start: settings.quiet_hours_start,
+            quiet_hours_end: settings.quiet_hours_end,
+            timezone: settings.timezone
           }
         }
       });
@@ -119,20 +129,33 @@ class UserController {
       notifications_enabled,
       email_notifications,
       sms_notifications,
+      whatsapp_notifications,
       push_notifications,
       booking_reminders,
-      marketing_emails
+      marketing_emails,
+      quiet_hours_start,
+      quiet_hours_end,
+      timezone
     } = req.body;
 
+    const quietHoursError = validateQuietHours({ quiet_hours_start, quiet_hours_end, timezone });
+    if (quietHoursError) {
+      throw new AppError(quietHoursError, 400, 'INVALID_QUIET_HOURS');
+    }
+
     try {
       // Save notification settings to user_settings table
       const updatedSettings = await supabaseService.updateUserSettings(req.user.id, {
         notifications_enabled,
         email_notifications,
         sms_notifications,
+        whatsapp_notifications,
         push_notifications,
         booking_reminders,
-        marketing_emails
+        marketing_emails,
+        quiet_hours_start,
+        quiet_hours_end,
+        timezone
       }, req.token);
 
       res.status(200).json({
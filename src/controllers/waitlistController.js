@@ -1,5 +1,7 @@
 const { supabase } = require('../config/database');
 const emailService = require('../services/emailService');
+const notificationService = require('../services/notificationService');
+const availabilityService = require('../services/availabilityService');
 const { asyncHandler, AppError } = require('../middleware/errorHandler');
 
 class WaitlistController {
@@ -254,7 +256,7 @@ class WaitlistController {
     try {
       console.log(`🔄 Processing waitlist for cancelled booking: ${salonId}, ${serviceId}, ${cancelledDate}, ${cancelledTime}`);
 
-      // Find waitlist entries that match the cancelled slot
+      // Find waitlist entries that match the cancelled slot (oldest first)
       const { data: waitlistEntries } = await supabase
         .from('waitlist')
         .select(`
@@ -268,14 +270,35 @@ class WaitlistController {
         .eq('requested_date', cancelledDate)
         .eq('status', 'waiting')
         .order('created_at', { ascending: true })
-        .limit(1); // Get the first person in line
+        .limit(20);
 
       if (!waitlistEntries || waitlistEntries.length === 0) {
         console.log('ℹ️  No waitlist entries found for cancelled booking');
         return;
       }
 
-      const waitlistEntry = waitlistEntries[0];
+      // First person in line whose requested time (and stylist) is actually free now -
+      // same conflict check as booking creation, so we never notify about a slot that can't be booked
+      let waitlistEntry = null;
+      for (const entry of waitlistEntries) {
+        const requestedTime = entry.requested_time || cancelledTime;
+        const { available } = await availabilityService.checkSlot({
+          salon: entry.salons,
+          service: entry.services,
+          date: entry.requested_date,
+          startTime: requestedTime,
+          staffId: entry.staff_id || null
+        });
+        if (available) {
+          waitlistEntry = entry;
+          break;
+        }
+      }
+
+      if (!waitlistEntry) {
+        console.log('ℹ️  No waitlist entry fits the freed slot');
+        return;
+      }
 
       // Update waitlist entry status
       await supabase
@@ -293,6 +316,13 @@ class WaitlistController {
         waitlistEntry.user_profiles,
         waitlistEntry.salons
       );
+      await notificationService.notify(waitlistEntry.client_id, 'waitlist_slot_open', {
+        entry: waitlistEntry,
+        salon: waitlistEntry.salons,
+        serviceName: waitlistEntry.services?.name || 'Service',
+        date: waitlistEntry.requested_date,
+        time: (waitlistEntry.requested_time || cancelledTime)?.slice(0, 5)
+      });
 
       console.log(`✅ Notified waitlist user: ${waitlistEntry.user_profiles.first_name} ${waitlistEntry.user_profiles.last_name}`);
 
@@ -1,12 +1,13 @@
 /**
  * Booking Reminders Job
  * 
- * This job should be run on a schedule (e.g., via cron or node-cron)
- * Recommended schedule: Run every hour to check for bookings needing reminders
+ * Sends the booking reminders that are due. On Vercel this runs as
+ * /api/cron/send-booking-reminders (see vercel-cron.json); elsewhere run it on a schedule.
+ * Recommended schedule: every 15 minutes (reminders are tracked, so extra runs never resend)
  * 
  * Usage:
- * - Add to cron: "0 * * * * node jobs/bookingRemindersJob.js"
- * - Or use node-cron in your main app: cron.schedule('0 * * * *', ...)
+ * - Add to cron: "0,15,30,45 * * * * node jobs/bookingRemindersJob.js"
+ * - Or use node-cron in your main app: cron.schedule('0,15,30,45 * * * *', ...)
  */
 
 const bookingRemindersService = require('../services/bookingRemindersService');
@@ -15,12 +16,8 @@ async function runReminders() {
   try {
     console.log('🕐 Starting booking reminders job...');
     
-    // Send reminders for bookings 24 hours ahead
-    await bookingRemindersService.sendUpcomingReminders();
-    
-    // Also send same-day reminders (for bookings happening today)
-    await bookingRemindersService.sendSameDayReminders();
-    
+    await bookingRemindersService.processDue();
+
     console.log('✅ Booking reminders job completed');
     process.exit(0);
   } catch (error) {
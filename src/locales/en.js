@@ -0,0 +1,253 @@
+/**
+ * English email strings
+ *
+ * The reference bundle: every key used by services/emailTemplates.js is here, and other
+ * languages fall back to it. Placeholders are {name}; see utils/i18n.js.
+ */
+
+module.exports = {
+  meta: {
+    locale: 'en-GB'
+  },
+
+  common: {
+    greeting: 'Hi {name},',
+    greeting_anonymous: 'Hi there,',
+    salon: 'Salon',
+    date: 'Date',
+    time: 'Time',
+    service: 'Service',
+    status: 'Status',
+    client: 'Client',
+    email: 'Email',
+    phone: 'Phone',
+    notes: 'Notes',
+    discount: 'Discount',
+    total: 'Total',
+    amount: 'Amount',
+    reason: 'Reason',
+    appointment: 'Appointment',
+    not_provided: 'Not provided',
+    date_at_time: '{date} at {time}',
+    today: 'today',
+    tomorrow: 'tomorrow',
+    on_date: 'on {date}',
+    statuses: {
+      pending: 'Pending',
+      confirmed: 'Confirmed',
+      completed: 'Completed',
+      cancelled: 'Cancelled',
+      no_show: 'No-show'
+    },
+    footer_rights: '© {year} {brand}. All rights reserved.',
+    footer_support: 'Questions? Contact us at {email}',
+    footer_automated: 'This is an automated message. Please do not reply to this email.'
+  },
+
+  booking_confirmation: {
+    subject: 'Booking Confirmation - {brand}',
+    heading: 'Booking Confirmed!',
+    intro: 'Your appointment has been confirmed. Here are the details:',
+    details_title: 'Appointment Details',
+    manage: 'If you need to cancel or reschedule, please contact the salon directly or use the {brand} app.'
+  },
+
+  booking_reminder: {
+    subject: 'Appointment Reminder - {brand}',
+    heading: 'Appointment Reminder',
+    intro: '<strong>Don\'t forget!</strong> You have an appointment {day}:',
+    series_every_week: 'every week',
+    series_every_weeks: 'every {weeks} weeks',
+    series_intro: 'This is part of your recurring appointment ({interval}).',
+    series_next: 'Your next appointment in this series is on {date} at {time}.',
+    series_last: 'This is the last appointment in this series.',
+    closing: 'We look forward to seeing you!'
+  },
+
+  booking_rescheduled: {
+    subject: 'Appointment Rescheduled - {brand}',
+    heading: 'Appointment Rescheduled',
+    intro: 'Your appointment has been rescheduled. Here are the updated details:',
+    previous: 'Previous date/time',
+    details_title: 'New Appointment Details',
+    closing: 'The salon will be notified of this change and will confirm the new time.'
+  },
+
+  booking_rescheduled_salon: {
+    subject: 'Booking Rescheduled - {client}',
+    heading: 'Booking Rescheduled',
+    intro: 'A client has rescheduled their appointment. Please confirm the new time in your {brand} dashboard.',
+    previous: 'Previous date/time',
+    details_title: 'New Appointment Details',
+    status_unconfirmed: '{status} (requires your confirmation)',
+    closing: 'Please log into your {brand} dashboard to confirm or adjust this appointment.'
+  },
+
+  booking_cancelled: {
+    subject: 'Appointment Cancelled - {brand}',
+    heading: 'Appointment Cancelled',
+    intro: 'Your appointment has been cancelled:',
+    late_fee: 'Late cancellation fee',
+    refund: 'Refund',
+    refund_value: '{amount} (back on your original payment method within 5-10 days)',
+    closing: 'You can book a new appointment anytime using the {brand} app.'
+  },
+
+  payment_receipt: {
+    subject: 'Payment Receipt - {brand}',
+    heading: 'Payment Receipt',
+    intro: 'Thank you for your payment. Here\'s your receipt:',
+    receipt_title: 'Receipt #{id}',
+    payment_method: 'Payment method',
+    card: 'Card'
+  },
+
+  refund_receipt: {
+    subject: 'Refund Receipt - {brand}',
+    heading: 'Refund Receipt',
+    intro: '{salon} has refunded you. The money is on its way back to your original payment method and usually arrives within 5-10 business days.',
+    your_salon: 'Your salon',
+    receipt_title: 'Refund #{id}',
+    amount: 'Amount refunded'
+  },
+
+  subscription_payment_failed: {
+    subject: 'Your {brand} subscription payment failed',
+    subject_final: 'Final notice: update your payment details - {brand}',
+    heading: 'Payment Failed',
+    heading_final: 'Final Notice: Payment Failed',
+    intro: 'We couldn\'t collect the payment for the {plan} plan of <strong>{salon}</strong>.',
+    intro_amount: 'We couldn\'t collect the {amount} payment for the {plan} plan of <strong>{salon}</strong>.',
+    grace: 'Your {plan} features stay available until <strong>{date}</strong>. If the payment hasn\'t gone through by then, your salon moves to the Basic plan and loses its featured placement.',
+    action: 'Please check your card or add a new payment method.',
+    button: 'Update payment details'
+  },
+
+  subscription_downgraded: {
+    subject: 'Your salon has been moved to the Basic plan - {brand}',
+    heading: 'Moved to the Basic Plan',
+    intro: 'We still haven\'t received the payment for the {plan} plan, so <strong>{salon}</strong> is now on the Basic plan. Premium features and featured placement have been switched off.',
+    reassure: 'Your bookings, clients and services are untouched. Pay the open invoice and your {plan} plan is back straight away.',
+    button: 'Restore my plan'
+  },
+
+  subscription_recovered: {
+    subject: 'Payment received - your {brand} subscription is active',
+    heading: 'Payment Received',
+    intro: 'Thanks! We\'ve received your payment and the {plan} plan of <strong>{salon}</strong> is active again.'
+  },
+
+  trial_ending: {
+    subject: 'Your {brand} trial is ending soon',
+    heading: 'Your Trial Ends on {date}',
+    heading_soon: 'Your Trial Ends Soon',
+    intro: 'The {plan} trial of <strong>{salon}</strong> ends on {date}.',
+    intro_soon: 'The {plan} trial of <strong>{salon}</strong> ends soon.',
+    continues: 'Your subscription continues automatically and your card will be charged then. Nothing else to do.',
+    add_method: 'Add a payment method before then to keep your {plan} features.',
+    button: 'Add payment method'
+  },
+
+  gift_card: {
+    subject: 'Your gift card for {salon}',
+    heading: 'You\'ve Received a Gift Card',
+    intro: 'Here is your gift card for <strong>{salon}</strong> worth <strong>{amount}</strong>.',
+    your_salon: 'your salon',
+    how_to_use: 'Enter the code when you pay for a booking in the {brand} app. You can spend it over several visits.',
+    valid_until: 'Valid until {date}.'
+  },
+
+  welcome: {
+    subject: 'Welcome to {brand} - Your Salon is Almost Ready!',
+    heading: '🎉 Welcome to {brand}!',
+    subheading: 'Your salon "{salon}" has been created successfully',
+    greeting: 'Hi {name}!',
+    intro: 'Congratulations! You\'ve successfully joined {brand} as a salon owner. Your salon profile has been created and you\'re almost ready to start accepting bookings.',
+    steps_title: '📋 Next Steps to Complete Your Setup:',
+    step_payment_title: '1. Complete Payment Setup',
+    step_payment_text: 'Set up your Stripe account to receive payments from customers.',
+    step_payment_button: 'Complete Payment Setup',
+    step_payment_done_title: '✅ Payment Setup Complete',
+    step_payment_done_text: 'Your Stripe account is ready to receive payments!',
+    step_services_title: '2. Add Your Services',
+    step_services_text: 'Add the services you offer with pricing and duration.',
+    step_hours_title: '3. Set Business Hours',
+    step_hours_text: 'Configure when customers can book appointments.',
+    step_activate_title: '4. Activate Your Salon',
+    step_activate_text: 'Once everything is set up, activate your salon for bookings.',
+    details_title: '📱 Your Salon Details:',
+    business_name: 'Business name',
+    address: 'Address',
+    help: 'If you have any questions or need help, don\'t hesitate to contact our support team.'
+  },
+
+  stripe_onboarding_complete: {
+    subject: 'Payment Setup Complete - Start Accepting Bookings!',
+    heading: '✅ Payment Setup Complete!',
+    subheading: 'Your salon is now ready to accept bookings and payments',
+    congratulations: 'Congratulations, {name}!',
+    intro: 'Your Stripe payment account has been successfully set up for <strong>{salon}</strong>. You can now:',
+    payments_title: '💳 Accept Payments',
+    payments_text: 'Securely process customer payments for all your services',
+    revenue_title: '📊 Track Revenue',
+    revenue_text: 'View detailed analytics and revenue reports in your dashboard',
+    payouts_title: '💰 Automatic Payouts',
+    payouts_text: 'Receive payments directly to your bank account',
+    secure_title: '🔒 Secure Processing',
+    secure_text: 'All payments are processed securely through Stripe',
+    next_title: 'What\'s Next?',
+    next_services: 'Add your services and pricing',
+    next_availability: 'Set up your availability calendar',
+    next_bookings: 'Start accepting bookings from customers',
+    next_revenue: 'Monitor your revenue in the dashboard',
+    closing: 'Welcome to the {brand} community! We\'re excited to help grow your business.'
+  },
+
+  waitlist_confirmation: {
+    subject: 'Waitlist Confirmation - {brand}',
+    heading: 'Added to Waitlist!',
+    intro: 'You\'ve been added to the waitlist for your requested appointment. We\'ll notify you as soon as a slot becomes available.',
+    details_title: 'Waitlist Details',
+    requested_date: 'Requested date',
+    preferred_time: 'Preferred time',
+    time_range: 'Time range',
+    position: 'Position',
+    position_value: 'You\'ll be notified when your turn comes up',
+    next_title: 'What happens next?',
+    next_monitor: 'We\'ll monitor for cancellations and availability',
+    next_email: 'You\'ll receive an email when a slot opens up',
+    next_limited: 'You\'ll have a limited time to book the available slot',
+    next_expire: 'If you don\'t respond, the slot may go to the next person',
+    manage: 'You can manage your waitlist entries in the {brand} app.'
+  },
+
+  waitlist_slot_available: {
+    subject: 'Appointment Slot Available - {brand}',
+    heading: '🎉 Slot Available!',
+    notice_title: 'Great news! An appointment slot has opened up for you!',
+    notice_text: 'A cancellation has made this time available. This is your chance to book the appointment you were waiting for.',
+    details_title: 'Available Slot Details',
+    limited_title: '⏰ Limited Time Offer',
+    limited_text: 'You have 24 hours to book this slot before it becomes available to others on the waitlist.',
+    button: 'Book This Slot Now',
+    alternatives: 'If you can\'t make this time, you can:',
+    alternative_other_time: 'Book a different available time',
+    alternative_stay: 'Stay on the waitlist for future openings',
+    alternative_leave: 'Remove yourself from the waitlist',
+    closing: 'Don\'t miss this opportunity!'
+  },
+
+  review_received: {
+    subject: 'New Review Received - {salon}',
+    heading: '⭐ New Review Received!',
+    intro: 'Great news! You\'ve received a new review from <strong>{client}</strong>.',
+    a_client: 'A client',
+    details_title: 'Review Details',
+    rating: 'Rating',
+    out_of: '{rating} out of 5 stars',
+    comment: 'Comment',
+    no_comment: 'No comment provided with this review.',
+    visible: 'This review is now visible on your salon\'s profile page. Keep up the great work!',
+    tip: '<strong>💡 Tip:</strong> Responding to reviews helps build trust with potential customers. Consider thanking your clients for their feedback!'
+  }
+};
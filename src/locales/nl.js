@@ -0,0 +1,252 @@
+/**
+ * Dutch email strings
+ *
+ * Same keys as en.js; a key missing here is sent in English.
+ */
+
+module.exports = {
+  meta: {
+    locale: 'nl-NL'
+  },
+
+  common: {
+    greeting: 'Hallo {name},',
+    greeting_anonymous: 'Hallo,',
+    salon: 'Salon',
+    date: 'Datum',
+    time: 'Tijd',
+    service: 'Behandeling',
+    status: 'Status',
+    client: 'Klant',
+    email: 'E-mail',
+    phone: 'Telefoon',
+    notes: 'Opmerkingen',
+    discount: 'Korting',
+    total: 'Totaal',
+    amount: 'Bedrag',
+    reason: 'Reden',
+    appointment: 'Afspraak',
+    not_provided: 'Niet opgegeven',
+    date_at_time: '{date} om {time}',
+    today: 'vandaag',
+    tomorrow: 'morgen',
+    on_date: 'op {date}',
+    statuses: {
+      pending: 'In afwachting',
+      confirmed: 'Bevestigd',
+      completed: 'Afgerond',
+      cancelled: 'Geannuleerd',
+      no_show: 'Niet verschenen'
+    },
+    footer_rights: '© {year} {brand}. Alle rechten voorbehouden.',
+    footer_support: 'Vragen? Mail ons op {email}',
+    footer_automated: 'Dit is een automatisch bericht. Je kunt niet op deze e-mail reageren.'
+  },
+
+  booking_confirmation: {
+    subject: 'Afspraakbevestiging - {brand}',
+    heading: 'Afspraak bevestigd!',
+    intro: 'Je afspraak is bevestigd. Dit zijn de details:',
+    details_title: 'Details van je afspraak',
+    manage: 'Wil je annuleren of verzetten? Neem contact op met de salon of gebruik de {brand}-app.'
+  },
+
+  booking_reminder: {
+    subject: 'Herinnering aan je afspraak - {brand}',
+    heading: 'Herinnering afspraak',
+    intro: '<strong>Vergeet het niet!</strong> Je hebt {day} een afspraak:',
+    series_every_week: 'elke week',
+    series_every_weeks: 'elke {weeks} weken',
+    series_intro: 'Dit is onderdeel van je terugkerende afspraak ({interval}).',
+    series_next: 'Je volgende afspraak in deze reeks is op {date} om {time}.',
+    series_last: 'Dit is de laatste afspraak in deze reeks.',
+    closing: 'Tot snel!'
+  },
+
+  booking_rescheduled: {
+    subject: 'Afspraak verzet - {brand}',
+    heading: 'Afspraak verzet',
+    intro: 'Je afspraak is verzet. Dit zijn de nieuwe details:',
+    previous: 'Vorige datum/tijd',
+    details_title: 'Nieuwe afspraakdetails',
+    closing: 'De salon krijgt bericht van deze wijziging en bevestigt de nieuwe tijd.'
+  },
+
+  booking_rescheduled_salon: {
+    subject: 'Afspraak verzet - {client}',
+    heading: 'Afspraak verzet',
+    intro: 'Een klant heeft een afspraak verzet. Bevestig de nieuwe tijd in je {brand}-dashboard.',
+    previous: 'Vorige datum/tijd',
+    details_title: 'Nieuwe afspraakdetails',
+    status_unconfirmed: '{status} (wacht op jouw bevestiging)',
+    closing: 'Log in op je {brand}-dashboard om deze afspraak te bevestigen of aan te passen.'
+  },
+
+  booking_cancelled: {
+    subject: 'Afspraak geannuleerd - {brand}',
+    heading: 'Afspraak geannuleerd',
+    intro: 'Je afspraak is geannuleerd:',
+    late_fee: 'Kosten late annulering',
+    refund: 'Terugbetaling',
+    refund_value: '{amount} (binnen 5-10 dagen terug op je oorspronkelijke betaalmethode)',
+    closing: 'Je kunt altijd een nieuwe afspraak maken in de {brand}-app.'
+  },
+
+  payment_receipt: {
+    subject: 'Betaalbewijs - {brand}',
+    heading: 'Betaalbewijs',
+    intro: 'Bedankt voor je betaling. Hier is je betaalbewijs:',
+    receipt_title: 'Betaalbewijs #{id}',
+    payment_method: 'Betaalmethode',
+    card: 'Kaart'
+  },
+
+  refund_receipt: {
+    subject: 'Terugbetaling - {brand}',
+    heading: 'Terugbetaling',
+    intro: '{salon} heeft je geld teruggestort. Het is onderweg naar je oorspronkelijke betaalmethode en staat er meestal binnen 5-10 werkdagen.',
+    your_salon: 'Je salon',
+    receipt_title: 'Terugbetaling #{id}',
+    amount: 'Terugbetaald bedrag'
+  },
+
+  subscription_payment_failed: {
+    subject: 'Betaling van je {brand}-abonnement mislukt',
+    subject_final: 'Laatste herinnering: werk je betaalgegevens bij - {brand}',
+    heading: 'Betaling mislukt',
+    heading_final: 'Laatste herinnering: betaling mislukt',
+    intro: 'We konden de betaling voor het {plan}-abonnement van <strong>{salon}</strong> niet innen.',
+    intro_amount: 'We konden de betaling van {amount} voor het {plan}-abonnement van <strong>{salon}</strong> niet innen.',
+    grace: 'Je {plan}-functies blijven beschikbaar tot <strong>{date}</strong>. Is de betaling dan nog niet gelukt, dan gaat je salon over naar het Basic-abonnement en verliest hij zijn uitgelichte plek.',
+    action: 'Controleer je kaart of voeg een nieuwe betaalmethode toe.',
+    button: 'Betaalgegevens bijwerken'
+  },
+
+  subscription_downgraded: {
+    subject: 'Je salon staat nu op het Basic-abonnement - {brand}',
+    heading: 'Overgezet naar Basic',
+    intro: 'We hebben de betaling voor het {plan}-abonnement nog steeds niet ontvangen, daarom staat <strong>{salon}</strong> nu op het Basic-abonnement. Premium-functies en de uitgelichte plek zijn uitgeschakeld.',
+    reassure: 'Je afspraken, klanten en behandelingen blijven gewoon bewaard. Betaal de openstaande factuur en je {plan}-abonnement is direct terug.',
+    button: 'Mijn abonnement herstellen'
+  },
+
+  subscription_recovered: {
+    subject: 'Betaling ontvangen - je {brand}-abonnement is actief',
+    heading: 'Betaling ontvangen',
+    intro: 'Bedankt! We hebben je betaling ontvangen en het {plan}-abonnement van <strong>{salon}</strong> is weer actief.'
+  },
+
+  trial_ending: {
+    subject: 'Je {brand}-proefperiode loopt bijna af',
+    heading: 'Je proefperiode eindigt op {date}',
+    heading_soon: 'Je proefperiode eindigt binnenkort',
+    intro: 'De {plan}-proefperiode van <strong>{salon}</strong> eindigt op {date}.',
+    intro_soon: 'De {plan}-proefperiode van <strong>{salon}</strong> eindigt binnenkort.',
+    continues: 'Je abonnement loopt daarna automatisch door en je kaart wordt dan belast. Je hoeft verder niets te doen.',
+    add_method: 'Voeg voor die tijd een betaalmethode toe om je {plan}-functies te houden.',
+    button: 'Betaalmethode toevoegen'
+  },
+
+  gift_card: {
+    subject: 'Je cadeaubon voor {salon}',
+    heading: 'Je hebt een cadeaubon gekregen',
+    intro: 'Hier is je cadeaubon voor <strong>{salon}</strong> ter waarde van <strong>{amount}</strong>.',
+    your_salon: 'je salon',
+    how_to_use: 'Vul de code in als je een afspraak betaalt in de {brand}-app. Je kunt het tegoed over meerdere bezoeken verdelen.',
+    valid_until: 'Geldig tot {date}.'
+  },
+
+  welcome: {
+    subject: 'Welkom bij {brand} - je salon is bijna klaar!',
+    heading: '🎉 Welkom bij {brand}!',
+    subheading: 'Je salon "{salon}" is aangemaakt',
+    greeting: 'Hallo {name}!',
+    intro: 'Gefeliciteerd! Je bent nu salonhouder op {brand}. Je salonprofiel is aangemaakt en je kunt bijna afspraken ontvangen.',
+    steps_title: '📋 Volgende stappen om je salon klaar te maken:',
+    step_payment_title: '1. Rond je betaalinstellingen af',
+    step_payment_text: 'Stel je Stripe-account in om betalingen van klanten te ontvangen.',
+    step_payment_button: 'Betaalinstellingen afronden',
+    step_payment_done_title: '✅ Betaalinstellingen afgerond',
+    step_payment_done_text: 'Je Stripe-account is klaar om betalingen te ontvangen!',
+    step_services_title: '2. Voeg je behandelingen toe',
+    step_services_text: 'Voeg de behandelingen toe die je aanbiedt, met prijs en duur.',
+    step_hours_title: '3. Stel je openingstijden in',
+    step_hours_text: 'Bepaal wanneer klanten afspraken kunnen maken.',
+    step_activate_title: '4. Activeer je salon',
+    step_activate_text: 'Is alles ingesteld? Activeer dan je salon voor afspraken.',
+    details_title: '📱 Gegevens van je salon:',
+    business_name: 'Bedrijfsnaam',
+    address: 'Adres',
+    help: 'Heb je vragen of hulp nodig? Neem gerust contact op met ons supportteam.'
+  },
+
+  stripe_onboarding_complete: {
+    subject: 'Betaalinstellingen afgerond - je kunt afspraken ontvangen!',
+    heading: '✅ Betaalinstellingen afgerond!',
+    subheading: 'Je salon kan nu afspraken en betalingen ontvangen',
+    congratulations: 'Gefeliciteerd, {name}!',
+    intro: 'Je Stripe-betaalaccount voor <strong>{salon}</strong> is ingesteld. Je kunt nu:',
+    payments_title: '💳 Betalingen ontvangen',
+    payments_text: 'Veilig betalingen van klanten verwerken voor al je behandelingen',
+    revenue_title: '📊 Omzet bijhouden',
+    revenue_text: 'Uitgebreide statistieken en omzetrapporten bekijken in je dashboard',
+    payouts_title: '💰 Automatische uitbetalingen',
+    payouts_text: 'Betalingen direct op je bankrekening ontvangen',
+    secure_title: '🔒 Veilig verwerkt',
+    secure_text: 'Alle betalingen worden veilig verwerkt via Stripe',
+    next_title: 'Wat nu?',
+    next_services: 'Voeg je behandelingen en prijzen toe',
+    next_availability: 'Stel je beschikbaarheid in',
+    next_bookings: 'Ontvang afspraken van klanten',
+    next_revenue: 'Volg je omzet in het dashboard',
+    closing: 'Welkom bij de {brand}-community! We helpen je graag je zaak te laten groeien.'
+  },
+
+  waitlist_confirmation: {
+    subject: 'Je staat op de wachtlijst - {brand}',
+    heading: 'Op de wachtlijst gezet!',
+    intro: 'Je staat op de wachtlijst voor de afspraak die je wilde. We laten het je weten zodra er een plek vrijkomt.',
+    details_title: 'Gegevens wachtlijst',
+    requested_date: 'Gewenste datum',
+    preferred_time: 'Voorkeurstijd',
+    time_range: 'Tijdvak',
+    position: 'Positie',
+    position_value: 'Je krijgt bericht zodra het jouw beurt is',
+    next_title: 'Wat gebeurt er nu?',
+    next_monitor: 'We houden annuleringen en beschikbaarheid in de gaten',
+    next_email: 'Je krijgt een e-mail zodra er een plek vrijkomt',
+    next_limited: 'Je hebt beperkt de tijd om de vrije plek te boeken',
+    next_expire: 'Reageer je niet, dan kan de plek naar de volgende op de lijst gaan',
+    manage: 'Je beheert je wachtlijstaanvragen in de {brand}-app.'
+  },
+
+  waitlist_slot_available: {
+    subject: 'Er is een plek vrijgekomen - {brand}',
+    heading: '🎉 Plek vrij!',
+    notice_title: 'Goed nieuws! Er is een plek voor je vrijgekomen!',
+    notice_text: 'Door een annulering is deze tijd vrijgekomen. Dit is je kans om de afspraak te boeken waarop je wachtte.',
+    details_title: 'Details van de vrije plek',
+    limited_title: '⏰ Beperkt geldig',
+    limited_text: 'Je hebt 24 uur om deze plek te boeken, daarna gaat hij naar de volgende op de wachtlijst.',
+    button: 'Boek deze plek nu',
+    alternatives: 'Past deze tijd niet? Dan kun je:',
+    alternative_other_time: 'Een andere vrije tijd boeken',
+    alternative_stay: 'Op de wachtlijst blijven voor een volgende plek',
+    alternative_leave: 'Je van de wachtlijst laten halen',
+    closing: 'Mis deze kans niet!'
+  },
+
+  review_received: {
+    subject: 'Nieuwe review ontvangen - {salon}',
+    heading: '⭐ Nieuwe review ontvangen!',
+    intro: 'Geweldig nieuws! Je hebt een nieuwe review ontvangen van <strong>{client}</strong>.',
+    a_client: 'Een klant',
+    details_title: 'Details van de review',
+    rating: 'Beoordeling',
+    out_of: '{rating} van de 5 sterren',
+    comment: 'Opmerking',
+    no_comment: 'Geen opmerking bij deze review.',
+    visible: 'Deze review staat nu op de profielpagina van je salon. Ga zo door!',
+    tip: '<strong>💡 Tip:</strong> Reageren op reviews bouwt vertrouwen op bij nieuwe klanten. Bedank je klanten eens voor hun feedback!'
+  }
+};
@@ -1,50 +1,63 @@
 const { supabase } = require('../config/database');
 const { AppError } = require('./errorHandler');
+const { ENTITLEMENTS, activePlan, entitlementsFor, hasEntitlement, cheapestPlanWith } = require('../utils/plans');
 
-// Middleware to check if salon owner has active subscription for premium features
-const requirePremiumSubscription = async (req, res, next) => {
-  try {
-    const { data: salon, error } = await supabase
-      .from('salons')
-      .select(`
-        subscription_plan,
-        subscription_status,
-        trial_ends_at,
-        subscription_ends_at
-      `)
-      .eq('owner_id', req.user.id)
-      .single();
+const SALON_PLAN_FIELDS = `
+  id,
+  subscription_plan,
+  subscription_status,
+  trial_ends_at,
+  subscription_ends_at,
+  grace_period_ends_at
+`;
 
-    if (error || !salon) {
-      throw new AppError('Salon not found', 404, 'SALON_NOT_FOUND');
-    }
+/**
+ * Middleware factory: only let salon owners whose active plan includes a feature through.
+ * Sets req.salonPlan and req.entitlements for the handler (e.g. to apply limits).
+ * @param {string} feature - Entitlement from utils/plans (ai_assistant, featured_listing, ...)
+ * @param {Object} [options]
+ * @param {boolean} [options.allowWithoutSalon] - Let users who don't own a salon through (client features)
+ */
+const requireEntitlement = (feature, { allowWithoutSalon = false } = {}) => {
+  if (!ENTITLEMENTS.includes(feature)) {
+    throw new Error(`Unknown entitlement: ${feature}`);
+  }
 
-    const now = new Date();
-    const trialEnded = salon.trial_ends_at && new Date(salon.trial_ends_at) < now;
-    const subscriptionExpired = salon.subscription_ends_at && new Date(salon.subscription_ends_at) < now;
+  return async (req, res, next) => {
+    try {
+      const { data: salon, error } = await supabase
+        .from('salons')
+        .select(SALON_PLAN_FIELDS)
+        .eq('owner_id', req.user.id)
+        .maybeSingle();
 
-    // Check if has premium access
-    if (salon.subscription_plan === 'plus') {
-      if (salon.subscription_status === 'active' || 
-          (salon.subscription_status === 'trialing' && !trialEnded)) {
-        req.subscriptionPlan = 'plus';
-        return next();
+      if (error) {
+        throw new AppError('Failed to check subscription', 500, 'SUBSCRIPTION_CHECK_FAILED');
+      }
+      if (!salon) {
+        if (allowWithoutSalon) return next();
+        throw new AppError('Salon not found', 404, 'SALON_NOT_FOUND');
       }
-    }
 
-    // No premium access
-    throw new AppError(
-      'Premium subscription required. Upgrade to access this feature.',
-      403,
-      'PREMIUM_SUBSCRIPTION_REQUIRED'
-    );
+      req.salonPlan = activePlan(salon);
+      req.entitlements = entitlementsFor(salon);
 
-  } catch (error) {
-    if (error instanceof AppError) {
-      throw error;
+      if (!hasEntitlement(salon, feature)) {
+        const requiredPlan = cheapestPlanWith(feature);
+        throw new AppError(
+          `Your plan does not include this feature. Upgrade to ${requiredPlan.name} to use it.`,
+          403,
+          'PLAN_UPGRADE_REQUIRED'
+        );
+      }
+
+      next();
+    } catch (error) {
+      next(error instanceof AppError
+        ? error
+        : new AppError('Failed to check subscription', 500, 'SUBSCRIPTION_CHECK_FAILED'));
     }
-    throw new AppError('Failed to check subscription', 500, 'SUBSCRIPTION_CHECK_FAILED');
-  }
+  };
 };
 
 // Middleware to add subscription info to request
@@ -60,7 +73,8 @@ const addSubscriptionInfo = async (req, res, next) => {
         subscription_plan,
         subscription_status,
         trial_ends_at,
-        subscription_ends_at
+        subscription_ends_at,
+        grace_period_ends_at
       `)
       .eq('owner_id', req.user.id)
       .single();
@@ -73,10 +87,7 @@ const addSubscriptionInfo = async (req, res, next) => {
       req.subscription = {
         plan: salon.subscription_plan,
         status: salon.subscription_status,
-        hasAccess: salon.subscription_plan === 'basic' || 
-                  (salon.subscription_plan === 'plus' && 
-                   (salon.subscription_status === 'active' || 
-                    (salon.subscription_status === 'trialing' && !trialEnded))),
+        hasAccess: salon.subscription_plan === 'basic' || activePlan(salon) !== 'basic',
         trialEnded,
         subscriptionExpired
       };
@@ -105,7 +116,7 @@ const addSubscriptionInfo = async (req, res, next) => {
 };
 
 module.exports = {
-  requirePremiumSubscription,
+  requireEntitlement,
   addSubscriptionInfo
 };
 
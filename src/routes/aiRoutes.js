@@ -2,10 +2,14 @@ const express = require('express');
 const router = express.Router();
 const aiController = require('../controllers/aiController');
 const { authenticateToken } = require('../middleware/auth');
+const { requireEntitlement } = require('../middleware/subscription');
 
 // All AI routes require authentication
 router.use(authenticateToken);
 
+// Salon owners get the assistant with their plan; clients always have it
+router.use(requireEntitlement('ai_assistant', { allowWithoutSalon: true }));
+
 // Get or create conversation
 router.post('/conversations', aiController.getOrCreateConversation);
 
@@ -8,15 +8,24 @@ router.use(authenticateToken);
 
 // Client booking routes
 router.post('/', bookingController.createBooking);
+router.post('/basket', bookingController.createBasketBooking); // Several services back to back
+router.post('/group', bookingController.createGroupBooking); // Several guests (family members) in parallel
+router.post('/deposit-intent', bookingController.createDepositIntent); // Deposit after repeated no-shows
 router.get('/', bookingController.getMyBookings); // Alias for /my-bookings
 router.get('/my-bookings', bookingController.getMyBookings);
+router.get('/price-quote', bookingController.getPriceQuote); // Discounted price (promo code / automatic rules)
 router.get('/available-slots', bookingController.getAvailableSlots);
 router.get('/available-slots-count', bookingController.getAvailableSlotsCount);
 router.get('/stats', bookingController.getBookingStats);
 router.get('/reminders', bookingController.sendBookingReminders); // Admin/testing endpoint
+router.post('/holds', bookingController.createHold); // Reserve a slot while paying
+router.patch('/holds/:holdId', bookingController.updateHold);
+router.delete('/holds/:holdId', bookingController.releaseHold);
 router.patch('/:bookingId/status', bookingController.updateBookingStatus);
 router.patch('/:bookingId/reassign', bookingController.reassignBooking);
 router.patch('/:bookingId/reschedule', bookingController.rescheduleBooking);
+router.get('/:bookingId/cancellation-quote', bookingController.getCancellationQuote);
+router.post('/:bookingId/client-cancel', bookingController.cancelBookingAsClient); // Enforces the salon's cancellation policy
 
 // Salon owner booking routes
 router.get('/salon', bookingController.getSalonBookings);
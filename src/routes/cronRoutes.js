@@ -1,7 +1,12 @@
 const express = require('express');
 const router = express.Router();
 const analyticsService = require('../services/analyticsService');
+const bookingHoldService = require('../services/bookingHoldService');
+const webhookEventService = require('../services/webhookEventService');
+const dunningService = require('../services/dunningService');
+const bookingRemindersService = require('../services/bookingRemindersService');
 const { supabase } = require('../config/database');
+const { plansWith } = require('../utils/plans');
 
 /**
  * Cron job routes for Vercel scheduled functions
@@ -78,7 +83,7 @@ router.get('/update-featured-status', verifyCronSecret, async (req, res) => {
         featured_until: supabase.raw('subscription_ends_at')
       })
       .eq('subscription_status', 'active')
-      .in('subscription_plan', ['premium', 'professional', 'enterprise'])
+      .in('subscription_plan', plansWith('featured_listing'))
       .eq('is_active', true)
       .eq('is_featured', false);
     
@@ -132,5 +137,113 @@ router.get('/cleanup-old-views', verifyCronSecret, async (req, res) => {
   }
 });
 
+/**
+ * Expire slot holds whose payment window has passed
+ * GET /api/cron/expire-booking-holds
+ */
+router.get('/expire-booking-holds', verifyCronSecret, async (req, res) => {
+  console.log(`⏳ [${new Date().toISOString()}] Cron: Expiring booking holds...`);
+  
+  try {
+    const expired = await bookingHoldService.expireHolds();
+    
+    console.log(`✅ [${new Date().toISOString()}] Cron: Expired ${expired} booking holds`);
+    return res.status(200).json({
+      success: true,
+      message: 'Booking holds expired successfully',
+      expired,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    console.error(`❌ [${new Date().toISOString()}] Cron: Error expiring booking holds:`, error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to expire booking holds',
+      details: error.message,
+    });
+  }
+});
+
+/**
+ * Retry failed Stripe webhook events (dead-letters them after the last attempt)
+ * GET /api/cron/retry-webhook-events
+ */
+router.get('/retry-webhook-events', verifyCronSecret, async (req, res) => {
+  console.log(`🔁 [${new Date().toISOString()}] Cron: Retrying webhook events...`);
+  
+  try {
+    const summary = await webhookEventService.retryDue();
+    
+    console.log(`✅ [${new Date().toISOString()}] Cron: Retried ${summary.attempted} webhook events`);
+    return res.status(200).json({
+      success: true,
+      message: 'Webhook events retried successfully',
+      ...summary,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    console.error(`❌ [${new Date().toISOString()}] Cron: Error retrying webhook events:`, error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to retry webhook events',
+      details: error.message,
+    });
+  }
+});
+
+/**
+ * Send due dunning emails and downgrade salons whose grace period ran out
+ * GET /api/cron/process-subscription-dunning
+ */
+router.get('/process-subscription-dunning', verifyCronSecret, async (req, res) => {
+  console.log(`💳 [${new Date().toISOString()}] Cron: Processing subscription dunning...`);
+  
+  try {
+    const summary = await dunningService.processDunning();
+    
+    console.log(`✅ [${new Date().toISOString()}] Cron: Sent ${summary.reminded} dunning emails, downgraded ${summary.downgraded} salons`);
+    return res.status(200).json({
+      success: true,
+      message: 'Subscription dunning processed successfully',
+      ...summary,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    console.error(`❌ [${new Date().toISOString()}] Cron: Error processing subscription dunning:`, error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to process subscription dunning',
+      details: error.message,
+    });
+  }
+});
+
+/**
+ * Send the booking reminders that are due
+ * GET /api/cron/send-booking-reminders
+ */
+router.get('/send-booking-reminders', verifyCronSecret, async (req, res) => {
+  console.log(`⏰ [${new Date().toISOString()}] Cron: Sending booking reminders...`);
+  
+  try {
+    const summary = await bookingRemindersService.processDue();
+    
+    console.log(`✅ [${new Date().toISOString()}] Cron: Sent ${summary.sent} of ${summary.due} due booking reminders`);
+    return res.status(200).json({
+      success: true,
+      message: 'Booking reminders sent successfully',
+      ...summary,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    console.error(`❌ [${new Date().toISOString()}] Cron: Error sending booking reminders:`, error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to send booking reminders',
+      details: error.message,
+    });
+  }
+});
+
 module.exports = router;
 
@@ -0,0 +1,12 @@
+const express = require('express');
+const router = express.Router();
+const emailTemplateController = require('../controllers/emailTemplateController');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+
+// Email template previews (platform admins)
+router.use(authenticateToken, requireRole(['admin']));
+
+router.get('/', emailTemplateController.listTemplates);
+router.get('/:template/preview', emailTemplateController.previewTemplate);
+
+module.exports = router;
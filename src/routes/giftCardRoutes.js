@@ -0,0 +1,37 @@
+const express = require('express');
+const router = express.Router();
+const giftCardController = require('../controllers/giftCardController');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+
+router.use(authenticateToken);
+
+// Client routes
+router.post('/purchase',
+  requireRole(['client']),
+  giftCardController.purchaseGiftCard
+);
+
+router.get('/check', giftCardController.checkGiftCard);
+
+// Salon owner routes
+router.post('/',
+  requireRole(['salon_owner']),
+  giftCardController.issueGiftCard
+);
+
+router.get('/',
+  requireRole(['salon_owner']),
+  giftCardController.getSalonGiftCards
+);
+
+router.get('/:giftCardId',
+  requireRole(['salon_owner']),
+  giftCardController.getGiftCard
+);
+
+router.post('/:giftCardId/void',
+  requireRole(['salon_owner']),
+  giftCardController.voidGiftCard
+);
+
+module.exports = router;
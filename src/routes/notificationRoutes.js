@@ -0,0 +1,26 @@
+const express = require('express');
+const router = express.Router();
+const notificationController = require('../controllers/notificationController');
+const { authenticateToken } = require('../middleware/auth');
+
+router.use(authenticateToken);
+
+// Push devices
+router.get('/devices', notificationController.getDevices);
+
+router.post('/devices', notificationController.registerDevice);
+
+router.delete('/devices/:deviceId', notificationController.unregisterDevice);
+
+// Inbox
+router.get('/', notificationController.getNotifications);
+
+router.get('/unread-count', notificationController.getUnreadCount);
+
+router.patch('/read-all', notificationController.markAllAsRead);
+
+router.patch('/:notificationId/read', notificationController.markAsRead);
+
+router.delete('/:notificationId', notificationController.deleteNotification);
+
+module.exports = router;
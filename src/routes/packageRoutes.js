@@ -0,0 +1,40 @@
+const express = require('express');
+const router = express.Router();
+const packageController = require('../controllers/packageController');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+
+// Packages a salon sells (public)
+router.get('/salon/:salonId', packageController.getSalonPackages);
+
+router.use(authenticateToken);
+
+// Client routes
+router.post('/:packageId/purchase',
+  requireRole(['client']),
+  packageController.purchasePackage
+);
+
+router.get('/my-credits', packageController.getMyCredits);
+
+// Salon owner routes
+router.get('/',
+  requireRole(['salon_owner']),
+  packageController.getMyPackages
+);
+
+router.post('/',
+  requireRole(['salon_owner']),
+  packageController.createPackage
+);
+
+router.patch('/:packageId',
+  requireRole(['salon_owner']),
+  packageController.updatePackage
+);
+
+router.delete('/:packageId',
+  requireRole(['salon_owner']),
+  packageController.deactivatePackage
+);
+
+module.exports = router;
@@ -3,8 +3,7 @@ const router = express.Router();
 const paymentController = require('../controllers/paymentController');
 const { authenticateToken } = require('../middleware/auth');
 
-// Webhook route (no auth required) - must be first
-router.post('/webhook', express.raw({ type: 'application/json' }), paymentController.handleWebhook);
+// Stripe webhooks are received in app.js (POST /api/payments/webhook is kept there as a legacy path)
 
 // All other payment routes require authentication
 router.use(authenticateToken);
@@ -19,6 +18,12 @@ router.get('/salon', paymentController.getSalonPayments);
 router.get('/analytics', paymentController.getPaymentAnalytics);
 router.patch('/booking/:bookingId/status', paymentController.updatePaymentStatus); // Manual payment status update (cash)
 router.post('/booking/:bookingId/payment-link', paymentController.generatePaymentLink); // Generate payment link for client
+router.post('/booking/:bookingId/refund', paymentController.refundBookingPayment); // Full or partial card refund
+router.get('/booking/:bookingId/refunds', paymentController.getBookingRefunds); // Owner or client
+
+// Invoices and credit notes (owner or client)
+router.get('/:paymentId/invoice', paymentController.getInvoice);
+router.get('/:paymentId/credit-notes/:creditNoteId', paymentController.getCreditNote);
 
 // Subscription routes
 router.post('/subscription', paymentController.processSubscription);
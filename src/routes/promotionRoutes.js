@@ -0,0 +1,14 @@
+const express = require('express');
+const router = express.Router();
+const promotionController = require('../controllers/promotionController');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+
+// Salon owner routes (clients price bookings through GET /api/bookings/price-quote)
+router.use(authenticateToken, requireRole(['salon_owner']));
+
+router.get('/', promotionController.getPromotions);
+router.post('/', promotionController.createPromotion);
+router.patch('/:promotionId', promotionController.updatePromotion);
+router.delete('/:promotionId', promotionController.deactivatePromotion);
+
+module.exports = router;
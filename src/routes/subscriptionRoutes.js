@@ -3,7 +3,10 @@ const router = express.Router();
 const subscriptionController = require('../controllers/subscriptionController');
 const { authenticateToken } = require('../middleware/auth');
 
-// All subscription routes require authentication
+// Plan catalogue (public, for pricing pages)
+router.get('/plans', subscriptionController.getPlans);
+
+// All other subscription routes require authentication
 router.use(authenticateToken);
 
 // Subscription management routes
@@ -12,6 +15,10 @@ router.get('/status', subscriptionController.getSubscriptionStatus);
 router.post('/cancel', subscriptionController.cancelSubscription);
 router.post('/billing-portal', subscriptionController.createBillingPortal);
 
+// Prorated upgrades/downgrades between paid plans
+router.get('/change-plan/preview', subscriptionController.previewPlanChange);
+router.post('/change-plan', subscriptionController.changePlan);
+
 // Featured salon status
 router.get('/featured-status', subscriptionController.getFeaturedStatus);
 router.post('/upgrade-to-featured', subscriptionController.upgradeToFeatured);
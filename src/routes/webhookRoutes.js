@@ -1,9 +1,15 @@
 const express = require('express');
 const router = express.Router();
 const webhookController = require('../controllers/webhookController');
+const { authenticateToken, requireRole } = require('../middleware/auth');
 
 // Stripe webhook - NO authentication, uses signature verification instead
-// IMPORTANT: Must use express.raw() middleware for this route in app.js
-router.post('/stripe', webhookController.handleStripeWebhook);
+// IMPORTANT: this router is mounted in app.js before the JSON body parser
+router.post('/stripe', express.raw({ type: 'application/json' }), webhookController.handleStripeWebhook);
+
+// Stored events, replay (platform admins)
+router.get('/stripe/events', authenticateToken, requireRole(['admin']), webhookController.listEvents);
+router.get('/stripe/events/:eventId', authenticateToken, requireRole(['admin']), webhookController.getEvent);
+router.post('/stripe/events/:eventId/replay', authenticateToken, requireRole(['admin']), webhookController.replayEvent);
 
 module.exports = router;
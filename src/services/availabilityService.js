@@ -0,0 +1,517 @@
+const { supabaseAdmin } = require('../config/database');
+const config = require('../config');
+const { AppError } = require('../middleware/errorHandler');
+const { getSalonTimezone, getZonedParts, nowInZone, addDays } = require('../utils/timezone');
+const {
+  MINUTES_PER_DAY,
+  timeToMinutes,
+  minutesToTime,
+  dayDiff,
+  getDayKey,
+  resolveDayWindow,
+  intersectWindows,
+  toBusyInterval,
+  overlaps,
+  computeSlots,
+  placeInBusinessDay,
+  checkSlot,
+  planSegments
+} = require('../utils/availability');
+
+/**
+ * Availability Service
+ * Computes bookable slots per staff member and a merged "any available stylist" view,
+ * and owns the conflict check every booking write goes through
+ */
+class AvailabilityService {
+  /**
+   * Slot rules for a service at a salon. Service values override salon values,
+   * which override the platform defaults in config.booking.
+   * @returns {{ interval: number, bufferBefore: number, bufferAfter: number, leadTimeMinutes: number, horizonDays: number }}
+   */
+  getBookingRules(salon, service) {
+    const pick = (field, fallback) => {
+      const value = service?.[field] ?? salon?.[field];
+      return value === null || value === undefined ? fallback : Number(value);
+    };
+
+    return {
+      interval: pick('slot_interval_minutes', config.booking.slot_interval_minutes),
+      bufferBefore: pick('buffer_before_minutes', config.booking.buffer_before_minutes),
+      bufferAfter: pick('buffer_after_minutes', config.booking.buffer_after_minutes),
+      leadTimeMinutes: pick('min_lead_time_minutes', config.booking.min_lead_time_minutes),
+      horizonDays: pick('max_booking_horizon_days', config.booking.max_advance_booking_days)
+    };
+  }
+
+  /**
+   * Active staff for a salon (optionally a single staff member)
+   * @param {string} salonId
+   * @param {string|null} staffId
+   */
+  async getActiveStaff(salonId, staffId = null) {
+    let query = supabaseAdmin
+      .from('staff')
+      .select('id, name, availability_schedule')
+      .eq('salon_id', salonId)
+      .eq('is_active', true)
+      .order('name');
+
+    if (staffId) {
+      query = query.eq('id', staffId);
+    }
+
+    const { data, error } = await query;
+    if (error) {
+      console.error('❌ Error fetching staff for availability:', error);
+      throw new AppError('Failed to fetch staff', 500, 'AVAILABILITY_FETCH_FAILED');
+    }
+    return data || [];
+  }
+
+  /**
+   * Non-cancelled bookings plus active slot holds for a salon within a date range.
+   * Uses the admin client: availability must see every booking, not only the caller's own (RLS).
+   * Holds are returned in booking shape (hold: true) with their own buffers.
+   */
+  async getBookings(salonId, startDate, endDate = startDate, staffId = null) {
+    let query = supabaseAdmin
+      .from('bookings')
+      .select('id, appointment_date, start_time, end_time, staff_id, services(buffer_before_minutes, buffer_after_minutes)')
+      .eq('salon_id', salonId)
+      .gte('appointment_date', startDate)
+      .lte('appointment_date', endDate)
+      .neq('status', 'cancelled')
+      .limit(5000);
+
+    let holdsQuery = supabaseAdmin
+      .from('booking_holds')
+      .select('id, appointment_date, start_time, end_time, staff_id, buffer_before_minutes, buffer_after_minutes')
+      .eq('salon_id', salonId)
+      .eq('status', 'active')
+      .gt('expires_at', new Date().toISOString())
+      .gte('appointment_date', startDate)
+      .lte('appointment_date', endDate);
+
+    if (staffId) {
+      query = query.eq('staff_id', staffId);
+      holdsQuery = holdsQuery.eq('staff_id', staffId);
+    }
+
+    // Fail instead of checking against an incomplete calendar
+    const [{ data, error }, { data: holds, error: holdsError }] = await Promise.all([query, holdsQuery]);
+    if (error) {
+      console.error('❌ Error fetching bookings for availability:', error);
+      throw new AppError('Failed to fetch bookings', 500, 'AVAILABILITY_FETCH_FAILED');
+    }
+    if (holdsError) {
+      console.error('❌ Error fetching booking holds for availability:', holdsError);
+      throw new AppError('Failed to fetch booking holds', 500, 'AVAILABILITY_FETCH_FAILED');
+    }
+
+    return [
+      ...(data || []),
+      ...(holds || []).map(hold => ({
+        id: hold.id,
+        appointment_date: hold.appointment_date,
+        start_time: hold.start_time,
+        end_time: hold.end_time,
+        staff_id: hold.staff_id,
+        services: {
+          buffer_before_minutes: hold.buffer_before_minutes,
+          buffer_after_minutes: hold.buffer_after_minutes
+        },
+        hold: true
+      }))
+    ];
+  }
+
+  /**
+   * Working window for a staff member on a given day: salon hours intersected with the staff schedule.
+   * A staff member without a schedule (or without times for that day) works the salon's hours.
+   */
+  getStaffWindow(salonHours, staffSchedule, dayKey) {
+    const salonWindow = resolveDayWindow(salonHours, dayKey);
+    if (!salonWindow) return null;
+
+    const staffDay = staffSchedule?.[dayKey];
+    if (!staffDay) return salonWindow;
+    if (staffDay.closed === true || staffDay.closed === 'true') return null;
+
+    const staffWindow = resolveDayWindow(staffSchedule, dayKey);
+    return staffWindow ? intersectWindows(salonWindow, staffWindow) : salonWindow;
+  }
+
+  /**
+   * Busy interval of an existing booking, widened by its service's (or the salon's) buffers,
+   * relative to a reference day (bookings on the following day land above 1440)
+   */
+  getBusyInterval(booking, salon, referenceDate = null) {
+    const rules = this.getBookingRules(salon, booking.services);
+    return toBusyInterval(booking, { before: rules.bufferBefore, after: rules.bufferAfter, referenceDate });
+  }
+
+  /**
+   * Earliest bookable minute relative to a date, given the minimum lead time, in the salon's timezone.
+   * Values above 1440 mean the threshold is on a later day.
+   * @returns {number|null} - null when the lead time doesn't restrict the date
+   */
+  getEarliestStart(date, leadTimeMinutes = 0, timeZone = config.booking.default_timezone) {
+    const threshold = getZonedParts(new Date(Date.now() + leadTimeMinutes * 60000), timeZone);
+    const days = dayDiff(date, threshold.date);
+
+    if (days < 0) return null;
+    return days * MINUTES_PER_DAY + threshold.minutes;
+  }
+
+  /**
+   * Whether a date lies beyond the booking horizon (counted from the salon's today)
+   */
+  isBeyondHorizon(date, horizonDays, timeZone = config.booking.default_timezone) {
+    const lastDate = addDays(nowInZone(timeZone).date, horizonDays);
+    return String(date).split('T')[0] > lastDate;
+  }
+
+  /**
+   * Validate lead time and horizon for a requested appointment; throws AppError (400) when violated
+   */
+  assertBookableTime({ salon, service, date, startTime }) {
+    const rules = this.getBookingRules(salon, service);
+    const timeZone = getSalonTimezone(salon);
+
+    if (this.isBeyondHorizon(date, rules.horizonDays, timeZone)) {
+      throw new AppError(`Bookings can be made at most ${rules.horizonDays} days ahead`, 400, 'BOOKING_TOO_FAR_AHEAD');
+    }
+
+    const earliest = this.getEarliestStart(date, rules.leadTimeMinutes, timeZone);
+    if (earliest !== null && timeToMinutes(startTime) < earliest) {
+      throw new AppError(
+        rules.leadTimeMinutes > 0
+          ? `Bookings must be made at least ${rules.leadTimeMinutes} minutes in advance`
+          : 'Cannot book a time in the past',
+        400,
+        'BOOKING_TOO_SOON'
+      );
+    }
+
+    return rules;
+  }
+
+  /**
+   * Decide whether an appointment can take place, given already-loaded staff and bookings.
+   * This is the single conflict check used by create, reschedule, reassign, holds and the waitlist.
+   *
+   * - With a staffId: that stylist must be working (salon hours ∩ their schedule) and free.
+   * - Without one: the first free stylist is picked, unless unassigned bookings already take every free chair.
+   * - Salon without active staff: a single chair within salon hours; every booking blocks.
+   * Buffers of the new and the existing appointments are respected; overnight hours are
+   * resolved by placeInBusinessDay.
+   *
+   * @param {Object} params
+   * @param {Object} params.salon - Salon row (business_hours, slot rules)
+   * @param {Object} params.service - Service row (duration, slot rule overrides)
+   * @param {string} params.date - Calendar date of the appointment (YYYY-MM-DD)
+   * @param {string} params.startTime - HH:mm
+   * @param {Array} params.staffList - Active staff ({ id, availability_schedule }); only the requested one when staffId is set
+   * @param {Array} params.bookings - Bookings/holds from the day before to the day after `date`
+   * @param {string|null} [params.staffId=null]
+   * @returns {{ available: boolean, reason: string|null, staffId: string|null }}
+   */
+  evaluateSlot({ salon, service, date, startTime, staffList, bookings, staffId = null }) {
+    const rules = this.getBookingRules(salon, service);
+    const start = timeToMinutes(startTime);
+    const duration = service.duration;
+    const slot = { duration, bufferBefore: rules.bufferBefore, bufferAfter: rules.bufferAfter };
+    const busyFor = (rows, referenceDate) => rows
+      .map(b => this.getBusyInterval(b, salon, referenceDate))
+      .filter(Boolean);
+
+    if (start === null || !duration) {
+      return { available: false, reason: 'INVALID_TIME', staffId: null };
+    }
+
+    // Evaluate one "chair": its working windows and the bookings that block it
+    const evaluate = (getWindow, rows) => {
+      const placed = placeInBusinessDay(date, start, duration, getWindow);
+      if (!placed) return { available: false, reason: 'OUTSIDE_HOURS' };
+      return checkSlot({ ...slot, window: placed.window, start: placed.start, busy: busyFor(rows, placed.businessDate) });
+    };
+    const salonWindow = day => resolveDayWindow(salon.business_hours, getDayKey(day));
+
+    if (staffId) {
+      const staff = (staffList || []).find(s => s.id === staffId);
+      if (!staff) return { available: false, reason: 'STAFF_NOT_FOUND', staffId };
+
+      const result = evaluate(
+        day => this.getStaffWindow(salon.business_hours, staff.availability_schedule, getDayKey(day)),
+        bookings.filter(b => b.staff_id === staffId)
+      );
+      return { ...result, staffId };
+    }
+
+    if (!staffList || staffList.length === 0) {
+      return { ...evaluate(salonWindow, bookings), staffId: null };
+    }
+
+    const staffIds = new Set(staffList.map(s => s.id));
+    const results = staffList.map(staff => ({
+      staff,
+      ...evaluate(
+        day => this.getStaffWindow(salon.business_hours, staff.availability_schedule, getDayKey(day)),
+        bookings.filter(b => b.staff_id === staff.id)
+      )
+    }));
+    const free = results.filter(r => r.available);
+
+    if (free.length === 0) {
+      const reason = results.some(r => r.reason === 'CONFLICT') ? 'CONFLICT' : 'OUTSIDE_HOURS';
+      return { available: false, reason, staffId: null };
+    }
+
+    // Bookings not tied to one of these stylists ("any staff", or a stylist who left) still take a chair
+    const placed = placeInBusinessDay(date, start, duration, salonWindow) || { businessDate: date, start };
+    const from = placed.start - rules.bufferBefore;
+    const to = placed.start + duration + rules.bufferAfter;
+    const taken = busyFor(bookings.filter(b => !b.staff_id || !staffIds.has(b.staff_id)), placed.businessDate)
+      .filter(b => overlaps(from, to, b.start, b.end)).length;
+
+    if (free.length <= taken) {
+      return { available: false, reason: 'CONFLICT', staffId: null };
+    }
+    return { available: true, reason: null, staffId: free[0].staff.id };
+  }
+
+  /**
+   * Load staff and nearby bookings, then evaluate the slot (see evaluateSlot).
+   * @returns {Promise<{ available: boolean, reason: string|null, staffId: string|null }>}
+   */
+  async checkSlot({ salon, service, date, startTime, staffId = null, excludeBookingId = null, excludeHoldId = null }) {
+    const staffList = await this.getActiveStaff(salon.id, staffId);
+    const bookings = (await this.getBookings(salon.id, addDays(date, -1), addDays(date, 1), staffId))
+      .filter(b => b.id !== excludeBookingId && b.id !== excludeHoldId);
+
+    return this.evaluateSlot({ salon, service, date, startTime, staffList, bookings, staffId });
+  }
+
+  /**
+   * checkSlot that throws the matching AppError when the slot can't be used
+   * @returns {Promise<string|null>} staff id that will take the appointment
+   */
+  async assertSlotAvailable(params) {
+    const result = await this.checkSlot(params);
+    if (result.available) return result.staffId;
+
+    switch (result.reason) {
+      case 'STAFF_NOT_FOUND':
+        throw new AppError('Staff member not found or not active at this salon', 400, 'INVALID_STAFF');
+      case 'OUTSIDE_HOURS':
+        throw new AppError('Requested time is outside opening hours', 409, 'OUTSIDE_BUSINESS_HOURS');
+      case 'INVALID_TIME':
+        throw new AppError('Invalid start time', 400, 'INVALID_TIME');
+      default:
+        throw new AppError('Time slot not available', 409, 'TIME_SLOT_CONFLICT');
+    }
+  }
+
+  /**
+   * Plan a multi-service appointment: consecutive segments, each checked like a single booking.
+   * Staff can differ per segment; segments without a requested stylist get the first free one.
+   * @param {Object} params
+   * @param {Object} params.salon
+   * @param {Array<{ service: Object, staffId: string|null }>} params.items - In order
+   * @param {string} params.date - YYYY-MM-DD of the first segment
+   * @param {string} params.startTime - HH:mm of the first segment
+   * @param {Array<string>} [params.excludeBookingIds] - Bookings to ignore (the segments of a basket being moved)
+   * @returns {Promise<Array<{ service, staffId, appointment_date, start_time, end_time }>>}
+   */
+  async planBasket({ salon, items, date, startTime, excludeBookingIds = [] }) {
+    const segments = planSegments(date, timeToMinutes(startTime), items.map(item => item.service.duration));
+    const lastDate = segments[segments.length - 1].appointment_date;
+
+    const staffList = await this.getActiveStaff(salon.id);
+    const bookings = (await this.getBookings(salon.id, addDays(date, -1), addDays(lastDate, 1)))
+      .filter(booking => !excludeBookingIds.includes(booking.id));
+
+    return items.map((item, index) => {
+      const segment = segments[index];
+      const result = this.evaluateSlot({
+        salon,
+        service: item.service,
+        date: segment.appointment_date,
+        startTime: segment.start_time,
+        staffList: item.staffId ? staffList.filter(s => s.id === item.staffId) : staffList,
+        bookings,
+        staffId: item.staffId
+      });
+
+      if (!result.available) {
+        this._throwPlanError(result, `${item.service.name || 'service'} at ${segment.start_time}`);
+      }
+
+      return { service: item.service, staffId: result.staffId, ...segment };
+    });
+  }
+
+  /**
+   * Plan a group booking: several guests starting at the same time, each with their own
+   * service and stylist. Guests are placed one after another, so two guests never get the
+   * same stylist (or the last free chair).
+   * @param {Object} params
+   * @param {Object} params.salon
+   * @param {Array<{ service: Object, staffId: string|null }>} params.items - One per guest; extra keys are kept
+   * @param {string} params.date - YYYY-MM-DD
+   * @param {string} params.startTime - HH:mm
+   * @returns {Promise<Array>} items with staffId, appointment_date, start_time and end_time
+   */
+  async planGroup({ salon, items, date, startTime }) {
+    const start = timeToMinutes(startTime);
+    const staffList = await this.getActiveStaff(salon.id);
+    const bookings = await this.getBookings(salon.id, addDays(date, -1), addDays(date, 1));
+
+    return items.map((item, index) => {
+      const result = this.evaluateSlot({
+        salon,
+        service: item.service,
+        date,
+        startTime,
+        staffList: item.staffId ? staffList.filter(s => s.id === item.staffId) : staffList,
+        bookings,
+        staffId: item.staffId
+      });
+
+      if (!result.available) {
+        this._throwPlanError(result, `guest ${index + 1} (${item.service.name || 'service'})`);
+      }
+
+      const planned = {
+        ...item,
+        staffId: result.staffId,
+        appointment_date: date,
+        start_time: minutesToTime(start),
+        end_time: minutesToTime(start + item.service.duration)
+      };
+
+      // Later guests must see this one
+      bookings.push({
+        id: `group-${index}`,
+        appointment_date: date,
+        start_time: planned.start_time,
+        end_time: planned.end_time,
+        staff_id: planned.staffId,
+        services: item.service
+      });
+
+      return planned;
+    });
+  }
+
+  _throwPlanError(result, where) {
+    if (result.reason === 'STAFF_NOT_FOUND') {
+      throw new AppError(`Staff member not available for ${where}`, 400, 'INVALID_STAFF');
+    }
+    if (result.reason === 'OUTSIDE_HOURS') {
+      throw new AppError(`${where} is outside opening hours`, 409, 'OUTSIDE_BUSINESS_HOURS');
+    }
+    throw new AppError(`Time slot not available for ${where}`, 409, 'TIME_SLOT_CONFLICT');
+  }
+
+  /**
+   * Calculate slots for one business day
+   * @param {Object} params
+   * @param {Object} params.salon - Salon row with business_hours, timezone and slot rules
+   * @param {Object} params.service - Service row with duration and optional slot rule overrides
+   * @param {string} params.date - YYYY-MM-DD
+   * @param {Array} params.staffList - Staff rows ({ id, name, availability_schedule })
+   * @param {Array} params.bookings - Bookings on that date and the next ({ appointment_date, start_time, end_time, staff_id, services })
+   * @param {boolean} [params.singleStaff=false] - staffList was narrowed to one requested staff member
+   * @returns {{ available_slots: Array, staff_slots: Array }} - slots after midnight carry the next day's appointment_date
+   */
+  calculateDaySlots({ salon, service, date, staffList, bookings, singleStaff = false }) {
+    const dayKey = getDayKey(date);
+    const duration = service.duration;
+    const rules = this.getBookingRules(salon, service);
+    const format = slot => ({
+      appointment_date: slot.start >= MINUTES_PER_DAY ? addDays(date, 1) : date,
+      start_time: slot.start_time,
+      end_time: slot.end_time
+    });
+
+    const timeZone = getSalonTimezone(salon);
+    if (this.isBeyondHorizon(date, rules.horizonDays, timeZone)) {
+      return {
+        available_slots: [],
+        staff_slots: (staffList || []).map(staff => ({ staff_id: staff.id, name: staff.name, available_slots: [] }))
+      };
+    }
+
+    const slotOptions = {
+      duration,
+      interval: rules.interval,
+      bufferBefore: rules.bufferBefore,
+      bufferAfter: rules.bufferAfter,
+      earliestStart: this.getEarliestStart(date, rules.leadTimeMinutes, timeZone)
+    };
+    const toBusy = b => this.getBusyInterval(b, salon, date);
+
+    // Salon without (active) staff: treat it as a single chair, every booking blocks the slot
+    if (!staffList || staffList.length === 0) {
+      const window = resolveDayWindow(salon.business_hours, dayKey);
+      const busy = (bookings || []).map(toBusy).filter(Boolean);
+      const slots = computeSlots({ ...slotOptions, window, busy });
+      return { available_slots: slots.map(format), staff_slots: [] };
+    }
+
+    const staffIds = new Set(staffList.map(s => s.id));
+    const staffSlots = staffList.map(staff => {
+      const window = this.getStaffWindow(salon.business_hours, staff.availability_schedule, dayKey);
+      const busy = (bookings || [])
+        .filter(b => b.staff_id === staff.id)
+        .map(toBusy)
+        .filter(Boolean);
+      return {
+        staff_id: staff.id,
+        name: staff.name,
+        slots: computeSlots({ ...slotOptions, window, busy })
+      };
+    });
+
+    // Bookings not tied to one of these stylists ("any staff", or a stylist who left) still take a chair
+    const unassigned = singleStaff
+      ? []
+      : (bookings || [])
+        .filter(b => !b.staff_id || !staffIds.has(b.staff_id))
+        .map(toBusy)
+        .filter(Boolean);
+
+    const byStart = new Map();
+    for (const entry of staffSlots) {
+      for (const slot of entry.slots) {
+        if (!byStart.has(slot.start)) {
+          byStart.set(slot.start, { ...slot, staff_ids: [] });
+        }
+        byStart.get(slot.start).staff_ids.push(entry.staff_id);
+      }
+    }
+
+    const merged = [...byStart.values()]
+      .filter(slot => {
+        const from = slot.start - rules.bufferBefore;
+        const to = slot.end + rules.bufferAfter;
+        const taken = unassigned.filter(b => overlaps(from, to, b.start, b.end)).length;
+        return slot.staff_ids.length > taken;
+      })
+      .sort((a, b) => a.start - b.start)
+      .map(slot => ({ ...format(slot), staff_ids: slot.staff_ids }));
+
+    return {
+      available_slots: merged,
+      staff_slots: staffSlots.map(entry => ({
+        staff_id: entry.staff_id,
+        name: entry.name,
+        available_slots: entry.slots.map(format)
+      }))
+    };
+  }
+}
+
+module.exports = new AvailabilityService();
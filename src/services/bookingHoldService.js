@@ -0,0 +1,341 @@
+const { supabaseAdmin } = require('../config/database');
+const config = require('../config');
+const { AppError } = require('../middleware/errorHandler');
+const availabilityService = require('./availabilityService');
+const { timeToMinutes, minutesToTime } = require('../utils/availability');
+
+// SQLSTATE raised by the reservation functions when the slot is taken
+const SLOT_TAKEN_CODE = 'P0409';
+
+/**
+ * Booking Hold Service
+ * Short-lived slot holds and race-free booking inserts/moves.
+ * All go through database functions (see add_booking_holds.sql and add_move_booking_atomic.sql)
+ * that lock the salon and re-check conflicts in the same transaction as the write.
+ */
+class BookingHoldService {
+  /**
+   * Buffer parameters passed to the reservation functions
+   */
+  _bufferParams(salon, service) {
+    const rules = availabilityService.getBookingRules(salon, service);
+    return {
+      p_buffer_before: rules.bufferBefore,
+      p_buffer_after: rules.bufferAfter,
+      p_default_buffer_before: config.booking.buffer_before_minutes,
+      p_default_buffer_after: config.booking.buffer_after_minutes
+    };
+  }
+
+  _throwIfSlotTaken(error) {
+    if (error?.code === SLOT_TAKEN_CODE) {
+      throw new AppError('Time slot not available', 409, 'TIME_SLOT_CONFLICT');
+    }
+  }
+
+  // Segments in the shape the basket functions take, with each service's buffers
+  _basketItems(salon, segments) {
+    return segments.map(segment => {
+      const rules = availabilityService.getBookingRules(salon, segment.service);
+      return {
+        ...(segment.bookingId ? { booking_id: segment.bookingId } : {}),
+        service_id: segment.service.id,
+        staff_id: segment.staffId,
+        date: segment.appointment_date,
+        start: segment.start_time,
+        end: segment.end_time,
+        buffer_before: rules.bufferBefore,
+        buffer_after: rules.bufferAfter
+      };
+    });
+  }
+
+  /**
+   * Hold a slot for a client while they pay
+   * @returns {Promise<Object>} booking_holds row
+   */
+  async createHold({ salon, service, clientId, date, startTime, staffId = null }) {
+    const startMinutes = timeToMinutes(startTime);
+    const expiresAt = new Date(Date.now() + config.booking.hold_ttl_minutes * 60000);
+
+    const { data: hold, error } = await supabaseAdmin.rpc('create_booking_hold', {
+      p_salon_id: salon.id,
+      p_service_id: service.id,
+      p_staff_id: staffId,
+      p_client_id: clientId,
+      p_date: date,
+      p_start: minutesToTime(startMinutes),
+      p_end: minutesToTime(startMinutes + service.duration),
+      ...this._bufferParams(salon, service),
+      p_expires_at: expiresAt.toISOString()
+    });
+
+    if (error) {
+      this._throwIfSlotTaken(error);
+      console.error('❌ Error creating booking hold:', error);
+      throw new AppError('Failed to hold time slot', 500, 'HOLD_CREATION_FAILED');
+    }
+
+    console.log(`⏳ Hold ${hold.id} placed for ${date} ${startTime} until ${expiresAt.toISOString()}`);
+    return hold;
+  }
+
+  /**
+   * Active, unexpired hold owned by a client
+   */
+  async getActiveHold(holdId, clientId) {
+    const { data: hold } = await supabaseAdmin
+      .from('booking_holds')
+      .select('*')
+      .eq('id', holdId)
+      .eq('client_id', clientId)
+      .maybeSingle();
+
+    if (!hold) {
+      throw new AppError('Hold not found', 404, 'HOLD_NOT_FOUND');
+    }
+    if (hold.status !== 'active' || new Date(hold.expires_at) <= new Date()) {
+      throw new AppError('Hold has expired, please pick the time slot again', 410, 'HOLD_EXPIRED');
+    }
+    return hold;
+  }
+
+  /**
+   * Link the payment intent created for a hold (so a failed payment releases it)
+   */
+  async attachPaymentIntent(holdId, clientId, paymentIntentId) {
+    await this.getActiveHold(holdId, clientId);
+
+    const { data: hold, error } = await supabaseAdmin
+      .from('booking_holds')
+      .update({ stripe_payment_intent_id: paymentIntentId, updated_at: new Date().toISOString() })
+      .eq('id', holdId)
+      .select()
+      .single();
+
+    if (error) {
+      throw new AppError('Failed to update hold', 500, 'HOLD_UPDATE_FAILED');
+    }
+    return hold;
+  }
+
+  /**
+   * Release a client's hold (user left the payment sheet)
+   */
+  async releaseHold(holdId, clientId) {
+    const { data, error } = await supabaseAdmin
+      .from('booking_holds')
+      .update({ status: 'released', updated_at: new Date().toISOString() })
+      .eq('id', holdId)
+      .eq('client_id', clientId)
+      .eq('status', 'active')
+      .select('id');
+
+    if (error) {
+      throw new AppError('Failed to release hold', 500, 'HOLD_RELEASE_FAILED');
+    }
+    return (data || []).length > 0;
+  }
+
+  /**
+   * Release holds tied to a payment intent (payment_intent.payment_failed webhook)
+   */
+  async releaseHoldsForPaymentIntent(paymentIntent) {
+    const holdId = paymentIntent.metadata?.hold_id;
+    let query = supabaseAdmin
+      .from('booking_holds')
+      .update({ status: 'released', updated_at: new Date().toISOString() })
+      .eq('status', 'active');
+
+    query = holdId
+      ? query.or(`id.eq.${holdId},stripe_payment_intent_id.eq.${paymentIntent.id}`)
+      : query.eq('stripe_payment_intent_id', paymentIntent.id);
+
+    const { data, error } = await query.select('id');
+    if (error) {
+      console.error('❌ Error releasing holds for payment intent:', error);
+      return 0;
+    }
+    if (data?.length) {
+      console.log(`🔓 Released ${data.length} hold(s) for failed payment ${paymentIntent.id}`);
+    }
+    return data?.length || 0;
+  }
+
+  /**
+   * Mark holds past their expiry as expired (cron). Expired holds already stop blocking
+   * slots on their own; this just keeps the table tidy.
+   */
+  async expireHolds() {
+    const { data, error } = await supabaseAdmin
+      .from('booking_holds')
+      .update({ status: 'expired', updated_at: new Date().toISOString() })
+      .eq('status', 'active')
+      .lt('expires_at', new Date().toISOString())
+      .select('id');
+
+    if (error) {
+      console.error('❌ Error expiring booking holds:', error);
+      throw error;
+    }
+    return data?.length || 0;
+  }
+
+  /**
+   * Insert a booking after re-checking conflicts under the salon lock.
+   * @returns {Promise<string>} new booking id
+   */
+  async createBookingAtomic({
+    salon,
+    service,
+    clientId,
+    staffId = null,
+    date,
+    startTime,
+    endTime,
+    clientNotes = null,
+    status = 'confirmed',
+    holdId = null
+  }) {
+    const { data: bookingId, error } = await supabaseAdmin.rpc('create_booking_atomic', {
+      p_salon_id: salon.id,
+      p_service_id: service.id,
+      p_staff_id: staffId,
+      p_client_id: clientId,
+      p_date: date,
+      p_start: startTime,
+      p_end: endTime,
+      p_client_notes: clientNotes,
+      p_status: status,
+      ...this._bufferParams(salon, service),
+      p_hold_id: holdId
+    });
+
+    if (error) {
+      this._throwIfSlotTaken(error);
+      console.error('❌ Booking creation error:', error);
+      throw new AppError(`Failed to create booking: ${error.message}`, 500, 'BOOKING_CREATION_FAILED');
+    }
+
+    return bookingId;
+  }
+
+  /**
+   * Reserve every segment of a multi-service basket (all or nothing) under the salon lock
+   * @param {Object} params
+   * @param {Array} params.segments - From availabilityService.planBasket
+   * @returns {Promise<string>} basket id
+   */
+  async createBasketAtomic({ salon, clientId, segments, clientNotes = null, status = 'confirmed', totalDuration, totalPrice, currency = 'EUR' }) {
+    const { data: basketId, error } = await supabaseAdmin.rpc('create_booking_basket_atomic', {
+      p_salon_id: salon.id,
+      p_client_id: clientId,
+      p_items: this._basketItems(salon, segments),
+      p_client_notes: clientNotes,
+      p_status: status,
+      p_total_duration: totalDuration,
+      p_total_price: totalPrice,
+      p_currency: currency,
+      p_default_buffer_before: config.booking.buffer_before_minutes,
+      p_default_buffer_after: config.booking.buffer_after_minutes
+    });
+
+    if (error) {
+      this._throwIfSlotTaken(error);
+      console.error('❌ Basket booking creation error:', error);
+      throw new AppError(`Failed to create booking: ${error.message}`, 500, 'BOOKING_CREATION_FAILED');
+    }
+
+    return basketId;
+  }
+
+  /**
+   * Move every segment of a basket (new times and/or stylists) at once, re-checked under the
+   * salon lock; the basket's own segments don't count as conflicts
+   * @param {Object} params
+   * @param {string} params.basketId
+   * @param {Object} params.salon
+   * @param {Array} params.segments - From availabilityService.planBasket, each with its bookingId
+   * @param {string|null} [params.status] - New status, or null to keep the current one
+   */
+  async moveBasketAtomic({ basketId, salon, segments, status = null }) {
+    const { error } = await supabaseAdmin.rpc('move_booking_basket_atomic', {
+      p_basket_id: basketId,
+      p_items: this._basketItems(salon, segments),
+      p_status: status,
+      p_default_buffer_before: config.booking.buffer_before_minutes,
+      p_default_buffer_after: config.booking.buffer_after_minutes
+    });
+
+    if (error) {
+      this._throwIfSlotTaken(error);
+      console.error('❌ Error moving basket:', error);
+      throw new AppError('Failed to update booking time', 500, 'BOOKING_MOVE_FAILED');
+    }
+  }
+
+  /**
+   * Reserve parallel appointments for a group (all or nothing) under the salon lock
+   * @param {Object} params
+   * @param {Array} params.guests - From availabilityService.planGroup (service, staffId, familyMemberId, times)
+   * @returns {Promise<string>} group id shared by the new bookings
+   */
+  async createGroupAtomic({ salon, clientId, guests, clientNotes = null, status = 'confirmed' }) {
+    const items = guests.map(guest => {
+      const rules = availabilityService.getBookingRules(salon, guest.service);
+      return {
+        service_id: guest.service.id,
+        staff_id: guest.staffId,
+        family_member_id: guest.familyMemberId,
+        date: guest.appointment_date,
+        start: guest.start_time,
+        end: guest.end_time,
+        buffer_before: rules.bufferBefore,
+        buffer_after: rules.bufferAfter
+      };
+    });
+
+    const { data: groupId, error } = await supabaseAdmin.rpc('create_booking_group_atomic', {
+      p_salon_id: salon.id,
+      p_client_id: clientId,
+      p_items: items,
+      p_client_notes: clientNotes,
+      p_status: status,
+      p_default_buffer_before: config.booking.buffer_before_minutes,
+      p_default_buffer_after: config.booking.buffer_after_minutes
+    });
+
+    if (error) {
+      this._throwIfSlotTaken(error);
+      console.error('❌ Group booking creation error:', error);
+      throw new AppError(`Failed to create booking: ${error.message}`, 500, 'BOOKING_CREATION_FAILED');
+    }
+
+    return groupId;
+  }
+
+  /**
+   * Move an existing booking (new time and/or stylist) after re-checking conflicts under the salon lock
+   * @param {Object} params
+   * @param {string|null} [params.status] - New status, or null to keep the current one
+   */
+  async moveBookingAtomic({ bookingId, salon, service, staffId = null, date, startTime, endTime, status = null }) {
+    const { error } = await supabaseAdmin.rpc('move_booking_atomic', {
+      p_booking_id: bookingId,
+      p_staff_id: staffId,
+      p_date: date,
+      p_start: startTime,
+      p_end: endTime,
+      p_status: status,
+      ...this._bufferParams(salon, service)
+    });
+
+    if (error) {
+      this._throwIfSlotTaken(error);
+      console.error('❌ Error moving booking:', error);
+      throw new AppError('Failed to update booking time', 500, 'BOOKING_MOVE_FAILED');
+    }
+  }
+}
+
+module.exports = new BookingHoldService();
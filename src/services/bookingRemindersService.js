@@ -1,187 +1,170 @@
-const { supabase } = require('../config/database');
-const emailService = require('./emailService');
+const { supabaseAdmin } = require('../config/database');
+const { AppError } = require('../middleware/errorHandler');
+const notificationService = require('./notificationService');
+const bookingSeriesService = require('./bookingSeriesService');
+
+const TABLE = 'booking_reminders';
+const MAX_ATTEMPTS = 3;
+const RETRY_DELAY_MINUTES = 10;
+// A worker that died while sending gives the reminder back after this long
+const SENDING_LEASE_SECONDS = 5 * 60;
+const REMINDABLE_STATUSES = ['pending', 'confirmed'];
 
 /**
  * Booking Reminders Service
- * Handles sending reminder notifications for upcoming bookings
+ * Sends booking reminders (email and push, as the client's settings allow). The database keeps
+ * one booking_reminders record per booking and salon reminder offset, rescheduled or cancelled
+ * along with the booking (sync_booking_reminders, see add_booking_reminders.sql); this sends the
+ * records that are due and marks them sent, so a reminder goes out once however often the job
+ * runs. Each record is claimed before sending, so overlapping runs don't send it twice.
  */
 class BookingRemindersService {
   /**
-   * Send reminders for bookings happening in the next 24 hours
+   * Send the reminders that are due, and retry ones whose send failed or whose worker died
    * Should be run as a scheduled job (cron)
+   * @param {number} [limit=100]
+   * @returns {Promise<{ due: number, sent: number, retrying: number, failed: number, cancelled: number, skipped: number }>}
    */
-  async sendUpcomingReminders() {
-    try {
-      const now = new Date();
-      const tomorrow = new Date(now);
-      tomorrow.setDate(tomorrow.getDate() + 1);
-      
-      const todayStr = now.toISOString().split('T')[0];
-      const tomorrowStr = tomorrow.toISOString().split('T')[0];
-
-      console.log('📧 Checking for bookings to remind...');
-
-      // Get all confirmed bookings happening tomorrow
-      const { data: bookings, error } = await supabase
-        .from('bookings')
-        .select(`
+  async processDue(limit = 100) {
+    const now = new Date();
+    const { data: due, error } = await supabaseAdmin
+      .from(TABLE)
+      .select(`
+        *,
+        bookings(
           *,
           services(*),
           salons(*),
-          user_profiles!client_id(*)
-        `)
-        .in('status', ['pending', 'confirmed'])
-        .eq('appointment_date', tomorrowStr);
-
-      if (error) {
-        console.error('❌ Error fetching bookings for reminders:', error);
-        return;
-      }
-
-      if (!bookings || bookings.length === 0) {
-        console.log('✅ No bookings to remind');
-        return;
-      }
+          booking_series(*)
+        )
+      `)
+      .in('status', ['scheduled', 'sending'])
+      .lte('next_attempt_at', now.toISOString())
+      .order('next_attempt_at', { ascending: true })
+      .limit(limit);
+
+    if (error) {
+      console.error('❌ Error fetching due reminders:', error);
+      throw new AppError('Failed to fetch due reminders', 500, 'REMINDERS_FETCH_FAILED');
+    }
 
-      console.log(`📧 Found ${bookings.length} bookings to remind`);
-
-      // Send reminders
-      for (const booking of bookings) {
-        try {
-          // Check if reminder already sent (could add reminder_sent_at column later)
-          await emailService.sendBookingReminder(
-            { ...booking, service_name: booking.services?.name },
-            booking.user_profiles,
-            booking.salons
-          );
-          console.log(`✅ Sent reminder for booking ${booking.id}`);
-        } catch (error) {
-          console.error(`❌ Failed to send reminder for booking ${booking.id}:`, error);
-        }
-      }
+    const summary = { due: (due || []).length, sent: 0, retrying: 0, failed: 0, cancelled: 0, skipped: 0 };
+    for (const reminder of due || []) {
+      const outcome = await this._process(reminder, now);
+      if (outcome) summary[outcome]++;
+    }
 
-      return { success: true, count: bookings.length };
-    } catch (error) {
-      console.error('❌ Error in sendUpcomingReminders:', error);
-      throw error;
+    if (summary.due > 0) {
+      console.log(`📧 Reminders: ${summary.sent} sent, ${summary.retrying} retrying, ${summary.failed} failed, ${summary.cancelled} cancelled, ${summary.skipped} skipped`);
     }
+    return summary;
   }
 
-  /**
-   * Send reminders for bookings happening in the next X hours
-   * @param {number} hoursAhead - How many hours ahead to check (default 24)
-   */
-  async sendRemindersForHoursAhead(hoursAhead = 24) {
-    try {
-      const now = new Date();
-      const targetTime = new Date(now.getTime() + (hoursAhead * 60 * 60 * 1000));
-      
-      const targetDateStr = targetTime.toISOString().split('T')[0];
-      const targetTimeStr = targetTime.toTimeString().slice(0, 5);
-
-      console.log(`📧 Checking for bookings ${hoursAhead} hours ahead (${targetDateStr} ${targetTimeStr})...`);
-
-      // Get bookings on the target date around the target time
-      const { data: bookings, error } = await supabase
-        .from('bookings')
-        .select(`
-          *,
-          services(*),
-          salons(*),
-          user_profiles!client_id(*)
-        `)
-        .in('status', ['pending', 'confirmed'])
-        .eq('appointment_date', targetDateStr)
-        .lte('start_time', targetTimeStr);
-
-      if (error) {
-        console.error('❌ Error fetching bookings:', error);
-        return;
-      }
+  async _process({ bookings: booking, ...reminder }, now) {
+    const claimed = await this._claim(reminder);
+    if (!claimed) return null;
 
-      if (!bookings || bookings.length === 0) {
-        console.log('✅ No bookings to remind');
-        return;
-      }
+    // The trigger cancels these; this covers a booking that changed after the reminder was fetched
+    if (!booking || !REMINDABLE_STATUSES.includes(booking.status)) {
+      await this._update(claimed, { status: 'cancelled', next_attempt_at: null });
+      return 'cancelled';
+    }
+    if (new Date(claimed.starts_at) <= now) {
+      await this._update(claimed, { status: 'skipped', next_attempt_at: null, last_error: 'Appointment already started' });
+      return 'skipped';
+    }
 
-      console.log(`📧 Found ${bookings.length} bookings to remind`);
-
-      for (const booking of bookings) {
-        try {
-          await emailService.sendBookingReminder(
-            { ...booking, service_name: booking.services?.name },
-            booking.user_profiles,
-            booking.salons
-          );
-          console.log(`✅ Sent reminder for booking ${booking.id}`);
-        } catch (error) {
-          console.error(`❌ Failed to send reminder for booking ${booking.id}:`, error);
-        }
+    try {
+      // Recurring bookings also mention the next visit in the series
+      const nextOccurrence = booking.series_id
+        ? await bookingSeriesService.getNextOccurrence(booking)
+        : null;
+
+      const { dispatch_id: dispatchId, deliveries } = await notificationService.notify(booking.client_id, 'booking_reminder', {
+        booking: {
+          ...booking,
+          service_name: booking.services?.name,
+          series: booking.booking_series || null,
+          next_occurrence: nextOccurrence
+        },
+        salon: booking.salons,
+        serviceName: booking.services?.name || 'Service'
+      });
+
+      const failures = deliveries.filter(delivery => delivery.status === 'failed');
+      if (failures.length > 0 && !deliveries.some(delivery => delivery.status === 'sent')) {
+        throw new Error(failures.map(delivery => `${delivery.channel}: ${delivery.reason}`).join('; '));
       }
 
-      return { success: true, count: bookings.length };
+      await this._update(claimed, {
+        status: 'sent',
+        sent_at: new Date().toISOString(),
+        dispatch_id: dispatchId,
+        next_attempt_at: null,
+        last_error: null
+      });
+      console.log(`✅ Sent ${claimed.offset_hours}h reminder for booking ${booking.id}`);
+      return 'sent';
     } catch (error) {
-      console.error('❌ Error in sendRemindersForHoursAhead:', error);
-      throw error;
+      return this._recordFailure(claimed, error);
     }
   }
 
-  /**
-   * Send same-day reminders (for bookings happening today)
-   */
-  async sendSameDayReminders() {
-    try {
-      const todayStr = new Date().toISOString().split('T')[0];
-      const now = new Date();
-      const currentTimeStr = now.toTimeString().slice(0, 5);
+  async _claim(reminder) {
+    const { data, error } = await supabaseAdmin
+      .from(TABLE)
+      .update({
+        status: 'sending',
+        attempts: reminder.attempts + 1,
+        next_attempt_at: new Date(Date.now() + SENDING_LEASE_SECONDS * 1000).toISOString(),
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', reminder.id)
+      .eq('status', reminder.status)
+      .eq('attempts', reminder.attempts)
+      .select()
+      .maybeSingle();
+
+    if (error) {
+      console.error('❌ Error claiming reminder:', error);
+      return null;
+    }
+    return data;
+  }
 
-      console.log('📧 Checking for same-day bookings to remind...');
+  async _recordFailure(reminder, error) {
+    const message = error?.message || String(error);
+    const exhausted = reminder.attempts >= MAX_ATTEMPTS;
 
-      // Get bookings happening today, starting after current time
-      const { data: bookings, error } = await supabase
-        .from('bookings')
-        .select(`
-          *,
-          services(*),
-          salons(*),
-          user_profiles!client_id(*)
-        `)
-        .in('status', ['pending', 'confirmed'])
-        .eq('appointment_date', todayStr)
-        .gte('start_time', currentTimeStr);
-
-      if (error) {
-        console.error('❌ Error fetching bookings:', error);
-        return;
-      }
-
-      if (!bookings || bookings.length === 0) {
-        console.log('✅ No same-day bookings to remind');
-        return;
-      }
+    if (exhausted) {
+      console.error(`❌ Reminder ${reminder.id} failed after ${reminder.attempts} attempts:`, message);
+    } else {
+      console.error(`❌ Reminder ${reminder.id} failed (attempt ${reminder.attempts}), retrying:`, message);
+    }
 
-      console.log(`📧 Found ${bookings.length} same-day bookings to remind`);
-
-      for (const booking of bookings) {
-        try {
-          await emailService.sendBookingReminder(
-            { ...booking, service_name: booking.services?.name },
-            booking.user_profiles,
-            booking.salons
-          );
-          console.log(`✅ Sent same-day reminder for booking ${booking.id}`);
-        } catch (error) {
-          console.error(`❌ Failed to send reminder for booking ${booking.id}:`, error);
-        }
-      }
+    await this._update(reminder, {
+      status: exhausted ? 'failed' : 'scheduled',
+      next_attempt_at: exhausted
+        ? null
+        : new Date(Date.now() + RETRY_DELAY_MINUTES * reminder.attempts * 60 * 1000).toISOString(),
+      last_error: message.slice(0, 2000)
+    });
+    return exhausted ? 'failed' : 'retrying';
+  }
 
-      return { success: true, count: bookings.length };
-    } catch (error) {
-      console.error('❌ Error in sendSameDayReminders:', error);
-      throw error;
+  // Only while this worker still holds the claim: a booking moved in between reset the record
+  async _update(reminder, fields) {
+    const { error } = await supabaseAdmin
+      .from(TABLE)
+      .update({ ...fields, updated_at: new Date().toISOString() })
+      .eq('id', reminder.id)
+      .eq('status', 'sending')
+      .eq('attempts', reminder.attempts);
+
+    if (error) {
+      console.error('❌ Error updating reminder:', error);
     }
   }
 }
 
 module.exports = new BookingRemindersService();
-
@@ -0,0 +1,284 @@
+const { supabaseAdmin } = require('../config/database');
+const config = require('../config');
+const { AppError } = require('../middleware/errorHandler');
+const availabilityService = require('./availabilityService');
+const bookingHoldService = require('./bookingHoldService');
+const clientReliabilityService = require('./clientReliabilityService');
+const packageService = require('./packageService');
+const { timeToMinutes, minutesToTime } = require('../utils/availability');
+const { parseRecurrence, expandRecurrence } = require('../utils/recurrence');
+const { addDays } = require('../utils/timezone');
+const { roundMoney } = require('../utils/cancellationPolicy');
+
+const EDIT_SCOPES = ['this', 'following', 'all'];
+const ACTIVE_STATUSES = ['pending', 'confirmed'];
+
+/**
+ * Booking Series Service
+ * Recurring appointments (see add_booking_series.sql). A series is created up front as
+ * individual bookings; occurrences that can't be booked are reported instead of failing the series.
+ * Occurrences after the first are priced at the service price and paid at the salon.
+ */
+class BookingSeriesService {
+  /**
+   * Validate a recurrence rule from a request body
+   * @returns {{ intervalWeeks: number, until: string|null, count: number|null }}
+   */
+  parseRule(recurrence) {
+    const rule = parseRecurrence(recurrence);
+    if (rule.error) {
+      throw new AppError(rule.error, 400, 'INVALID_RECURRENCE');
+    }
+    return rule;
+  }
+
+  /**
+   * Validate an edit/cancel scope ("this", "following" or "all")
+   */
+  parseScope(scope) {
+    const value = scope || 'this';
+    if (!EDIT_SCOPES.includes(value)) {
+      throw new AppError(`scope must be one of: ${EDIT_SCOPES.join(', ')}`, 400, 'INVALID_SCOPE');
+    }
+    return value;
+  }
+
+  /**
+   * Reject a recurring booking paid in a way that only covers one appointment: up front, with a
+   * deposit, a promo code or a package credit. Throws AppError (400).
+   * @param {Object} params
+   * @param {string|null} params.paymentIntentId - Payment intent sent with (or attached to the hold of) the first booking
+   * @param {boolean} params.usePackageCredit - Whether the client would pay with a package credit
+   */
+  async assertSeriesPayable({ salon, service, clientId, paymentIntentId = null, promoCode = null, usePackageCredit = true }) {
+    const reject = how => {
+      throw new AppError(`Recurring bookings can't be ${how}; book this appointment on its own`, 400, 'SERIES_PAYMENT_NOT_SUPPORTED');
+    };
+
+    if (paymentIntentId) reject('paid up front');
+    if (promoCode) reject('booked with a promo code');
+
+    const deposit = await clientReliabilityService.getDepositRequirement(salon, service, clientId);
+    if (deposit.required) reject('booked while a deposit is required');
+
+    if (usePackageCredit) {
+      const credits = await packageService.getClientCredits(clientId);
+      if (credits.some(credit => credit.service?.id === service.id)) reject('paid with package credits');
+    }
+  }
+
+  /**
+   * Create a series around an already created first booking and book the remaining occurrences
+   * @param {Object} params
+   * @param {Object} params.firstBooking - The booking created by the regular flow
+   * @param {string|null} params.staffId - Stylist the client asked for (null = any free stylist)
+   * @param {string|null} [params.familyMemberId] - Who the appointments are for (null = the client)
+   * @returns {Promise<{ series: Object, occurrences: Array }>}
+   */
+  async createSeries({ salon, service, clientId, staffId = null, firstBooking, rule, clientNotes = null, familyMemberId = null }) {
+    const dates = expandRecurrence(firstBooking.appointment_date, rule, config.booking.max_series_occurrences);
+    const startTime = minutesToTime(timeToMinutes(firstBooking.start_time));
+    const endTime = minutesToTime(timeToMinutes(startTime) + service.duration);
+    const price = roundMoney(Number(service.price || 0));
+
+    const { data: series, error } = await supabaseAdmin
+      .from('booking_series')
+      .insert([{
+        client_id: clientId,
+        salon_id: salon.id,
+        service_id: service.id,
+        staff_id: staffId,
+        interval_weeks: rule.intervalWeeks,
+        start_date: firstBooking.appointment_date,
+        start_time: startTime,
+        until_date: rule.until,
+        occurrence_count: rule.count
+      }])
+      .select()
+      .single();
+
+    if (error) {
+      console.error('❌ Error creating booking series:', error);
+      throw new AppError('Failed to create recurring booking', 500, 'SERIES_CREATION_FAILED');
+    }
+
+    await this._tagOccurrence(firstBooking.id, series.id, 0);
+
+    const occurrences = [{
+      index: 0,
+      appointment_date: firstBooking.appointment_date,
+      status: 'booked',
+      booking_id: firstBooking.id
+    }];
+
+    for (let index = 1; index < dates.length; index++) {
+      const date = dates[index];
+      try {
+        availabilityService.assertBookableTime({ salon, service, date, startTime });
+
+        const assignedStaffId = await availabilityService.assertSlotAvailable({
+          salon,
+          service,
+          date,
+          startTime,
+          staffId
+        });
+
+        const bookingId = await bookingHoldService.createBookingAtomic({
+          salon,
+          service,
+          clientId,
+          staffId: assignedStaffId,
+          date,
+          startTime,
+          endTime,
+          clientNotes,
+          status: 'confirmed'
+        });
+
+        await this._tagOccurrence(bookingId, series.id, index, { familyMemberId, price });
+        await this._createPendingPayment(bookingId, price, service.currency);
+        occurrences.push({ index, appointment_date: date, status: 'booked', booking_id: bookingId });
+      } catch (occurrenceError) {
+        if (!(occurrenceError instanceof AppError)) {
+          console.error(`❌ Error booking series occurrence ${date}:`, occurrenceError);
+        }
+        occurrences.push({
+          index,
+          appointment_date: date,
+          status: 'conflict',
+          reason: occurrenceError.code || 'BOOKING_CREATION_FAILED',
+          message: occurrenceError.message
+        });
+      }
+    }
+
+    const booked = occurrences.filter(o => o.status === 'booked').length;
+    console.log(`🔁 Series ${series.id}: ${booked}/${occurrences.length} occurrences booked`);
+
+    return { series, occurrences };
+  }
+
+  async _tagOccurrence(bookingId, seriesId, index, { familyMemberId = null, price = null } = {}) {
+    const update = { series_id: seriesId, series_index: index };
+    if (familyMemberId) {
+      update.family_member_id = familyMemberId;
+    }
+    if (price !== null) {
+      update.total_price = price;
+      update.discount_amount = 0;
+    }
+
+    const { error } = await supabaseAdmin
+      .from('bookings')
+      .update(update)
+      .eq('id', bookingId);
+
+    if (error) {
+      console.error('❌ Error linking booking to series:', error);
+    }
+  }
+
+  // Same pending payment a booking without a payment intent gets in createBooking
+  async _createPendingPayment(bookingId, amount, currency) {
+    const { error } = await supabaseAdmin
+      .from('payments')
+      .insert([{
+        booking_id: bookingId,
+        amount,
+        discount_amount: 0,
+        currency: currency || 'EUR',
+        status: 'pending'
+      }]);
+
+    if (error) {
+      console.warn(`⚠️ Could not create payment record for series occurrence ${bookingId}:`, error.message);
+    }
+  }
+
+  /**
+   * Bookings affected by an edit of `booking` in the given scope (always including `booking` itself).
+   * Only upcoming occurrences (pending/confirmed) are touched for "following" and "all".
+   */
+  async getScopeBookings(booking, scope, select = '*') {
+    if (scope === 'this' || !booking.series_id) {
+      return [booking];
+    }
+
+    let query = supabaseAdmin
+      .from('bookings')
+      .select(select)
+      .eq('series_id', booking.series_id)
+      .in('status', ACTIVE_STATUSES)
+      .order('series_index', { ascending: true });
+
+    if (scope === 'following') {
+      query = query.gte('series_index', booking.series_index ?? 0);
+    }
+
+    const { data, error } = await query;
+    if (error) {
+      console.error('❌ Error fetching series occurrences:', error);
+      throw new AppError('Failed to load recurring bookings', 500, 'SERIES_FETCH_FAILED');
+    }
+
+    const others = (data || []).filter(row => row.id !== booking.id);
+    return [booking, ...others];
+  }
+
+  /**
+   * Stop a series after "following"/"all" cancellations so it no longer shows as active
+   */
+  async closeSeries(booking, scope) {
+    if (scope === 'this' || !booking.series_id) return;
+
+    const cancelAll = scope === 'all' || !booking.series_index;
+    const update = cancelAll
+      ? { status: 'cancelled', updated_at: new Date().toISOString() }
+      : { status: 'ended', until_date: addDays(booking.appointment_date, -1), updated_at: new Date().toISOString() };
+
+    const { error } = await supabaseAdmin
+      .from('booking_series')
+      .update(update)
+      .eq('id', booking.series_id);
+
+    if (error) {
+      console.error('❌ Error closing booking series:', error);
+    }
+  }
+
+  /**
+   * Keep the series' time in sync after "all" occurrences were moved
+   */
+  async updateSeriesTime(seriesId, startTime) {
+    const { error } = await supabaseAdmin
+      .from('booking_series')
+      .update({ start_time: startTime, updated_at: new Date().toISOString() })
+      .eq('id', seriesId);
+
+    if (error) {
+      console.error('❌ Error updating booking series:', error);
+    }
+  }
+
+  /**
+   * Next upcoming occurrence after a booking in its series (null when it's the last)
+   */
+  async getNextOccurrence(booking) {
+    if (!booking.series_id) return null;
+
+    const { data } = await supabaseAdmin
+      .from('bookings')
+      .select('id, appointment_date, start_time')
+      .eq('series_id', booking.series_id)
+      .gt('series_index', booking.series_index ?? 0)
+      .in('status', ACTIVE_STATUSES)
+      .order('series_index', { ascending: true })
+      .limit(1)
+      .maybeSingle();
+
+    return data || null;
+  }
+}
+
+module.exports = new BookingSeriesService();
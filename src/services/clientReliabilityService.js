@@ -0,0 +1,124 @@
+const { supabaseAdmin } = require('../config/database');
+const config = require('../config');
+const { AppError } = require('../middleware/errorHandler');
+const { roundMoney } = require('../utils/cancellationPolicy');
+
+/**
+ * Client Reliability Service
+ * No-show counts per client per salon, the reliability shown to salons and the
+ * deposit rule ("require a deposit after N no-shows") enforced when booking.
+ */
+class ClientReliabilityService {
+  /**
+   * Effective deposit rule of a salon
+   * @returns {{ afterNoShows: number, percent: number }} afterNoShows 0 = deposits disabled
+   */
+  getDepositRule(salon) {
+    const afterNoShows = salon?.deposit_after_no_shows ?? config.booking.deposit_after_no_shows;
+    const percent = salon?.deposit_percent ?? config.booking.deposit_percent;
+    return { afterNoShows: Number(afterNoShows) || 0, percent: Number(percent) };
+  }
+
+  /**
+   * Number of no-shows of a client at a salon
+   */
+  async getNoShowCount(clientId, salonId) {
+    const { count, error } = await supabaseAdmin
+      .from('bookings')
+      .select('id', { count: 'exact', head: true })
+      .eq('client_id', clientId)
+      .eq('salon_id', salonId)
+      .eq('status', 'no_show');
+
+    if (error) {
+      console.error('❌ Error counting no-shows:', error);
+      throw new AppError('Failed to check booking history', 500, 'RELIABILITY_FETCH_FAILED');
+    }
+    return count || 0;
+  }
+
+  /**
+   * Whether a client must pay a deposit for a service at a salon, and how much
+   * @returns {Promise<{ required: boolean, noShows: number, threshold: number, percent: number, amount: number }>}
+   */
+  async getDepositRequirement(salon, service, clientId) {
+    const rule = this.getDepositRule(salon);
+    if (!rule.afterNoShows) {
+      return { required: false, noShows: 0, threshold: 0, percent: rule.percent, amount: 0 };
+    }
+
+    const noShows = await this.getNoShowCount(clientId, salon.id);
+    const required = noShows >= rule.afterNoShows;
+    return {
+      required,
+      noShows,
+      threshold: rule.afterNoShows,
+      percent: rule.percent,
+      amount: required ? roundMoney((Number(service.price || 0) * rule.percent) / 100) : 0
+    };
+  }
+
+  /**
+   * Reliability summary from a client's bookings at one salon
+   * @param {Array<{ status: string, cancelled_by?: string, cancellation_fee?: number }>} bookings
+   * @returns {{ total_bookings: number, completed: number, no_shows: number, late_cancellations: number, reliability_score: number|null, rating: string }}
+   */
+  summarize(bookings) {
+    const completed = bookings.filter(b => b.status === 'completed').length;
+    const noShows = bookings.filter(b => b.status === 'no_show').length;
+    const lateCancellations = bookings.filter(
+      b => b.status === 'cancelled' && b.cancelled_by === 'client' && Number(b.cancellation_fee) > 0
+    ).length;
+
+    // Share of finished appointments the client turned up for (late cancellations count half)
+    const finished = completed + noShows + lateCancellations;
+    const score = finished > 0
+      ? Math.round(((completed + lateCancellations * 0.5) / finished) * 100)
+      : null;
+
+    let rating = 'new';
+    if (score !== null) {
+      rating = score >= 90 ? 'reliable' : score >= 70 ? 'fair' : 'unreliable';
+    }
+
+    return {
+      total_bookings: bookings.length,
+      completed,
+      no_shows: noShows,
+      late_cancellations: lateCancellations,
+      reliability_score: score,
+      rating
+    };
+  }
+
+  /**
+   * Reliability of several clients at a salon
+   * @returns {Promise<Map<string, Object>>} client id -> summary
+   */
+  async getReliabilityForClients(salonId, clientIds) {
+    const result = new Map();
+    if (clientIds.length === 0) return result;
+
+    const { data, error } = await supabaseAdmin
+      .from('bookings')
+      .select('client_id, status, cancelled_by, cancellation_fee')
+      .eq('salon_id', salonId)
+      .in('client_id', clientIds);
+
+    if (error) {
+      console.error('❌ Error fetching client reliability:', error);
+      return result;
+    }
+
+    const byClient = new Map(clientIds.map(id => [id, []]));
+    for (const booking of data || []) {
+      byClient.get(booking.client_id)?.push(booking);
+    }
+    for (const [clientId, bookings] of byClient) {
+      result.set(clientId, this.summarize(bookings));
+    }
+    return result;
+  }
+}
+
+module.exports = new ClientReliabilityService();
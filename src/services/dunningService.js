@@ -0,0 +1,267 @@
+const { supabaseAdmin } = require('../config/database');
+const config = require('../config');
+const emailService = require('./emailService');
+const { getPlan, planForPriceId } = require('../utils/plans');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Dunning Service
+ * What happens when a salon's subscription renewal fails: the first invoice.payment_failed starts
+ * a grace period (config.subscription.grace_period_days) during which the salon keeps its plan and
+ * gets the dunning emails (config.subscription.dunning_email_days). invoice.paid ends it. If the
+ * grace period runs out first, the dunning cron downgrades the salon to basic and takes it out of
+ * the featured listings; paying the invoice later restores the plan.
+ */
+class DunningService {
+  registerWebhookHandlers(registry) {
+    registry.register('invoice.payment_failed', invoice => this.handlePaymentFailed(invoice));
+    registry.register('invoice.paid', invoice => this.handleInvoicePaid(invoice));
+    registry.register('customer.subscription.trial_will_end', subscription => this.handleTrialWillEnd(subscription));
+  }
+
+  async handlePaymentFailed(invoice) {
+    if (!invoice.subscription) return;
+    let salon = await this._findSalon(invoice.subscription);
+    if (!salon) {
+      console.log(`Invoice ${invoice.id} is not for a salon subscription, skipping`);
+      return;
+    }
+
+    // Stripe retries the card several times; only the first failure starts the grace period
+    if (!salon.payment_failed_at) {
+      const now = new Date();
+      const { data: started, error } = await supabaseAdmin
+        .from('salons')
+        .update({
+          payment_failed_at: now.toISOString(),
+          grace_period_ends_at: new Date(now.getTime() + config.subscription.grace_period_days * DAY_MS).toISOString(),
+          dunning_emails_sent: 0,
+          downgraded_at: null,
+          downgraded_from_plan: null,
+          subscription_status: 'past_due',
+          updated_at: now.toISOString()
+        })
+        .eq('id', salon.id)
+        .is('payment_failed_at', null)
+        .select('*');
+
+      if (error) {
+        throw new Error(`Failed to start grace period for salon ${salon.id}: ${error.message}`);
+      }
+      if (started?.length) {
+        salon = started[0];
+        console.log(`⚠️ Subscription payment failed for salon ${salon.id}, grace period until ${salon.grace_period_ends_at}`);
+      }
+    }
+
+    await this.sendDueReminder(salon, invoice);
+  }
+
+  async handleInvoicePaid(invoice) {
+    if (!invoice.subscription) return;
+    const salon = await this._findSalon(invoice.subscription);
+    if (!salon) return;
+
+    const now = new Date().toISOString();
+    const periodEnd = invoice.lines?.data?.[0]?.period?.end;
+    const { error } = await supabaseAdmin
+      .from('salons')
+      .update({
+        subscription_status: 'active',
+        last_payment_date: now,
+        ...(periodEnd ? { subscription_ends_at: new Date(periodEnd * 1000).toISOString() } : {}),
+        updated_at: now
+      })
+      .eq('id', salon.id);
+
+    if (error) {
+      throw new Error(`Failed to record paid invoice for salon ${salon.id}: ${error.message}`);
+    }
+    if (!salon.payment_failed_at) return;
+
+    // Back in good standing: end the dunning run and give a downgraded salon its plan back
+    const restoredPlan = planForPriceId(invoice.lines?.data?.[0]?.price?.id)?.id || salon.downgraded_from_plan;
+    const { data: recovered, error: recoverError } = await supabaseAdmin
+      .from('salons')
+      .update({
+        payment_failed_at: null,
+        grace_period_ends_at: null,
+        dunning_emails_sent: 0,
+        downgraded_at: null,
+        downgraded_from_plan: null,
+        ...(salon.downgraded_at && restoredPlan ? { subscription_plan: restoredPlan } : {}),
+        updated_at: now
+      })
+      .eq('id', salon.id)
+      .not('payment_failed_at', 'is', null)
+      .select('id');
+
+    if (recoverError) {
+      throw new Error(`Failed to end dunning for salon ${salon.id}: ${recoverError.message}`);
+    }
+    if (!recovered?.length) return;
+
+    console.log(`✅ Subscription payment recovered for salon ${salon.id}`);
+    const owner = await this._getOwner(salon);
+    if (owner?.email) {
+      await emailService.sendSubscriptionRecovered(owner, salon, {
+        planName: getPlan(restoredPlan || salon.subscription_plan).name
+      });
+    }
+  }
+
+  async handleTrialWillEnd(subscription) {
+    const salon = await this._findSalon(subscription.id);
+    if (!salon) return;
+
+    const owner = await this._getOwner(salon);
+    if (!owner?.email) return;
+
+    await emailService.sendTrialEndingNotice(owner, salon, {
+      planName: getPlan(salon.subscription_plan).name,
+      trialEndsAt: subscription.trial_end ? new Date(subscription.trial_end * 1000).toISOString() : salon.trial_ends_at,
+      hasPaymentMethod: Boolean(subscription.default_payment_method)
+    });
+  }
+
+  /**
+   * Dunning cron: send the reminders that are due and downgrade salons whose grace period ran out
+   * @returns {Promise<{ reminded: number, downgraded: number }>}
+   */
+  async processDunning() {
+    const { data: salons, error } = await supabaseAdmin
+      .from('salons')
+      .select('*')
+      .not('payment_failed_at', 'is', null)
+      .is('downgraded_at', null);
+
+    if (error) {
+      throw new Error(`Failed to fetch salons in dunning: ${error.message}`);
+    }
+
+    const now = new Date();
+    const summary = { reminded: 0, downgraded: 0 };
+    for (const salon of salons || []) {
+      try {
+        if (salon.grace_period_ends_at && new Date(salon.grace_period_ends_at) <= now) {
+          if (await this.downgrade(salon)) summary.downgraded++;
+        } else if (await this.sendDueReminder(salon)) {
+          summary.reminded++;
+        }
+      } catch (err) {
+        console.error(`❌ Dunning failed for salon ${salon.id}:`, err);
+      }
+    }
+    return summary;
+  }
+
+  /**
+   * Send the next dunning email if it is due. Each one is claimed by bumping
+   * dunning_emails_sent, so the webhook and the cron never both send it.
+   * @param {Object} salon
+   * @param {Object} [invoice] - The failed invoice, for the amount and payment link
+   * @returns {Promise<boolean>} whether an email was sent
+   */
+  async sendDueReminder(salon, invoice = null) {
+    const schedule = [...config.subscription.dunning_email_days].sort((a, b) => a - b);
+    const sent = salon.dunning_emails_sent || 0;
+    if (!salon.payment_failed_at || sent >= schedule.length) return false;
+
+    const dueAt = new Date(new Date(salon.payment_failed_at).getTime() + schedule[sent] * DAY_MS);
+    if (dueAt > new Date()) return false;
+
+    const { data: claimed, error } = await supabaseAdmin
+      .from('salons')
+      .update({ dunning_emails_sent: sent + 1 })
+      .eq('id', salon.id)
+      .eq('dunning_emails_sent', sent)
+      .not('payment_failed_at', 'is', null)
+      .select('id');
+
+    if (error) {
+      throw new Error(`Failed to claim dunning email for salon ${salon.id}: ${error.message}`);
+    }
+    if (!claimed?.length) return false;
+
+    const owner = await this._getOwner(salon);
+    if (!owner?.email) return false;
+
+    await emailService.sendSubscriptionPaymentFailed(owner, salon, {
+      attempt: sent + 1,
+      finalNotice: sent + 1 === schedule.length,
+      planName: getPlan(salon.subscription_plan).name,
+      graceEndsAt: salon.grace_period_ends_at,
+      amountDue: invoice ? invoice.amount_due : null,
+      currency: invoice?.currency || null,
+      paymentUrl: invoice?.hosted_invoice_url || `${config.frontend.url}/dashboard/subscription`
+    });
+    return true;
+  }
+
+  /**
+   * Grace period is over: move the salon to basic and out of the featured listings
+   * @returns {Promise<boolean>} whether this call downgraded it
+   */
+  async downgrade(salon) {
+    const now = new Date().toISOString();
+    const { data: claimed, error } = await supabaseAdmin
+      .from('salons')
+      .update({
+        subscription_plan: 'basic',
+        downgraded_from_plan: salon.subscription_plan,
+        downgraded_at: now,
+        is_featured: false,
+        featured_until: null,
+        updated_at: now
+      })
+      .eq('id', salon.id)
+      .is('downgraded_at', null)
+      .not('payment_failed_at', 'is', null)
+      .select('id');
+
+    if (error) {
+      throw new Error(`Failed to downgrade salon ${salon.id}: ${error.message}`);
+    }
+    if (!claimed?.length) return false;
+
+    console.log(`⬇️ Salon ${salon.id} downgraded from ${salon.subscription_plan} to basic after unpaid renewal`);
+
+    // A subscription Stripe already cancelled was moved to basic by its webhook; nothing to announce
+    const previousPlan = getPlan(salon.subscription_plan);
+    if (previousPlan.id !== 'basic') {
+      const owner = await this._getOwner(salon);
+      if (owner?.email) {
+        await emailService.sendSubscriptionDowngraded(owner, salon, {
+          previousPlanName: previousPlan.name,
+          paymentUrl: `${config.frontend.url}/dashboard/subscription`
+        });
+      }
+    }
+    return true;
+  }
+
+  async _findSalon(subscriptionId) {
+    const { data, error } = await supabaseAdmin
+      .from('salons')
+      .select('*')
+      .eq('stripe_subscription_id', subscriptionId)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to find salon for subscription ${subscriptionId}: ${error.message}`);
+    }
+    return data;
+  }
+
+  async _getOwner(salon) {
+    const { data } = await supabaseAdmin
+      .from('user_profiles')
+      .select('id, email, first_name, last_name, language')
+      .eq('id', salon.owner_id)
+      .maybeSingle();
+    return data;
+  }
+}
+
+module.exports = new DunningService();
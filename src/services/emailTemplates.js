@@ -0,0 +1,647 @@
+/**
+ * Email templates
+ *
+ * Every email the platform sends, rendered in the recipient's language into the shared layout
+ * (utils/emailLayout.js). A template has:
+ *   description -> who gets it and when (shown in the preview list)
+ *   tone        -> header colour (emailLayout TONES)
+ *   render      -> (data, t) => { subject, heading, subheading?, content }
+ *   sample      -> (samples) => data, example data for previews
+ * Strings come from the src/locales bundles through t (utils/i18n.js).
+ */
+
+const config = require('../config');
+const { AppError } = require('../middleware/errorHandler');
+const { getSalonTimezone, nowInZone, addDays, zonedTimeToUtc, getTimezoneAbbreviation } = require('../utils/timezone');
+const { fromMinorUnits } = require('../utils/feePolicy');
+const { SUPPORTED_LANGUAGES, createTranslator, formatDate, formatTime, formatMoney } = require('../utils/i18n');
+const { escapeHtml, paragraph, details, notice, button, list, renderLayout } = require('../utils/emailLayout');
+
+const greeting = (t, name) => (name ? t('common.greeting', { name }) : t('common.greeting_anonymous'));
+
+const fullName = person => [person?.first_name, person?.last_name].filter(Boolean).join(' ');
+
+const appointmentDate = (t, date) => formatDate(date, t, { weekday: 'long' });
+
+const timeRange = booking => [formatTime(booking.start_time), formatTime(booking.end_time)].filter(Boolean).join(' - ');
+
+const statusLabel = (t, status) => (t.has(`common.statuses.${status}`) ? t.plain(`common.statuses.${status}`) : status);
+
+// Appointment day relative to the salon's today ("today", "tomorrow" or "on <date>")
+function describeAppointmentDay(t, booking, salon) {
+  const salonToday = nowInZone(getSalonTimezone(salon)).date;
+  if (booking.appointment_date === salonToday) return t.plain('common.today');
+  if (booking.appointment_date === addDays(salonToday, 1)) return t.plain('common.tomorrow');
+  return t.plain('common.on_date', { date: appointmentDate(t, booking.appointment_date) });
+}
+
+// Appointment start time with the salon's timezone, e.g. "10:00 (CET)"
+function formatAppointmentTime(booking, salon) {
+  const timeZone = getSalonTimezone(salon);
+  const startsAt = zonedTimeToUtc(booking.appointment_date, booking.start_time, timeZone);
+  return `${formatTime(booking.start_time)} (${getTimezoneAbbreviation(startsAt, timeZone)})`;
+}
+
+// Recurring appointment note for reminders (empty for one-off bookings)
+function describeSeries(t, booking, salon) {
+  if (!booking.series) return '';
+  const weeks = booking.series.interval_weeks;
+  const interval = weeks === 1
+    ? t.plain('booking_reminder.series_every_week')
+    : t.plain('booking_reminder.series_every_weeks', { weeks });
+  const next = booking.next_occurrence
+    ? t('booking_reminder.series_next', {
+      date: appointmentDate(t, booking.next_occurrence.appointment_date),
+      time: formatAppointmentTime(booking.next_occurrence, salon)
+    })
+    : t('booking_reminder.series_last');
+  return paragraph(`${t('booking_reminder.series_intro', { interval })} ${next}`);
+}
+
+const EMAIL_TEMPLATES = {
+  booking_confirmation: {
+    description: 'To the client when a booking is confirmed',
+    tone: 'primary',
+    render: ({ booking, client, salon }, t) => ({
+      subject: t.plain('booking_confirmation.subject'),
+      heading: t('booking_confirmation.heading'),
+      content: [
+        paragraph(greeting(t, client.first_name)),
+        paragraph(t('booking_confirmation.intro')),
+        details(t('booking_confirmation.details_title'), [
+          [t('common.salon'), salon.business_name],
+          [t('common.date'), appointmentDate(t, booking.appointment_date)],
+          [t('common.time'), timeRange(booking)],
+          [t('common.service'), booking.service_name],
+          [t('common.discount'), Number(booking.discount_amount) > 0 ? `-${formatMoney(booking.discount_amount, t)}` : null],
+          [t('common.total'), booking.total_amount ? formatMoney(booking.total_amount, t) : null],
+          [t('common.notes'), booking.client_notes]
+        ]),
+        paragraph(t('booking_confirmation.manage'))
+      ].join('\n')
+    }),
+    sample: ({ booking, client, salon }) => ({ booking, client, salon })
+  },
+
+  booking_reminder: {
+    description: 'To the client ahead of an appointment, at each of the salon\'s reminder offsets',
+    tone: 'primary',
+    render: ({ booking, client, salon }, t) => ({
+      subject: t.plain('booking_reminder.subject'),
+      heading: t('booking_reminder.heading'),
+      content: [
+        paragraph(greeting(t, client.first_name)),
+        notice([
+          paragraph(t('booking_reminder.intro', { day: describeAppointmentDay(t, booking, salon) })),
+          details(null, [
+            [t('common.salon'), salon.business_name],
+            [t('common.date'), appointmentDate(t, booking.appointment_date)],
+            [t('common.time'), formatAppointmentTime(booking, salon)],
+            [t('common.service'), booking.service_name]
+          ])
+        ].join('\n')),
+        describeSeries(t, booking, salon),
+        paragraph(t('booking_reminder.closing'))
+      ].join('\n')
+    }),
+    sample: ({ booking, client, salon }) => ({
+      booking: {
+        ...booking,
+        series: { interval_weeks: 4 },
+        next_occurrence: { appointment_date: addDays(booking.appointment_date, 28), start_time: booking.start_time }
+      },
+      client,
+      salon
+    })
+  },
+
+  booking_rescheduled: {
+    description: 'To the client when their appointment was moved',
+    tone: 'info',
+    render: ({ booking, client, salon, oldDate, oldTime }, t) => ({
+      subject: t.plain('booking_rescheduled.subject'),
+      heading: t('booking_rescheduled.heading'),
+      content: [
+        paragraph(greeting(t, client.first_name)),
+        paragraph(t('booking_rescheduled.intro')),
+        notice(paragraph(`<strong>${t('booking_rescheduled.previous')}:</strong> ${t('common.date_at_time', {
+          date: appointmentDate(t, oldDate),
+          time: formatTime(oldTime)
+        })}`)),
+        details(t('booking_rescheduled.details_title'), [
+          [t('common.salon'), salon.business_name],
+          [t('common.date'), appointmentDate(t, booking.appointment_date)],
+          [t('common.time'), timeRange(booking)],
+          [t('common.service'), booking.service_name],
+          [t('common.status'), statusLabel(t, booking.status)]
+        ]),
+        paragraph(t('booking_rescheduled.closing'))
+      ].join('\n')
+    }),
+    sample: ({ booking, client, salon }) => ({
+      booking: { ...booking, status: 'pending' },
+      client,
+      salon,
+      oldDate: addDays(booking.appointment_date, -1),
+      oldTime: '14:30:00'
+    })
+  },
+
+  booking_rescheduled_salon: {
+    description: 'To the salon when a client moved their appointment',
+    tone: 'warning',
+    render: ({ booking, client, oldDate, oldTime }, t) => ({
+      subject: t.plain('booking_rescheduled_salon.subject', { client: fullName(client) }),
+      heading: t('booking_rescheduled_salon.heading'),
+      content: [
+        paragraph(t('common.greeting_anonymous')),
+        paragraph(t('booking_rescheduled_salon.intro')),
+        notice(paragraph(`<strong>${t('booking_rescheduled_salon.previous')}:</strong> ${t('common.date_at_time', {
+          date: appointmentDate(t, oldDate),
+          time: formatTime(oldTime)
+        })}`)),
+        details(t('booking_rescheduled_salon.details_title'), [
+          [t('common.client'), fullName(client)],
+          [t('common.email'), client.email],
+          [t('common.phone'), client.phone || t.plain('common.not_provided')],
+          [t('common.date'), appointmentDate(t, booking.appointment_date)],
+          [t('common.time'), timeRange(booking)],
+          [t('common.service'), booking.service_name],
+          [t('common.status'), t.plain('booking_rescheduled_salon.status_unconfirmed', { status: statusLabel(t, booking.status) })]
+        ]),
+        paragraph(t('booking_rescheduled_salon.closing'))
+      ].join('\n')
+    }),
+    sample: ({ booking, client, salon }) => ({
+      booking: { ...booking, status: 'pending' },
+      client,
+      salon,
+      oldDate: addDays(booking.appointment_date, -1),
+      oldTime: '14:30:00'
+    })
+  },
+
+  booking_cancelled: {
+    description: 'To the client when their appointment was cancelled, with any fee or refund',
+    tone: 'danger',
+    render: ({ booking, client, salon, reason }, t) => ({
+      subject: t.plain('booking_cancelled.subject'),
+      heading: t('booking_cancelled.heading'),
+      content: [
+        paragraph(greeting(t, client.first_name)),
+        paragraph(t('booking_cancelled.intro')),
+        details(null, [
+          [t('common.salon'), salon.business_name],
+          [t('common.date'), appointmentDate(t, booking.appointment_date)],
+          [t('common.time'), formatTime(booking.start_time)],
+          [t('common.service'), booking.service_name],
+          [t('common.reason'), reason],
+          [t('booking_cancelled.late_fee'), Number(booking.cancellation_fee) > 0 ? formatMoney(booking.cancellation_fee, t) : null],
+          [t('booking_cancelled.refund'), Number(booking.refund_amount) > 0
+            ? t.plain('booking_cancelled.refund_value', { amount: formatMoney(booking.refund_amount, t) })
+            : null]
+        ]),
+        paragraph(t('booking_cancelled.closing'))
+      ].join('\n')
+    }),
+    sample: ({ booking, client, salon }) => ({
+      booking: { ...booking, status: 'cancelled', cancellation_fee: 10, refund_amount: 35 },
+      client,
+      salon,
+      reason: 'Ziek'
+    })
+  },
+
+  payment_receipt: {
+    description: 'To the client after paying for a booking',
+    tone: 'success',
+    render: ({ payment, booking, client, salon }, t) => ({
+      subject: t.plain('payment_receipt.subject'),
+      heading: t('payment_receipt.heading'),
+      content: [
+        paragraph(greeting(t, client.first_name)),
+        paragraph(t('payment_receipt.intro')),
+        details(t('payment_receipt.receipt_title', { id: payment.id }), [
+          [t('common.date'), formatDate(payment.created_at, t)],
+          [t('common.discount'), Number(payment.discount_amount) > 0 ? `-${formatMoney(payment.discount_amount, t, payment.currency)}` : null],
+          [t('common.amount'), formatMoney(payment.amount, t, payment.currency)],
+          [t('payment_receipt.payment_method'), payment.payment_method?.type || t.plain('payment_receipt.card')],
+          [t('common.service'), booking.service_name],
+          [t('common.salon'), salon.business_name]
+        ])
+      ].join('\n')
+    }),
+    sample: ({ booking, client, salon }) => ({
+      payment: { id: 'pay_123', created_at: new Date().toISOString(), amount: 40, discount_amount: 5, currency: 'eur', payment_method: { type: 'ideal' } },
+      booking,
+      client,
+      salon
+    })
+  },
+
+  refund_receipt: {
+    description: 'To the client when the salon refunded a payment',
+    tone: 'success',
+    render: ({ refund, booking, client, salon }, t) => ({
+      subject: t.plain('refund_receipt.subject'),
+      heading: t('refund_receipt.heading'),
+      content: [
+        paragraph(greeting(t, client.first_name)),
+        paragraph(t('refund_receipt.intro', { salon: salon.business_name || t.plain('refund_receipt.your_salon') })),
+        details(t('refund_receipt.receipt_title', { id: refund.stripe_refund_id }), [
+          [t('common.date'), formatDate(refund.created_at || new Date().toISOString(), t)],
+          [t('refund_receipt.amount'), formatMoney(refund.amount, t, refund.currency)],
+          [t('common.reason'), refund.note],
+          [t('common.service'), booking.service_name],
+          [t('common.appointment'), t.plain('common.date_at_time', {
+            date: appointmentDate(t, booking.appointment_date),
+            time: formatTime(booking.start_time)
+          })],
+          [t('common.salon'), salon.business_name]
+        ])
+      ].join('\n')
+    }),
+    sample: ({ booking, client, salon }) => ({
+      refund: { stripe_refund_id: 're_123', created_at: new Date().toISOString(), amount: 20, currency: 'eur', note: 'Kleur niet naar wens' },
+      booking,
+      client,
+      salon
+    })
+  },
+
+  subscription_payment_failed: {
+    description: 'To the salon owner when a subscription renewal payment failed (dunning)',
+    tone: 'danger',
+    render: ({ owner, salon, details: dunning }, t) => {
+      const amount = dunning.amountDue
+        ? formatMoney(fromMinorUnits(dunning.amountDue, dunning.currency), t, dunning.currency)
+        : null;
+      const params = { plan: dunning.planName, salon: salon.business_name, amount };
+
+      return {
+        subject: t.plain(dunning.finalNotice ? 'subscription_payment_failed.subject_final' : 'subscription_payment_failed.subject'),
+        heading: t(dunning.finalNotice ? 'subscription_payment_failed.heading_final' : 'subscription_payment_failed.heading'),
+        content: [
+          paragraph(greeting(t, owner.first_name)),
+          paragraph(t(amount ? 'subscription_payment_failed.intro_amount' : 'subscription_payment_failed.intro', params)),
+          dunning.graceEndsAt
+            ? paragraph(t('subscription_payment_failed.grace', { ...params, date: formatDate(dunning.graceEndsAt, t) }))
+            : '',
+          paragraph(t('subscription_payment_failed.action')),
+          button(dunning.paymentUrl, t('subscription_payment_failed.button'))
+        ].join('\n')
+      };
+    },
+    sample: ({ owner, salon }) => ({
+      owner,
+      salon,
+      details: {
+        planName: 'Premium',
+        amountDue: 2900,
+        currency: 'eur',
+        graceEndsAt: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString(),
+        paymentUrl: `${config.frontend.url}/dashboard/subscription`,
+        finalNotice: false
+      }
+    })
+  },
+
+  subscription_downgraded: {
+    description: 'To the salon owner when the grace period ran out and the salon moved to Basic',
+    tone: 'muted',
+    render: ({ owner, salon, details: dunning }, t) => ({
+      subject: t.plain('subscription_downgraded.subject'),
+      heading: t('subscription_downgraded.heading'),
+      content: [
+        paragraph(greeting(t, owner.first_name)),
+        paragraph(t('subscription_downgraded.intro', { plan: dunning.previousPlanName, salon: salon.business_name })),
+        paragraph(t('subscription_downgraded.reassure', { plan: dunning.previousPlanName })),
+        button(dunning.paymentUrl, t('subscription_downgraded.button'))
+      ].join('\n')
+    }),
+    sample: ({ owner, salon }) => ({
+      owner,
+      salon,
+      details: { previousPlanName: 'Premium', paymentUrl: `${config.frontend.url}/dashboard/subscription` }
+    })
+  },
+
+  subscription_recovered: {
+    description: 'To the salon owner when an overdue subscription invoice was paid',
+    tone: 'success',
+    render: ({ owner, salon, details: dunning }, t) => ({
+      subject: t.plain('subscription_recovered.subject'),
+      heading: t('subscription_recovered.heading'),
+      content: [
+        paragraph(greeting(t, owner.first_name)),
+        paragraph(t('subscription_recovered.intro', { plan: dunning.planName, salon: salon.business_name }))
+      ].join('\n')
+    }),
+    sample: ({ owner, salon }) => ({ owner, salon, details: { planName: 'Premium' } })
+  },
+
+  trial_ending: {
+    description: 'To the salon owner a few days before the subscription trial ends',
+    tone: 'info',
+    render: ({ owner, salon, details: trial }, t) => {
+      const date = trial.trialEndsAt ? formatDate(trial.trialEndsAt, t) : null;
+      const params = { plan: trial.planName, salon: salon.business_name, date };
+
+      return {
+        subject: t.plain('trial_ending.subject'),
+        heading: t(date ? 'trial_ending.heading' : 'trial_ending.heading_soon', params),
+        content: [
+          paragraph(greeting(t, owner.first_name)),
+          paragraph(t(date ? 'trial_ending.intro' : 'trial_ending.intro_soon', params)),
+          trial.hasPaymentMethod
+            ? paragraph(t('trial_ending.continues'))
+            : [
+              paragraph(t('trial_ending.add_method', params)),
+              button(`${config.frontend.url}/dashboard/subscription`, t('trial_ending.button'))
+            ].join('\n')
+        ].join('\n')
+      };
+    },
+    sample: ({ owner, salon }) => ({
+      owner,
+      salon,
+      details: { planName: 'Premium', trialEndsAt: new Date(Date.now() + 3 * 24 * 60 * 60 * 1000).toISOString(), hasPaymentMethod: false }
+    })
+  },
+
+  gift_card: {
+    description: 'To the recipient of a gift card, with its code',
+    tone: 'gift',
+    render: ({ giftCard, salon }, t) => {
+      const salonName = salon.business_name || t.plain('gift_card.your_salon');
+
+      return {
+        subject: t.plain('gift_card.subject', { salon: salon.business_name || config.business.name }),
+        heading: t('gift_card.heading'),
+        content: [
+          paragraph(greeting(t, giftCard.recipient_name)),
+          paragraph(t('gift_card.intro', { salon: salonName, amount: formatMoney(giftCard.initial_amount, t, giftCard.currency) })),
+          giftCard.message ? paragraph(`<em>"${escapeHtml(giftCard.message)}"</em>`) : '',
+          `<p class="code">${escapeHtml(giftCard.code)}</p>`,
+          paragraph(t('gift_card.how_to_use')),
+          giftCard.expires_at ? paragraph(t('gift_card.valid_until', { date: formatDate(giftCard.expires_at, t) })) : ''
+        ].join('\n')
+      };
+    },
+    sample: ({ salon }) => ({
+      giftCard: {
+        code: 'GIFT-4K7Q-92XM',
+        recipient_name: 'Lotte',
+        initial_amount: 50,
+        currency: 'EUR',
+        message: 'Gefeliciteerd met je verjaardag!',
+        expires_at: new Date(Date.now() + 365 * 24 * 60 * 60 * 1000).toISOString()
+      },
+      salon
+    })
+  },
+
+  welcome: {
+    description: 'To a new salon owner once their salon is created',
+    tone: 'owner',
+    render: ({ user, salon, options = {} }, t) => {
+      const step = (title, text, extra = '') => `<div class="card"><h4>${title}</h4><p>${text}</p>${extra}</div>`;
+      const address = salon.address
+        ? [salon.address.street, salon.address.city, salon.address.state].filter(Boolean).join(', ')
+        : t.plain('common.not_provided');
+
+      return {
+        subject: t.plain('welcome.subject'),
+        heading: t('welcome.heading'),
+        subheading: t('welcome.subheading', { salon: salon.business_name }),
+        content: [
+          `<h2>${t('welcome.greeting', { name: user.full_name || user.first_name })}</h2>`,
+          paragraph(t('welcome.intro')),
+          `<h3>${t('welcome.steps_title')}</h3>`,
+          options.stripe_setup_required
+            ? step(
+              t('welcome.step_payment_title'),
+              t('welcome.step_payment_text'),
+              options.onboarding_url ? button(options.onboarding_url, t('welcome.step_payment_button')) : ''
+            )
+            : step(t('welcome.step_payment_done_title'), t('welcome.step_payment_done_text')),
+          step(t('welcome.step_services_title'), t('welcome.step_services_text')),
+          step(t('welcome.step_hours_title'), t('welcome.step_hours_text')),
+          step(t('welcome.step_activate_title'), t('welcome.step_activate_text')),
+          details(t('welcome.details_title'), [
+            [t('welcome.business_name'), salon.business_name],
+            [t('common.email'), salon.email],
+            [t('common.phone'), salon.phone],
+            [t('welcome.address'), address]
+          ]),
+          paragraph(t('welcome.help'))
+        ].join('\n')
+      };
+    },
+    sample: ({ owner, salon }) => ({
+      user: owner,
+      salon,
+      options: { stripe_setup_required: true, onboarding_url: 'https://connect.stripe.com/setup/sample' }
+    })
+  },
+
+  stripe_onboarding_complete: {
+    description: 'To the salon owner when their Stripe payment account is set up',
+    tone: 'success',
+    render: ({ user, salon }, t) => {
+      const feature = key => `<div class="card"><h4>${t(`stripe_onboarding_complete.${key}_title`)}</h4><p>${t(`stripe_onboarding_complete.${key}_text`)}</p></div>`;
+
+      return {
+        subject: t.plain('stripe_onboarding_complete.subject'),
+        heading: t('stripe_onboarding_complete.heading'),
+        subheading: t('stripe_onboarding_complete.subheading'),
+        content: [
+          `<h2>${t('stripe_onboarding_complete.congratulations', { name: user.full_name || user.first_name })}</h2>`,
+          paragraph(t('stripe_onboarding_complete.intro', { salon: salon.business_name })),
+          ['payments', 'revenue', 'payouts', 'secure'].map(feature).join('\n'),
+          paragraph(`<strong>${t('stripe_onboarding_complete.next_title')}</strong>`),
+          list(['next_services', 'next_availability', 'next_bookings', 'next_revenue']
+            .map(key => t(`stripe_onboarding_complete.${key}`))),
+          paragraph(t('stripe_onboarding_complete.closing'))
+        ].join('\n')
+      };
+    },
+    sample: ({ owner, salon }) => ({ user: owner, salon })
+  },
+
+  waitlist_confirmation: {
+    description: 'To the client when they joined a waitlist',
+    tone: 'primary',
+    render: ({ waitlistEntry, client, salon }, t) => ({
+      subject: t.plain('waitlist_confirmation.subject'),
+      heading: t('waitlist_confirmation.heading'),
+      content: [
+        paragraph(greeting(t, client.first_name)),
+        paragraph(t('waitlist_confirmation.intro')),
+        details(t('waitlist_confirmation.details_title'), [
+          [t('common.salon'), salon.business_name],
+          [t('waitlist_confirmation.requested_date'), appointmentDate(t, waitlistEntry.requested_date)],
+          [t('waitlist_confirmation.preferred_time'), formatTime(waitlistEntry.requested_time)],
+          [t('common.service'), waitlistEntry.service_name || waitlistEntry.services?.name],
+          [t('waitlist_confirmation.time_range'), waitlistEntry.preferred_time_range],
+          [t('waitlist_confirmation.position'), t.plain('waitlist_confirmation.position_value')]
+        ]),
+        paragraph(`<strong>${t('waitlist_confirmation.next_title')}</strong>`),
+        list(['next_monitor', 'next_email', 'next_limited', 'next_expire'].map(key => t(`waitlist_confirmation.${key}`))),
+        paragraph(t('waitlist_confirmation.manage'))
+      ].join('\n')
+    }),
+    sample: ({ booking, client, salon }) => ({
+      waitlistEntry: { requested_date: booking.appointment_date, requested_time: '11:00:00', service_name: booking.service_name },
+      client,
+      salon
+    })
+  },
+
+  waitlist_slot_available: {
+    description: 'To the first client on the waitlist when a slot opened up',
+    tone: 'success',
+    render: ({ waitlistEntry, client, salon }, t) => ({
+      subject: t.plain('waitlist_slot_available.subject'),
+      heading: t('waitlist_slot_available.heading'),
+      content: [
+        paragraph(greeting(t, client.first_name)),
+        notice(`<h3>${t('waitlist_slot_available.notice_title')}</h3>${paragraph(t('waitlist_slot_available.notice_text'))}`),
+        details(t('waitlist_slot_available.details_title'), [
+          [t('common.salon'), salon.business_name],
+          [t('common.date'), appointmentDate(t, waitlistEntry.requested_date)],
+          [t('common.time'), formatTime(waitlistEntry.requested_time)],
+          [t('common.service'), waitlistEntry.service_name || waitlistEntry.services?.name]
+        ]),
+        paragraph(`<strong>${t('waitlist_slot_available.limited_title')}</strong>`),
+        paragraph(t('waitlist_slot_available.limited_text')),
+        button(config.frontend.url, t('waitlist_slot_available.button')),
+        paragraph(t('waitlist_slot_available.alternatives')),
+        list(['alternative_other_time', 'alternative_stay', 'alternative_leave'].map(key => t(`waitlist_slot_available.${key}`))),
+        paragraph(t('waitlist_slot_available.closing'))
+      ].join('\n')
+    }),
+    sample: ({ booking, client, salon }) => ({
+      waitlistEntry: { requested_date: booking.appointment_date, requested_time: '11:00:00', service_name: booking.service_name },
+      client,
+      salon
+    })
+  },
+
+  review_received: {
+    description: 'To the salon owner when a client left a review',
+    tone: 'owner',
+    render: ({ review, client, owner, salon }, t) => {
+      const clientName = fullName(client) || t.plain('review_received.a_client');
+      const rating = Number(review.rating) || 0;
+
+      return {
+        subject: t.plain('review_received.subject', { salon: salon.business_name }),
+        heading: t('review_received.heading'),
+        subheading: escapeHtml(salon.business_name),
+        content: [
+          paragraph(greeting(t, owner.first_name)),
+          paragraph(t('review_received.intro', { client: clientName })),
+          `<p class="rating">${'⭐'.repeat(rating)}${'☆'.repeat(5 - rating)} ${t('review_received.out_of', { rating })}</p>`,
+          details(t('review_received.details_title'), [
+            [t('common.client'), clientName],
+            [t('common.service'), review.service_name],
+            [t('common.date'), formatDate(review.created_at, t)],
+            [t('review_received.rating'), `${rating} / 5`]
+          ]),
+          review.comment
+            ? `<div class="quote"><strong>${t('review_received.comment')}:</strong><br>"${escapeHtml(review.comment)}"</div>`
+            : paragraph(`<em>${t('review_received.no_comment')}</em>`),
+          paragraph(t('review_received.visible')),
+          paragraph(t('review_received.tip'))
+        ].join('\n')
+      };
+    },
+    sample: ({ owner, client, salon, booking }) => ({
+      review: { rating: 5, comment: 'Super fijne knipbeurt, ik kom zeker terug!', service_name: booking.service_name, created_at: new Date().toISOString() },
+      client,
+      owner,
+      salon
+    })
+  }
+};
+
+/**
+ * Render an email in a language
+ * @param {string} templateName - Key of EMAIL_TEMPLATES
+ * @param {Object} data - What the template renders (see its sample)
+ * @param {string} [language] - Recipient's language; unsupported ones get English
+ * @returns {{ subject: string, html: string, language: string }}
+ */
+function renderEmail(templateName, data, language) {
+  const template = EMAIL_TEMPLATES[templateName];
+  if (!template) {
+    throw new Error(`Unknown email template: ${templateName}`);
+  }
+
+  const t = createTranslator(language);
+  const { subject, heading, subheading, content } = template.render(data, t);
+  return {
+    subject,
+    html: renderLayout({ t, heading, subheading, content, tone: template.tone }),
+    language: t.language
+  };
+}
+
+// Example data the previews share, with an appointment tomorrow
+function sampleData() {
+  const salon = {
+    id: 'sample-salon',
+    owner_id: 'sample-owner',
+    business_name: 'Studio Noord',
+    email: 'info@studionoord.nl',
+    phone: '+31 20 123 4567',
+    timezone: 'Europe/Amsterdam',
+    address: { street: 'Noordermarkt 12', city: 'Amsterdam', state: 'Noord-Holland' }
+  };
+  const booking = {
+    id: 'sample-booking',
+    appointment_date: addDays(nowInZone(getSalonTimezone(salon)).date, 1),
+    start_time: '10:00:00',
+    end_time: '10:45:00',
+    status: 'confirmed',
+    service_name: 'Knippen & föhnen',
+    total_amount: 40,
+    discount_amount: 5,
+    client_notes: 'Graag iets korter dan vorige keer'
+  };
+
+  return {
+    salon,
+    booking,
+    client: { id: 'sample-client', first_name: 'Anna', last_name: 'de Vries', email: 'anna@example.com', phone: '+31 6 12345678' },
+    owner: { id: 'sample-owner', first_name: 'Sanne', last_name: 'Bakker', full_name: 'Sanne Bakker', email: 'sanne@studionoord.nl' }
+  };
+}
+
+/**
+ * Render a template with its example data
+ * @throws {AppError} 404 for unknown templates
+ */
+function previewEmail(templateName, language) {
+  const template = EMAIL_TEMPLATES[templateName];
+  if (!template) {
+    throw new AppError('Email template not found', 404, 'EMAIL_TEMPLATE_NOT_FOUND');
+  }
+  return renderEmail(templateName, template.sample(sampleData()), language);
+}
+
+function listEmailTemplates() {
+  return Object.entries(EMAIL_TEMPLATES).map(([name, template]) => ({
+    name,
+    description: template.description,
+    languages: SUPPORTED_LANGUAGES
+  }));
+}
+
+module.exports = {
+  EMAIL_TEMPLATES,
+  renderEmail,
+  previewEmail,
+  listEmailTemplates
+};
@@ -0,0 +1,435 @@
+const crypto = require('crypto');
+const { supabaseAdmin } = require('../config/database');
+const { AppError } = require('../middleware/errorHandler');
+const config = require('../config');
+const { roundMoney } = require('../utils/cancellationPolicy');
+const stripeService = require('./stripeService');
+const emailService = require('./emailService');
+
+// No 0/O or 1/I, so codes survive being read out over the phone
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_GROUPS = 3;
+const CODE_GROUP_LENGTH = 4;
+
+// SQLSTATEs raised by redeem_gift_card (database/migrations/add_gift_cards.sql)
+const REDEEM_ERRORS = {
+  P0404: ['Gift card not found', 404, 'GIFT_CARD_NOT_FOUND'],
+  P0410: ['This gift card is expired, used up or not active', 400, 'GIFT_CARD_NOT_USABLE'],
+  P0422: ['This gift card cannot be used for this payment', 400, 'GIFT_CARD_NOT_APPLICABLE']
+};
+
+/**
+ * Gift Card Service
+ * Salon gift cards: issuing them (owner), selling them through Stripe Checkout to the salon's
+ * Connect account, spending them on booking payments and putting the money back when a booking is
+ * cancelled. Every balance change is written to gift_card_transactions.
+ */
+class GiftCardService {
+  /**
+   * New random code, e.g. GC-7KQ2-XW9D-M4TB
+   */
+  generateCode() {
+    const groups = [];
+    for (let g = 0; g < CODE_GROUPS; g++) {
+      let group = '';
+      for (let i = 0; i < CODE_GROUP_LENGTH; i++) {
+        group += CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)];
+      }
+      groups.push(group);
+    }
+    return `GC-${groups.join('-')}`;
+  }
+
+  normalizeCode(code) {
+    return typeof code === 'string' ? code.trim().toUpperCase() : '';
+  }
+
+  /**
+   * Status as clients and owners see it (cards aren't rewritten when they expire)
+   */
+  effectiveStatus(giftCard) {
+    if (giftCard.status === 'active' && giftCard.expires_at && new Date(giftCard.expires_at) <= new Date()) {
+      return 'expired';
+    }
+    return giftCard.status;
+  }
+
+  /**
+   * Check and normalise amount/expiry for a new card
+   * @returns {{ amount: number, expiresAt: string|null }}
+   */
+  validateNewCard({ amount, expiresAt }) {
+    const value = roundMoney(Number(amount));
+    const { min_amount: min, max_amount: max, validity_months: months } = config.gift_card;
+    if (!Number.isFinite(value) || value < min || value > max) {
+      throw new AppError(`Gift card amount must be between ${min} and ${max}`, 400, 'INVALID_GIFT_CARD_AMOUNT');
+    }
+
+    if (expiresAt) {
+      const date = new Date(expiresAt);
+      if (Number.isNaN(date.getTime()) || date <= new Date()) {
+        throw new AppError('expires_at must be a date in the future', 400, 'INVALID_GIFT_CARD_EXPIRY');
+      }
+      return { amount: value, expiresAt: date.toISOString() };
+    }
+
+    if (!months) return { amount: value, expiresAt: null };
+    const date = new Date();
+    date.setMonth(date.getMonth() + months);
+    return { amount: value, expiresAt: date.toISOString() };
+  }
+
+  /**
+   * Owner issues a card (sold at the counter, given away): active straight away
+   * @returns {Promise<Object>} gift_cards row
+   */
+  async issue(salon, { amount, currency, expiresAt, recipientName, recipientEmail, message, userId }) {
+    const card = this.validateNewCard({ amount, expiresAt });
+    const giftCard = await this._insertCard({
+      salon_id: salon.id,
+      initial_amount: card.amount,
+      balance: card.amount,
+      currency: (currency || 'EUR').toUpperCase(),
+      status: 'active',
+      expires_at: card.expiresAt,
+      source: 'issued',
+      issued_by: userId,
+      recipient_name: recipientName || null,
+      recipient_email: recipientEmail || null,
+      message: message || null
+    });
+
+    await this._recordTransaction(giftCard, { type: 'issue', amount: card.amount, createdBy: userId });
+    if (giftCard.recipient_email) {
+      await this._deliverOnce(giftCard, salon);
+    }
+
+    console.log(`🎁 Gift card ${giftCard.id} issued by salon ${salon.id} for ${card.amount} ${giftCard.currency}`);
+    return giftCard;
+  }
+
+  /**
+   * Client buys a card: a pending card plus a Checkout session paid to the salon's Connect
+   * account. The card becomes active when the session is paid (webhook).
+   * @returns {Promise<{ giftCard: Object, session: Object }>}
+   */
+  async startPurchase(salon, { amount, currency, recipientName, recipientEmail, message, purchaser }) {
+    if (!salon.stripe_account_id) {
+      throw new AppError('This salon does not accept online payments yet', 400, 'STRIPE_NOT_CONFIGURED');
+    }
+
+    const card = this.validateNewCard({ amount });
+    const giftCard = await this._insertCard({
+      salon_id: salon.id,
+      initial_amount: card.amount,
+      balance: 0,
+      currency: (currency || 'EUR').toUpperCase(),
+      status: 'pending_payment',
+      expires_at: card.expiresAt,
+      source: 'purchased',
+      purchaser_id: purchaser.id,
+      purchaser_email: purchaser.email || null,
+      recipient_name: recipientName || null,
+      recipient_email: recipientEmail || purchaser.email || null,
+      message: message || null
+    });
+
+    const returnUrl = `${config.frontend.url}/salons/${salon.id}/gift-cards`;
+    const session = await stripeService.createCheckoutSession({
+      amount: card.amount,
+      currency: giftCard.currency,
+      salon,
+      productName: `Gift card - ${salon.business_name}`,
+      description: `${card.amount.toFixed(2)} ${giftCard.currency} gift card`,
+      successUrl: `${returnUrl}?purchase=success&session_id={CHECKOUT_SESSION_ID}`,
+      cancelUrl: `${returnUrl}?purchase=cancelled`,
+      metadata: { payment_type: 'gift_card', gift_card_id: giftCard.id, salon_id: salon.id }
+    });
+
+    await supabaseAdmin
+      .from('gift_cards')
+      .update({ stripe_checkout_session_id: session.id, updated_at: new Date().toISOString() })
+      .eq('id', giftCard.id);
+
+    return { giftCard: { ...giftCard, stripe_checkout_session_id: session.id }, session };
+  }
+
+  /**
+   * Register the gift card Checkout webhooks with the webhook pipeline
+   */
+  registerWebhookHandlers(registry) {
+    registry.register(
+      ['checkout.session.completed', 'checkout.session.async_payment_succeeded'],
+      session => this.handleCheckoutPaid(session)
+    );
+    registry.register('checkout.session.expired', session => this.handleCheckoutExpired(session));
+  }
+
+  /**
+   * Activate a bought card once its Checkout session is paid. Safe to run more than once.
+   */
+  async handleCheckoutPaid(session) {
+    if (session.metadata?.payment_type !== 'gift_card') return;
+    if (session.payment_status === 'unpaid') {
+      console.log(`⏳ Gift card session ${session.id} completed without payment yet`);
+      return;
+    }
+
+    const { data: activated, error } = await supabaseAdmin
+      .from('gift_cards')
+      .update({
+        status: 'active',
+        stripe_payment_intent_id: session.payment_intent || null,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', session.metadata.gift_card_id)
+      .eq('status', 'pending_payment')
+      .select('*');
+
+    if (error) {
+      throw new Error(`Failed to activate gift card ${session.metadata.gift_card_id}: ${error.message}`);
+    }
+    if (!activated?.length) return;
+
+    // The balance is credited through the ledger so it always matches the transactions
+    const giftCard = await this._recordTransaction(activated[0], {
+      type: 'purchase',
+      amount: Number(activated[0].initial_amount),
+      createdBy: activated[0].purchaser_id
+    });
+
+    const { data: salon } = await supabaseAdmin
+      .from('salons')
+      .select('id, business_name')
+      .eq('id', giftCard.salon_id)
+      .single();
+    await this._deliverOnce(giftCard, salon || {});
+    console.log(`🎁 Gift card ${giftCard.id} paid and activated`);
+  }
+
+  async handleCheckoutExpired(session) {
+    if (session.metadata?.payment_type !== 'gift_card') return;
+    await supabaseAdmin
+      .from('gift_cards')
+      .update({ status: 'canceled', updated_at: new Date().toISOString() })
+      .eq('id', session.metadata.gift_card_id)
+      .eq('status', 'pending_payment');
+  }
+
+  /**
+   * Card details for a code at a salon (balance check before paying)
+   */
+  async findByCode(salonId, code) {
+    const { data, error } = await supabaseAdmin
+      .from('gift_cards')
+      .select('*')
+      .eq('salon_id', salonId)
+      .eq('code', this.normalizeCode(code))
+      .maybeSingle();
+
+    if (error) {
+      throw new AppError('Failed to fetch gift card', 500, 'GIFT_CARD_FETCH_FAILED');
+    }
+    if (!data || data.status === 'pending_payment' || data.status === 'canceled') {
+      throw new AppError('Gift card not found', 404, 'GIFT_CARD_NOT_FOUND');
+    }
+    return data;
+  }
+
+  /**
+   * Spend a card on a payment (the booking payment of createPaymentIntent)
+   * @param {Object} params
+   * @param {number} [params.amount] - Major units; omit to use as much as the card and the payment allow
+   * @returns {Promise<Object>} The redeem transaction
+   */
+  async redeem({ code, salonId, payment, amount, userId }) {
+    const normalized = this.normalizeCode(code);
+    if (!normalized) {
+      throw new AppError('Gift card code is required', 400, 'MISSING_GIFT_CARD_CODE');
+    }
+    if (amount !== undefined && amount !== null && !(Number(amount) > 0)) {
+      throw new AppError('Gift card amount must be more than 0', 400, 'INVALID_GIFT_CARD_AMOUNT');
+    }
+
+    const { data: transaction, error } = await supabaseAdmin.rpc('redeem_gift_card', {
+      p_code: normalized,
+      p_salon_id: salonId,
+      p_payment_id: payment.id,
+      p_amount: amount === undefined || amount === null ? null : roundMoney(Number(amount)),
+      p_user_id: userId
+    });
+
+    if (error) {
+      const known = REDEEM_ERRORS[error.code];
+      if (known) throw new AppError(...known);
+      console.error('❌ Error redeeming gift card:', error);
+      throw new AppError('Failed to redeem gift card', 500, 'GIFT_CARD_REDEEM_FAILED');
+    }
+
+    console.log(`🎁 Redeemed ${-Number(transaction.amount)} from gift card ${transaction.gift_card_id} on payment ${payment.id}`);
+    return transaction;
+  }
+
+  /**
+   * Put gift card money spent on a payment back on the card(s)
+   * @param {Object} payment
+   * @param {Object} [options]
+   * @param {number} [options.amount] - Major units; omit to release everything
+   * @returns {Promise<number>} Amount released
+   */
+  async releaseForPayment(payment, { amount = null, userId = null, note = null } = {}) {
+    if (!payment || !(Number(payment.gift_card_amount) > 0)) return 0;
+    if (amount !== null && !(amount > 0)) return 0;
+
+    const { data: released, error } = await supabaseAdmin.rpc('release_gift_card_payment', {
+      p_payment_id: payment.id,
+      p_amount: amount === null ? null : roundMoney(amount),
+      p_user_id: userId,
+      p_note: note
+    });
+
+    if (error) {
+      console.error('❌ Error releasing gift card balance:', error);
+      throw new AppError('Failed to return gift card balance', 500, 'GIFT_CARD_RELEASE_FAILED');
+    }
+    return Number(released || 0);
+  }
+
+  /**
+   * Release every gift card payment of a booking (salon cancellations refund everything)
+   * @returns {Promise<number>} Amount released
+   */
+  async releaseForBooking(bookingId, options = {}) {
+    const { data: payments, error } = await supabaseAdmin
+      .from('payments')
+      .select('id, gift_card_amount')
+      .eq('booking_id', bookingId)
+      .gt('gift_card_amount', 0);
+
+    if (error) {
+      throw new AppError('Failed to fetch booking payments', 500, 'PAYMENT_FETCH_FAILED');
+    }
+
+    let released = 0;
+    for (const payment of payments || []) {
+      released += await this.releaseForPayment(payment, options);
+    }
+    return roundMoney(released);
+  }
+
+  async getTransactions(giftCardId) {
+    const { data, error } = await supabaseAdmin
+      .from('gift_card_transactions')
+      .select('*')
+      .eq('gift_card_id', giftCardId)
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      throw new AppError('Failed to fetch gift card history', 500, 'GIFT_CARD_FETCH_FAILED');
+    }
+    return data || [];
+  }
+
+  /**
+   * Owner voids a card: whatever is left is written off
+   */
+  async void(giftCard, { userId, note }) {
+    if (!['active', 'redeemed'].includes(giftCard.status)) {
+      throw new AppError('Only active gift cards can be voided', 400, 'GIFT_CARD_NOT_VOIDABLE');
+    }
+
+    const { data: voided, error } = await supabaseAdmin
+      .from('gift_cards')
+      .update({ status: 'void', balance: 0, updated_at: new Date().toISOString() })
+      .eq('id', giftCard.id)
+      .eq('balance', giftCard.balance)
+      .in('status', ['active', 'redeemed'])
+      .select('*');
+
+    if (error) {
+      throw new AppError('Failed to void gift card', 500, 'GIFT_CARD_UPDATE_FAILED');
+    }
+    if (!voided?.length) {
+      throw new AppError('The gift card changed in the meantime, try again', 409, 'GIFT_CARD_CHANGED');
+    }
+
+    await this._insertTransaction({
+      gift_card_id: giftCard.id,
+      type: 'void',
+      amount: -Number(giftCard.balance),
+      balance_after: 0,
+      created_by: userId,
+      note: note || null
+    });
+    return voided[0];
+  }
+
+  async _insertCard(fields) {
+    // A fresh code on the rare collision
+    for (let attempt = 0; attempt < 3; attempt++) {
+      const { data, error } = await supabaseAdmin
+        .from('gift_cards')
+        .insert({ ...fields, code: this.generateCode() })
+        .select()
+        .single();
+
+      if (!error) return data;
+      if (error.code !== '23505') {
+        console.error('❌ Error creating gift card:', error);
+        throw new AppError('Failed to create gift card', 500, 'GIFT_CARD_CREATE_FAILED');
+      }
+    }
+    throw new AppError('Failed to create gift card', 500, 'GIFT_CARD_CREATE_FAILED');
+  }
+
+  // Credit a new card (issue/purchase) and write its first ledger row
+  async _recordTransaction(giftCard, { type, amount, createdBy }) {
+    const { data: credited, error } = await supabaseAdmin
+      .from('gift_cards')
+      .update({ balance: amount, updated_at: new Date().toISOString() })
+      .eq('id', giftCard.id)
+      .select('*')
+      .single();
+
+    if (error) {
+      throw new AppError('Failed to credit gift card', 500, 'GIFT_CARD_UPDATE_FAILED');
+    }
+
+    await this._insertTransaction({
+      gift_card_id: giftCard.id,
+      type,
+      amount,
+      balance_after: amount,
+      created_by: createdBy || null
+    });
+    return credited;
+  }
+
+  async _insertTransaction(row) {
+    const { error } = await supabaseAdmin.from('gift_card_transactions').insert(row);
+    if (error) {
+      console.error('❌ Error writing gift card transaction:', error);
+      throw new AppError('Failed to record gift card transaction', 500, 'GIFT_CARD_LEDGER_FAILED');
+    }
+  }
+
+  // Email the code to the recipient, once
+  async _deliverOnce(giftCard, salon) {
+    if (!giftCard.recipient_email) return;
+    try {
+      const { data: claimed } = await supabaseAdmin
+        .from('gift_cards')
+        .update({ delivered_at: new Date().toISOString() })
+        .eq('id', giftCard.id)
+        .is('delivered_at', null)
+        .select('id');
+      if (!claimed?.length) return;
+
+      await emailService.sendGiftCard(giftCard, salon);
+    } catch (error) {
+      console.error('Failed to send gift card email:', error);
+    }
+  }
+}
+
+module.exports = new GiftCardService();
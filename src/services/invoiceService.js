@@ -0,0 +1,240 @@
+const { supabaseAdmin } = require('../config/database');
+const { AppError } = require('../middleware/errorHandler');
+const config = require('../config');
+const { paymentInvoiceLines, creditNoteLines, invoiceTotals } = require('../utils/invoices');
+const { renderInvoicePdf } = require('../utils/invoicePdf');
+
+// Payments that were paid at some point ('refunded' ones too: they get an invoice and credit notes)
+const INVOICEABLE_STATUSES = ['completed', 'succeeded', 'refunded'];
+
+/**
+ * Invoice Service
+ * Invoices for completed payments and credit notes for their refunds. A document is numbered
+ * from the salon's yearly sequence and stored with a snapshot of its lines and of the salon's
+ * company details (issue_invoice, see add_invoices.sql); the PDF is rendered from that snapshot
+ * on request. Invoices are issued the first time they are asked for; from then on every refund
+ * of the payment gets a credit note.
+ */
+class InvoiceService {
+  /**
+   * The invoice of a payment, issued now if it doesn't have one yet
+   * @param {string} paymentId
+   * @returns {Promise<Object>} invoices row
+   */
+  async getOrIssueInvoice(paymentId) {
+    const existing = await this._findInvoice(paymentId);
+    if (existing) return existing;
+
+    const payment = await this._getPaymentDetails(paymentId);
+    if (!INVOICEABLE_STATUSES.includes(payment.status)) {
+      throw new AppError('Invoices are only available for completed payments', 400, 'PAYMENT_NOT_COMPLETED');
+    }
+
+    const booking = payment.bookings || {};
+    const service = booking.services || {};
+    const lines = paymentInvoiceLines(payment, {
+      name: service.name || 'Salon service',
+      vatRate: service.vat_rate ?? config.invoice.default_vat_rate
+    });
+
+    const invoice = await this._issue({
+      type: 'invoice',
+      salon: booking.salons,
+      paymentId: payment.id,
+      currency: payment.currency,
+      lines,
+      buyer: this._buyer(booking.user_profiles)
+    });
+    console.log(`🧾 Invoice ${invoice.number} issued for payment ${payment.id}`);
+
+    // Refunds made before the invoice existed are credited right away
+    const { data: refunds } = await supabaseAdmin
+      .from('payment_refunds')
+      .select('*')
+      .eq('payment_id', payment.id)
+      .eq('status', 'succeeded');
+    for (const refund of refunds || []) {
+      await this.issueCreditNote(refund, invoice);
+    }
+
+    return invoice;
+  }
+
+  /**
+   * Credit note for a succeeded refund of an invoiced payment. Does nothing when the payment
+   * has no invoice yet (the credit note is made when the invoice is issued). Safe to run more
+   * than once.
+   * @param {Object} refund - payment_refunds row
+   * @param {Object} [invoice] - The payment's invoice, when the caller has it
+   * @returns {Promise<Object|null>} invoices row of the credit note
+   */
+  async issueCreditNote(refund, invoice = null) {
+    if (refund.status !== 'succeeded') return null;
+
+    const creditedInvoice = invoice || await this._findInvoice(refund.payment_id);
+    if (!creditedInvoice) return null;
+
+    const creditNote = await this._issue({
+      type: 'credit_note',
+      salon: { id: creditedInvoice.salon_id },
+      seller: creditedInvoice.seller,
+      paymentId: refund.payment_id,
+      refundId: refund.id,
+      creditedInvoiceId: creditedInvoice.id,
+      currency: creditedInvoice.currency,
+      lines: creditNoteLines(creditedInvoice.lines, Number(refund.amount), creditedInvoice.number),
+      buyer: creditedInvoice.buyer
+    });
+    console.log(`🧾 Credit note ${creditNote.number} issued for refund ${refund.id}`);
+    return creditNote;
+  }
+
+  /**
+   * Credit notes of a payment, oldest first
+   * @returns {Promise<Array<Object>>}
+   */
+  async getCreditNotes(paymentId) {
+    const { data, error } = await supabaseAdmin
+      .from('invoices')
+      .select('*')
+      .eq('payment_id', paymentId)
+      .eq('type', 'credit_note')
+      .order('issued_at', { ascending: true });
+
+    if (error) {
+      throw new AppError('Failed to fetch credit notes', 500, 'INVOICE_FETCH_FAILED');
+    }
+    return data || [];
+  }
+
+  /**
+   * PDF of an invoice or credit note
+   * @param {Object} document - invoices row
+   * @returns {Promise<Buffer>}
+   */
+  async renderPdf(document) {
+    let creditedInvoiceNumber = null;
+    if (document.type === 'credit_note' && document.credited_invoice_id) {
+      const { data: credited } = await supabaseAdmin
+        .from('invoices')
+        .select('number')
+        .eq('id', document.credited_invoice_id)
+        .maybeSingle();
+      creditedInvoiceNumber = credited?.number || null;
+    }
+    return renderInvoicePdf({ ...document, credited_invoice_number: creditedInvoiceNumber });
+  }
+
+  /**
+   * Company details printed as the seller. Dutch invoices must show the KvK and VAT numbers.
+   * @param {Object} salon - salons row
+   * @returns {Object}
+   */
+  sellerDetails(salon) {
+    if (!salon?.kvk_number || !salon?.vat_number) {
+      throw new AppError(
+        'The salon needs to add its KvK and VAT numbers before invoices can be issued',
+        400,
+        'INVOICE_DETAILS_MISSING'
+      );
+    }
+
+    const salonAddress = [salon.address, [salon.zip_code, salon.city].filter(Boolean).join(' ')]
+      .filter(Boolean)
+      .join(', ');
+    return {
+      name: salon.legal_name || salon.business_name,
+      trading_name: salon.business_name,
+      address: salon.invoice_address || salonAddress || null,
+      email: salon.email || null,
+      phone: salon.phone || null,
+      kvk_number: salon.kvk_number,
+      vat_number: salon.vat_number
+    };
+  }
+
+  _buyer(profile) {
+    const name = [profile?.first_name, profile?.last_name].filter(Boolean).join(' ');
+    return { name: name || null, email: profile?.email || null };
+  }
+
+  // Number and store a document; a concurrent request for the same one wins and is returned
+  async _issue({ type, salon, seller, paymentId, refundId = null, creditedInvoiceId = null, currency, lines, buyer }) {
+    const totals = invoiceTotals(lines);
+    const { data, error } = await supabaseAdmin.rpc('issue_invoice', {
+      p_type: type,
+      p_salon_id: salon.id,
+      p_payment_id: paymentId,
+      p_refund_id: refundId,
+      p_credited_invoice_id: creditedInvoiceId,
+      p_currency: (currency || 'EUR').toUpperCase(),
+      p_lines: lines,
+      p_subtotal: totals.subtotal,
+      p_vat_amount: totals.vat_amount,
+      p_total: totals.total,
+      p_seller: seller || this.sellerDetails(salon),
+      p_buyer: buyer
+    });
+
+    if (error?.code === '23505') {
+      const existing = type === 'invoice'
+        ? await this._findInvoice(paymentId)
+        : await this._findCreditNote(refundId);
+      if (existing) return existing;
+    }
+    if (error) {
+      console.error(`❌ Error issuing ${type}:`, error);
+      throw new AppError('Failed to issue invoice', 500, 'INVOICE_ISSUE_FAILED');
+    }
+
+    return Array.isArray(data) ? data[0] : data;
+  }
+
+  async _findInvoice(paymentId) {
+    const { data, error } = await supabaseAdmin
+      .from('invoices')
+      .select('*')
+      .eq('payment_id', paymentId)
+      .eq('type', 'invoice')
+      .maybeSingle();
+
+    if (error) {
+      throw new AppError('Failed to fetch invoice', 500, 'INVOICE_FETCH_FAILED');
+    }
+    return data;
+  }
+
+  async _findCreditNote(refundId) {
+    const { data } = await supabaseAdmin
+      .from('invoices')
+      .select('*')
+      .eq('refund_id', refundId)
+      .eq('type', 'credit_note')
+      .maybeSingle();
+    return data;
+  }
+
+  async _getPaymentDetails(paymentId) {
+    const { data: payment, error } = await supabaseAdmin
+      .from('payments')
+      .select(`
+        *,
+        bookings(
+          id,
+          client_id,
+          services(name, vat_rate),
+          salons(id, business_name, legal_name, kvk_number, vat_number, invoice_address, address, city, zip_code, email, phone),
+          user_profiles!client_id(email, first_name, last_name)
+        )
+      `)
+      .eq('id', paymentId)
+      .maybeSingle();
+
+    if (error || !payment) {
+      throw new AppError('Payment not found', 404, 'PAYMENT_NOT_FOUND');
+    }
+    return payment;
+  }
+}
+
+module.exports = new InvoiceService();
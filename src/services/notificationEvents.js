@@ -0,0 +1,272 @@
+/**
+ * Notification events
+ *
+ * What notificationService.notify() can send. Each event lists the channels it goes out on, a
+ * category (matched against the user's preferences), whether it may break through quiet hours,
+ * and a renderer per channel:
+ *   email    -> { subject, html } (services/emailTemplates.js)
+ *   whatsapp -> { send(phone, language, phoneNumberId) } (approved Meta templates only)
+ *   in_app   -> { title, body, data }
+ *   push     -> { title, body, data } (falls back to the in_app rendering)
+ * Renderers get the payload passed to notify() and the recipient ({ id, email, phone,
+ * first_name, last_name, language }).
+ */
+
+const { renderEmail } = require('./emailTemplates');
+const whatsappService = require('./whatsappService');
+
+// Pick the recipient's language from { en, nl }
+const t = (language, strings) => strings[language] || strings.en;
+
+const whatsappLanguage = language => (language === 'nl' ? 'nl' : 'en');
+
+const fullName = person => [person?.first_name, person?.last_name].filter(Boolean).join(' ');
+
+const bookingWhatsapp = ({ client, salon, serviceName, date, time }) => ({
+  send: (phone, language, phoneNumberId) => whatsappService.sendNewBookingNotification(
+    phone,
+    {
+      clientName: fullName(client) || 'Client',
+      serviceName,
+      date,
+      time,
+      salonName: salon.business_name || salon.name || 'Salon'
+    },
+    whatsappLanguage(language),
+    phoneNumberId
+  )
+});
+
+const NOTIFICATION_EVENTS = {
+  // To the client who booked
+  booking_confirmed: {
+    category: 'booking',
+    channels: ['email', 'whatsapp', 'in_app', 'push'],
+    render: {
+      email: ({ booking, salon, serviceName, totalAmount, discountAmount = 0 }, recipient) => renderEmail(
+        'booking_confirmation',
+        {
+          booking: { ...booking, service_name: serviceName, total_amount: totalAmount, discount_amount: discountAmount },
+          client: recipient,
+          salon
+        },
+        recipient.language
+      ),
+      whatsapp: bookingWhatsapp,
+      in_app: ({ booking, salon, serviceName, date, time }, { language }) => ({
+        title: t(language, { en: 'Booking confirmed', nl: 'Afspraak bevestigd' }),
+        body: t(language, {
+          en: `${serviceName} at ${salon.business_name} on ${date} at ${time}.`,
+          nl: `${serviceName} bij ${salon.business_name} op ${date} om ${time}.`
+        }),
+        data: { booking_id: booking.id, salon_id: salon.id }
+      })
+    }
+  },
+
+  // To the salon owner and staff
+  booking_received: {
+    category: 'booking',
+    channels: ['whatsapp', 'in_app', 'push'],
+    render: {
+      whatsapp: bookingWhatsapp,
+      in_app: ({ booking, salon, client, serviceName, date, time }, { language }) => ({
+        title: t(language, { en: 'New booking', nl: 'Nieuwe afspraak' }),
+        body: t(language, {
+          en: `${fullName(client) || 'A client'} booked ${serviceName} on ${date} at ${time}.`,
+          nl: `${fullName(client) || 'Een klant'} heeft ${serviceName} geboekt op ${date} om ${time}.`
+        }),
+        data: { booking_id: booking.id, salon_id: salon.id }
+      })
+    }
+  },
+
+  // To the client ahead of the appointment (category follows the booking_reminders setting)
+  booking_reminder: {
+    category: 'reminder',
+    channels: ['email', 'push'],
+    render: {
+      email: ({ booking, salon }, recipient) => renderEmail('booking_reminder', { booking, client: recipient, salon }, recipient.language),
+      push: ({ booking, salon, serviceName }, { language }) => ({
+        title: t(language, { en: 'Appointment reminder', nl: 'Herinnering afspraak' }),
+        body: t(language, {
+          en: `${serviceName} at ${salon.business_name} on ${booking.appointment_date} at ${booking.start_time?.slice(0, 5)}.`,
+          nl: `${serviceName} bij ${salon.business_name} op ${booking.appointment_date} om ${booking.start_time?.slice(0, 5)}.`
+        }),
+        data: { booking_id: booking.id, salon_id: salon.id }
+      })
+    }
+  },
+
+  // To the client and the salon, whoever didn't cancel
+  booking_cancelled: {
+    category: 'booking',
+    channels: ['in_app', 'push'],
+    render: {
+      in_app: ({ booking, salon, client, serviceName, date, time }, recipient) => ({
+        title: t(recipient.language, { en: 'Booking cancelled', nl: 'Afspraak geannuleerd' }),
+        body: recipient.id === booking.client_id
+          ? t(recipient.language, {
+            en: `Your ${serviceName} at ${salon.business_name} on ${date} at ${time} was cancelled.`,
+            nl: `Je afspraak voor ${serviceName} bij ${salon.business_name} op ${date} om ${time} is geannuleerd.`
+          })
+          : t(recipient.language, {
+            en: `${fullName(client) || 'A client'} cancelled ${serviceName} on ${date} at ${time}.`,
+            nl: `${fullName(client) || 'Een klant'} heeft ${serviceName} op ${date} om ${time} geannuleerd.`
+          }),
+        data: { booking_id: booking.id, salon_id: salon.id }
+      })
+    }
+  },
+
+  // To the client and the salon, whoever didn't move it
+  booking_rescheduled: {
+    category: 'booking',
+    channels: ['in_app', 'push'],
+    render: {
+      in_app: ({ booking, salon, client, serviceName, date, time }, recipient) => ({
+        title: t(recipient.language, { en: 'Booking moved', nl: 'Afspraak verzet' }),
+        body: recipient.id === booking.client_id
+          ? t(recipient.language, {
+            en: `Your ${serviceName} at ${salon.business_name} is now on ${date} at ${time}.`,
+            nl: `Je afspraak voor ${serviceName} bij ${salon.business_name} is verzet naar ${date} om ${time}.`
+          })
+          : t(recipient.language, {
+            en: `${fullName(client) || 'A client'}'s ${serviceName} is now on ${date} at ${time}.`,
+            nl: `${serviceName} van ${fullName(client) || 'een klant'} is verzet naar ${date} om ${time}.`
+          }),
+        data: { booking_id: booking.id, salon_id: salon.id }
+      })
+    }
+  },
+
+  // To the client first in line when a slot they wait for opens up
+  waitlist_slot_open: {
+    category: 'booking',
+    channels: ['in_app', 'push'],
+    render: {
+      in_app: ({ entry, salon, serviceName, date, time }, { language }) => ({
+        title: t(language, { en: 'A slot opened up', nl: 'Er is een plek vrij' }),
+        body: t(language, {
+          en: `${serviceName} at ${salon.business_name} on ${date}${time ? ` at ${time}` : ''} is available. Book it before someone else does.`,
+          nl: `${serviceName} bij ${salon.business_name} op ${date}${time ? ` om ${time}` : ''} is vrijgekomen. Boek snel.`
+        }),
+        data: { waitlist_id: entry.id, salon_id: salon.id, service_id: entry.service_id, date, time: time || null }
+      })
+    }
+  },
+
+  // To the salon owner
+  review_received: {
+    category: 'review',
+    channels: ['in_app', 'push'],
+    render: {
+      in_app: ({ review, client, salon }, { language }) => ({
+        title: t(language, { en: 'New review', nl: 'Nieuwe review' }),
+        body: t(language, {
+          en: `${fullName(client) || 'A client'} rated ${salon.business_name} ${review.rating}/5.`,
+          nl: `${fullName(client) || 'Een klant'} gaf ${salon.business_name} een ${review.rating}/5.`
+        }),
+        data: { review_id: review.id, booking_id: review.booking_id || null, salon_id: salon.id }
+      })
+    }
+  },
+
+  // To the client who wrote the review
+  review_reply: {
+    category: 'review',
+    channels: ['in_app', 'push'],
+    render: {
+      in_app: ({ review, salon }, { language }) => ({
+        title: t(language, { en: 'The salon replied', nl: 'De salon heeft gereageerd' }),
+        body: t(language, {
+          en: `${salon.business_name || 'The salon'} replied to your review.`,
+          nl: `${salon.business_name || 'De salon'} heeft op je review gereageerd.`
+        }),
+        data: { review_id: review.id, salon_id: salon.id }
+      })
+    }
+  },
+
+  // To the other side of a conversation
+  chat_message: {
+    category: 'chat',
+    channels: ['in_app', 'push'],
+    render: {
+      in_app: ({ conversationId, message, senderName }, { language }) => ({
+        title: senderName || t(language, { en: 'New message', nl: 'Nieuw bericht' }),
+        body: message.content.length > 140 ? `${message.content.slice(0, 137)}...` : message.content,
+        data: { conversation_id: conversationId, message_id: message.id }
+      })
+    }
+  },
+
+  // To the client and the salon owner once a booking payment went through
+  payment_received: {
+    category: 'payment',
+    channels: ['whatsapp', 'in_app', 'push'],
+    render: {
+      whatsapp: ({ amount, salon, date }) => ({
+        send: (phone, language, phoneNumberId) => whatsappService.sendPaymentSuccessNotification(
+          phone,
+          { amount: `€${amount}`, salonName: salon.business_name || 'Salon', date },
+          whatsappLanguage(language),
+          phoneNumberId
+        )
+      }),
+      in_app: ({ payment, amount, salon }, { language }) => ({
+        title: t(language, { en: 'Payment received', nl: 'Betaling ontvangen' }),
+        body: t(language, {
+          en: `€${amount} paid for the booking at ${salon.business_name}.`,
+          nl: `€${amount} betaald voor de afspraak bij ${salon.business_name}.`
+        }),
+        data: { payment_id: payment.id, booking_id: payment.booking_id, salon_id: salon.id }
+      })
+    }
+  },
+
+  // To the salon owner
+  staff_clock_in: {
+    category: 'staff',
+    channels: ['in_app', 'push'],
+    render: {
+      in_app: ({ staff, salonId, clockedInAt }, { language }) => ({
+        title: t(language, { en: 'Staff clocked in', nl: 'Medewerker ingeklokt' }),
+        body: t(language, {
+          en: `${staff.name || 'A staff member'} clocked in.`,
+          nl: `${staff.name || 'Medewerker'} is ingeklokt.`
+        }),
+        data: { staff_id: staff.id, staff_name: staff.name, salon_id: salonId, clocked_in_at: clockedInAt }
+      })
+    }
+  }
+};
+
+/**
+ * Definition of an event type
+ * @param {string} eventType
+ * @returns {Object}
+ */
+function getEvent(eventType) {
+  const event = NOTIFICATION_EVENTS[eventType];
+  if (!event) {
+    throw new Error(`Unknown notification event: ${eventType}`);
+  }
+  return event;
+}
+
+/**
+ * Render an event for one channel
+ * @returns {Object|null} The channel's message, or null when the event has no such rendering
+ */
+function renderNotification(eventType, channel, payload, recipient) {
+  const { render } = getEvent(eventType);
+  const renderer = render[channel] || (channel === 'push' ? render.in_app : null);
+  return renderer ? renderer(payload, recipient) : null;
+}
+
+module.exports = {
+  NOTIFICATION_EVENTS,
+  getEvent,
+  renderNotification
+};
@@ -0,0 +1,343 @@
+const crypto = require('crypto');
+const { supabaseAdmin } = require('../config/database');
+const { AppError } = require('../middleware/errorHandler');
+const { hasEntitlement } = require('../utils/plans');
+const { DEFAULT_SETTINGS, channelSkipReason } = require('../utils/notificationPreferences');
+const { getEvent, renderNotification } = require('./notificationEvents');
+const emailService = require('./emailService');
+const whatsappService = require('./whatsappService');
+const pushService = require('./pushService');
+
+/**
+ * Notification Service
+ * One entry point for everything the platform tells its users: notify(userId, eventType,
+ * payload). The event (notificationEvents) says which channels it uses and how it reads on
+ * each; the user's settings decide which of those channels it actually goes out on (see
+ * utils/notificationPreferences). Every channel of every call is recorded in
+ * notification_deliveries as sent, failed or skipped. In-app notifications make up the user's
+ * inbox (notifications table), read through the inbox methods below.
+ */
+class NotificationService {
+  constructor() {
+    this.channels = {
+      email: (recipient, message) => this._sendEmail(recipient, message),
+      whatsapp: (recipient, message, payload) => this._sendWhatsapp(recipient, message, payload),
+      in_app: (recipient, message, payload, eventType) => this._sendInApp(recipient, message, eventType),
+      push: (recipient, message, payload, eventType) => this._sendPush(recipient, message, payload, eventType)
+    };
+  }
+
+  /**
+   * Send an event to a user on every channel they accept. Never throws for delivery problems:
+   * they end up in the delivery records.
+   * @param {string} userId
+   * @param {string} eventType - Key of NOTIFICATION_EVENTS
+   * @param {Object} payload - Whatever the event's renderers need (booking, salon, ...)
+   * @returns {Promise<{ dispatch_id: string, deliveries: Array<Object> }>}
+   */
+  async notify(userId, eventType, payload = {}) {
+    const event = getEvent(eventType);
+    const dispatchId = crypto.randomUUID();
+
+    let recipient;
+    try {
+      recipient = await this._getRecipient(userId);
+    } catch (error) {
+      console.error(`❌ Notification ${eventType} for ${userId} not sent:`, error.message);
+      return { dispatch_id: dispatchId, deliveries: [] };
+    }
+
+    const deliveries = [];
+    for (const channel of event.channels) {
+      deliveries.push({ channel, ...await this._deliver(channel, event, eventType, recipient, payload) });
+    }
+
+    await this._recordDeliveries(dispatchId, userId, eventType, deliveries);
+    const sent = deliveries.filter(d => d.status === 'sent').map(d => d.channel);
+    console.log(`🔔 ${eventType} for ${userId}: ${sent.length ? sent.join(', ') : 'no channel'}`);
+    return { dispatch_id: dispatchId, deliveries };
+  }
+
+  /**
+   * Send an event to several users (duplicates are notified once)
+   * @returns {Promise<Array<Object>>} notify() results
+   */
+  async notifyMany(userIds, eventType, payload = {}) {
+    const results = [];
+    for (const userId of [...new Set(userIds.filter(Boolean))]) {
+      results.push(await this.notify(userId, eventType, payload));
+    }
+    return results;
+  }
+
+  /**
+   * Send an event to someone without an account, such as staff the salon only entered a phone
+   * number for. Only WhatsApp reaches them, and there's no user to record the delivery for.
+   * @param {{ phone: string, language?: string }} contact
+   * @param {string} eventType - Key of NOTIFICATION_EVENTS
+   * @param {Object} payload
+   * @returns {Promise<Object>} The WhatsApp delivery ({ channel, status, reason? })
+   */
+  async notifyContact(contact, eventType, payload = {}) {
+    const event = getEvent(eventType);
+    if (!event.channels.includes('whatsapp')) {
+      return { channel: 'whatsapp', status: 'skipped', reason: 'no_template' };
+    }
+
+    const recipient = {
+      id: null,
+      phone: contact.phone,
+      language: contact.language || DEFAULT_SETTINGS.language,
+      settings: DEFAULT_SETTINGS
+    };
+    const delivery = await this._deliver('whatsapp', event, eventType, recipient, payload);
+    console.log(`🔔 ${eventType} for contact without account: ${delivery.status}`);
+    return { channel: 'whatsapp', ...delivery };
+  }
+
+  /**
+   * A page of the user's inbox, newest first
+   * @param {string} userId
+   * @param {Object} [options]
+   * @param {number} [options.page=1]
+   * @param {number} [options.limit=20] - At most 100
+   * @param {boolean} [options.unreadOnly=false]
+   * @returns {Promise<{ notifications: Array<Object>, total: number }>}
+   */
+  async getInbox(userId, { page = 1, limit = 20, unreadOnly = false } = {}) {
+    const offset = (page - 1) * limit;
+    let query = supabaseAdmin
+      .from('notifications')
+      .select('*', { count: 'exact' })
+      .eq('user_id', userId)
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (unreadOnly) {
+      query = query.is('read_at', null);
+    }
+
+    const { data, error, count } = await query;
+    if (error) {
+      throw new AppError('Failed to fetch notifications', 500, 'NOTIFICATIONS_FETCH_FAILED');
+    }
+    return { notifications: data || [], total: count || 0 };
+  }
+
+  /**
+   * Number of unread inbox notifications (the badge)
+   * @returns {Promise<number>}
+   */
+  async getUnreadCount(userId) {
+    const { count, error } = await supabaseAdmin
+      .from('notifications')
+      .select('id', { count: 'exact', head: true })
+      .eq('user_id', userId)
+      .is('read_at', null);
+
+    if (error) {
+      throw new AppError('Failed to count notifications', 500, 'NOTIFICATIONS_FETCH_FAILED');
+    }
+    return count || 0;
+  }
+
+  /**
+   * Mark one of the user's notifications read (keeps the first read time)
+   * @returns {Promise<Object>} notifications row
+   */
+  async markRead(userId, notificationId) {
+    const notification = await this._getOwnNotification(userId, notificationId);
+    if (notification.read_at) return notification;
+
+    const { data, error } = await supabaseAdmin
+      .from('notifications')
+      .update({ read_at: new Date().toISOString() })
+      .eq('id', notification.id)
+      .eq('user_id', userId)
+      .select()
+      .single();
+
+    if (error) {
+      throw new AppError('Failed to update notification', 500, 'NOTIFICATION_UPDATE_FAILED');
+    }
+    return data;
+  }
+
+  /**
+   * Mark every unread notification of the user read
+   * @returns {Promise<number>} How many were marked
+   */
+  async markAllRead(userId) {
+    const { data, error } = await supabaseAdmin
+      .from('notifications')
+      .update({ read_at: new Date().toISOString() })
+      .eq('user_id', userId)
+      .is('read_at', null)
+      .select('id');
+
+    if (error) {
+      throw new AppError('Failed to update notifications', 500, 'NOTIFICATION_UPDATE_FAILED');
+    }
+    return (data || []).length;
+  }
+
+  /**
+   * Remove one of the user's notifications from the inbox
+   */
+  async deleteNotification(userId, notificationId) {
+    const notification = await this._getOwnNotification(userId, notificationId);
+
+    const { error } = await supabaseAdmin
+      .from('notifications')
+      .delete()
+      .eq('id', notification.id)
+      .eq('user_id', userId);
+
+    if (error) {
+      throw new AppError('Failed to delete notification', 500, 'NOTIFICATION_DELETE_FAILED');
+    }
+  }
+
+  async _getOwnNotification(userId, notificationId) {
+    const { data, error } = await supabaseAdmin
+      .from('notifications')
+      .select('*')
+      .eq('id', notificationId)
+      .eq('user_id', userId)
+      .maybeSingle();
+
+    if (error || !data) {
+      throw new AppError('Notification not found', 404, 'NOTIFICATION_NOT_FOUND');
+    }
+    return data;
+  }
+
+  // One channel: preferences first, then render and send
+  async _deliver(channel, event, eventType, recipient, payload) {
+    const skipReason = channelSkipReason(recipient.settings, channel, event);
+    if (skipReason) {
+      return { status: 'skipped', reason: skipReason };
+    }
+
+    try {
+      const message = renderNotification(eventType, channel, payload, recipient);
+      if (!message) {
+        return { status: 'skipped', reason: 'no_template' };
+      }
+      return await this.channels[channel](recipient, message, payload, eventType);
+    } catch (error) {
+      console.error(`❌ ${channel} notification ${eventType} failed:`, error.message);
+      return { status: 'failed', reason: error.message?.slice(0, 500) || 'error' };
+    }
+  }
+
+  async _sendEmail(recipient, { subject, html }) {
+    if (!emailService.isEnabled) return { status: 'skipped', reason: 'not_configured' };
+    if (!recipient.email) return { status: 'skipped', reason: 'no_address' };
+
+    const result = await emailService.sendMessage({ to: recipient.email, subject, html });
+    return { status: 'sent', provider_message_id: result?.messageId || null };
+  }
+
+  // Sent from the salon's WhatsApp number, when the salon's plan includes it
+  async _sendWhatsapp(recipient, message, { salon } = {}) {
+    const phoneNumberId = salon?.whatsapp_phone_number_id || null;
+    if (!salon || !hasEntitlement(salon, 'whatsapp_notifications') || !whatsappService.isEnabled(phoneNumberId)) {
+      return { status: 'skipped', reason: 'not_configured' };
+    }
+    if (!recipient.phone) return { status: 'skipped', reason: 'no_address' };
+
+    const result = await message.send(recipient.phone, recipient.language, phoneNumberId);
+    return result.success
+      ? { status: 'sent', provider_message_id: result.messageId || null }
+      : { status: 'failed', reason: result.error || 'error' };
+  }
+
+  // Every registered device of the user, each in its own locale's language
+  async _sendPush(recipient, message, payload, eventType) {
+    if (!pushService.isEnabled()) return { status: 'skipped', reason: 'not_configured' };
+
+    const devices = await pushService.getDevices(recipient.id);
+    if (devices.length === 0) return { status: 'skipped', reason: 'no_device' };
+
+    const results = [];
+    for (const device of devices) {
+      const language = device.locale ? device.locale.split(/[-_]/)[0].toLowerCase() : recipient.language;
+      const rendered = language === recipient.language
+        ? message
+        : renderNotification(eventType, 'push', payload, { ...recipient, language });
+      results.push(await pushService.sendToDevice(device, {
+        ...rendered,
+        data: { ...rendered.data, type: eventType }
+      }));
+    }
+
+    const sent = results.find(result => result.success);
+    return sent
+      ? { status: 'sent', provider_message_id: sent.messageId || null }
+      : { status: 'failed', reason: results[0].error || 'error' };
+  }
+
+  async _sendInApp(recipient, { title, body, data }, eventType) {
+    const { data: notification, error } = await supabaseAdmin
+      .from('notifications')
+      .insert({ user_id: recipient.id, type: eventType, title, body, data: data || {} })
+      .select('id')
+      .single();
+
+    if (error) {
+      return { status: 'failed', reason: error.message };
+    }
+    return { status: 'sent', notification_id: notification.id };
+  }
+
+  // Profile, language and notification settings of a user
+  async _getRecipient(userId) {
+    const [{ data: profile, error }, { data: settings }] = await Promise.all([
+      supabaseAdmin
+        .from('user_profiles')
+        .select('id, email, phone, first_name, last_name, language')
+        .eq('id', userId)
+        .maybeSingle(),
+      supabaseAdmin
+        .from('user_settings')
+        .select('*')
+        .eq('user_id', userId)
+        .maybeSingle()
+    ]);
+
+    if (error || !profile) {
+      throw new Error(`User ${userId} not found`);
+    }
+
+    const merged = { ...DEFAULT_SETTINGS };
+    for (const [key, value] of Object.entries(settings || {})) {
+      if (value !== null && value !== undefined) merged[key] = value;
+    }
+    return {
+      ...profile,
+      language: settings?.language || profile.language || DEFAULT_SETTINGS.language,
+      settings: merged
+    };
+  }
+
+  async _recordDeliveries(dispatchId, userId, eventType, deliveries) {
+    const rows = deliveries.map(delivery => ({
+      dispatch_id: dispatchId,
+      user_id: userId,
+      event_type: eventType,
+      channel: delivery.channel,
+      status: delivery.status,
+      reason: delivery.reason || null,
+      provider_message_id: delivery.provider_message_id || null,
+      notification_id: delivery.notification_id || null
+    }));
+
+    const { error } = await supabaseAdmin.from('notification_deliveries').insert(rows);
+    if (error) {
+      console.warn(`Could not record ${eventType} deliveries for ${userId}:`, error.message);
+    }
+  }
+}
+
+module.exports = new NotificationService();
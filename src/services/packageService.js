@@ -0,0 +1,213 @@
+const { supabaseAdmin } = require('../config/database');
+const { AppError } = require('../middleware/errorHandler');
+const config = require('../config');
+const stripeService = require('./stripeService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Package Service
+ * Prepaid service bundles. Salons define packages (n credits for one service, a price and how
+ * long the credits last); clients buy them through Stripe Checkout on the salon's Connect
+ * account. A booking for the service spends a credit instead of opening a payment, and a
+ * cancellation inside the free-cancel window gives it back.
+ */
+class PackageService {
+  /**
+   * Start buying a package: a pending purchase plus a Checkout session. The credits are
+   * added when the session is paid (webhook).
+   * @returns {Promise<{ purchase: Object, session: Object }>}
+   */
+  async startPurchase(servicePackage, salon, client) {
+    if (!servicePackage.is_active) {
+      throw new AppError('This package is no longer sold', 400, 'PACKAGE_NOT_AVAILABLE');
+    }
+    if (!salon.stripe_account_id) {
+      throw new AppError('This salon does not accept online payments yet', 400, 'STRIPE_NOT_CONFIGURED');
+    }
+
+    const { data: purchase, error } = await supabaseAdmin
+      .from('package_purchases')
+      .insert({
+        package_id: servicePackage.id,
+        salon_id: servicePackage.salon_id,
+        service_id: servicePackage.service_id,
+        client_id: client.id,
+        credits_total: servicePackage.credits,
+        credits_remaining: 0,
+        price_paid: servicePackage.price,
+        currency: servicePackage.currency,
+        status: 'pending_payment'
+      })
+      .select()
+      .single();
+
+    if (error) {
+      console.error('❌ Error creating package purchase:', error);
+      throw new AppError('Failed to start package purchase', 500, 'PACKAGE_PURCHASE_FAILED');
+    }
+
+    const returnUrl = `${config.frontend.url}/salons/${salon.id}/packages`;
+    const session = await stripeService.createCheckoutSession({
+      amount: Number(servicePackage.price),
+      currency: servicePackage.currency,
+      salon,
+      productName: `${servicePackage.name} - ${salon.business_name}`,
+      description: `${servicePackage.credits} x ${servicePackage.services?.name || 'service'}`,
+      successUrl: `${returnUrl}?purchase=success&session_id={CHECKOUT_SESSION_ID}`,
+      cancelUrl: `${returnUrl}?purchase=cancelled`,
+      metadata: { payment_type: 'service_package', package_purchase_id: purchase.id, salon_id: salon.id }
+    });
+
+    await supabaseAdmin
+      .from('package_purchases')
+      .update({ stripe_checkout_session_id: session.id, updated_at: new Date().toISOString() })
+      .eq('id', purchase.id);
+
+    return { purchase: { ...purchase, stripe_checkout_session_id: session.id }, session };
+  }
+
+  /**
+   * Register the package Checkout webhooks with the webhook pipeline
+   */
+  registerWebhookHandlers(registry) {
+    registry.register(
+      ['checkout.session.completed', 'checkout.session.async_payment_succeeded'],
+      session => this.handleCheckoutPaid(session)
+    );
+    registry.register('checkout.session.expired', session => this.handleCheckoutExpired(session));
+  }
+
+  /**
+   * Credit a paid purchase. Safe to run more than once.
+   */
+  async handleCheckoutPaid(session) {
+    if (session.metadata?.payment_type !== 'service_package') return;
+    if (session.payment_status === 'unpaid') {
+      console.log(`⏳ Package session ${session.id} completed without payment yet`);
+      return;
+    }
+
+    const purchaseId = session.metadata.package_purchase_id;
+    const { data: pending, error: fetchError } = await supabaseAdmin
+      .from('package_purchases')
+      .select('*, service_packages(validity_days)')
+      .eq('id', purchaseId)
+      .maybeSingle();
+
+    if (fetchError) {
+      throw new Error(`Failed to fetch package purchase ${purchaseId}: ${fetchError.message}`);
+    }
+    if (!pending || pending.status !== 'pending_payment') return;
+
+    const now = new Date();
+    const validityDays = pending.service_packages?.validity_days;
+    const { data: activated, error } = await supabaseAdmin
+      .from('package_purchases')
+      .update({
+        status: 'active',
+        credits_remaining: pending.credits_total,
+        expires_at: validityDays ? new Date(now.getTime() + validityDays * DAY_MS).toISOString() : null,
+        purchased_at: now.toISOString(),
+        stripe_payment_intent_id: session.payment_intent || null,
+        updated_at: now.toISOString()
+      })
+      .eq('id', purchaseId)
+      .eq('status', 'pending_payment')
+      .select('id');
+
+    if (error) {
+      throw new Error(`Failed to activate package purchase ${purchaseId}: ${error.message}`);
+    }
+    if (activated?.length) {
+      console.log(`📦 Package purchase ${purchaseId} paid: ${pending.credits_total} credits`);
+    }
+  }
+
+  async handleCheckoutExpired(session) {
+    if (session.metadata?.payment_type !== 'service_package') return;
+    await supabaseAdmin
+      .from('package_purchases')
+      .update({ status: 'canceled', updated_at: new Date().toISOString() })
+      .eq('id', session.metadata.package_purchase_id)
+      .eq('status', 'pending_payment');
+  }
+
+  /**
+   * Spend a credit on a new booking if the client has one for the service
+   * @returns {Promise<Object|null>} The purchase the credit came from, or null
+   */
+  async consumeCredit({ clientId, salonId, serviceId, bookingId }) {
+    const { data, error } = await supabaseAdmin.rpc('consume_package_credit', {
+      p_client_id: clientId,
+      p_salon_id: salonId,
+      p_service_id: serviceId,
+      p_booking_id: bookingId
+    });
+
+    if (error) {
+      console.error('❌ Error using package credit:', error);
+      throw new AppError('Failed to use package credit', 500, 'PACKAGE_CREDIT_FAILED');
+    }
+
+    const purchase = Array.isArray(data) ? data[0] : data;
+    if (purchase) {
+      console.log(`📦 Booking ${bookingId} paid with a credit of package purchase ${purchase.id} (${purchase.credits_remaining} left)`);
+    }
+    return purchase || null;
+  }
+
+  /**
+   * Give back the credit a cancelled booking spent
+   * @returns {Promise<boolean>} whether a credit was given back
+   */
+  async restoreCredit(bookingId) {
+    const { data, error } = await supabaseAdmin.rpc('restore_package_credit', { p_booking_id: bookingId });
+    if (error) {
+      console.error('❌ Error restoring package credit:', error);
+      throw new AppError('Failed to restore package credit', 500, 'PACKAGE_CREDIT_FAILED');
+    }
+    return Boolean(data);
+  }
+
+  /**
+   * Unused, unexpired credits of a client, per purchase
+   * @returns {Promise<Array<Object>>}
+   */
+  async getClientCredits(clientId) {
+    const { data, error } = await supabaseAdmin
+      .from('package_purchases')
+      .select(`
+        id,
+        credits_total,
+        credits_remaining,
+        expires_at,
+        purchased_at,
+        service_packages(id, name),
+        services(id, name),
+        salons(id, business_name)
+      `)
+      .eq('client_id', clientId)
+      .eq('status', 'active')
+      .gt('credits_remaining', 0)
+      .or(`expires_at.is.null,expires_at.gt.${new Date().toISOString()}`)
+      .order('expires_at', { ascending: true, nullsFirst: false });
+
+    if (error) {
+      throw new AppError('Failed to fetch package credits', 500, 'PACKAGE_FETCH_FAILED');
+    }
+
+    return (data || []).map(purchase => ({
+      purchase_id: purchase.id,
+      package: purchase.service_packages,
+      service: purchase.services,
+      salon: purchase.salons,
+      credits_total: purchase.credits_total,
+      credits_remaining: purchase.credits_remaining,
+      expires_at: purchase.expires_at,
+      purchased_at: purchase.purchased_at
+    }));
+  }
+}
+
+module.exports = new PackageService();
@@ -0,0 +1,69 @@
+const { supabaseAdmin } = require('../config/database');
+const { AppError } = require('../middleware/errorHandler');
+const { PLANS, getPlan, activePlan, entitlementsFor } = require('../utils/plans');
+
+/**
+ * Plan Service
+ * Entitlement limits that depend on what is in the database (staff seats). The catalogue itself
+ * and the yes/no entitlements live in utils/plans.
+ */
+class PlanService {
+  async countActiveStaff(salonId) {
+    const { count, error } = await supabaseAdmin
+      .from('staff')
+      .select('id', { count: 'exact', head: true })
+      .eq('salon_id', salonId)
+      .eq('is_active', true);
+
+    if (error) {
+      console.error('❌ Error counting staff:', error);
+      throw new AppError('Failed to check staff limit', 500, 'STAFF_COUNT_FAILED');
+    }
+    return count || 0;
+  }
+
+  /**
+   * Throw unless the salon's active plan has a free staff seat
+   * @param {Object} salon - Salon row with id and subscription fields
+   */
+  async assertCanAddStaff(salon) {
+    const { max_staff: maxStaff } = entitlementsFor(salon);
+    if (maxStaff === null) return;
+
+    const staffCount = await this.countActiveStaff(salon.id);
+    if (staffCount >= maxStaff) {
+      const nextPlan = Object.values(PLANS)
+        .sort((a, b) => a.rank - b.rank)
+        .find(plan => plan.entitlements.max_staff === null || plan.entitlements.max_staff > maxStaff);
+      throw new AppError(
+        `This salon's ${getPlan(activePlan(salon)).name} plan allows ${maxStaff} staff member(s). ` +
+          `Upgrade to ${nextPlan.name} to add more.`,
+        403,
+        'STAFF_LIMIT_REACHED'
+      );
+    }
+  }
+
+  /**
+   * Throw if the salon has more active staff than a plan allows (before downgrading to it)
+   * @param {Object} salon
+   * @param {string} planId
+   */
+  async assertFitsPlan(salon, planId) {
+    const plan = getPlan(planId);
+    const maxStaff = plan.entitlements.max_staff;
+    if (maxStaff === null) return;
+
+    const staffCount = await this.countActiveStaff(salon.id);
+    if (staffCount > maxStaff) {
+      throw new AppError(
+        `The ${plan.name} plan allows ${maxStaff} staff member(s) and this salon has ${staffCount}. ` +
+          'Remove staff before downgrading.',
+        409,
+        'STAFF_LIMIT_EXCEEDED'
+      );
+    }
+  }
+}
+
+module.exports = new PlanService();
@@ -0,0 +1,211 @@
+const { supabaseAdmin } = require('../config/database');
+const { AppError } = require('../middleware/errorHandler');
+const { roundMoney } = require('../utils/cancellationPolicy');
+const { promotionMismatch, bestDiscount } = require('../utils/discounts');
+
+// SQLSTATEs raised by redeem_promotion (database/migrations/add_promotions.sql)
+const REDEEM_ERRORS = {
+  P0410: ['This promotion is no longer available', 409, 'PROMOTION_UNAVAILABLE'],
+  P0429: ['You have already used this promotion', 409, 'PROMOTION_ALREADY_USED']
+};
+
+/**
+ * Promotion Service
+ * Prices bookings with the salon's promo codes and automatic discount rules (utils/discounts)
+ * and keeps count of their uses. A use is claimed before the booking is created and released
+ * if the booking fails or is cancelled.
+ */
+class PromotionService {
+  normalizeCode(code) {
+    return typeof code === 'string' ? code.trim().toUpperCase() : '';
+  }
+
+  /**
+   * Price of a booking after the best discount
+   * @param {Object} params
+   * @param {Object} params.salon
+   * @param {Object} params.service
+   * @param {string} params.clientId
+   * @param {string} params.date - YYYY-MM-DD (salon local)
+   * @param {string} params.startTime - HH:MM (salon local)
+   * @param {string} [params.promoCode]
+   * @returns {Promise<{ price: number, discount: number, total: number, currency: string, promotion: Object|null }>}
+   *   A promo code that doesn't apply is an error rather than silently ignored
+   */
+  async quote({ salon, service, clientId, date, startTime, promoCode = null }) {
+    const price = roundMoney(Number(service.price || 0));
+    const currency = service.currency || 'EUR';
+    const code = this.normalizeCode(promoCode);
+    if (code && !/^[A-Z0-9_-]+$/.test(code)) {
+      throw new AppError('Promo code not found', 404, 'PROMO_CODE_NOT_FOUND');
+    }
+
+    const candidates = await this._candidatePromotions(salon.id, code);
+    const codePromotion = code ? candidates.find(p => this.normalizeCode(p.code) === code) : null;
+    if (code && !codePromotion) {
+      throw new AppError('Promo code not found', 404, 'PROMO_CODE_NOT_FOUND');
+    }
+
+    const usable = await this._withinClientLimits(candidates, clientId);
+    const booking = {
+      serviceId: service.id,
+      date,
+      startTime,
+      firstVisit: await this.isFirstVisit(salon.id, clientId)
+    };
+
+    if (codePromotion) {
+      if (!usable.includes(codePromotion)) {
+        throw new AppError('You have already used this promo code', 409, 'PROMOTION_ALREADY_USED');
+      }
+      const mismatch = promotionMismatch(codePromotion, booking);
+      if (mismatch) {
+        throw new AppError(mismatch, 400, 'PROMO_CODE_NOT_APPLICABLE');
+      }
+    }
+
+    const best = bestDiscount(usable, booking, price);
+    return {
+      price,
+      discount: best ? best.discount : 0,
+      total: best ? roundMoney(price - best.discount) : price,
+      currency,
+      promotion: best ? this._summary(best.promotion) : null
+    };
+  }
+
+  /**
+   * Claim a use of the quoted promotion for a client
+   * @returns {Promise<Object|null>} promotion_redemptions row, null when the quote has no discount
+   */
+  async claim(quote, clientId) {
+    if (!quote.promotion) return null;
+
+    const { data: redemption, error } = await supabaseAdmin.rpc('redeem_promotion', {
+      p_promotion_id: quote.promotion.id,
+      p_client_id: clientId,
+      p_discount: quote.discount
+    });
+
+    if (error) {
+      const known = REDEEM_ERRORS[error.code];
+      if (known) throw new AppError(...known);
+      console.error('❌ Error redeeming promotion:', error);
+      throw new AppError('Failed to apply promotion', 500, 'PROMOTION_REDEEM_FAILED');
+    }
+    return redemption;
+  }
+
+  async attachToBooking(redemption, bookingId) {
+    if (!redemption) return;
+    const { error } = await supabaseAdmin
+      .from('promotion_redemptions')
+      .update({ booking_id: bookingId })
+      .eq('id', redemption.id);
+
+    if (error) {
+      console.error('⚠️ Failed to link promotion redemption to booking:', error);
+    }
+  }
+
+  /**
+   * Give a use back. Best effort: a failure is logged, never thrown.
+   */
+  async release(redemption) {
+    if (!redemption) return;
+    const { error } = await supabaseAdmin.rpc('release_promotion_redemption', { p_redemption_id: redemption.id });
+    if (error) {
+      console.error(`⚠️ Failed to release promotion redemption ${redemption.id}:`, error);
+    }
+  }
+
+  /**
+   * Give back the promotion use of a cancelled booking
+   */
+  async releaseForBooking(bookingId) {
+    const { data: redemptions, error } = await supabaseAdmin
+      .from('promotion_redemptions')
+      .select('id')
+      .eq('booking_id', bookingId)
+      .eq('status', 'applied');
+
+    if (error) {
+      console.error('⚠️ Failed to fetch promotion redemptions:', error);
+      return;
+    }
+    for (const redemption of redemptions || []) {
+      await this.release(redemption);
+    }
+  }
+
+  /**
+   * Whether the client has no earlier (not cancelled) booking at the salon
+   */
+  async isFirstVisit(salonId, clientId) {
+    const { count, error } = await supabaseAdmin
+      .from('bookings')
+      .select('id', { count: 'exact', head: true })
+      .eq('salon_id', salonId)
+      .eq('client_id', clientId)
+      .neq('status', 'cancelled');
+
+    if (error) {
+      throw new AppError('Failed to check booking history', 500, 'BOOKING_FETCH_FAILED');
+    }
+    return (count || 0) === 0;
+  }
+
+  // Active automatic rules of the salon, plus the promotion behind the code if one was entered.
+  // Codes are stored upper-case (promotionController), so the normalized code matches exactly
+  async _candidatePromotions(salonId, code) {
+    let query = supabaseAdmin
+      .from('promotions')
+      .select('*')
+      .eq('salon_id', salonId)
+      .eq('is_active', true);
+
+    query = code ? query.or(`code.is.null,code.eq.${code}`) : query.is('code', null);
+
+    const { data, error } = await query;
+    if (error) {
+      console.error('❌ Error fetching promotions:', error);
+      throw new AppError('Failed to fetch promotions', 500, 'PROMOTION_FETCH_FAILED');
+    }
+    return data || [];
+  }
+
+  // Drop the promotions the client already used as often as allowed
+  async _withinClientLimits(promotions, clientId) {
+    const limited = promotions.filter(p => p.max_uses_per_client);
+    if (!limited.length) return promotions;
+
+    const { data: uses, error } = await supabaseAdmin
+      .from('promotion_redemptions')
+      .select('promotion_id')
+      .eq('client_id', clientId)
+      .eq('status', 'applied')
+      .in('promotion_id', limited.map(p => p.id));
+
+    if (error) {
+      throw new AppError('Failed to fetch promotion usage', 500, 'PROMOTION_FETCH_FAILED');
+    }
+
+    const counts = {};
+    for (const use of uses || []) {
+      counts[use.promotion_id] = (counts[use.promotion_id] || 0) + 1;
+    }
+    return promotions.filter(p => !p.max_uses_per_client || (counts[p.id] || 0) < p.max_uses_per_client);
+  }
+
+  _summary(promotion) {
+    return {
+      id: promotion.id,
+      name: promotion.name,
+      code: promotion.code,
+      discount_type: promotion.discount_type,
+      discount_value: Number(promotion.discount_value)
+    };
+  }
+}
+
+module.exports = new PromotionService();
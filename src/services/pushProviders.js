@@ -0,0 +1,151 @@
+/**
+ * Push providers
+ *
+ * pushService sends through one of these. A provider has one method:
+ *   send(device, { title, body, data }) -> { success, messageId?, error?, invalidToken? }
+ * invalidToken tells pushService the device is gone (app uninstalled, token rotated) so it can
+ * drop it from the registry.
+ *
+ * FcmProvider talks to the Firebase Cloud Messaging HTTP v1 API with a service account. FCM
+ * delivers to Android itself and to iOS through APNs, so the apps register FCM tokens on both
+ * platforms. FakePushProvider keeps what it was asked to send, for tests and local development.
+ * Uses native fetch (Node 18+) like whatsappService.
+ */
+
+const crypto = require('crypto');
+
+const FCM_SCOPE = 'https://www.googleapis.com/auth/firebase.messaging';
+const GOOGLE_TOKEN_URL = 'https://oauth2.googleapis.com/token';
+
+const base64url = value => Buffer.from(value).toString('base64url');
+
+// FCM only takes string values in data
+const stringData = data => Object.fromEntries(
+  Object.entries(data || {})
+    .filter(([, value]) => value !== null && value !== undefined)
+    .map(([key, value]) => [key, typeof value === 'string' ? value : JSON.stringify(value)])
+);
+
+class FcmProvider {
+  constructor({ project_id, client_email, private_key }) {
+    this.name = 'fcm';
+    this.projectId = project_id;
+    this.clientEmail = client_email;
+    this.privateKey = private_key;
+    this.accessToken = null;
+    this.accessTokenExpiresAt = 0;
+  }
+
+  async send(device, { title, body, data }) {
+    try {
+      const res = await fetch(`https://fcm.googleapis.com/v1/projects/${this.projectId}/messages:send`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          Authorization: `Bearer ${await this._getAccessToken()}`
+        },
+        body: JSON.stringify({
+          message: {
+            token: device.token,
+            notification: { title, body },
+            data: stringData(data),
+            android: { priority: 'high' },
+            apns: { payload: { aps: { sound: 'default' } } }
+          }
+        })
+      });
+
+      const result = await res.json().catch(() => ({}));
+      if (!res.ok) {
+        const errorCode = result.error?.details?.find(detail => detail.errorCode)?.errorCode;
+        return {
+          success: false,
+          error: result.error?.message || `HTTP ${res.status}`,
+          invalidToken: res.status === 404 || errorCode === 'UNREGISTERED'
+        };
+      }
+      return { success: true, messageId: result.name };
+    } catch (error) {
+      console.error('FCM send error:', error.message);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // OAuth access token for the service account, reused until shortly before it expires
+  async _getAccessToken() {
+    if (this.accessToken && Date.now() < this.accessTokenExpiresAt - 60 * 1000) {
+      return this.accessToken;
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    const unsigned = [
+      base64url(JSON.stringify({ alg: 'RS256', typ: 'JWT' })),
+      base64url(JSON.stringify({ iss: this.clientEmail, scope: FCM_SCOPE, aud: GOOGLE_TOKEN_URL, iat: now, exp: now + 3600 }))
+    ].join('.');
+    const signature = crypto.createSign('RSA-SHA256').update(unsigned).sign(this.privateKey, 'base64url');
+
+    const res = await fetch(GOOGLE_TOKEN_URL, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: new URLSearchParams({
+        grant_type: 'urn:ietf:params:oauth:grant-type:jwt-bearer',
+        assertion: `${unsigned}.${signature}`
+      })
+    });
+    const result = await res.json().catch(() => ({}));
+    if (!res.ok || !result.access_token) {
+      throw new Error(`FCM auth failed: ${result.error_description || result.error || `HTTP ${res.status}`}`);
+    }
+
+    this.accessToken = result.access_token;
+    this.accessTokenExpiresAt = Date.now() + (result.expires_in || 3600) * 1000;
+    return this.accessToken;
+  }
+}
+
+class FakePushProvider {
+  constructor() {
+    this.name = 'fake';
+    this.sent = [];
+    this.invalidTokens = new Set();
+  }
+
+  async send(device, message) {
+    if (this.invalidTokens.has(device.token)) {
+      return { success: false, error: 'Unregistered token', invalidToken: true };
+    }
+    this.sent.push({ token: device.token, platform: device.platform, ...message });
+    return { success: true, messageId: `fake-${this.sent.length}` };
+  }
+
+  reset() {
+    this.sent = [];
+    this.invalidTokens.clear();
+  }
+}
+
+/**
+ * Provider for the push config, or null when push isn't set up
+ * @param {Object} pushConfig - config.push
+ * @returns {FcmProvider|FakePushProvider|null}
+ */
+function createPushProvider(pushConfig) {
+  switch (pushConfig.provider) {
+    case 'fcm':
+      if (!pushConfig.fcm.project_id || !pushConfig.fcm.client_email || !pushConfig.fcm.private_key) {
+        console.warn('⚠️ PUSH_PROVIDER is fcm but the FCM service account is incomplete - push disabled');
+        return null;
+      }
+      return new FcmProvider(pushConfig.fcm);
+    case 'fake':
+      return new FakePushProvider();
+    default:
+      return null;
+  }
+}
+
+module.exports = {
+  FcmProvider,
+  FakePushProvider,
+  createPushProvider
+};
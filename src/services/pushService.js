@@ -0,0 +1,147 @@
+const { supabaseAdmin } = require('../config/database');
+const { AppError } = require('../middleware/errorHandler');
+const config = require('../config');
+const { createPushProvider } = require('./pushProviders');
+
+const PUSH_PLATFORMS = ['ios', 'android', 'web'];
+
+/**
+ * Push Service
+ * The registry of devices users get push notifications on, and sending to them through the
+ * configured provider (see pushProviders). notificationService decides what to push to whom;
+ * this only knows devices and tokens.
+ */
+class PushService {
+  constructor() {
+    this.provider = createPushProvider(config.push);
+  }
+
+  isEnabled() {
+    return !!this.provider;
+  }
+
+  /**
+   * Swap the provider (tests use the fake one)
+   * @param {Object|null} provider
+   */
+  setProvider(provider) {
+    this.provider = provider;
+  }
+
+  /**
+   * Register (or refresh) a device of the user. A token already registered elsewhere moves here.
+   * @param {string} userId
+   * @param {Object} device
+   * @param {string} device.device_id
+   * @param {string} device.token
+   * @param {string} device.platform - ios, android or web
+   * @param {string} [device.locale] - e.g. nl-NL
+   * @param {string} [device.app_version]
+   * @returns {Promise<Object>} push_devices row
+   */
+  async registerDevice(userId, { device_id, token, platform, locale, app_version } = {}) {
+    if (!device_id || typeof device_id !== 'string' || device_id.length > 200) {
+      throw new AppError('device_id is required', 400, 'INVALID_DEVICE');
+    }
+    if (!token || typeof token !== 'string' || token.length > 4096) {
+      throw new AppError('token is required', 400, 'INVALID_DEVICE');
+    }
+    if (!PUSH_PLATFORMS.includes(platform)) {
+      throw new AppError(`platform must be one of ${PUSH_PLATFORMS.join(', ')}`, 400, 'INVALID_DEVICE');
+    }
+    if (locale !== undefined && locale !== null && !/^[a-zA-Z]{2,3}([-_][a-zA-Z0-9]{2,8})*$/.test(locale)) {
+      throw new AppError('Invalid locale', 400, 'INVALID_DEVICE');
+    }
+
+    // Someone else signed in on this device before: the token is this user's now
+    const { data: holders } = await supabaseAdmin
+      .from('push_devices')
+      .select('id, user_id, device_id')
+      .eq('token', token);
+    const staleIds = (holders || [])
+      .filter(holder => holder.user_id !== userId || holder.device_id !== device_id)
+      .map(holder => holder.id);
+    if (staleIds.length > 0) {
+      await supabaseAdmin.from('push_devices').delete().in('id', staleIds);
+    }
+
+    const now = new Date().toISOString();
+    const { data, error } = await supabaseAdmin
+      .from('push_devices')
+      .upsert({
+        user_id: userId,
+        device_id,
+        token,
+        platform,
+        locale: locale || null,
+        app_version: app_version || null,
+        last_seen_at: now,
+        updated_at: now
+      }, { onConflict: 'user_id,device_id' })
+      .select()
+      .single();
+
+    if (error) {
+      console.error('❌ Error registering push device:', error);
+      throw new AppError('Failed to register device', 500, 'DEVICE_REGISTER_FAILED');
+    }
+    console.log(`📱 Registered ${platform} device for ${userId}`);
+    return data;
+  }
+
+  /**
+   * Stop pushing to a device of the user (sign-out)
+   * @returns {Promise<boolean>} Whether the device was registered
+   */
+  async unregisterDevice(userId, deviceId) {
+    const { data, error } = await supabaseAdmin
+      .from('push_devices')
+      .delete()
+      .eq('user_id', userId)
+      .eq('device_id', deviceId)
+      .select('id');
+
+    if (error) {
+      throw new AppError('Failed to unregister device', 500, 'DEVICE_UNREGISTER_FAILED');
+    }
+    return (data || []).length > 0;
+  }
+
+  /**
+   * Registered devices of a user
+   * @returns {Promise<Array<Object>>}
+   */
+  async getDevices(userId) {
+    const { data, error } = await supabaseAdmin
+      .from('push_devices')
+      .select('*')
+      .eq('user_id', userId)
+      .order('last_seen_at', { ascending: false });
+
+    if (error) {
+      throw new AppError('Failed to fetch devices', 500, 'DEVICE_FETCH_FAILED');
+    }
+    return data || [];
+  }
+
+  /**
+   * Push to one device; a token the provider reports as gone is removed from the registry
+   * @param {Object} device - push_devices row
+   * @param {Object} message - { title, body, data }
+   * @returns {Promise<{ success: boolean, messageId?: string, error?: string }>}
+   */
+  async sendToDevice(device, message) {
+    if (!this.provider) {
+      return { success: false, error: 'PUSH_NOT_CONFIGURED' };
+    }
+
+    const result = await this.provider.send(device, message);
+    if (result.invalidToken) {
+      console.log(`📱 Removing stale push device ${device.id}`);
+      await supabaseAdmin.from('push_devices').delete().eq('id', device.id);
+    }
+    return result;
+  }
+}
+
+module.exports = new PushService();
@@ -0,0 +1,299 @@
+const { supabaseAdmin } = require('../config/database');
+const { AppError } = require('../middleware/errorHandler');
+const { roundMoney } = require('../utils/cancellationPolicy');
+const { fromMinorUnits } = require('../utils/feePolicy');
+const stripeService = require('./stripeService');
+const emailService = require('./emailService');
+const invoiceService = require('./invoiceService');
+
+const PAID_PAYMENT_STATUSES = ['completed', 'succeeded', 'refunded'];
+// Refunds that still count against the payment (failed/canceled ones gave nothing back)
+const OPEN_REFUND_STATUSES = ['pending', 'requires_action', 'succeeded'];
+const REFUND_REASON_CODES = ['requested_by_customer', 'duplicate', 'fraudulent'];
+
+/**
+ * Refund Service
+ * Refunds of booking payments: issuing them through Stripe (owner refunds, cancellations),
+ * recording every refund in payment_refunds, keeping payments.refunded_amount/status in sync
+ * with Stripe (refund webhooks) and sending the refund receipt.
+ */
+class RefundService {
+  /**
+   * What is left to refund of a payment's card charge, in major units. The part paid with gift
+   * cards goes back to the cards instead (giftCardService.releaseForPayment).
+   */
+  refundableAmount(payment) {
+    if (!payment || !PAID_PAYMENT_STATUSES.includes(payment.status)) return 0;
+    return Math.max(0, roundMoney(this._chargedAmount(payment) - Number(payment.refunded_amount || 0)));
+  }
+
+  /**
+   * Refund (part of) a card payment
+   * @param {Object} payment - payments row
+   * @param {Object} options
+   * @param {number} [options.amount] - Major units; omit to refund everything that's left
+   * @param {string} [options.note] - Why the money is returned (shown to the client)
+   * @param {string} [options.reasonCode] - Stripe reason: requested_by_customer, duplicate or fraudulent
+   * @param {string} options.initiatedBy - salon, salon_cancellation or client_cancellation
+   * @param {string} [options.userId] - Who issued the refund
+   * @returns {Promise<Object>} payment_refunds row
+   */
+  async refundPayment(payment, { amount, note, reasonCode = 'requested_by_customer', initiatedBy, userId = null }) {
+    if (!PAID_PAYMENT_STATUSES.includes(payment.status)) {
+      throw new AppError('Only completed payments can be refunded', 400, 'PAYMENT_NOT_COMPLETED');
+    }
+    if (!payment.stripe_payment_intent_id) {
+      throw new AppError('This payment was not made by card; refund it in person', 400, 'PAYMENT_NOT_REFUNDABLE');
+    }
+    if (!REFUND_REASON_CODES.includes(reasonCode)) {
+      throw new AppError(`reason_code must be one of: ${REFUND_REASON_CODES.join(', ')}`, 400, 'INVALID_REFUND_REASON');
+    }
+
+    const refundable = this.refundableAmount(payment);
+    if (refundable <= 0) {
+      throw new AppError('This payment has already been refunded', 400, 'PAYMENT_ALREADY_REFUNDED');
+    }
+
+    const value = amount === undefined || amount === null ? refundable : roundMoney(Number(amount));
+    if (!(value > 0) || value > refundable) {
+      throw new AppError(`Refund amount must be between 0.01 and ${refundable.toFixed(2)}`, 400, 'INVALID_REFUND_AMOUNT');
+    }
+
+    const stripeRefund = await stripeService.refundPayment({
+      paymentReference: payment.stripe_payment_intent_id,
+      amount: value,
+      currency: payment.currency,
+      reason: reasonCode,
+      metadata: {
+        payment_id: payment.id,
+        booking_id: payment.booking_id || '',
+        initiated_by: initiatedBy,
+        created_by: userId || '',
+        note: (note || '').slice(0, 500)
+      }
+    });
+
+    const refund = await this._saveRefund(stripeRefund, payment);
+    await this._recalculatePayment(payment.id);
+    if (refund.status === 'succeeded') {
+      await this._sendReceiptOnce(refund);
+      await this._issueCreditNote(refund);
+    }
+
+    console.log(`💸 Refunded ${refund.amount} ${refund.currency} of payment ${payment.id} (${initiatedBy})`);
+    return refund;
+  }
+
+  /**
+   * Refund everything that is left of a booking's card payments (booking payment, deposit, fees)
+   * @returns {Promise<Array<Object>>} payment_refunds rows
+   */
+  async refundBooking(bookingId, options) {
+    const { data: payments, error } = await supabaseAdmin
+      .from('payments')
+      .select('*')
+      .eq('booking_id', bookingId);
+
+    if (error) {
+      console.error('❌ Error fetching booking payments:', error);
+      throw new AppError('Failed to fetch booking payments', 500, 'PAYMENT_FETCH_FAILED');
+    }
+
+    const refunds = [];
+    for (const payment of payments || []) {
+      if (!payment.stripe_payment_intent_id || this.refundableAmount(payment) <= 0) continue;
+      refunds.push(await this.refundPayment(payment, options));
+    }
+    return refunds;
+  }
+
+  async getRefundsForBooking(bookingId) {
+    const { data, error } = await supabaseAdmin
+      .from('payment_refunds')
+      .select('*')
+      .eq('booking_id', bookingId)
+      .order('created_at', { ascending: false });
+
+    if (error) {
+      console.error('❌ Error fetching refunds:', error);
+      throw new AppError('Failed to fetch refunds', 500, 'REFUND_FETCH_FAILED');
+    }
+    return data || [];
+  }
+
+  /**
+   * Register the refund webhooks with the webhook pipeline. refund.* events carry the refund;
+   * charge.refunded is also sent for dashboard refunds on older API versions, so the charge's
+   * refunds are fetched and synced.
+   */
+  registerWebhookHandlers(registry) {
+    registry.register(
+      ['refund.created', 'refund.updated', 'refund.failed', 'charge.refund.updated'],
+      refund => this.syncStripeRefund(refund)
+    );
+    registry.register('charge.refunded', charge => this.syncRefundsForCharge(charge));
+  }
+
+  /**
+   * Record a Stripe refund and update its payment. Safe to run any number of times.
+   * @returns {Promise<Object|null>} payment_refunds row, or null if the refund isn't for a booking payment
+   */
+  async syncStripeRefund(stripeRefund) {
+    const payment = await this._findPaymentForRefund(stripeRefund);
+    if (!payment) {
+      console.log(`Refund ${stripeRefund.id} does not belong to a booking payment, skipping`);
+      return null;
+    }
+
+    const refund = await this._saveRefund(stripeRefund, payment);
+    await this._recalculatePayment(payment.id);
+    if (refund.status === 'succeeded') {
+      await this._sendReceiptOnce(refund);
+      await this._issueCreditNote(refund);
+    }
+    return refund;
+  }
+
+  async syncRefundsForCharge(charge) {
+    if (!charge.payment_intent) return;
+    const refunds = await stripeService.listRefunds(charge.payment_intent);
+    for (const refund of refunds) {
+      await this.syncStripeRefund(refund);
+    }
+  }
+
+  async _findPaymentForRefund(stripeRefund) {
+    const paymentId = stripeRefund.metadata?.payment_id;
+    let query = supabaseAdmin.from('payments').select('*');
+    query = paymentId
+      ? query.eq('id', paymentId)
+      : query.eq('stripe_payment_intent_id', stripeRefund.payment_intent);
+
+    const { data, error } = await query.limit(1);
+    if (error) {
+      throw new Error(`Failed to find payment for refund ${stripeRefund.id}: ${error.message}`);
+    }
+    return data?.[0] || null;
+  }
+
+  async _saveRefund(stripeRefund, payment) {
+    const metadata = stripeRefund.metadata || {};
+    const currency = stripeRefund.currency || payment.currency || 'eur';
+    const { data, error } = await supabaseAdmin
+      .from('payment_refunds')
+      .upsert({
+        payment_id: payment.id,
+        booking_id: payment.booking_id || null,
+        stripe_refund_id: stripeRefund.id,
+        amount: fromMinorUnits(stripeRefund.amount, currency),
+        currency: currency.toUpperCase(),
+        status: stripeRefund.status,
+        reason: stripeRefund.reason || null,
+        note: metadata.note || null,
+        initiated_by: metadata.initiated_by || 'stripe',
+        created_by: metadata.created_by || null,
+        failure_reason: stripeRefund.failure_reason || null,
+        updated_at: new Date().toISOString()
+      }, { onConflict: 'stripe_refund_id' })
+      .select()
+      .single();
+
+    if (error) {
+      // The money has moved already; the refund webhook will record it again
+      console.error(`❌ Error saving refund ${stripeRefund.id}:`, error);
+      throw new AppError('Refund issued but could not be recorded', 500, 'REFUND_SAVE_FAILED');
+    }
+    return data;
+  }
+
+  // payments.refunded_amount/status from the payment's refunds, so order of events doesn't matter
+  async _recalculatePayment(paymentId) {
+    const [{ data: payment, error: paymentError }, { data: refunds, error: refundsError }] = await Promise.all([
+      supabaseAdmin.from('payments').select('id, amount, gift_card_amount, tip_amount, status').eq('id', paymentId).single(),
+      supabaseAdmin
+        .from('payment_refunds')
+        .select('stripe_refund_id, amount, status, created_at')
+        .eq('payment_id', paymentId)
+        .in('status', OPEN_REFUND_STATUSES)
+        .order('created_at', { ascending: false })
+    ]);
+
+    if (paymentError || refundsError) {
+      throw new AppError('Failed to update refunded payment', 500, 'PAYMENT_UPDATE_FAILED');
+    }
+
+    const refundedAmount = roundMoney((refunds || []).reduce((sum, r) => sum + Number(r.amount), 0));
+    let status = payment.status;
+    if (refundedAmount >= this._chargedAmount(payment)) {
+      status = 'refunded';
+    } else if (payment.status === 'refunded') {
+      status = 'completed'; // a refund failed after all
+    }
+
+    const { error } = await supabaseAdmin
+      .from('payments')
+      .update({
+        refunded_amount: refundedAmount,
+        stripe_refund_id: refunds?.[0]?.stripe_refund_id || null,
+        status,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', paymentId);
+
+    if (error) {
+      throw new AppError('Failed to update refunded payment', 500, 'PAYMENT_UPDATE_FAILED');
+    }
+  }
+
+  // What was charged to the card: the payment minus what gift cards covered, plus the tip
+  _chargedAmount(payment) {
+    return roundMoney(
+      Number(payment.amount) - Number(payment.gift_card_amount || 0) + Number(payment.tip_amount || 0)
+    );
+  }
+
+  // Credit note for an invoiced payment; the refund itself has gone through either way
+  async _issueCreditNote(refund) {
+    try {
+      await invoiceService.issueCreditNote(refund);
+    } catch (error) {
+      console.error(`Failed to issue credit note for refund ${refund.id}:`, error);
+    }
+  }
+
+  // Email the refund receipt, once per refund (the API call and the webhook both get here)
+  async _sendReceiptOnce(refund) {
+    try {
+      const { data: claimed } = await supabaseAdmin
+        .from('payment_refunds')
+        .update({ receipt_sent_at: new Date().toISOString() })
+        .eq('id', refund.id)
+        .is('receipt_sent_at', null)
+        .select('id');
+      if (!claimed?.length || !refund.booking_id) return;
+
+      const { data: booking } = await supabaseAdmin
+        .from('bookings')
+        .select(`
+          *,
+          services(name),
+          salons(business_name),
+          user_profiles!client_id(id, email, first_name, last_name, language)
+        `)
+        .eq('id', refund.booking_id)
+        .single();
+      if (!booking?.user_profiles?.email) return;
+
+      await emailService.sendRefundReceipt(
+        refund,
+        { ...booking, service_name: booking.services?.name },
+        booking.user_profiles,
+        booking.salons || {}
+      );
+    } catch (error) {
+      console.error('Failed to send refund receipt:', error);
+    }
+  }
+}
+
+module.exports = new RefundService();
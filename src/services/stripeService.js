@@ -2,6 +2,14 @@ const { stripe, isStripeEnabled } = require('../config/stripe');
 const { AppError } = require('../middleware/errorHandler');
 const config = require('../config');
 const { supabaseAdmin } = require('../config/database');
+const bookingHoldService = require('./bookingHoldService');
+const notificationService = require('./notificationService');
+const { toMinorUnits, destinationChargeParams } = require('../utils/feePolicy');
+const { getPlan, planForPriceId } = require('../utils/plans');
+
+// payments.status written once a payment went through; 'succeeded' rows predate the webhook pipeline
+const PAID_STATUS = 'completed';
+const PAID_PAYMENT_STATUSES = ['completed', 'succeeded'];
 
 class StripeService {
   constructor() {
@@ -112,78 +120,194 @@ class StripeService {
     }
   }
 
-  // Handle Stripe webhooks
-  async handleWebhook(req, res) {
-    const sig = req.headers['stripe-signature'];
-    let event;
+  // Create a platform customer for a salon owner (subscription billing)
+  async createCustomer({ email, name, user_id }) {
+    this._checkStripeEnabled();
+    try {
+      return await this.stripe.customers.create({ email, name, metadata: { user_id } });
+    } catch (error) {
+      throw new AppError(`Failed to create customer: ${error.message}`, 502, 'STRIPE_CUSTOMER_FAILED');
+    }
+  }
 
-    const webhookSecrets = [
-      process.env.STRIPE_WEBHOOK_SECRET,
-      process.env.STRIPE_WEBHOOK_SECRET_THIN,
-    ].filter(Boolean);
+  async attachPaymentMethod(paymentMethodId, customerId) {
+    this._checkStripeEnabled();
+    try {
+      return await this.stripe.paymentMethods.attach(paymentMethodId, { customer: customerId });
+    } catch (error) {
+      throw new AppError(`Failed to attach payment method: ${error.message}`, 400, 'PAYMENT_METHOD_INVALID');
+    }
+  }
 
-    if (webhookSecrets.length === 0) {
-      console.error('No webhook secrets configured');
-      return res.status(400).send('Webhook secret not configured');
+  /**
+   * Subscribe a customer to a plan price. The first invoice's client secret is expanded so the
+   * app can confirm the payment when there's no trial.
+   */
+  async createSubscription(customerId, priceId, trialDays = 0, metadata = {}) {
+    this._checkStripeEnabled();
+    try {
+      return await this.stripe.subscriptions.create({
+        customer: customerId,
+        items: [{ price: priceId }],
+        ...(trialDays > 0 ? { trial_period_days: trialDays } : {}),
+        payment_behavior: 'default_incomplete',
+        payment_settings: { save_default_payment_method: 'on_subscription' },
+        expand: ['latest_invoice.payment_intent'],
+        metadata
+      });
+    } catch (error) {
+      throw new AppError(`Failed to create subscription: ${error.message}`, 502, 'STRIPE_SUBSCRIPTION_FAILED');
     }
+  }
 
-    let lastError;
-    for (const secret of webhookSecrets) {
-      try {
-        event = this.stripe.webhooks.constructEvent(req.body, sig, secret);
-        break;
-      } catch (err) {
-        lastError = err;
-        continue;
-      }
+  async cancelSubscription(subscriptionId, atPeriodEnd = true) {
+    this._checkStripeEnabled();
+    try {
+      return atPeriodEnd
+        ? await this.stripe.subscriptions.update(subscriptionId, { cancel_at_period_end: true })
+        : await this.stripe.subscriptions.cancel(subscriptionId);
+    } catch (error) {
+      throw new AppError(`Failed to cancel subscription: ${error.message}`, 502, 'STRIPE_SUBSCRIPTION_FAILED');
     }
+  }
 
-    if (!event) {
-      console.error('Webhook signature verification failed:', lastError?.message);
-      return res.status(400).send(`Webhook Error: ${lastError?.message || 'Signature verification failed'}`);
+  async createBillingPortalSession(customerId, returnUrl) {
+    this._checkStripeEnabled();
+    try {
+      return await this.stripe.billingPortal.sessions.create({ customer: customerId, return_url: returnUrl });
+    } catch (error) {
+      throw new AppError(`Failed to create billing portal session: ${error.message}`, 502, 'BILLING_PORTAL_FAILED');
     }
+  }
+
+  /**
+   * Move a subscription to another plan price, prorated. Upgrades are invoiced and charged right
+   * away (and fail if the card is declined); downgrades leave a credit for the next invoice.
+   * @param {string} subscriptionId
+   * @param {string} priceId - Price of the new plan
+   * @param {Object} options
+   * @param {boolean} options.upgrade
+   * @param {number} [options.prorationDate] - Unix seconds; pass the one used for the preview so the amounts match
+   */
+  async changeSubscriptionPlan(subscriptionId, priceId, { upgrade, prorationDate }) {
+    this._checkStripeEnabled();
+    const subscription = await this._retrieveSubscription(subscriptionId);
 
     try {
-      switch (event.type) {
-        case 'account.updated':
-        case 'connect.account.updated':
-          await this.handleAccountUpdated(event.data.object);
-          break;
-        case 'checkout.session.completed':
-          await this._handleCheckoutSessionCompleted(event.data.object);
-          break;
-        case 'payment_intent.succeeded':
-          await this._handlePaymentIntentSucceeded(event.data.object);
-          break;
-        case 'payment_intent.payment_failed':
-          await this._handlePaymentIntentFailed(event.data.object);
-          break;
-        default:
-          console.log(`Unhandled event type: ${event.type}`);
+      return await this.stripe.subscriptions.update(subscriptionId, {
+        items: [{ id: subscription.items.data[0].id, price: priceId }],
+        proration_behavior: upgrade ? 'always_invoice' : 'create_prorations',
+        ...(prorationDate ? { proration_date: prorationDate } : {}),
+        ...(upgrade ? { payment_behavior: 'error_if_incomplete' } : {}),
+        cancel_at_period_end: false
+      });
+    } catch (error) {
+      if (error.type === 'StripeCardError') {
+        throw new AppError(`Upgrade payment failed: ${error.message}`, 402, 'UPGRADE_PAYMENT_FAILED');
       }
-      res.json({ received: true });
+      throw new AppError(`Failed to change subscription plan: ${error.message}`, 502, 'STRIPE_SUBSCRIPTION_FAILED');
+    }
+  }
+
+  /**
+   * What a plan change would cost: the prorated amount due now for upgrades, or the credit
+   * carried to the next invoice for downgrades
+   * @returns {Promise<{ amount_due: number, proration_amount: number, currency: string, proration_date: number, next_payment_attempt: number|null }>}
+   *   Amounts in the currency's smallest unit
+   */
+  async previewSubscriptionChange(subscriptionId, priceId) {
+    this._checkStripeEnabled();
+    const subscription = await this._retrieveSubscription(subscriptionId);
+    const prorationDate = Math.floor(Date.now() / 1000);
+
+    try {
+      const invoice = await this.stripe.invoices.retrieveUpcoming({
+        customer: subscription.customer,
+        subscription: subscriptionId,
+        subscription_items: [{ id: subscription.items.data[0].id, price: priceId }],
+        subscription_proration_behavior: 'always_invoice',
+        subscription_proration_date: prorationDate
+      });
+      const prorationAmount = invoice.lines.data
+        .filter(line => line.proration)
+        .reduce((sum, line) => sum + line.amount, 0);
+
+      return {
+        amount_due: invoice.amount_due,
+        proration_amount: prorationAmount,
+        currency: invoice.currency,
+        proration_date: prorationDate,
+        next_payment_attempt: invoice.next_payment_attempt || null
+      };
+    } catch (error) {
+      throw new AppError(`Failed to preview plan change: ${error.message}`, 502, 'STRIPE_SUBSCRIPTION_FAILED');
+    }
+  }
+
+  async _retrieveSubscription(subscriptionId) {
+    try {
+      return await this.stripe.subscriptions.retrieve(subscriptionId);
     } catch (error) {
-      console.error('Webhook handler error:', error);
-      res.status(500).json({ error: 'Webhook handler failed' });
+      throw new AppError('Subscription not found', 404, 'NO_SUBSCRIPTION');
     }
   }
 
+  /**
+   * Verify a webhook payload against the configured endpoint secrets
+   * @param {Buffer} rawBody - Unparsed request body
+   * @param {string} signature - Stripe-Signature header
+   * @returns {Object} Stripe event
+   */
+  constructWebhookEvent(rawBody, signature) {
+    this._checkStripeEnabled();
+
+    const secrets = [config.stripe.webhook_secret, config.stripe.webhook_secret_thin].filter(Boolean);
+    if (secrets.length === 0) {
+      throw new AppError('Webhook secret not configured', 500, 'WEBHOOK_NOT_CONFIGURED');
+    }
+
+    let lastError;
+    for (const secret of secrets) {
+      try {
+        return this.stripe.webhooks.constructEvent(rawBody, signature, secret);
+      } catch (err) {
+        lastError = err;
+      }
+    }
+    throw new AppError(`Webhook Error: ${lastError.message}`, 400, 'WEBHOOK_SIGNATURE_INVALID');
+  }
+
+  /**
+   * Register the Stripe event handlers with the webhook pipeline (webhookEventService).
+   * An event can be handled more than once (retries, replays, Stripe sending both
+   * checkout.session.completed and payment_intent.succeeded for one payment), so every
+   * handler only changes rows that haven't moved on yet. Handlers throw to get a retry.
+   */
+  registerWebhookHandlers(registry) {
+    registry.register(['account.updated', 'connect.account.updated'], account => this.handleAccountUpdated(account));
+    registry.register('checkout.session.completed', session => this._handleCheckoutSessionCompleted(session));
+    registry.register('payment_intent.succeeded', intent => this._handlePaymentIntentSucceeded(intent));
+    registry.register('payment_intent.payment_failed', intent => this._handlePaymentIntentFailed(intent));
+    registry.register(
+      ['customer.subscription.created', 'customer.subscription.updated', 'customer.subscription.deleted'],
+      subscription => this._handleSubscriptionChange(subscription)
+    );
+  }
+
   // Handle Stripe Connect account updates
   async handleAccountUpdated(account) {
-    try {
-      const isActive = account.charges_enabled && account.payouts_enabled;
-      const status = isActive ? 'active' : 'pending';
-      const onboardingCompleted = account.details_submitted === true;
+    const isActive = account.charges_enabled && account.payouts_enabled;
+    const status = isActive ? 'active' : 'pending';
 
-      await supabaseAdmin.from('salons').update({
-        stripe_account_status: status,
-        updated_at: new Date().toISOString()
-      }).eq('stripe_account_id', account.id);
+    const { error } = await supabaseAdmin.from('salons').update({
+      stripe_account_status: status,
+      updated_at: new Date().toISOString()
+    }).eq('stripe_account_id', account.id);
 
-      console.log(`🎉 Updated Stripe account ${account.id} status: ${status}`);
-    } catch (error) {
-      console.error('Error handling account update:', error);
+    if (error) {
+      throw new Error(`Failed to update salon for account ${account.id}: ${error.message}`);
     }
+    console.log(`🎉 Updated Stripe account ${account.id} status: ${status}`);
   }
 
   /**
@@ -194,97 +318,370 @@ class StripeService {
     const bookingId = session.metadata?.booking_id;
     if (!bookingId) return;
 
-    try {
-      let paymentMethod = 'online';
-      if (session.payment_intent) {
-        const pi = await this.stripe.paymentIntents.retrieve(session.payment_intent);
-        if (pi.payment_method) {
-          const pm = await this.stripe.paymentMethods.retrieve(pi.payment_method);
-          paymentMethod = pm.card?.wallet?.type || pm.type || 'card';
-        }
+    if (session.payment_status === 'unpaid') {
+      console.log(`⏳ Checkout session ${session.id} completed without payment yet, waiting for payment_intent.succeeded`);
+      return;
+    }
+
+    let paymentMethod = 'online';
+    if (session.payment_intent) {
+      const pi = await this.stripe.paymentIntents.retrieve(session.payment_intent);
+      if (pi.payment_method) {
+        const pm = await this.stripe.paymentMethods.retrieve(pi.payment_method);
+        paymentMethod = pm.card?.wallet?.type || pm.type || 'card';
       }
+    }
 
-      await supabaseAdmin.from('payments').update({
-        status: 'succeeded',
+    const paid = await this._markPaymentsPaid(
+      { booking_id: bookingId, payment_type: 'booking' },
+      {
         stripe_payment_intent_id: session.payment_intent,
+        stripe_checkout_session_id: session.id,
         payment_method: paymentMethod
-        }).eq('booking_id', bookingId);
+      }
+    );
+    await this._confirmBooking(bookingId);
+
+    if (paid.length > 0) {
+      await this._notifyPaymentSucceeded(paid[0]);
+    }
+    console.log(`✅ Webhook sync complete for booking: ${bookingId}`);
+  }
+
+  async _handlePaymentIntentSucceeded(paymentIntent) {
+    console.log(`💳 Processing payment intent: ${paymentIntent.id}`);
+
+    let paid = await this._markPaymentsPaid({ stripe_payment_intent_id: paymentIntent.id });
+
+    // Booking payment row created before the intent id was stored on it
+    const bookingId = paymentIntent.metadata?.booking_id;
+    const paymentType = paymentIntent.metadata?.payment_type || 'booking';
+    if (paid.length === 0 && bookingId && paymentType === 'booking') {
+      paid = await this._markPaymentsPaid(
+        { booking_id: bookingId, payment_type: 'booking' },
+        { stripe_payment_intent_id: paymentIntent.id }
+      );
+    }
+
+    for (const payment of paid) {
+      if (!payment.booking_id || (payment.payment_type || 'booking') !== 'booking') continue;
+      await this._confirmBooking(payment.booking_id);
+      await this._notifyPaymentSucceeded(payment);
+    }
+    console.log(`✅ Payment intent ${paymentIntent.id} synced (${paid.length} payment(s) marked paid)`);
+  }
+
+  async _handlePaymentIntentFailed(paymentIntent) {
+    // Free any slot held for this payment so other clients can book it
+    await bookingHoldService.releaseHoldsForPaymentIntent(paymentIntent);
+
+    // A late failure event must not undo a payment that already went through
+    const { error } = await supabaseAdmin.from('payments').update({
+      status: 'failed'
+    })
+      .eq('stripe_payment_intent_id', paymentIntent.id)
+      .not('status', 'in', `(${PAID_PAYMENT_STATUSES.join(',')})`);
+
+    if (error) {
+      throw new Error(`Failed to mark payment ${paymentIntent.id} as failed: ${error.message}`);
+    }
+  }
+
+  // Keep the salon's subscription state in sync with Stripe
+  async _handleSubscriptionChange(subscription) {
+    const periodEnd = subscription.current_period_end ?? subscription.items?.data?.[0]?.current_period_end;
+    // Plan changes made in the billing portal arrive here too; a cancelled subscription falls back
+    // to basic. Unpaid subscriptions keep whatever plan the dunning flow left them on.
+    let plan = null;
+    if (subscription.status === 'canceled') {
+      plan = 'basic';
+    } else if (['active', 'trialing'].includes(subscription.status)) {
+      plan = planForPriceId(subscription.items?.data?.[0]?.price?.id)?.id || null;
+    }
+    const losesFeatured = plan && !getPlan(plan).entitlements.featured_listing;
+
+    const { error } = await supabaseAdmin.from('salons').update({
+      subscription_status: subscription.status,
+      subscription_ends_at: periodEnd ? new Date(periodEnd * 1000).toISOString() : null,
+      ...(plan ? { subscription_plan: plan } : {}),
+      ...(losesFeatured ? { is_featured: false, featured_until: null } : {}),
+      updated_at: new Date().toISOString()
+    }).eq('stripe_subscription_id', subscription.id);
+
+    if (error) {
+      throw new Error(`Failed to update subscription ${subscription.id}: ${error.message}`);
+    }
+    console.log(`Subscription updated: ${subscription.id} (${subscription.status})`);
+  }
+
+  /**
+   * Mark matching payments as paid. Rows that are already paid are left alone, so the
+   * returned rows are only those this call paid (none on a redelivered event).
+   * @param {Object} match - column -> value filters
+   * @returns {Promise<Array<Object>>}
+   */
+  async _markPaymentsPaid(match, fields = {}) {
+    let query = supabaseAdmin.from('payments').update({ status: PAID_STATUS, ...fields });
+    for (const [column, value] of Object.entries(match)) {
+      query = query.eq(column, value);
+    }
+    const { data, error } = await query
+      .not('status', 'in', `(${PAID_PAYMENT_STATUSES.join(',')})`)
+      .select();
+
+    if (error) {
+      throw new Error(`Failed to mark payment as paid: ${error.message}`);
+    }
+    return data || [];
+  }
+
+  /**
+   * Mark a booking payment paid without a Stripe charge (fully covered by gift cards) and
+   * confirm its booking
+   * @returns {Promise<Object|null>} The payment, or null if it was already paid
+   */
+  async markPaymentPaid(payment, fields = {}) {
+    const paid = await this._markPaymentsPaid({ id: payment.id }, fields);
+    if (payment.booking_id) {
+      await this._confirmBooking(payment.booking_id);
+    }
+    return paid[0] || null;
+  }
+
+  async _confirmBooking(bookingId) {
+    // Only pending bookings are confirmed; cancelled/completed ones stay as they are
+    const { data, error } = await supabaseAdmin.from('bookings').update({
+      status: 'confirmed'
+    })
+      .eq('id', bookingId)
+      .eq('status', 'pending')
+      .select('id');
 
-      // Only update booking status if it's currently 'pending'
-      const { data: currentBooking } = await supabaseAdmin
+    if (error) {
+      throw new Error(`Failed to confirm booking ${bookingId}: ${error.message}`);
+    }
+    if (data?.length) {
+      console.log(`📅 Booking ${bookingId} confirmed`);
+    }
+  }
+
+  // Tell the customer and the salon owner the payment went through. Never fails the event.
+  async _notifyPaymentSucceeded(payment) {
+    if (!payment.booking_id) return;
+    try {
+      const { data: booking } = await supabaseAdmin
         .from('bookings')
-        .select('status')
-        .eq('id', bookingId)
+        .select('client_id, salon_id, appointment_date')
+        .eq('id', payment.booking_id)
+        .single();
+      if (!booking) return;
+
+      const { data: salonData } = await supabaseAdmin
+        .from('salons')
+        .select('id, owner_id, business_name, whatsapp_phone_number_id, subscription_plan, subscription_status, trial_ends_at, grace_period_ends_at')
+        .eq('id', booking.salon_id)
         .single();
 
-      if (currentBooking && currentBooking.status === 'pending') {
-        await supabaseAdmin.from('bookings').update({
-          status: 'confirmed',
-        }).eq('id', bookingId);
-        console.log(`📅 Booking ${bookingId} confirmed`);
-      } else {
-        console.log(`📅 Booking ${bookingId} already in status: ${currentBooking?.status}, skipping confirm`);
+      await notificationService.notifyMany([booking.client_id, salonData?.owner_id], 'payment_received', {
+        payment,
+        salon: salonData || {},
+        amount: Number(payment.amount || 0).toFixed(2),
+        date: booking.appointment_date || new Date().toISOString().split('T')[0]
+      });
+    } catch (error) {
+      console.warn('Payment notification failed:', error?.message || error);
+    }
+  }
+
+  /**
+   * Payment intent id behind a stored reference. Checkout payments store the session id
+   * (cs_...) until the webhook replaces it with the payment intent.
+   */
+  async _resolvePaymentIntentId(reference) {
+    if (!reference || !reference.startsWith('cs_')) return reference;
+    const session = await this.stripe.checkout.sessions.retrieve(reference);
+    return session.payment_intent || null;
+  }
+
+  /**
+   * Refund (part of) a booking payment. Booking payments are destination charges, so the
+   * transfer to the salon's Connect account and the platform fee are reversed proportionally.
+   * @param {Object} params
+   * @param {string} params.paymentReference - payments.stripe_payment_intent_id (pi_... or cs_...)
+   * @param {number} [params.amount] - Amount in major units; omit for a full refund
+   * @param {string} [params.currency] - Currency of the payment (needed with amount)
+   * @returns {Promise<Object>} Stripe refund
+   */
+  async refundPayment({ paymentReference, amount, currency, reason = 'requested_by_customer', metadata = {} }) {
+    this._checkStripeEnabled();
+    try {
+      const paymentIntentId = await this._resolvePaymentIntentId(paymentReference);
+      if (!paymentIntentId) {
+        throw new AppError('Payment has not been completed', 400, 'PAYMENT_NOT_COMPLETED');
+      }
+
+      const params = {
+        payment_intent: paymentIntentId,
+        reason,
+        reverse_transfer: true,
+        refund_application_fee: true,
+        metadata
+      };
+      if (amount !== undefined && amount !== null) {
+        params.amount = toMinorUnits(amount, currency);
       }
 
-      console.log(`✅ Webhook sync complete for booking: ${bookingId}`);
+      const refund = await this.stripe.refunds.create(params);
+      console.log(`💸 Refund ${refund.id} created for ${paymentIntentId}: ${refund.amount} ${refund.currency} (minor units)`);
+      return refund;
     } catch (error) {
-      console.error('❌ Error in checkout session handler:', error);
+      if (error instanceof AppError) throw error;
+      throw new AppError(`Refund failed: ${error.message}`, 502, 'STRIPE_REFUND_FAILED');
     }
   }
 
-  async _handlePaymentIntentSucceeded(paymentIntent) {
-    console.log(`💳 Processing payment intent: ${paymentIntent.id}`);
-    const bookingId = paymentIntent.metadata?.booking_id;
-    if (!bookingId) return;
+  /**
+   * Refunds of a payment intent, newest first (refunds made in the Stripe dashboard included)
+   */
+  async listRefunds(paymentIntentId) {
+    this._checkStripeEnabled();
+    try {
+      const refunds = await this.stripe.refunds.list({ payment_intent: paymentIntentId, limit: 100 });
+      return refunds.data;
+    } catch (error) {
+      throw new AppError(`Failed to list refunds: ${error.message}`, 502, 'STRIPE_REFUND_FETCH_FAILED');
+    }
+  }
+
+  /**
+   * PaymentIntent for a client payment to a salon, paid out to its Connect account minus the
+   * platform fee. The client confirms it in the app with the returned client_secret.
+   * @param {Object} params
+   * @param {number} params.amount - Major units
+   * @param {Object} params.salon - Salon row (Connect account, plan and fee override)
+   */
+  async createPaymentIntent({ amount, currency = 'eur', salon, description, metadata = {} }) {
+    this._checkStripeEnabled();
+    if (!salon?.stripe_account_id) {
+      throw new AppError('Salon payment not configured', 400, 'STRIPE_NOT_CONFIGURED');
+    }
 
     try {
-      await supabaseAdmin.from('payments').update({
-        status: 'succeeded'
-        }).eq('stripe_payment_intent_id', paymentIntent.id);
-      console.log(`✅ Payment updated to succeeded via payment_intent`);
+      const amountMinor = toMinorUnits(amount, currency);
+      return await this.stripe.paymentIntents.create({
+        amount: amountMinor,
+        currency: currency.toLowerCase(),
+        description,
+        ...destinationChargeParams({ amount: amountMinor, currency, salon }),
+        metadata
+      });
     } catch (error) {
-      console.error('❌ Error in payment intent handler:', error);
+      throw new AppError(`Payment creation failed: ${error.message}`, 502, 'STRIPE_PAYMENT_FAILED');
     }
   }
 
-  async _handlePaymentIntentFailed(paymentIntent) {
-    const bookingId = paymentIntent.metadata?.booking_id;
-    if (!bookingId) return;
+  /**
+   * PaymentIntent for an extra payment to a salon (deposit, late-cancel or no-show fee)
+   * @param {Object} params.salon - Salon row (Connect account, plan and fee override)
+   * @param {Object} [params.metadata] - Extra metadata (e.g. salon_id/client_id for deposits made before the booking exists)
+   */
+  async createFeePaymentIntent({ amount, currency = 'eur', salon, bookingId = null, feeType, description, metadata = {} }) {
+    this._checkStripeEnabled();
     try {
-      await supabaseAdmin.from('payments').update({
-        status: 'failed'
-        }).eq('stripe_payment_intent_id', paymentIntent.id);
+      const amountMinor = toMinorUnits(amount, currency);
+      return await this.stripe.paymentIntents.create({
+        amount: amountMinor,
+        currency: currency.toLowerCase(),
+        description,
+        ...destinationChargeParams({ amount: amountMinor, currency, salon }),
+        metadata: { ...metadata, ...(bookingId ? { booking_id: bookingId } : {}), payment_type: feeType }
+      });
+    } catch (error) {
+      throw new AppError(`Fee payment creation failed: ${error.message}`, 502, 'STRIPE_FEE_PAYMENT_FAILED');
+    }
+  }
+
+  /**
+   * Check that a deposit PaymentIntent was paid by this client for this salon and covers the amount
+   * @returns {Promise<Object>} the PaymentIntent
+   */
+  async verifyDepositPayment(paymentIntentId, { amount, currency, clientId, salonId }) {
+    this._checkStripeEnabled();
+    let intent;
+    try {
+      intent = await this.stripe.paymentIntents.retrieve(paymentIntentId);
     } catch (error) {
-      console.error('❌ Error in payment fail handler:', error);
+      throw new AppError('Deposit payment not found', 400, 'DEPOSIT_INVALID');
+    }
+
+    const matches = intent.metadata?.payment_type === 'deposit' &&
+      intent.metadata?.client_id === clientId &&
+      intent.metadata?.salon_id === salonId;
+    if (!matches || intent.amount < toMinorUnits(amount, currency || intent.currency)) {
+      throw new AppError('Deposit payment does not match this booking', 400, 'DEPOSIT_INVALID');
+    }
+    if (!['succeeded', 'requires_capture'].includes(intent.status)) {
+      throw new AppError('Deposit has not been paid yet', 402, 'DEPOSIT_NOT_PAID');
     }
+    return intent;
   }
 
-  // Create checkout session
+  /**
+   * Close an unpaid Checkout session so it can't be paid any more (it was replaced by another one)
+   */
+  async expireCheckoutSession(sessionId) {
+    this._checkStripeEnabled();
+    try {
+      return await this.stripe.checkout.sessions.expire(sessionId);
+    } catch (error) {
+      // Already paid, expired or completed: nothing to close
+      console.warn(`Could not expire checkout session ${sessionId}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Hosted Checkout page for a payment to a salon (booking payment links, gift cards)
+   * @param {Object} paymentData
+   * @param {number} paymentData.amount - Major units
+   * @param {Object} paymentData.salon - Salon row (Connect account, plan and fee override)
+   */
   async createCheckoutSession(paymentData) {
     this._checkStripeEnabled();
+    const currency = (paymentData.currency || 'eur').toLowerCase();
+    const amountMinor = toMinorUnits(paymentData.amount, currency);
+    const metadata = {
+      ...(paymentData.bookingId ? { booking_id: paymentData.bookingId } : {}),
+      ...(paymentData.metadata || {})
+    };
+
     try {
       return await this.stripe.checkout.sessions.create({
         payment_method_types: ['card', 'ideal'],
         mode: 'payment',
         line_items: [{
           price_data: {
-            currency: 'eur',
+            currency,
             product_data: {
-              name: 'Booking Payment',
-              description: `Payment for booking ${paymentData.bookingId}`,
+              name: paymentData.productName || 'Booking Payment',
+              description: paymentData.description || `Payment for booking ${paymentData.bookingId}`,
             },
-            unit_amount: Math.round(paymentData.amount * 100),
+            unit_amount: amountMinor,
           },
           quantity: 1,
         }],
-        success_url: `${process.env.FRONTEND_URL || 'https://www.salontime.nl'}/payment-success?session_id={CHECKOUT_SESSION_ID}`,
-        cancel_url: `${process.env.FRONTEND_URL || 'https://www.salontime.nl'}/payment-cancel`,
+        success_url: paymentData.successUrl || `${process.env.FRONTEND_URL || 'https://www.salontime.nl'}/payment-success?session_id={CHECKOUT_SESSION_ID}`,
+        cancel_url: paymentData.cancelUrl || `${process.env.FRONTEND_URL || 'https://www.salontime.nl'}/payment-cancel`,
         payment_intent_data: {
-          application_fee_amount: Math.round(paymentData.amount * 5), // 5% fee
-          transfer_data: { destination: paymentData.connectedAccountId },
-          metadata: { booking_id: paymentData.bookingId }
+          ...destinationChargeParams({
+            amount: amountMinor,
+            currency,
+            salon: paymentData.salon,
+            connectedAccountId: paymentData.connectedAccountId
+          }),
+          metadata
         },
-        metadata: { booking_id: paymentData.bookingId },
+        metadata,
       });
     } catch (error) {
       throw new AppError(`Checkout session creation failed: ${error.message}`, 500, 'STRIPE_CHECKOUT_FAILED');
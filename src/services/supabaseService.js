@@ -502,6 +502,7 @@ class SupabaseService {
       notifications_enabled: true,
       email_notifications: true,
       sms_notifications: false,
+      whatsapp_notifications: true,
       push_notifications: true,
       booking_reminders: true,
       marketing_emails: false,
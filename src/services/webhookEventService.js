@@ -0,0 +1,287 @@
+const { supabaseAdmin } = require('../config/database');
+const config = require('../config');
+const { AppError } = require('../middleware/errorHandler');
+const stripeService = require('./stripeService');
+const refundService = require('./refundService');
+const dunningService = require('./dunningService');
+const giftCardService = require('./giftCardService');
+const packageService = require('./packageService');
+
+const TABLE = 'stripe_webhook_events';
+// How long a worker owns an event it is handling before the retry job may take it over
+const PROCESSING_LEASE_SECONDS = 300;
+const EVENT_STATUSES = ['received', 'processing', 'processed', 'failed', 'dead_letter'];
+
+/**
+ * Webhook Event Service
+ * The single ingestion pipeline for Stripe webhooks. Every verified event is stored,
+ * deduplicated by its event id and dispatched to the handlers registered for its type.
+ * Failed events are retried with exponential backoff and dead-lettered after
+ * config.stripe.webhook_max_attempts attempts; admins can replay any event.
+ */
+class WebhookEventService {
+  constructor() {
+    this.handlers = new Map();
+  }
+
+  /**
+   * Register a handler for one or more event types
+   * @param {string|string[]} types
+   * @param {(object: Object, event: Object) => Promise<void>} handler - Receives event.data.object; throws to get a retry
+   */
+  register(types, handler) {
+    for (const type of [].concat(types)) {
+      this.handlers.set(type, [...(this.handlers.get(type) || []), handler]);
+    }
+  }
+
+  /**
+   * Store a verified event and handle it, unless it was delivered before
+   * @returns {Promise<{ event_id: string, status: string, duplicate: boolean }>}
+   */
+  async ingest(event) {
+    const record = await this._insertEvent(event);
+    if (!record) {
+      console.log(`🔁 Webhook event ${event.id} (${event.type}) already received, skipping`);
+      return { event_id: event.id, status: 'duplicate', duplicate: true };
+    }
+
+    const result = await this.process(record);
+    return { event_id: event.id, status: result.status, duplicate: false };
+  }
+
+  /**
+   * Run the handlers of a stored event. The event is claimed first, so a redelivery, the retry
+   * job and a replay never handle it at the same time.
+   * @returns {Promise<Object>} The event record after this attempt
+   */
+  async process(record) {
+    const claimed = await this._claim(record);
+    if (!claimed) {
+      console.log(`⏭️ Webhook event ${record.id} is being handled elsewhere, skipping`);
+      return record;
+    }
+
+    const handlers = this.handlers.get(claimed.type) || [];
+    if (handlers.length === 0) {
+      console.log(`Unhandled event type: ${claimed.type}`);
+    }
+
+    try {
+      for (const handler of handlers) {
+        await handler(claimed.payload?.data?.object, claimed.payload);
+      }
+    } catch (error) {
+      return this._recordFailure(claimed, error);
+    }
+
+    const processed = await this._update(claimed, {
+      status: 'processed',
+      processed_at: new Date().toISOString(),
+      last_error: null,
+      next_attempt_at: null
+    });
+    return processed || claimed;
+  }
+
+  /**
+   * Seconds to wait before the next attempt (60s, 2m, 4m, ... with the default base)
+   */
+  retryDelaySeconds(attempts) {
+    return config.stripe.webhook_retry_base_seconds * 2 ** Math.max(0, attempts - 1);
+  }
+
+  /**
+   * Retry failed events whose backoff has passed, and events whose worker lease ran out or
+   * that were stored but never claimed (the request died in between)
+   * @returns {Promise<{ attempted: number, processed: number, failed: number, dead_lettered: number }>}
+   */
+  async retryDue(limit = 50) {
+    const { data: due, error } = await supabaseAdmin
+      .from(TABLE)
+      .select('*')
+      .in('status', ['received', 'failed', 'processing'])
+      .lte('next_attempt_at', new Date().toISOString())
+      .order('next_attempt_at', { ascending: true })
+      .limit(limit);
+
+    if (error) {
+      console.error('❌ Error fetching webhook events to retry:', error);
+      throw new AppError('Failed to fetch webhook events', 500, 'WEBHOOK_EVENTS_FETCH_FAILED');
+    }
+
+    const summary = { attempted: 0, processed: 0, failed: 0, dead_lettered: 0 };
+    for (const record of due || []) {
+      const result = await this.process(record);
+      summary.attempted++;
+      if (result.status === 'processed') summary.processed++;
+      else if (result.status === 'failed') summary.failed++;
+      else if (result.status === 'dead_letter') summary.dead_lettered++;
+    }
+    return summary;
+  }
+
+  /**
+   * Handle a stored event again, whatever its status, with a fresh attempt budget
+   * @returns {Promise<Object>} The event record after the replay
+   */
+  async replay(eventId) {
+    const record = await this.getEvent(eventId);
+
+    if (record.status === 'processing' && !this._leaseExpired(record)) {
+      throw new AppError('Event is being processed right now', 409, 'WEBHOOK_EVENT_IN_PROGRESS');
+    }
+
+    const reset = await this._update(record, {
+      status: 'received',
+      attempts: 0,
+      last_error: null,
+      next_attempt_at: null
+    });
+    if (!reset) {
+      throw new AppError('Event changed while replaying, try again', 409, 'WEBHOOK_EVENT_IN_PROGRESS');
+    }
+
+    console.log(`🔄 Replaying webhook event ${eventId} (${record.type})`);
+    return this.process(reset);
+  }
+
+  async getEvent(eventId) {
+    const { data, error } = await supabaseAdmin
+      .from(TABLE)
+      .select('*')
+      .eq('id', eventId)
+      .maybeSingle();
+
+    if (error) {
+      console.error('❌ Error fetching webhook event:', error);
+      throw new AppError('Failed to fetch webhook event', 500, 'WEBHOOK_EVENTS_FETCH_FAILED');
+    }
+    if (!data) {
+      throw new AppError('Webhook event not found', 404, 'WEBHOOK_EVENT_NOT_FOUND');
+    }
+    return data;
+  }
+
+  /**
+   * Stored events, newest first (payloads omitted)
+   */
+  async listEvents({ status, type, limit = 50 } = {}) {
+    if (status && !EVENT_STATUSES.includes(status)) {
+      throw new AppError(`status must be one of: ${EVENT_STATUSES.join(', ')}`, 400, 'INVALID_STATUS');
+    }
+
+    let query = supabaseAdmin
+      .from(TABLE)
+      .select('id, type, livemode, status, attempts, last_error, next_attempt_at, processed_at, received_at, updated_at')
+      .order('received_at', { ascending: false })
+      .limit(Math.min(Math.max(parseInt(limit) || 50, 1), 200));
+
+    if (status) query = query.eq('status', status);
+    if (type) query = query.eq('type', type);
+
+    const { data, error } = await query;
+    if (error) {
+      console.error('❌ Error listing webhook events:', error);
+      throw new AppError('Failed to fetch webhook events', 500, 'WEBHOOK_EVENTS_FETCH_FAILED');
+    }
+    return data || [];
+  }
+
+  /**
+   * Insert a new event
+   * @returns {Promise<Object|null>} The stored record, or null when the event id was seen before
+   */
+  async _insertEvent(event) {
+    const { data, error } = await supabaseAdmin
+      .from(TABLE)
+      .insert([{
+        id: event.id,
+        type: event.type,
+        livemode: !!event.livemode,
+        payload: event,
+        status: 'received',
+        next_attempt_at: new Date(Date.now() + PROCESSING_LEASE_SECONDS * 1000).toISOString()
+      }])
+      .select()
+      .single();
+
+    if (error) {
+      if (error.code === '23505') return null;
+      console.error('❌ Error storing webhook event:', error);
+      throw new AppError('Failed to store webhook event', 500, 'WEBHOOK_EVENT_SAVE_FAILED');
+    }
+    return data;
+  }
+
+  /**
+   * Take ownership of an event for one attempt. Every claim bumps attempts, so the update only
+   * matches if nobody else claimed the event since the record was read.
+   * @returns {Promise<Object|null>} The claimed record, or null if it isn't claimable
+   */
+  async _claim(record) {
+    const claimable = ['received', 'failed'].includes(record.status)
+      || (record.status === 'processing' && this._leaseExpired(record));
+    if (!claimable) return null;
+
+    return this._update(record, {
+      status: 'processing',
+      attempts: record.attempts + 1,
+      next_attempt_at: new Date(Date.now() + PROCESSING_LEASE_SECONDS * 1000).toISOString()
+    });
+  }
+
+  async _recordFailure(record, error) {
+    const message = error?.message || String(error);
+    const exhausted = record.attempts >= config.stripe.webhook_max_attempts;
+    const nextAttemptAt = exhausted
+      ? null
+      : new Date(Date.now() + this.retryDelaySeconds(record.attempts) * 1000).toISOString();
+
+    if (exhausted) {
+      console.error(`☠️ Webhook event ${record.id} (${record.type}) dead-lettered after ${record.attempts} attempts:`, message);
+    } else {
+      console.error(`❌ Webhook event ${record.id} (${record.type}) failed (attempt ${record.attempts}), retrying at ${nextAttemptAt}:`, message);
+    }
+
+    const failed = await this._update(record, {
+      status: exhausted ? 'dead_letter' : 'failed',
+      last_error: message.slice(0, 2000),
+      next_attempt_at: nextAttemptAt
+    });
+    return failed || record;
+  }
+
+  /**
+   * Update an event, guarded by the attempts count the caller read
+   * @returns {Promise<Object|null>} The updated record, or null if the event moved on meanwhile
+   */
+  async _update(record, fields) {
+    const { data, error } = await supabaseAdmin
+      .from(TABLE)
+      .update({ ...fields, updated_at: new Date().toISOString() })
+      .eq('id', record.id)
+      .eq('attempts', record.attempts)
+      .select()
+      .maybeSingle();
+
+    if (error) {
+      console.error('❌ Error updating webhook event:', error);
+      throw new AppError('Failed to update webhook event', 500, 'WEBHOOK_EVENT_SAVE_FAILED');
+    }
+    return data;
+  }
+
+  _leaseExpired(record) {
+    return !record.next_attempt_at || new Date(record.next_attempt_at) <= new Date();
+  }
+}
+
+const webhookEventService = new WebhookEventService();
+stripeService.registerWebhookHandlers(webhookEventService);
+refundService.registerWebhookHandlers(webhookEventService);
+dunningService.registerWebhookHandlers(webhookEventService);
+giftCardService.registerWebhookHandlers(webhookEventService);
+packageService.registerWebhookHandlers(webhookEventService);
+
+module.exports = webhookEventService;
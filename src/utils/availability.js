@@ -0,0 +1,274 @@
+/**
+ * Availability helpers
+ *
+ * Pure time/slot math shared by the booking endpoints. Everything works in
+ * "minutes since midnight" of a reference day, so windows that run past midnight
+ * (e.g. 20:00 - 02:00) simply end above 1440. appointment_date is always the
+ * calendar date: a 00:30 appointment in Friday night's opening hours is stored
+ * on Saturday and sits at 1470 when Friday is the reference day.
+ */
+
+const { addDays } = require('./timezone');
+
+const DAY_KEYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const MINUTES_PER_DAY = 24 * 60;
+
+/**
+ * Convert "HH:mm" / "HH:mm:ss" (or a number of minutes) to minutes since midnight
+ * @param {string|number} value
+ * @returns {number|null}
+ */
+function timeToMinutes(value) {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  if (!value || typeof value !== 'string') return null;
+  const [hours, minutes] = value.trim().split(':').map(Number);
+  if (isNaN(hours) || isNaN(minutes)) return null;
+  return hours * 60 + minutes;
+}
+
+/**
+ * Convert minutes since midnight to "HH:mm" (wraps past midnight)
+ * @param {number} minutes
+ * @returns {string}
+ */
+function minutesToTime(minutes) {
+  const wrapped = ((minutes % MINUTES_PER_DAY) + MINUTES_PER_DAY) % MINUTES_PER_DAY;
+  const hours = Math.floor(wrapped / 60);
+  const mins = wrapped % 60;
+  return `${String(hours).padStart(2, '0')}:${String(mins).padStart(2, '0')}`;
+}
+
+/**
+ * Whole days from one YYYY-MM-DD date to another (positive when `to` is later)
+ * @param {string} from
+ * @param {string} to
+ * @returns {number}
+ */
+function dayDiff(from, to) {
+  const toUtc = dateStr => {
+    const [year, month, day] = String(dateStr).split('T')[0].split('-').map(Number);
+    return Date.UTC(year, month - 1, day);
+  };
+  return Math.round((toUtc(to) - toUtc(from)) / (MINUTES_PER_DAY * 60000));
+}
+
+/**
+ * Day key (monday, tuesday, ...) for a YYYY-MM-DD date string, independent of server timezone
+ * @param {string} dateStr
+ * @returns {string}
+ */
+function getDayKey(dateStr) {
+  const [year, month, day] = String(dateStr).split('T')[0].split('-').map(Number);
+  return DAY_KEYS[new Date(Date.UTC(year, month - 1, day)).getUTCDay()];
+}
+
+/**
+ * Resolve the open window for one day of a business_hours / availability_schedule map.
+ * Accepts {open, close}, {opening, closing}, "09:00-18:00" and minute numbers.
+ * @param {Object} hoursMap - e.g. salon.business_hours
+ * @param {string} dayKey - e.g. 'monday'
+ * @returns {{start: number, end: number}|null} - null when closed or not configured
+ */
+function resolveDayWindow(hoursMap, dayKey) {
+  if (!hoursMap || typeof hoursMap !== 'object') return null;
+  const day = hoursMap[dayKey] ?? hoursMap[dayKey.charAt(0).toUpperCase() + dayKey.slice(1)];
+  if (!day) return null;
+
+  let open;
+  let close;
+  if (typeof day === 'string') {
+    [open, close] = day.split('-');
+  } else {
+    if (day.closed === true || day.closed === 'true') return null;
+    open = day.open ?? day.opening;
+    close = day.close ?? day.closing;
+  }
+
+  const start = timeToMinutes(open);
+  let end = timeToMinutes(close);
+  if (start === null || end === null) return null;
+
+  // Overnight hours (e.g. 10:00 - 02:00 = open until 2 AM the next day)
+  if (end <= start) end += MINUTES_PER_DAY;
+
+  return { start, end };
+}
+
+/**
+ * Intersect two windows
+ * @returns {{start: number, end: number}|null}
+ */
+function intersectWindows(a, b) {
+  if (!a || !b) return null;
+  const start = Math.max(a.start, b.start);
+  const end = Math.min(a.end, b.end);
+  return end > start ? { start, end } : null;
+}
+
+/**
+ * Busy interval for a booking row ({ appointment_date, start_time, end_time }), widened by its buffers
+ * @param {Object} booking
+ * @param {Object} [options]
+ * @param {number} [options.before=0] - Minutes blocked before the appointment
+ * @param {number} [options.after=0] - Minutes blocked after the appointment
+ * @param {string} [options.referenceDate] - Express the interval relative to this day (bookings on the next day land above 1440)
+ * @returns {{start: number, end: number}|null}
+ */
+function toBusyInterval(booking, { before = 0, after = 0, referenceDate = null } = {}) {
+  let start = timeToMinutes(booking.start_time);
+  let end = timeToMinutes(booking.end_time);
+  if (start === null || end === null) return null;
+  if (end <= start) end += MINUTES_PER_DAY;
+
+  if (referenceDate && booking.appointment_date) {
+    const offset = dayDiff(referenceDate, booking.appointment_date) * MINUTES_PER_DAY;
+    start += offset;
+    end += offset;
+  }
+
+  return { start: start - before, end: end + after };
+}
+
+/**
+ * Whether [startA, endA) and [startB, endB) overlap
+ */
+function overlaps(startA, endA, startB, endB) {
+  return startA < endB && endA > startB;
+}
+
+/**
+ * Compute free slots inside a window
+ * @param {Object} options
+ * @param {{start: number, end: number}} options.window - Open window in minutes
+ * @param {number} options.duration - Service duration in minutes
+ * @param {Array<{start: number, end: number}>} options.busy - Busy intervals in minutes (already widened by their buffers)
+ * @param {number} [options.interval=15] - Slot granularity in minutes
+ * @param {number} [options.bufferBefore=0] - Preparation time blocked before the slot
+ * @param {number} [options.bufferAfter=0] - Cleanup time blocked after the slot
+ * @param {number|null} [options.earliestStart=null] - No slot may start before this minute
+ * @returns {Array<{start: number, end: number, start_time: string, end_time: string}>}
+ */
+function computeSlots({
+  window,
+  duration,
+  busy = [],
+  interval = 15,
+  bufferBefore = 0,
+  bufferAfter = 0,
+  earliestStart = null
+}) {
+  const slots = [];
+  if (!window || !duration || duration <= 0 || !interval || interval <= 0) return slots;
+
+  // Buffers must fit inside the working window as well
+  const minStart = Math.max(window.start + bufferBefore, earliestStart ?? -Infinity);
+
+  // Keep slots aligned to the grid that starts at opening time
+  let current = window.start;
+  if (minStart > current) {
+    current = window.start + Math.ceil((minStart - window.start) / interval) * interval;
+  }
+
+  for (; current + duration + bufferAfter <= window.end; current += interval) {
+    const end = current + duration;
+    const hasConflict = busy.some(b => overlaps(current - bufferBefore, end + bufferAfter, b.start, b.end));
+    if (!hasConflict) {
+      slots.push({
+        start: current,
+        end,
+        start_time: minutesToTime(current),
+        end_time: minutesToTime(end)
+      });
+    }
+  }
+
+  return slots;
+}
+
+/**
+ * Find the opening window an appointment falls in. A start time on `date` either belongs to
+ * that day's hours, or to the after-midnight tail of the previous day's overnight hours.
+ * @param {string} date - Calendar date of the appointment (YYYY-MM-DD)
+ * @param {number} start - Start in minutes since midnight on `date`
+ * @param {number} duration - Length in minutes
+ * @param {(date: string) => ({start: number, end: number}|null)} getWindow - Window of a business day
+ * @returns {{ businessDate: string, start: number, window: {start: number, end: number} }|null}
+ */
+function placeInBusinessDay(date, start, duration, getWindow) {
+  const candidates = [
+    { businessDate: date, start },
+    { businessDate: addDays(date, -1), start: start + MINUTES_PER_DAY }
+  ];
+
+  for (const candidate of candidates) {
+    const window = getWindow(candidate.businessDate);
+    if (window && candidate.start >= window.start && candidate.start + duration <= window.end) {
+      return { ...candidate, window };
+    }
+  }
+  return null;
+}
+
+/**
+ * Decide whether one appointment fits: inside the working window (buffers included)
+ * and clear of every busy interval.
+ * @param {Object} options
+ * @param {{start: number, end: number}|null} options.window - Working window
+ * @param {number} options.start - Appointment start in minutes (same reference day as window/busy)
+ * @param {number} options.duration - Appointment length in minutes
+ * @param {Array<{start: number, end: number}>} [options.busy] - Busy intervals (already widened by their buffers)
+ * @param {number} [options.bufferBefore=0]
+ * @param {number} [options.bufferAfter=0]
+ * @returns {{ available: boolean, reason: 'OUTSIDE_HOURS'|'CONFLICT'|null }}
+ */
+function checkSlot({ window, start, duration, busy = [], bufferBefore = 0, bufferAfter = 0 }) {
+  const from = start - bufferBefore;
+  const to = start + duration + bufferAfter;
+
+  if (!window || from < window.start || to > window.end) {
+    return { available: false, reason: 'OUTSIDE_HOURS' };
+  }
+  if (busy.some(b => overlaps(from, to, b.start, b.end))) {
+    return { available: false, reason: 'CONFLICT' };
+  }
+  return { available: true, reason: null };
+}
+
+/**
+ * Lay out consecutive segments (e.g. cut, colour, blow-dry) starting at a date/time.
+ * Segments that start after midnight move to the next calendar date.
+ * @param {string} date - YYYY-MM-DD of the first segment
+ * @param {number} start - Start of the first segment in minutes since midnight
+ * @param {number[]} durations - Segment lengths in minutes, in order
+ * @returns {Array<{ appointment_date: string, start_time: string, end_time: string }>}
+ */
+function planSegments(date, start, durations) {
+  let cursor = start;
+  return durations.map(duration => {
+    const dayOffset = Math.floor(cursor / MINUTES_PER_DAY);
+    const segment = {
+      appointment_date: dayOffset ? addDays(date, dayOffset) : date,
+      start_time: minutesToTime(cursor),
+      end_time: minutesToTime(cursor + duration)
+    };
+    cursor += duration;
+    return segment;
+  });
+}
+
+module.exports = {
+  DAY_KEYS,
+  MINUTES_PER_DAY,
+  timeToMinutes,
+  minutesToTime,
+  dayDiff,
+  getDayKey,
+  resolveDayWindow,
+  intersectWindows,
+  toBusyInterval,
+  overlaps,
+  computeSlots,
+  placeInBusinessDay,
+  checkSlot,
+  planSegments
+};
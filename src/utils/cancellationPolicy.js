@@ -0,0 +1,90 @@
+/**
+ * Cancellation policy helpers
+ *
+ * Salons configure a free-cancel window (hours before the appointment), a late-cancel fee and
+ * a no-show fee, both as a percentage of the appointment price. Unset values fall back to the
+ * platform defaults in config.booking.
+ */
+
+const config = require('../config');
+
+/**
+ * Round a money amount to cents
+ * @param {number} amount
+ * @returns {number}
+ */
+function roundMoney(amount) {
+  return Math.round(Number(amount || 0) * 100) / 100;
+}
+
+/**
+ * Effective cancellation policy of a salon
+ * @param {Object} salon - Salon row (may be null)
+ * @returns {{ freeCancelWindowHours: number, lateCancelFeePercent: number, noShowFeePercent: number }}
+ */
+function resolveCancellationPolicy(salon) {
+  const pick = (key, fallback) => {
+    const value = salon?.[key];
+    return value === null || value === undefined || value === '' ? fallback : Number(value);
+  };
+
+  return {
+    freeCancelWindowHours: pick('free_cancel_window_hours', config.booking.free_cancel_window_hours),
+    lateCancelFeePercent: pick('late_cancel_fee_percent', config.booking.late_cancel_fee_percent),
+    noShowFeePercent: pick('no_show_fee_percent', config.booking.no_show_fee_percent)
+  };
+}
+
+/**
+ * What a client cancellation costs right now
+ * @param {Object} params
+ * @param {Object} params.policy - From resolveCancellationPolicy
+ * @param {Date} params.startsAt - Appointment start (UTC instant)
+ * @param {number} params.amount - Appointment price the fee is based on
+ * @param {number} [params.paidAmount=0] - Amount already paid (and not refunded)
+ * @param {Date} [params.now=new Date()]
+ * @returns {{ late: boolean, hoursUntilStart: number, feePercent: number, fee: number, refund: number, chargeDue: number }}
+ *   refund is returned from what was paid; chargeDue is the part of the fee still to be charged
+ */
+function quoteCancellation({ policy, startsAt, amount, paidAmount = 0, now = new Date() }) {
+  const hoursUntilStart = (startsAt.getTime() - now.getTime()) / 3600000;
+  const late = hoursUntilStart < policy.freeCancelWindowHours;
+  const feePercent = late ? policy.lateCancelFeePercent : 0;
+  const fee = roundMoney((Number(amount || 0) * feePercent) / 100);
+  const paid = roundMoney(paidAmount);
+
+  return {
+    late,
+    hoursUntilStart: Math.round(hoursUntilStart * 100) / 100,
+    feePercent,
+    fee,
+    refund: roundMoney(Math.max(paid - fee, 0)),
+    chargeDue: roundMoney(Math.max(fee - paid, 0))
+  };
+}
+
+/**
+ * Validate cancellation policy fields from a request body
+ * @param {Object} body
+ * @returns {string|null} error message, or null when valid
+ */
+function validateCancellationPolicy(body) {
+  const hours = body.free_cancel_window_hours;
+  if (hours !== undefined && hours !== null && (!Number.isFinite(Number(hours)) || Number(hours) < 0)) {
+    return 'free_cancel_window_hours must be 0 or more';
+  }
+  for (const key of ['late_cancel_fee_percent', 'no_show_fee_percent']) {
+    const value = body[key];
+    if (value !== undefined && value !== null && (!Number.isFinite(Number(value)) || Number(value) < 0 || Number(value) > 100)) {
+      return `${key} must be between 0 and 100`;
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  roundMoney,
+  resolveCancellationPolicy,
+  quoteCancellation,
+  validateCancellationPolicy
+};
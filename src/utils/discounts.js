@@ -0,0 +1,161 @@
+/**
+ * Booking discount rules
+ *
+ * Salon promotions are either promo codes (applied when the client enters the code) or automatic
+ * rules (no code). Each one is a percentage or a fixed amount off and can be limited to first
+ * visits, an off-peak window (days of the week and a start-time range in salon time), some
+ * services and a validity window. A booking gets the best single matching discount.
+ */
+
+const { roundMoney } = require('./cancellationPolicy');
+const { timeToMinutes } = require('./availability');
+
+const DISCOUNT_TYPES = ['percentage', 'fixed'];
+
+/**
+ * Day of the week (0 = Sunday) of a YYYY-MM-DD date, independent of server timezone
+ * @param {string} dateStr
+ * @returns {number}
+ */
+function dayOfWeek(dateStr) {
+  const [year, month, day] = String(dateStr).split('T')[0].split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+}
+
+/**
+ * Whether a promotion can be used at this moment (active, inside its validity window, not used up)
+ * @param {Object} promotion
+ * @param {Date} [now=new Date()]
+ * @returns {boolean}
+ */
+function isPromotionAvailable(promotion, now = new Date()) {
+  if (!promotion.is_active) return false;
+  if (promotion.valid_from && new Date(promotion.valid_from) > now) return false;
+  if (promotion.valid_until && new Date(promotion.valid_until) <= now) return false;
+  if (promotion.max_uses && promotion.uses_count >= promotion.max_uses) return false;
+  return true;
+}
+
+/**
+ * Why a promotion does not apply to a booking, or null when it does
+ * @param {Object} promotion
+ * @param {Object} booking
+ * @param {string} booking.serviceId
+ * @param {string} booking.date - YYYY-MM-DD (salon local)
+ * @param {string} booking.startTime - HH:MM (salon local)
+ * @param {boolean} booking.firstVisit - The client has no earlier booking at the salon
+ * @param {Date} [booking.now=new Date()]
+ * @returns {string|null}
+ */
+function promotionMismatch(promotion, { serviceId, date, startTime, firstVisit, now = new Date() }) {
+  if (!isPromotionAvailable(promotion, now)) {
+    return 'This promotion is not available';
+  }
+  if (promotion.service_ids?.length && !promotion.service_ids.includes(serviceId)) {
+    return 'This promotion does not apply to this service';
+  }
+  if (promotion.first_visit_only && !firstVisit) {
+    return 'This promotion is for first visits only';
+  }
+  if (promotion.days_of_week?.length && !promotion.days_of_week.map(Number).includes(dayOfWeek(date))) {
+    return 'This promotion does not apply on this day';
+  }
+  if (promotion.start_time && promotion.end_time) {
+    const start = timeToMinutes(startTime);
+    if (start < timeToMinutes(promotion.start_time) || start >= timeToMinutes(promotion.end_time)) {
+      return 'This promotion does not apply at this time';
+    }
+  }
+  return null;
+}
+
+/**
+ * Amount a promotion takes off a price (never more than the price)
+ * @param {Object} promotion
+ * @param {number} price
+ * @returns {number}
+ */
+function discountAmount(promotion, price) {
+  const value = Number(promotion.discount_value);
+  const discount = promotion.discount_type === 'percentage'
+    ? (Number(price) * value) / 100
+    : value;
+  return roundMoney(Math.min(Math.max(discount, 0), Number(price)));
+}
+
+/**
+ * Best discount among the promotions that apply to a booking
+ * @param {Array<Object>} promotions
+ * @param {Object} booking - See promotionMismatch
+ * @param {number} price
+ * @returns {{ promotion: Object, discount: number }|null}
+ */
+function bestDiscount(promotions, booking, price) {
+  let best = null;
+  for (const promotion of promotions) {
+    if (promotionMismatch(promotion, booking)) continue;
+    const discount = discountAmount(promotion, price);
+    if (discount > 0 && (!best || discount > best.discount)) {
+      best = { promotion, discount };
+    }
+  }
+  return best;
+}
+
+/**
+ * Validate promotion fields (a new promotion, or an existing one with the changes applied)
+ * @param {Object} body
+ * @returns {string|null} error message, or null when valid
+ */
+function validatePromotion(body) {
+  const has = key => body[key] !== undefined;
+
+  if (!body.name || typeof body.name !== 'string') return 'name is required';
+  if (!DISCOUNT_TYPES.includes(body.discount_type)) {
+    return `discount_type must be one of: ${DISCOUNT_TYPES.join(', ')}`;
+  }
+  const value = Number(body.discount_value);
+  if (!Number.isFinite(value) || value <= 0) return 'discount_value must be more than 0';
+  if (body.discount_type === 'percentage' && value > 100) return 'A percentage discount cannot be more than 100';
+  if (has('code') && body.code !== null && !/^[A-Za-z0-9_-]{3,32}$/.test(String(body.code))) {
+    return 'code must be 3-32 letters, digits, dashes or underscores';
+  }
+  if (has('days_of_week') && body.days_of_week !== null) {
+    if (!Array.isArray(body.days_of_week) || body.days_of_week.some(d => !Number.isInteger(d) || d < 0 || d > 6)) {
+      return 'days_of_week must be a list of numbers from 0 (Sunday) to 6';
+    }
+  }
+  if (has('start_time') || has('end_time')) {
+    if (Boolean(body.start_time) !== Boolean(body.end_time)) return 'start_time and end_time go together';
+    if (body.start_time && (timeToMinutes(body.start_time) === null || timeToMinutes(body.end_time) === null)) {
+      return 'start_time and end_time must be times (HH:MM)';
+    }
+    if (body.start_time && timeToMinutes(body.start_time) >= timeToMinutes(body.end_time)) {
+      return 'start_time must be before end_time';
+    }
+  }
+  for (const key of ['valid_from', 'valid_until']) {
+    if (has(key) && body[key] !== null && Number.isNaN(new Date(body[key]).getTime())) {
+      return `${key} must be a date`;
+    }
+  }
+  if (body.valid_from && body.valid_until && new Date(body.valid_until) <= new Date(body.valid_from)) {
+    return 'valid_until must be after valid_from';
+  }
+  for (const key of ['max_uses', 'max_uses_per_client']) {
+    if (has(key) && body[key] !== null && (!Number.isInteger(Number(body[key])) || Number(body[key]) < 1)) {
+      return `${key} must be 1 or more`;
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  DISCOUNT_TYPES,
+  dayOfWeek,
+  isPromotionAvailable,
+  promotionMismatch,
+  discountAmount,
+  bestDiscount,
+  validatePromotion
+};
@@ -0,0 +1,112 @@
+/**
+ * Shared email layout and branding
+ *
+ * Every email template (see services/emailTemplates.js) renders its content into this layout,
+ * so header, footer, fonts and colours are the same everywhere. Text coming from users (names,
+ * notes, review comments) must go through escapeHtml(); the translator does that for {params}.
+ */
+
+const config = require('../config');
+
+// Header colour per kind of email
+const TONES = {
+  primary: '#FF6B35',
+  info: '#3498db',
+  success: '#27ae60',
+  warning: '#e67e22',
+  danger: '#e74c3c',
+  muted: '#7f8c8d',
+  gift: '#8e44ad',
+  owner: '#667eea'
+};
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+const paragraph = html => `<p>${html}</p>`;
+
+// Boxed list of "Label: value" lines; rows without a value are left out. Values are escaped
+function details(title, rows) {
+  const lines = rows
+    .filter(([, value]) => value !== undefined && value !== null && value !== '')
+    .map(([label, value]) => `<p><strong>${label}:</strong> ${escapeHtml(value)}</p>`)
+    .join('\n');
+  return `<div class="card">${title ? `<h3>${title}</h3>` : ''}${lines}</div>`;
+}
+
+const notice = html => `<div class="notice">${html}</div>`;
+
+const button = (href, label) => `<p class="actions"><a class="button" href="${escapeHtml(href)}">${label}</a></p>`;
+
+const list = items => `<ul>${items.map(item => `<li>${item}</li>`).join('')}</ul>`;
+
+/**
+ * Wrap template content in the branded layout
+ * @param {Object} options
+ * @param {Function} options.t - Translator of the recipient's language (utils/i18n)
+ * @param {string} options.heading - Header title (HTML)
+ * @param {string} [options.subheading] - Line under the title (HTML)
+ * @param {string} options.content - Body (HTML)
+ * @param {string} [options.tone='primary'] - Header colour, one of TONES
+ * @returns {string} Complete HTML document
+ */
+function renderLayout({ t, heading, subheading, content, tone = 'primary' }) {
+  const accent = TONES[tone] || TONES.primary;
+
+  return `<!DOCTYPE html>
+<html lang="${t.language}">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>${heading}</title>
+  <style>
+    body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; margin: 0; padding: 0; }
+    .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+    .header { background: ${accent}; color: white; padding: 20px; text-align: center; border-radius: 10px 10px 0 0; }
+    .header h1 { margin: 0; }
+    .content { padding: 20px; background: #f9f9f9; }
+    .card { background: white; padding: 20px; margin: 20px 0; border-radius: 8px; }
+    .notice { background: #fff3cd; border-left: 4px solid #ffc107; padding: 15px; margin: 15px 0; }
+    .quote { background: #f5f5f5; border-left: 4px solid ${accent}; padding: 15px; margin: 15px 0; font-style: italic; }
+    .code { font-size: 24px; font-weight: bold; letter-spacing: 2px; text-align: center; padding: 15px; background: white; border: 2px dashed ${accent}; }
+    .rating { font-size: 24px; color: #FFD700; margin: 15px 0; }
+    .actions { text-align: center; margin: 30px 0; }
+    .button { display: inline-block; background: ${accent}; color: white; padding: 12px 24px; text-decoration: none; border-radius: 5px; }
+    .footer { background: #333; color: white; padding: 20px; text-align: center; border-radius: 0 0 10px 10px; font-size: 12px; }
+  </style>
+</head>
+<body>
+  <div class="container">
+    <div class="header">
+      <h1>${heading}</h1>
+      ${subheading ? `<p>${subheading}</p>` : ''}
+    </div>
+    <div class="content">
+      ${content}
+    </div>
+    <div class="footer">
+      <p>${t('common.footer_rights', { year: new Date().getFullYear() })}</p>
+      <p>${t('common.footer_support', { email: config.business.support_email })}</p>
+      <p>${t('common.footer_automated')}</p>
+    </div>
+  </div>
+</body>
+</html>`;
+}
+
+module.exports = {
+  TONES,
+  escapeHtml,
+  paragraph,
+  details,
+  notice,
+  button,
+  list,
+  renderLayout
+};
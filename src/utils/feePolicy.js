@@ -0,0 +1,122 @@
+/**
+ * Platform fee policy
+ *
+ * Every client payment to a salon (booking checkout, payment intents, deposits, late-cancel and
+ * no-show fees) carries a platform fee taken as a Stripe application fee. The rate is, in order:
+ * the salon's own override (salons.application_fee_percent), the rate of its active subscription
+ * plan, or the platform default; the result is clamped to the configured minimum/maximum.
+ * Amounts sent to Stripe are in the currency's smallest unit, which isn't always cents.
+ */
+
+const config = require('../config');
+const { activePlan } = require('./plans');
+
+// https://docs.stripe.com/currencies#zero-decimal
+const ZERO_DECIMAL_CURRENCIES = [
+  'bif', 'clp', 'djf', 'gnf', 'jpy', 'kmf', 'krw', 'mga', 'pyg', 'rwf', 'ugx', 'vnd', 'vuv', 'xaf', 'xof', 'xpf'
+];
+// Three-decimal currencies; Stripe only accepts amounts that are a multiple of 10 for these
+const THREE_DECIMAL_CURRENCIES = ['bhd', 'jod', 'kwd', 'omr', 'tnd'];
+
+/**
+ * Number of decimals Stripe uses for a currency
+ * @param {string} currency - ISO code, any case
+ * @returns {number}
+ */
+function currencyDecimals(currency) {
+  const code = String(currency || config.payment.currency).toLowerCase();
+  if (ZERO_DECIMAL_CURRENCIES.includes(code)) return 0;
+  if (THREE_DECIMAL_CURRENCIES.includes(code)) return 3;
+  return 2;
+}
+
+/**
+ * Major units (e.g. 12.50 EUR) to the integer amount Stripe expects (1250)
+ * @param {number} amount
+ * @param {string} currency
+ * @returns {number}
+ */
+function toMinorUnits(amount, currency) {
+  const decimals = currencyDecimals(currency);
+  const minor = Math.round(Number(amount || 0) * 10 ** decimals);
+  return decimals === 3 ? Math.round(minor / 10) * 10 : minor;
+}
+
+/**
+ * Stripe integer amount back to major units
+ * @param {number} minor
+ * @param {string} currency
+ * @returns {number}
+ */
+function fromMinorUnits(minor, currency) {
+  return Number(minor || 0) / 10 ** currencyDecimals(currency);
+}
+
+/**
+ * Platform fee rate for a salon's payments
+ * @param {Object} salon - Salon row (may be null)
+ * @returns {{ percent: number, source: 'disabled'|'salon'|'plan'|'default', plan: string }}
+ */
+function resolveFeePercent(salon) {
+  const plan = activePlan(salon);
+
+  if (!config.payment.platform_fee_enabled) {
+    return { percent: 0, source: 'disabled', plan };
+  }
+
+  const override = salon?.application_fee_percent;
+  if (override !== null && override !== undefined && override !== '') {
+    return { percent: Number(override), source: 'salon', plan };
+  }
+
+  const planPercent = config.payment.plan_application_fee_percent[plan];
+  if (planPercent !== undefined) {
+    return { percent: planPercent, source: 'plan', plan };
+  }
+
+  return { percent: config.payment.application_fee_percent, source: 'default', plan };
+}
+
+/**
+ * Application fee for a payment, in the currency's smallest unit
+ * @param {Object} params
+ * @param {number} params.amount - Payment amount in the smallest unit (what Stripe is sent)
+ * @param {string} params.currency
+ * @param {Object} params.salon - Salon receiving the payment
+ * @returns {number} Never more than the payment itself; 0 when fees are off
+ */
+function calculateApplicationFee({ amount, currency, salon }) {
+  const { percent } = resolveFeePercent(salon);
+  if (!(amount > 0) || !(percent > 0)) return 0;
+
+  let fee = Math.round((amount * percent) / 100);
+
+  const { min_application_fee: min, max_application_fee: max } = config.payment;
+  if (min > 0) fee = Math.max(fee, toMinorUnits(min, currency));
+  if (max > 0) fee = Math.min(fee, toMinorUnits(max, currency));
+
+  return Math.min(fee, amount);
+}
+
+/**
+ * Stripe params for a destination charge to a salon: the transfer and, if any, the platform fee.
+ * Spread into PaymentIntent params or Checkout payment_intent_data.
+ * @returns {{ transfer_data: Object, application_fee_amount?: number }}
+ */
+function destinationChargeParams({ amount, currency, salon, connectedAccountId }) {
+  const fee = calculateApplicationFee({ amount, currency, salon });
+  return {
+    ...(fee > 0 ? { application_fee_amount: fee } : {}),
+    transfer_data: { destination: connectedAccountId || salon?.stripe_account_id }
+  };
+}
+
+module.exports = {
+  ZERO_DECIMAL_CURRENCIES,
+  currencyDecimals,
+  toMinorUnits,
+  fromMinorUnits,
+  resolveFeePercent,
+  calculateApplicationFee,
+  destinationChargeParams
+};
@@ -0,0 +1,90 @@
+/**
+ * Email translations
+ *
+ * String bundles live in src/locales, one file per language. To add a language, add its bundle
+ * and register it in BUNDLES; keys it doesn't translate fall back to English.
+ *
+ * Strings use {name} placeholders. t(key, params) escapes the params for HTML; t.plain() doesn't
+ * (subjects). {brand} is always available.
+ */
+
+const config = require('../config');
+const { escapeHtml } = require('./emailLayout');
+
+const BUNDLES = {
+  en: require('../locales/en'),
+  nl: require('../locales/nl')
+};
+
+const DEFAULT_LANGUAGE = 'en';
+const SUPPORTED_LANGUAGES = Object.keys(BUNDLES);
+
+// 'nl', 'nl-NL' or 'NL_be' -> 'nl'; anything without a bundle -> DEFAULT_LANGUAGE
+function resolveLanguage(language) {
+  const code = String(language || '').split(/[-_]/)[0].toLowerCase();
+  return BUNDLES[code] ? code : DEFAULT_LANGUAGE;
+}
+
+const lookup = (bundle, key) => key.split('.').reduce((node, part) => (node == null ? undefined : node[part]), bundle);
+
+/**
+ * Translator for one language
+ * @param {string} language - Recipient's language setting
+ * @returns {Function} t(key, params) with t.plain(), t.has(), t.language and t.locale (for Intl formatting)
+ */
+function createTranslator(language) {
+  const code = resolveLanguage(language);
+
+  const format = (key, params, escape) => {
+    const text = lookup(BUNDLES[code], key) ?? lookup(BUNDLES[DEFAULT_LANGUAGE], key);
+    if (typeof text !== 'string') {
+      throw new Error(`Missing translation: ${key}`);
+    }
+    const values = { brand: config.business.name, ...params };
+    return text.replace(/\{(\w+)\}/g, (match, name) => {
+      const value = values[name] ?? '';
+      return escape ? escapeHtml(value) : String(value);
+    });
+  };
+
+  const t = (key, params) => format(key, params, true);
+  t.plain = (key, params) => format(key, params, false);
+  t.has = key => typeof (lookup(BUNDLES[code], key) ?? lookup(BUNDLES[DEFAULT_LANGUAGE], key)) === 'string';
+  t.language = code;
+  t.locale = BUNDLES[code].meta.locale;
+  return t;
+}
+
+// 'YYYY-MM-DD' is a calendar date and is shown as is; timestamps are shown in Dutch time
+function formatDate(value, t, options = {}) {
+  if (!value) return '';
+  const dateOnly = /^\d{4}-\d{2}-\d{2}$/.test(value);
+  const date = dateOnly ? new Date(`${value}T00:00:00Z`) : new Date(value);
+  if (Number.isNaN(date.getTime())) return String(value);
+
+  return new Intl.DateTimeFormat(t.locale, {
+    day: 'numeric',
+    month: 'long',
+    year: 'numeric',
+    timeZone: dateOnly ? 'UTC' : 'Europe/Amsterdam',
+    ...options
+  }).format(date);
+}
+
+// 'HH:MM:SS' -> 'HH:MM'
+const formatTime = value => (value ? String(value).slice(0, 5) : '');
+
+function formatMoney(amount, t, currency = 'EUR') {
+  return new Intl.NumberFormat(t.locale, { style: 'currency', currency: String(currency || 'EUR').toUpperCase() })
+    .format(Number(amount || 0));
+}
+
+module.exports = {
+  DEFAULT_LANGUAGE,
+  SUPPORTED_LANGUAGES,
+  resolveLanguage,
+  createTranslator,
+  formatDate,
+  formatTime,
+  formatMoney
+};
@@ -0,0 +1,116 @@
+/**
+ * PDF rendering of invoices and credit notes
+ *
+ * Renders the stored snapshot of an invoice (see invoiceService), so the same document always
+ * gives the same PDF.
+ */
+
+const PDFDocument = require('pdfkit');
+
+const PAGE_MARGIN = 50;
+const COLUMNS = { description: 50, vat: 330, net: 390, gross: 470 };
+
+function formatMoney(amount, currency) {
+  return new Intl.NumberFormat('nl-NL', { style: 'currency', currency: (currency || 'EUR').toUpperCase() })
+    .format(Number(amount || 0));
+}
+
+function formatDate(date) {
+  return new Date(date).toLocaleDateString('nl-NL', { timeZone: 'Europe/Amsterdam' });
+}
+
+function writeParty(doc, title, party, x, y) {
+  const lines = [
+    party.name,
+    party.address,
+    party.email,
+    party.kvk_number ? `KvK: ${party.kvk_number}` : null,
+    party.vat_number ? `BTW: ${party.vat_number}` : null
+  ].filter(Boolean);
+
+  doc.font('Helvetica-Bold').fontSize(10).text(title, x, y);
+  doc.font('Helvetica').fontSize(10);
+  lines.forEach((line, index) => doc.text(line, x, y + 15 + index * 13, { width: 230 }));
+}
+
+/**
+ * Render an invoice or credit note
+ * @param {Object} invoice - invoices row (lines, totals, seller and buyer snapshots)
+ * @param {string} [invoice.credited_invoice_number] - Number of the invoice a credit note corrects
+ * @returns {Promise<Buffer>}
+ */
+function renderInvoicePdf(invoice) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: PAGE_MARGIN, info: { Title: `Invoice ${invoice.number}` } });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const isCreditNote = invoice.type === 'credit_note';
+    const money = amount => formatMoney(amount, invoice.currency);
+
+    doc.font('Helvetica-Bold').fontSize(20).text(isCreditNote ? 'Credit note' : 'Invoice', PAGE_MARGIN, PAGE_MARGIN);
+    doc.font('Helvetica').fontSize(10)
+      .text(`Number: ${invoice.number}`, PAGE_MARGIN, 80)
+      .text(`Date: ${formatDate(invoice.issued_at)}`, PAGE_MARGIN, 93);
+    if (isCreditNote && invoice.credited_invoice_number) {
+      doc.text(`Corrects invoice: ${invoice.credited_invoice_number}`, PAGE_MARGIN, 106);
+    }
+
+    writeParty(doc, 'From', invoice.seller || {}, PAGE_MARGIN, 140);
+    writeParty(doc, 'To', invoice.buyer || {}, 320, 140);
+
+    // Lines
+    let y = 250;
+    doc.font('Helvetica-Bold')
+      .text('Description', COLUMNS.description, y)
+      .text('VAT', COLUMNS.vat, y)
+      .text('Excl. VAT', COLUMNS.net, y)
+      .text('Incl. VAT', COLUMNS.gross, y);
+    doc.moveTo(PAGE_MARGIN, y + 15).lineTo(545, y + 15).stroke();
+
+    doc.font('Helvetica');
+    y += 25;
+    for (const line of invoice.lines || []) {
+      doc.text(line.description, COLUMNS.description, y, { width: 270 })
+        .text(`${line.vat_rate}%`, COLUMNS.vat, y)
+        .text(money(line.net), COLUMNS.net, y)
+        .text(money(line.gross), COLUMNS.gross, y);
+      y += 20;
+    }
+
+    // Totals, with the VAT per rate
+    doc.moveTo(PAGE_MARGIN, y).lineTo(545, y).stroke();
+    y += 10;
+    const totalRow = (label, amount, bold = false) => {
+      doc.font(bold ? 'Helvetica-Bold' : 'Helvetica')
+        .text(label, COLUMNS.vat, y)
+        .text(money(amount), COLUMNS.gross, y);
+      y += 16;
+    };
+
+    totalRow('Subtotal', invoice.subtotal);
+    const vatByRate = new Map();
+    for (const line of invoice.lines || []) {
+      if (!Number(line.vat_rate)) continue;
+      vatByRate.set(line.vat_rate, (vatByRate.get(line.vat_rate) || 0) + Number(line.vat));
+    }
+    for (const [rate, vat] of vatByRate) {
+      totalRow(`VAT ${rate}%`, vat);
+    }
+    totalRow('Total', invoice.total, true);
+
+    if (isCreditNote) {
+      doc.font('Helvetica').fontSize(9)
+        .text('The amount of this credit note has been refunded to the original payment method.', PAGE_MARGIN, y + 20);
+    }
+
+    doc.end();
+  });
+}
+
+module.exports = {
+  renderInvoicePdf,
+  formatMoney
+};
@@ -0,0 +1,185 @@
+/**
+ * Invoice lines and VAT
+ *
+ * Salon prices include VAT. An invoice line keeps the gross amount and splits it into net and
+ * VAT at the line's rate; the rate comes from the service (services.vat_rate) or the platform
+ * default. Tips are outside the scope of VAT and are invoiced at 0%. A credit note spreads the
+ * refunded amount over the VAT rates of the invoice it corrects.
+ */
+
+const { roundMoney } = require('./cancellationPolicy');
+
+// Line description prefix per payments.payment_type
+const PAYMENT_TYPE_LABELS = {
+  deposit: 'Deposit',
+  cancellation_fee: 'Late cancellation fee',
+  no_show_fee: 'No-show fee'
+};
+
+/**
+ * Why a VAT rate is invalid, or null when it's fine
+ * @param {*} rate - Percentage; null/undefined means "use the default"
+ * @returns {string|null}
+ */
+function validateVatRate(rate) {
+  if (rate === undefined || rate === null) return null;
+  const value = Number(rate);
+  if (rate === '' || !Number.isFinite(value) || value < 0 || value > 100) {
+    return 'vat_rate must be a percentage between 0 and 100';
+  }
+  return null;
+}
+
+/**
+ * Dutch VAT id (btw-id) without spaces or dots, upper case: NL123456789B01
+ * @param {string} vatNumber
+ * @returns {string}
+ */
+function normalizeVatNumber(vatNumber) {
+  return String(vatNumber || '').replace(/[\s.]/g, '').toUpperCase();
+}
+
+/**
+ * Why the company details printed on invoices are invalid, or null when they're fine
+ * @param {Object} details
+ * @param {string} [details.kvk_number] - Chamber of Commerce number, 8 digits
+ * @param {string} [details.vat_number] - VAT id (btw-id)
+ * @returns {string|null}
+ */
+function validateCompanyDetails({ kvk_number, vat_number } = {}) {
+  if (kvk_number && !/^\d{8}$/.test(String(kvk_number).replace(/\s/g, ''))) {
+    return 'kvk_number must be 8 digits';
+  }
+  if (vat_number && !/^NL\d{9}B\d{2}$/.test(normalizeVatNumber(vat_number))) {
+    return 'vat_number must be a Dutch VAT id like NL123456789B01';
+  }
+  return null;
+}
+
+/**
+ * Split a VAT-inclusive amount
+ * @param {number} gross
+ * @param {number} rate - Percentage
+ * @returns {{ net: number, vat: number }}
+ */
+function splitVat(gross, rate) {
+  const net = roundMoney(Number(gross) / (1 + Number(rate) / 100));
+  return { net, vat: roundMoney(Number(gross) - net) };
+}
+
+/**
+ * One invoice line
+ * @param {string} description
+ * @param {number} gross - VAT-inclusive line total (negative for discounts and credit notes)
+ * @param {number} vatRate - Percentage
+ * @returns {Object}
+ */
+function invoiceLine(description, gross, vatRate) {
+  const amount = roundMoney(gross);
+  return {
+    description,
+    quantity: 1,
+    unit_price: amount,
+    vat_rate: Number(vatRate),
+    ...splitVat(amount, vatRate),
+    gross: amount
+  };
+}
+
+/**
+ * Lines of the invoice for a payment
+ * @param {Object} payment - payments row
+ * @param {Object} item
+ * @param {string} item.name - What was bought (the service name)
+ * @param {number} item.vatRate - VAT percentage of the service
+ * @returns {Array<Object>}
+ */
+function paymentInvoiceLines(payment, { name, vatRate }) {
+  const type = payment.payment_type || 'booking';
+  const amount = Number(payment.amount || 0);
+  const lines = [];
+
+  if (type === 'booking') {
+    // The service at its full price, then the discount it got
+    const discount = Number(payment.discount_amount || 0);
+    lines.push(invoiceLine(name, amount + discount, vatRate));
+    if (discount > 0) {
+      lines.push(invoiceLine('Discount', -discount, vatRate));
+    }
+  } else {
+    const label = PAYMENT_TYPE_LABELS[type] || type;
+    lines.push(invoiceLine(`${label}: ${name}`, amount, vatRate));
+  }
+
+  const tip = Number(payment.tip_amount || 0);
+  if (tip > 0) {
+    lines.push(invoiceLine('Tip (not subject to VAT)', tip, 0));
+  }
+  return lines;
+}
+
+/**
+ * Lines of a credit note for part or all of an invoice: the refund is spread over the
+ * invoice's VAT rates in proportion to what each rate brought in
+ * @param {Array<Object>} lines - Lines of the credited invoice
+ * @param {number} refundAmount - Refunded amount (positive)
+ * @param {string} invoiceNumber - Number of the credited invoice
+ * @returns {Array<Object>} Lines with negative amounts
+ */
+function creditNoteLines(lines, refundAmount, invoiceNumber) {
+  const grossByRate = new Map();
+  for (const line of lines) {
+    grossByRate.set(line.vat_rate, roundMoney((grossByRate.get(line.vat_rate) || 0) + Number(line.gross)));
+  }
+
+  const rates = [...grossByRate.entries()].filter(([, gross]) => gross > 0);
+  const invoiceTotal = rates.reduce((sum, [, gross]) => sum + gross, 0);
+  const refund = roundMoney(refundAmount);
+  let remaining = refund;
+
+  return rates.map(([rate, gross], index) => {
+    const share = index === rates.length - 1
+      ? remaining
+      : roundMoney((refund * gross) / invoiceTotal);
+    remaining = roundMoney(remaining - share);
+    const description = rates.length > 1
+      ? `Refund on invoice ${invoiceNumber} (${rate}% VAT)`
+      : `Refund on invoice ${invoiceNumber}`;
+    return invoiceLine(description, -share, rate);
+  });
+}
+
+/**
+ * Totals of a set of lines, with the VAT per rate an invoice has to show
+ * @param {Array<Object>} lines
+ * @returns {{ subtotal: number, vat_amount: number, total: number, vat_by_rate: Array<Object> }}
+ */
+function invoiceTotals(lines) {
+  const byRate = new Map();
+  for (const line of lines) {
+    const entry = byRate.get(line.vat_rate) || { vat_rate: line.vat_rate, net: 0, vat: 0 };
+    entry.net = roundMoney(entry.net + line.net);
+    entry.vat = roundMoney(entry.vat + line.vat);
+    byRate.set(line.vat_rate, entry);
+  }
+
+  const subtotal = roundMoney(lines.reduce((sum, line) => sum + line.net, 0));
+  const vatAmount = roundMoney(lines.reduce((sum, line) => sum + line.vat, 0));
+  return {
+    subtotal,
+    vat_amount: vatAmount,
+    total: roundMoney(subtotal + vatAmount),
+    vat_by_rate: [...byRate.values()].sort((a, b) => b.vat_rate - a.vat_rate)
+  };
+}
+
+module.exports = {
+  validateVatRate,
+  normalizeVatNumber,
+  validateCompanyDetails,
+  splitVat,
+  invoiceLine,
+  paymentInvoiceLines,
+  creditNoteLines,
+  invoiceTotals
+};
@@ -0,0 +1,111 @@
+/**
+ * Notification preferences
+ *
+ * Which channels a user wants an event on, from their user_settings row: a master switch
+ * (notifications_enabled), one switch per channel, booking_reminders for reminder events and
+ * marketing_emails for marketing. In-app notifications always land in the inbox. Quiet hours
+ * hold back the channels that interrupt (WhatsApp and push) unless the event is urgent.
+ */
+
+const config = require('../config');
+const { isValidTimezone, getZonedParts } = require('./timezone');
+const { timeToMinutes } = require('./availability');
+
+const CHANNELS = ['email', 'whatsapp', 'in_app', 'push'];
+
+// Channels that buzz the phone: held back during quiet hours
+const INTERRUPTING_CHANNELS = ['whatsapp', 'push'];
+
+// user_settings column that switches each channel on or off (in_app has none)
+const CHANNEL_SETTINGS = {
+  email: 'email_notifications',
+  whatsapp: 'whatsapp_notifications',
+  push: 'push_notifications'
+};
+
+// Used for users without a user_settings row (same as a new row)
+const DEFAULT_SETTINGS = {
+  language: 'en',
+  notifications_enabled: true,
+  email_notifications: true,
+  whatsapp_notifications: true,
+  push_notifications: true,
+  booking_reminders: true,
+  marketing_emails: false,
+  quiet_hours_start: null,
+  quiet_hours_end: null,
+  timezone: null
+};
+
+/**
+ * Whether it's inside the user's quiet hours. The window is in the user's timezone (or the
+ * platform default) and may wrap past midnight (22:00-07:00).
+ * @param {Object} settings - user_settings row
+ * @param {Date} [now=new Date()]
+ * @returns {boolean}
+ */
+function isInQuietHours(settings, now = new Date()) {
+  const start = timeToMinutes(settings?.quiet_hours_start);
+  const end = timeToMinutes(settings?.quiet_hours_end);
+  if (start === null || end === null || start === end) return false;
+
+  const timeZone = isValidTimezone(settings.timezone) ? settings.timezone : config.booking.default_timezone;
+  const { minutes } = getZonedParts(now, timeZone);
+  return start < end
+    ? minutes >= start && minutes < end
+    : minutes >= start || minutes < end;
+}
+
+/**
+ * Why an event shouldn't go out on a channel, or null when it should
+ * @param {Object} settings - user_settings row (defaults filled in)
+ * @param {string} channel
+ * @param {Object} event - Event definition (category, urgent)
+ * @param {Date} [now=new Date()]
+ * @returns {string|null} disabled, quiet_hours or null
+ */
+function channelSkipReason(settings, channel, event, now = new Date()) {
+  // The inbox keeps everything; it doesn't interrupt anyone
+  if (channel === 'in_app') return null;
+
+  if (settings.notifications_enabled === false) return 'disabled';
+  if (settings[CHANNEL_SETTINGS[channel]] === false) return 'disabled';
+  if (event.category === 'reminder' && settings.booking_reminders === false) return 'disabled';
+  if (event.category === 'marketing' && !settings.marketing_emails) return 'disabled';
+
+  if (!event.urgent && INTERRUPTING_CHANNELS.includes(channel) && isInQuietHours(settings, now)) {
+    return 'quiet_hours';
+  }
+  return null;
+}
+
+/**
+ * Why quiet hours settings are invalid, or null when they're fine
+ * @param {Object} body
+ * @returns {string|null}
+ */
+function validateQuietHours({ quiet_hours_start, quiet_hours_end, timezone } = {}) {
+  const timePattern = /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/;
+  for (const [key, value] of Object.entries({ quiet_hours_start, quiet_hours_end })) {
+    if (value !== undefined && value !== null && !timePattern.test(String(value))) {
+      return `${key} must be a time (HH:MM)`;
+    }
+  }
+  if ((quiet_hours_start === null) !== (quiet_hours_end === null) &&
+      quiet_hours_start !== undefined && quiet_hours_end !== undefined) {
+    return 'quiet_hours_start and quiet_hours_end go together';
+  }
+  if (timezone !== undefined && timezone !== null && !isValidTimezone(timezone)) {
+    return 'Invalid timezone';
+  }
+  return null;
+}
+
+module.exports = {
+  CHANNELS,
+  INTERRUPTING_CHANNELS,
+  DEFAULT_SETTINGS,
+  isInQuietHours,
+  channelSkipReason,
+  validateQuietHours
+};
@@ -0,0 +1,183 @@
+/**
+ * Subscription plan catalogue
+ *
+ * The salon plans, their Stripe prices and what each one unlocks. Routes check entitlements
+ * (middleware/subscription requireEntitlement) rather than plan names, so adding or reshuffling
+ * a plan only touches this file. Plans are ordered by rank; a higher rank is an upgrade.
+ */
+
+const config = require('../config');
+
+const PLANS = {
+  basic: {
+    id: 'basic',
+    name: 'Basic',
+    rank: 0,
+    price_id: null,
+    entitlements: {
+      max_staff: 1,
+      ai_assistant: false,
+      featured_listing: false,
+      analytics_history_days: 30,
+      whatsapp_notifications: false
+    }
+  },
+  plus: {
+    id: 'plus',
+    name: 'Plus',
+    rank: 1,
+    price_id: config.stripe.plus_plan_price_id,
+    entitlements: {
+      max_staff: 5,
+      ai_assistant: true,
+      featured_listing: false,
+      analytics_history_days: 90,
+      whatsapp_notifications: true
+    }
+  },
+  premium: {
+    id: 'premium',
+    name: 'Premium',
+    rank: 2,
+    price_id: config.stripe.premium_plan_price_id,
+    entitlements: {
+      max_staff: 15,
+      ai_assistant: true,
+      featured_listing: true,
+      analytics_history_days: 365,
+      whatsapp_notifications: true
+    }
+  },
+  enterprise: {
+    id: 'enterprise',
+    name: 'Enterprise',
+    rank: 3,
+    price_id: config.stripe.enterprise_plan_price_id,
+    entitlements: {
+      max_staff: null, // unlimited
+      ai_assistant: true,
+      featured_listing: true,
+      analytics_history_days: null, // all history
+      whatsapp_notifications: true
+    }
+  }
+};
+
+// Plan names stored on older salons
+const PLAN_ALIASES = {
+  professional: 'premium'
+};
+
+const ENTITLEMENTS = Object.keys(PLANS.basic.entitlements);
+
+/**
+ * Catalogue entry for a plan id (aliases resolved); basic for unknown ids
+ * @param {string} planId
+ * @returns {Object}
+ */
+function getPlan(planId) {
+  const id = PLAN_ALIASES[planId] || planId;
+  return PLANS[id] || PLANS.basic;
+}
+
+/**
+ * Whether planId names a plan in the catalogue (aliases included)
+ */
+function isKnownPlan(planId) {
+  return Boolean(PLANS[PLAN_ALIASES[planId] || planId]);
+}
+
+/**
+ * Plan sold under a Stripe price
+ * @param {string} priceId
+ * @returns {Object|null}
+ */
+function planForPriceId(priceId) {
+  if (!priceId) return null;
+  return Object.values(PLANS).find(plan => plan.price_id === priceId) || null;
+}
+
+/**
+ * Subscription plan a salon currently benefits from ('basic' when none is active). A salon whose
+ * renewal failed keeps its plan until the grace period ends.
+ * @param {Object} salon - Salon row with subscription_plan/subscription_status/trial_ends_at/grace_period_ends_at
+ * @returns {string}
+ */
+function activePlan(salon) {
+  const plan = getPlan(salon?.subscription_plan);
+  if (plan.id === 'basic') return 'basic';
+
+  const now = new Date();
+  const trialEnded = salon.trial_ends_at && new Date(salon.trial_ends_at) < now;
+  const inGracePeriod = Boolean(salon.grace_period_ends_at) && new Date(salon.grace_period_ends_at) > now;
+  const active = salon.subscription_status === 'active' ||
+    (salon.subscription_status === 'trialing' && !trialEnded) ||
+    (['past_due', 'unpaid'].includes(salon.subscription_status) && inGracePeriod);
+  return active ? plan.id : 'basic';
+}
+
+/**
+ * Entitlements of the plan a salon currently benefits from
+ * @param {Object} salon
+ * @returns {Object}
+ */
+function entitlementsFor(salon) {
+  return PLANS[activePlan(salon)].entitlements;
+}
+
+/**
+ * Whether a salon's active plan includes a feature. Limits (max_staff, analytics_history_days)
+ * count as included when they are set; null means unlimited.
+ * @param {Object} salon
+ * @param {string} feature - One of ENTITLEMENTS
+ * @returns {boolean}
+ */
+function hasEntitlement(salon, feature) {
+  const value = entitlementsFor(salon)[feature];
+  return value === null || (value !== undefined && value !== false && value !== 0);
+}
+
+/**
+ * Ids of the plans that include a feature (stored aliases too, for database filters)
+ * @param {string} feature
+ * @returns {Array<string>}
+ */
+function plansWith(feature) {
+  const ids = Object.values(PLANS)
+    .filter(plan => plan.id !== 'basic' && plan.entitlements[feature])
+    .map(plan => plan.id);
+  const aliases = Object.keys(PLAN_ALIASES).filter(alias => ids.includes(PLAN_ALIASES[alias]));
+  return [...ids, ...aliases];
+}
+
+/**
+ * Cheapest plan that includes a feature, to point owners at when they hit a gate
+ * @param {string} feature
+ * @returns {Object|null}
+ */
+function cheapestPlanWith(feature) {
+  return Object.values(PLANS)
+    .sort((a, b) => a.rank - b.rank)
+    .find(plan => plan.id !== 'basic' && plan.entitlements[feature]) || null;
+}
+
+/**
+ * Catalogue as sent to the app
+ */
+function listPlans() {
+  return Object.values(PLANS).map(({ id, name, rank, entitlements }) => ({ id, name, rank, entitlements }));
+}
+
+module.exports = {
+  PLANS,
+  ENTITLEMENTS,
+  getPlan,
+  isKnownPlan,
+  planForPriceId,
+  activePlan,
+  entitlementsFor,
+  hasEntitlement,
+  plansWith,
+  cheapestPlanWith,
+  listPlans
+};
@@ -0,0 +1,57 @@
+/**
+ * Recurrence helpers for booking series ("every N weeks, until a date or N times")
+ *
+ * Occurrences keep the same salon wall-clock start time; only the date moves,
+ * so a series stays at 10:00 across daylight saving changes.
+ */
+
+const { addDays } = require('./timezone');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Normalise a recurrence rule from a request body
+ * @param {Object} rule - { interval_weeks, until?, count? }
+ * @returns {{ intervalWeeks: number, until: string|null, count: number|null, error: string|null }}
+ */
+function parseRecurrence(rule) {
+  const intervalWeeks = parseInt(rule?.interval_weeks, 10);
+  const until = rule?.until || null;
+  const count = rule?.count !== undefined && rule?.count !== null ? parseInt(rule.count, 10) : null;
+
+  let error = null;
+  if (!Number.isInteger(intervalWeeks) || intervalWeeks < 1 || intervalWeeks > 52) {
+    error = 'interval_weeks must be between 1 and 52';
+  } else if (!until && !count) {
+    error = 'Recurrence needs an until date or a count';
+  } else if (until && !DATE_PATTERN.test(until)) {
+    error = 'until must be a date (YYYY-MM-DD)';
+  } else if (count !== null && (!Number.isInteger(count) || count < 1)) {
+    error = 'count must be a positive number';
+  }
+
+  return { intervalWeeks, until, count, error };
+}
+
+/**
+ * Dates of a series, starting with the first appointment
+ * @param {string} startDate - YYYY-MM-DD of the first occurrence
+ * @param {Object} rule - From parseRecurrence
+ * @param {number} maxOccurrences - Hard cap on the number of dates
+ * @returns {string[]}
+ */
+function expandRecurrence(startDate, { intervalWeeks, until, count }, maxOccurrences) {
+  const limit = Math.min(count || maxOccurrences, maxOccurrences);
+  const dates = [];
+  for (let i = 0; i < limit; i++) {
+    const date = addDays(startDate, i * intervalWeeks * 7);
+    if (until && date > until) break;
+    dates.push(date);
+  }
+  return dates;
+}
+
+module.exports = {
+  parseRecurrence,
+  expandRecurrence
+};
@@ -0,0 +1,47 @@
+/**
+ * Booking reminders
+ *
+ * A salon chooses how many hours before an appointment its clients are reminded
+ * (salons.reminder_offsets_hours). The database keeps a reminder record per booking and offset
+ * (see add_booking_reminders.sql); bookingRemindersService sends the due ones.
+ */
+
+const MAX_REMINDERS = 3;
+const MAX_REMINDER_OFFSET_HOURS = 168;
+
+/**
+ * Why reminder offsets are invalid, or null when they're fine
+ * @param {Array<number>} offsets - Hours before the appointment; [] turns reminders off
+ * @returns {string|null}
+ */
+function validateReminderOffsets(offsets) {
+  if (!Array.isArray(offsets)) {
+    return 'reminder_offsets_hours must be a list of hours';
+  }
+  if (offsets.length > MAX_REMINDERS) {
+    return `At most ${MAX_REMINDERS} reminders per booking`;
+  }
+  for (const offset of offsets) {
+    const hours = Number(offset);
+    if (!Number.isInteger(hours) || hours < 1 || hours > MAX_REMINDER_OFFSET_HOURS) {
+      return `Reminder offsets must be whole hours between 1 and ${MAX_REMINDER_OFFSET_HOURS}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Validated offsets as stored: whole numbers, no duplicates, earliest reminder first
+ * @param {Array<number|string>} offsets
+ * @returns {Array<number>}
+ */
+function normalizeReminderOffsets(offsets) {
+  return [...new Set(offsets.map(Number))].sort((a, b) => b - a);
+}
+
+module.exports = {
+  MAX_REMINDERS,
+  MAX_REMINDER_OFFSET_HOURS,
+  validateReminderOffsets,
+  normalizeReminderOffsets
+};
@@ -1,5 +1,7 @@
 const cron = require('node-cron');
 const analyticsService = require('../services/analyticsService');
+const config = require('../config');
+const { plansWith } = require('./plans');
 
 /**
  * Scheduled Jobs for SalonTime
@@ -27,7 +29,7 @@ const updateTrendingScoresJob = cron.schedule('0 * * * *', async () => {
   }
 }, {
   scheduled: true,
-  timezone: "Europe/Amsterdam" // Netherlands timezone
+  timezone: config.booking.default_timezone
 });
 
 /**
@@ -55,7 +57,7 @@ const cleanupOldViewsJob = cron.schedule('0 2 * * *', async () => {
   }
 }, {
   scheduled: true,
-  timezone: "Europe/Amsterdam"
+  timezone: config.booking.default_timezone
 });
 
 /**
@@ -86,7 +88,7 @@ const updateFeaturedStatusJob = cron.schedule('0 1 * * *', async () => {
         featured_until: supabase.raw('subscription_ends_at')
       })
       .eq('subscription_status', 'active')
-      .in('subscription_plan', ['premium', 'professional', 'enterprise'])
+      .in('subscription_plan', plansWith('featured_listing'))
       .eq('is_active', true)
       .eq('is_featured', false);
     
@@ -98,7 +100,7 @@ const updateFeaturedStatusJob = cron.schedule('0 1 * * *', async () => {
   }
 }, {
   scheduled: true,
-  timezone: "Europe/Amsterdam"
+  timezone: config.booking.default_timezone
 });
 
 /**
@@ -0,0 +1,136 @@
+/**
+ * Timezone helpers
+ *
+ * Appointments are stored as salon wall-clock time (appointment_date + start_time).
+ * The server runs in UTC on Vercel, so "now" and "today" must always be resolved
+ * in the salon's own timezone. Built on Intl so no extra dependency is needed.
+ */
+
+const config = require('../config');
+
+const formatterCache = new Map();
+
+/**
+ * Whether a string is a valid IANA timezone (e.g. "Europe/Amsterdam")
+ * @param {string} timeZone
+ * @returns {boolean}
+ */
+function isValidTimezone(timeZone) {
+  if (!timeZone || typeof timeZone !== 'string') return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Timezone of a salon, falling back to the platform default
+ * @param {Object} salon - Salon row (may be null)
+ * @returns {string}
+ */
+function getSalonTimezone(salon) {
+  return isValidTimezone(salon?.timezone) ? salon.timezone : config.booking.default_timezone;
+}
+
+function getFormatter(timeZone) {
+  if (!formatterCache.has(timeZone)) {
+    formatterCache.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return formatterCache.get(timeZone);
+}
+
+/**
+ * Wall-clock parts of an instant in a timezone
+ * @param {Date} instant
+ * @param {string} timeZone
+ * @returns {{ date: string, time: string, minutes: number }} - date YYYY-MM-DD, time HH:mm, minutes since midnight
+ */
+function getZonedParts(instant, timeZone) {
+  const parts = {};
+  for (const { type, value } of getFormatter(timeZone).formatToParts(instant)) {
+    parts[type] = value;
+  }
+  const hours = Number(parts.hour) % 24;
+  const minutes = Number(parts.minute);
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    time: `${String(hours).padStart(2, '0')}:${parts.minute}`,
+    minutes: hours * 60 + minutes
+  };
+}
+
+/**
+ * Current wall-clock date/time in a timezone
+ * @param {string} timeZone
+ */
+function nowInZone(timeZone) {
+  return getZonedParts(new Date(), timeZone);
+}
+
+/**
+ * Add days to a YYYY-MM-DD date string
+ * @param {string} dateStr
+ * @param {number} days
+ * @returns {string}
+ */
+function addDays(dateStr, days) {
+  const [year, month, day] = String(dateStr).split('T')[0].split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day + days)).toISOString().split('T')[0];
+}
+
+/**
+ * Convert a wall-clock date/time in a timezone to a UTC instant
+ * @param {string} dateStr - YYYY-MM-DD
+ * @param {string} timeStr - HH:mm or HH:mm:ss
+ * @param {string} timeZone
+ * @returns {Date}
+ */
+function zonedTimeToUtc(dateStr, timeStr, timeZone) {
+  const [year, month, day] = String(dateStr).split('T')[0].split('-').map(Number);
+  const [hours, minutes = 0, seconds = 0] = String(timeStr || '00:00').split(':').map(Number);
+  const asUtc = Date.UTC(year, month - 1, day, hours, minutes, seconds);
+
+  // Offset of the zone at (roughly) that moment; apply twice to settle around DST changes
+  let guess = asUtc;
+  for (let i = 0; i < 2; i++) {
+    const parts = getZonedParts(new Date(guess), timeZone);
+    const [pYear, pMonth, pDay] = parts.date.split('-').map(Number);
+    const zonedAsUtc = Date.UTC(pYear, pMonth - 1, pDay, Math.floor(parts.minutes / 60), parts.minutes % 60, seconds);
+    guess = asUtc - (zonedAsUtc - guess);
+  }
+  return new Date(guess);
+}
+
+/**
+ * Short display name of a timezone at a given instant (e.g. "CET", "CEST", "GMT+1")
+ * @param {Date} instant
+ * @param {string} timeZone
+ * @returns {string}
+ */
+function getTimezoneAbbreviation(instant, timeZone) {
+  const part = new Intl.DateTimeFormat('en-GB', { timeZone, timeZoneName: 'short' })
+    .formatToParts(instant)
+    .find(p => p.type === 'timeZoneName');
+  return part ? part.value : timeZone;
+}
+
+module.exports = {
+  isValidTimezone,
+  getSalonTimezone,
+  getZonedParts,
+  nowInZone,
+  addDays,
+  zonedTimeToUtc,
+  getTimezoneAbbreviation
+};
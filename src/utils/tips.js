@@ -0,0 +1,73 @@
+/**
+ * Tips
+ *
+ * A tip is given at checkout, by card or in cash, as a fixed amount or as a percentage of the
+ * service amount. It is stored on the payment next to (not inside) the service amount and
+ * credited to the staff member of the booking. The platform fee is never taken on a tip.
+ */
+
+const config = require('../config');
+const { roundMoney } = require('./cancellationPolicy');
+
+const MAX_TIP_PERCENTAGE = 100;
+
+/**
+ * Why a tip request is invalid, or null when it's fine (or there is no tip)
+ * @param {Object} body
+ * @param {number|string} [body.tip_amount] - Fixed tip in major units, up to config.payment.max_tip_amount
+ * @param {number|string} [body.tip_percentage] - Tip as a percentage of the service amount
+ * @returns {string|null}
+ */
+function validateTip({ tip_amount, tip_percentage } = {}) {
+  const hasAmount = tip_amount !== undefined && tip_amount !== null && tip_amount !== '';
+  const hasPercentage = tip_percentage !== undefined && tip_percentage !== null && tip_percentage !== '';
+
+  if (hasAmount && hasPercentage) {
+    return 'Give either tip_amount or tip_percentage, not both';
+  }
+  if (hasAmount) {
+    const amount = Number(tip_amount);
+    if (!Number.isFinite(amount) || amount < 0) {
+      return 'tip_amount must be 0 or more';
+    }
+    if (amount > config.payment.max_tip_amount) {
+      return `tip_amount can be at most ${config.payment.max_tip_amount}`;
+    }
+  }
+  if (hasPercentage) {
+    const percentage = Number(tip_percentage);
+    if (!Number.isFinite(percentage) || percentage < 0 || percentage > MAX_TIP_PERCENTAGE) {
+      return `tip_percentage must be between 0 and ${MAX_TIP_PERCENTAGE}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Tip in major units for a validated tip request
+ * @param {Object} body - { tip_amount } or { tip_percentage }
+ * @param {number} serviceAmount - What the service costs (percentages are taken of this)
+ * @returns {number}
+ */
+function tipAmount({ tip_amount, tip_percentage } = {}, serviceAmount) {
+  if (tip_percentage !== undefined && tip_percentage !== null && tip_percentage !== '') {
+    return roundMoney((Number(serviceAmount || 0) * Number(tip_percentage)) / 100);
+  }
+  return roundMoney(Number(tip_amount || 0));
+}
+
+/**
+ * Whether the body asks for a tip at all
+ * @param {Object} body
+ * @returns {boolean}
+ */
+function hasTip(body = {}) {
+  return ['tip_amount', 'tip_percentage'].some(key => body[key] !== undefined && body[key] !== null && body[key] !== '');
+}
+
+module.exports = {
+  MAX_TIP_PERCENTAGE,
+  validateTip,
+  tipAmount,
+  hasTip
+};
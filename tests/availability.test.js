@@ -0,0 +1,465 @@
+const {
+  resolveDayWindow,
+  toBusyInterval,
+  computeSlots,
+  placeInBusinessDay,
+  checkSlot,
+  planSegments
+} = require('../src/utils/availability');
+
+// Mock dependencies
+jest.mock('../src/config/database');
+
+const availabilityService = require('../src/services/availabilityService');
+const { mockQueries } = require('./helpers/mockQueries');
+
+// 2030-01-04 is a Friday, 2030-01-05 a Saturday
+const FRIDAY = '2030-01-04';
+const SATURDAY = '2030-01-05';
+
+describe('Availability helpers', () => {
+  describe('resolveDayWindow', () => {
+    it('should resolve regular opening hours', () => {
+      const hours = { friday: { opening: '09:00', closing: '17:00', closed: false } };
+      expect(resolveDayWindow(hours, 'friday')).toEqual({ start: 540, end: 1020 });
+    });
+
+    it('should extend overnight hours past midnight', () => {
+      const hours = { friday: { open: '20:00', close: '02:00' } };
+      expect(resolveDayWindow(hours, 'friday')).toEqual({ start: 1200, end: 1560 });
+    });
+
+    it('should return null for closed days', () => {
+      expect(resolveDayWindow({ sunday: { closed: true } }, 'sunday')).toBeNull();
+      expect(resolveDayWindow({}, 'sunday')).toBeNull();
+    });
+  });
+
+  describe('toBusyInterval', () => {
+    it('should widen a booking by its buffers', () => {
+      const booking = { start_time: '10:00:00', end_time: '11:00:00' };
+      expect(toBusyInterval(booking, { before: 10, after: 15 })).toEqual({ start: 590, end: 675 });
+    });
+
+    it('should handle bookings that end after midnight', () => {
+      const booking = { start_time: '23:30', end_time: '00:30' };
+      expect(toBusyInterval(booking)).toEqual({ start: 1410, end: 1470 });
+    });
+
+    it('should place next-day bookings above 1440 relative to the reference day', () => {
+      const booking = { appointment_date: SATURDAY, start_time: '01:00', end_time: '02:00' };
+      expect(toBusyInterval(booking, { referenceDate: FRIDAY })).toEqual({ start: 1500, end: 1560 });
+    });
+  });
+
+  describe('computeSlots', () => {
+    it('should offer slots after midnight in overnight hours', () => {
+      const slots = computeSlots({ window: { start: 1380, end: 1560 }, duration: 60, interval: 60 });
+      expect(slots.map(s => s.start_time)).toEqual(['23:00', '00:00', '01:00']);
+    });
+
+    it('should keep buffers inside the window and away from other bookings', () => {
+      const slots = computeSlots({
+        window: { start: 540, end: 720 },
+        duration: 60,
+        interval: 30,
+        bufferAfter: 15,
+        busy: [{ start: 660, end: 720 }]
+      });
+      expect(slots.map(s => s.start_time)).toEqual(['09:00', '09:30']);
+    });
+  });
+
+  describe('placeInBusinessDay', () => {
+    const windows = {
+      [FRIDAY]: { start: 1200, end: 1560 }, // 20:00 - 02:00
+      [SATURDAY]: { start: 600, end: 1080 } // 10:00 - 18:00
+    };
+    const getWindow = date => windows[date] || null;
+
+    it('should place a 01:00 appointment in the previous night\'s hours', () => {
+      expect(placeInBusinessDay(SATURDAY, 60, 60, getWindow)).toEqual({
+        businessDate: FRIDAY,
+        start: 1500,
+        window: windows[FRIDAY]
+      });
+    });
+
+    it('should place daytime appointments in the same day', () => {
+      expect(placeInBusinessDay(SATURDAY, 660, 60, getWindow).businessDate).toBe(SATURDAY);
+    });
+
+    it('should return null outside any opening hours', () => {
+      expect(placeInBusinessDay(SATURDAY, 180, 60, getWindow)).toBeNull();
+    });
+  });
+
+  describe('checkSlot', () => {
+    const window = { start: 540, end: 1020 };
+
+    it('should accept a free slot', () => {
+      expect(checkSlot({ window, start: 600, duration: 60 })).toEqual({ available: true, reason: null });
+    });
+
+    it('should reject overlapping bookings', () => {
+      const result = checkSlot({ window, start: 600, duration: 60, busy: [{ start: 630, end: 690 }] });
+      expect(result).toEqual({ available: false, reason: 'CONFLICT' });
+    });
+
+    it('should allow back-to-back bookings without buffers', () => {
+      const result = checkSlot({ window, start: 600, duration: 60, busy: [{ start: 660, end: 720 }] });
+      expect(result.available).toBe(true);
+    });
+
+    it('should reject back-to-back bookings when a cleanup buffer is needed', () => {
+      const result = checkSlot({ window, start: 600, duration: 60, bufferAfter: 10, busy: [{ start: 660, end: 720 }] });
+      expect(result.reason).toBe('CONFLICT');
+    });
+
+    it('should reject appointments running past closing time', () => {
+      expect(checkSlot({ window, start: 990, duration: 60 }).reason).toBe('OUTSIDE_HOURS');
+      expect(checkSlot({ window: null, start: 600, duration: 60 }).reason).toBe('OUTSIDE_HOURS');
+    });
+  });
+
+  describe('planSegments', () => {
+    it('should lay out services back to back', () => {
+      expect(planSegments(FRIDAY, 600, [30, 90])).toEqual([
+        { appointment_date: FRIDAY, start_time: '10:00', end_time: '10:30' },
+        { appointment_date: FRIDAY, start_time: '10:30', end_time: '12:00' }
+      ]);
+    });
+
+    it('should move segments starting after midnight to the next date', () => {
+      const segments = planSegments(FRIDAY, 1410, [60, 30]);
+      expect(segments[0]).toEqual({ appointment_date: FRIDAY, start_time: '23:30', end_time: '00:30' });
+      expect(segments[1]).toEqual({ appointment_date: SATURDAY, start_time: '00:30', end_time: '01:00' });
+    });
+  });
+});
+
+describe('AvailabilityService.evaluateSlot', () => {
+  const salon = {
+    id: 'salon-123',
+    business_hours: {
+      friday: { open: '20:00', close: '02:00' },
+      saturday: { open: '10:00', close: '18:00' }
+    }
+  };
+  const service = { id: 'service-123', duration: 60 };
+  const staffList = [
+    { id: 'staff-1', availability_schedule: null },
+    { id: 'staff-2', availability_schedule: { saturday: { closed: true } } }
+  ];
+
+  it('should accept an after-midnight appointment in overnight hours', () => {
+    const result = availabilityService.evaluateSlot({
+      salon, service, date: SATURDAY, startTime: '01:00', staffList, bookings: [], staffId: 'staff-1'
+    });
+    expect(result).toEqual({ available: true, reason: null, staffId: 'staff-1' });
+  });
+
+  it('should detect a conflict with a booking from the previous evening', () => {
+    const bookings = [
+      { id: 'b1', appointment_date: FRIDAY, start_time: '23:30', end_time: '01:30', staff_id: 'staff-1' }
+    ];
+    const result = availabilityService.evaluateSlot({
+      salon, service, date: SATURDAY, startTime: '01:00', staffList, bookings, staffId: 'staff-1'
+    });
+    expect(result.reason).toBe('CONFLICT');
+  });
+
+  it('should reject appointments outside a stylist\'s own schedule', () => {
+    const result = availabilityService.evaluateSlot({
+      salon, service, date: SATURDAY, startTime: '11:00', staffList, bookings: [], staffId: 'staff-2'
+    });
+    expect(result).toEqual({ available: false, reason: 'OUTSIDE_HOURS', staffId: 'staff-2' });
+  });
+
+  it('should report unknown or inactive stylists', () => {
+    const result = availabilityService.evaluateSlot({
+      salon, service, date: SATURDAY, startTime: '11:00', staffList, bookings: [], staffId: 'staff-9'
+    });
+    expect(result.reason).toBe('STAFF_NOT_FOUND');
+  });
+
+  it('should assign the first free stylist when none is requested', () => {
+    const bookings = [
+      { id: 'b1', appointment_date: FRIDAY, start_time: '21:00', end_time: '22:00', staff_id: 'staff-1' }
+    ];
+    const result = availabilityService.evaluateSlot({
+      salon, service, date: FRIDAY, startTime: '21:00', staffList, bookings
+    });
+    expect(result).toEqual({ available: true, reason: null, staffId: 'staff-2' });
+  });
+
+  it('should report a busy stylist while the "any stylist" view still has a chair', () => {
+    const bookings = [
+      { id: 'b1', appointment_date: FRIDAY, start_time: '21:00', end_time: '22:00', staff_id: 'staff-1' }
+    ];
+    const requested = availabilityService.evaluateSlot({
+      salon, service, date: FRIDAY, startTime: '21:30', staffList, bookings, staffId: 'staff-1'
+    });
+    const anyone = availabilityService.evaluateSlot({
+      salon, service, date: FRIDAY, startTime: '21:30', staffList, bookings
+    });
+
+    expect(requested).toEqual({ available: false, reason: 'CONFLICT', staffId: 'staff-1' });
+    expect(anyone).toEqual({ available: true, reason: null, staffId: 'staff-2' });
+  });
+
+  it('should count unassigned bookings against the free chairs', () => {
+    const bookings = [
+      { id: 'b1', appointment_date: SATURDAY, start_time: '11:00', end_time: '12:00', staff_id: null }
+    ];
+    // Only staff-1 works on Saturday and the unassigned booking already takes that chair
+    const result = availabilityService.evaluateSlot({
+      salon, service, date: SATURDAY, startTime: '11:00', staffList, bookings
+    });
+    expect(result).toEqual({ available: false, reason: 'CONFLICT', staffId: null });
+  });
+
+  it('should treat a salon without staff as a single chair and respect service buffers', () => {
+    const bookings = [
+      { id: 'b1', appointment_date: SATURDAY, start_time: '12:00', end_time: '13:00', staff_id: null }
+    ];
+    const bufferedService = { ...service, buffer_after_minutes: 15 };
+    const result = availabilityService.evaluateSlot({
+      salon, service: bufferedService, date: SATURDAY, startTime: '11:00', staffList: [], bookings
+    });
+    expect(result.reason).toBe('CONFLICT');
+  });
+});
+
+describe('AvailabilityService.calculateDaySlots', () => {
+  const salon = {
+    id: 'salon-123',
+    timezone: 'Europe/Amsterdam',
+    slot_interval_minutes: 60,
+    business_hours: {
+      friday: { open: '20:00', close: '02:00' },
+      saturday: { open: '10:00', close: '13:00' }
+    }
+  };
+  const service = { id: 'service-123', duration: 60 };
+  const staffList = [
+    { id: 'staff-1', name: 'Anna', availability_schedule: null },
+    { id: 'staff-2', name: 'Bram', availability_schedule: { saturday: { open: '12:00', close: '13:00' } } }
+  ];
+  const bookings = [
+    { id: 'b1', appointment_date: SATURDAY, start_time: '10:00', end_time: '11:00', staff_id: 'staff-1' },
+    { id: 'b2', appointment_date: SATURDAY, start_time: '11:00', end_time: '12:00', staff_id: null }
+  ];
+  const times = slots => slots.map(slot => slot.start_time);
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: new Date('2030-01-01T09:00:00Z') });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('should give each stylist the free slots within their own hours', () => {
+    const { staff_slots } = availabilityService.calculateDaySlots({ salon, service, date: SATURDAY, staffList, bookings });
+
+    expect(staff_slots.map(entry => [entry.staff_id, times(entry.available_slots)])).toEqual([
+      ['staff-1', ['11:00', '12:00']],
+      ['staff-2', ['12:00']]
+    ]);
+  });
+
+  it('should merge stylists and let unassigned bookings take a chair in the "any stylist" view', () => {
+    const { available_slots } = availabilityService.calculateDaySlots({ salon, service, date: SATURDAY, staffList, bookings });
+
+    // At 11:00 only staff-1 is free and the unassigned booking already takes that chair
+    expect(available_slots).toEqual([
+      { appointment_date: SATURDAY, start_time: '12:00', end_time: '13:00', staff_ids: ['staff-1', 'staff-2'] }
+    ]);
+  });
+
+  it('should ignore unassigned bookings when one stylist was asked for', () => {
+    const { available_slots } = availabilityService.calculateDaySlots({
+      salon, service, date: SATURDAY, staffList: [staffList[0]], bookings: [bookings[0]], singleStaff: true
+    });
+
+    expect(available_slots.map(slot => [slot.start_time, slot.staff_ids])).toEqual([
+      ['11:00', ['staff-1']],
+      ['12:00', ['staff-1']]
+    ]);
+  });
+
+  it('should date slots after midnight on the next day', () => {
+    const { available_slots } = availabilityService.calculateDaySlots({ salon, service, date: FRIDAY, staffList: [], bookings: [] });
+
+    expect(available_slots.map(slot => [slot.appointment_date, slot.start_time])).toEqual([
+      [FRIDAY, '20:00'], [FRIDAY, '21:00'], [FRIDAY, '22:00'], [FRIDAY, '23:00'], [SATURDAY, '00:00'], [SATURDAY, '01:00']
+    ]);
+  });
+
+  it('should drop slots that already started in the salon\'s timezone', () => {
+    // 10:30 in Amsterdam
+    jest.setSystemTime(new Date('2030-01-05T09:30:00Z'));
+
+    const { available_slots } = availabilityService.calculateDaySlots({ salon, service, date: SATURDAY, staffList: [], bookings: [] });
+
+    expect(times(available_slots)).toEqual(['11:00', '12:00']);
+  });
+
+  it('should offer nothing beyond the booking horizon', () => {
+    const result = availabilityService.calculateDaySlots({
+      salon: { ...salon, max_booking_horizon_days: 2 }, service, date: SATURDAY, staffList, bookings: []
+    });
+
+    expect(result.available_slots).toEqual([]);
+    expect(result.staff_slots.map(entry => entry.available_slots)).toEqual([[], []]);
+  });
+});
+
+describe('AvailabilityService.getBookings', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should return bookings and active holds in booking shape', async () => {
+    mockQueries(
+      { data: [{ id: 'b1', start_time: '10:00', end_time: '11:00', staff_id: 'staff-1' }], error: null },
+      { data: [{ id: 'h1', start_time: '11:00', end_time: '12:00', staff_id: 'staff-1', buffer_before_minutes: 0, buffer_after_minutes: 10 }], error: null }
+    );
+
+    const bookings = await availabilityService.getBookings('salon-123', SATURDAY);
+
+    expect(bookings.map(b => b.id)).toEqual(['b1', 'h1']);
+    expect(bookings[1]).toMatchObject({ hold: true, services: { buffer_after_minutes: 10 } });
+  });
+
+  it('should fail rather than report an empty calendar when bookings cannot be read', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    mockQueries({ data: null, error: { message: 'timeout' } }, { data: [], error: null });
+
+    await expect(availabilityService.getBookings('salon-123', SATURDAY))
+      .rejects.toMatchObject({ statusCode: 500, code: 'AVAILABILITY_FETCH_FAILED' });
+  });
+
+  it('should fail when holds cannot be read', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    mockQueries({ data: [], error: null }, { data: null, error: { message: 'timeout' } });
+
+    await expect(availabilityService.getBookings('salon-123', SATURDAY))
+      .rejects.toMatchObject({ statusCode: 500, code: 'AVAILABILITY_FETCH_FAILED' });
+  });
+});
+
+describe('AvailabilityService.getActiveStaff', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should return the salon\'s active staff', async () => {
+    const { calls } = mockQueries({ data: [{ id: 'staff-1', name: 'Sanne' }], error: null });
+
+    await expect(availabilityService.getActiveStaff('salon-123', 'staff-1')).resolves.toEqual([{ id: 'staff-1', name: 'Sanne' }]);
+    expect(calls).toContainEqual(['staff', 'eq', 'id', 'staff-1']);
+  });
+
+  it('should fail rather than report no staff when staff cannot be read', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    mockQueries({ data: null, error: { message: 'timeout' } });
+
+    await expect(availabilityService.getActiveStaff('salon-123'))
+      .rejects.toMatchObject({ statusCode: 500, code: 'AVAILABILITY_FETCH_FAILED' });
+  });
+});
+
+describe('AvailabilityService.planBasket', () => {
+  const salon = {
+    id: 'salon-123',
+    business_hours: { saturday: { open: '10:00', close: '18:00' } }
+  };
+  const cut = { id: 'service-1', name: 'Cut', duration: 30 };
+  const colour = { id: 'service-2', name: 'Colour', duration: 60 };
+  // The basket being moved, currently at 11:00-12:30 with staff-1
+  const ownSegments = [
+    { id: 'segment-1', appointment_date: SATURDAY, start_time: '11:00', end_time: '11:30', staff_id: 'staff-1' },
+    { id: 'segment-2', appointment_date: SATURDAY, start_time: '11:30', end_time: '12:30', staff_id: 'staff-1' }
+  ];
+  const plan = options => availabilityService.planBasket({
+    salon,
+    items: [{ service: cut, staffId: 'staff-1' }, { service: colour, staffId: 'staff-1' }],
+    date: SATURDAY,
+    startTime: '11:30',
+    ...options
+  });
+
+  beforeEach(() => {
+    jest.spyOn(availabilityService, 'getActiveStaff').mockResolvedValue([{ id: 'staff-1', availability_schedule: null }]);
+    jest.spyOn(availabilityService, 'getBookings').mockResolvedValue(ownSegments);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should plan the segments back to back', async () => {
+    const planned = await plan({ excludeBookingIds: ['segment-1', 'segment-2'] });
+
+    expect(planned.map(p => [p.start_time, p.end_time, p.staffId])).toEqual([
+      ['11:30', '12:00', 'staff-1'],
+      ['12:00', '13:00', 'staff-1']
+    ]);
+  });
+
+  it('should only let a basket\'s own segments overlap its new slots when they are excluded', async () => {
+    await expect(plan()).rejects.toMatchObject({ statusCode: 409 });
+  });
+});
+
+describe('AvailabilityService.planGroup', () => {
+  const salon = {
+    id: 'salon-123',
+    business_hours: { saturday: { open: '10:00', close: '18:00' } }
+  };
+  const cut = { id: 'service-1', name: 'Cut', duration: 30 };
+  const colour = { id: 'service-2', name: 'Colour', duration: 90 };
+
+  beforeEach(() => {
+    jest.spyOn(availabilityService, 'getActiveStaff').mockResolvedValue([
+      { id: 'staff-1', availability_schedule: null },
+      { id: 'staff-2', availability_schedule: null }
+    ]);
+    jest.spyOn(availabilityService, 'getBookings').mockResolvedValue([]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should give parallel guests different stylists', async () => {
+    const planned = await availabilityService.planGroup({
+      salon,
+      items: [{ service: cut, staffId: null }, { service: colour, staffId: null }],
+      date: SATURDAY,
+      startTime: '11:00'
+    });
+    expect(planned.map(p => p.staffId)).toEqual(['staff-1', 'staff-2']);
+    expect(planned[1]).toMatchObject({ appointment_date: SATURDAY, start_time: '11:00', end_time: '12:30' });
+  });
+
+  it('should reject a group with more guests than free stylists', async () => {
+    await expect(availabilityService.planGroup({
+      salon,
+      items: [{ service: cut, staffId: null }, { service: cut, staffId: null }, { service: cut, staffId: null }],
+      date: SATURDAY,
+      startTime: '11:00'
+    })).rejects.toMatchObject({ code: 'TIME_SLOT_CONFLICT' });
+  });
+
+  it('should reject two guests asking for the same stylist', async () => {
+    await expect(availabilityService.planGroup({
+      salon,
+      items: [{ service: cut, staffId: 'staff-1' }, { service: colour, staffId: 'staff-1' }],
+      date: SATURDAY,
+      startTime: '11:00'
+    })).rejects.toMatchObject({ code: 'TIME_SLOT_CONFLICT' });
+  });
+});
@@ -0,0 +1,215 @@
+// Mock dependencies
+jest.mock('../src/config/database');
+
+const { supabaseAdmin } = require('../src/config/database');
+const availabilityService = require('../src/services/availabilityService');
+const bookingHoldService = require('../src/services/bookingHoldService');
+const promotionService = require('../src/services/promotionService');
+const emailService = require('../src/services/emailService');
+const bookingController = require('../src/controllers/bookingController');
+const waitlistController = require('../src/controllers/waitlistController');
+const { AppError } = require('../src/middleware/errorHandler');
+const { mockQueries } = require('./helpers/mockQueries');
+const { runHandler } = require('./helpers/runHandler');
+
+const salon = { id: 'salon-1', owner_id: 'owner-1' };
+const cut = { id: 'service-1', name: 'Cut', duration: 30, price: 30 };
+const colour = { id: 'service-2', name: 'Colour', duration: 60, price: 70 };
+
+// Two back-to-back segments of one visit; the first carries the payment
+const segment = (overrides = {}) => ({
+  id: 'booking-1',
+  client_id: 'client-1',
+  salon_id: 'salon-1',
+  service_id: 'service-1',
+  staff_id: 'staff-1',
+  appointment_date: '2030-02-01',
+  start_time: '10:00:00',
+  status: 'confirmed',
+  basket_id: 'basket-1',
+  basket_position: 0,
+  salons: salon,
+  services: cut,
+  ...overrides
+});
+const second = segment({
+  id: 'booking-2',
+  service_id: 'service-2',
+  start_time: '10:30:00',
+  basket_position: 1,
+  services: colour
+});
+const basketRow = { data: { basket_id: 'basket-1', booking_baskets: { primary_booking_id: 'booking-1' } }, error: null };
+const segmentRows = { data: [segment(), second], error: null };
+const planned = [
+  { start_time: '11:00', end_time: '11:30', staffId: 'staff-1' },
+  { start_time: '11:30', end_time: '12:30', staffId: 'staff-1' }
+];
+
+describe('Basket bookings', () => {
+  beforeEach(() => {
+    jest.spyOn(waitlistController, 'processWaitlistForCancelledBooking').mockResolvedValue();
+    jest.spyOn(bookingController, '_notifyBookingChange').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('_basketPrimaryId', () => {
+    it('should route any segment to the basket\'s first booking', async () => {
+      mockQueries(basketRow);
+
+      await expect(bookingController._basketPrimaryId('booking-2')).resolves.toBe('booking-1');
+    });
+
+    it('should keep a booking outside a basket as it is', async () => {
+      mockQueries({ data: { basket_id: null, booking_baskets: null }, error: null });
+
+      await expect(bookingController._basketPrimaryId('booking-9')).resolves.toBe('booking-9');
+    });
+  });
+
+  describe('_cancelBasketSegments', () => {
+    const cancelled = { status: 'cancelled', cancelled_by: 'client', cancellation_fee: 6 };
+
+    it('should cancel the other segments without a fee and free their slots', async () => {
+      const { calls, updates } = mockQueries({ data: [second], error: null });
+
+      const others = await bookingController._cancelBasketSegments(segment(), cancelled);
+
+      expect(others.map(b => b.id)).toEqual(['booking-2']);
+      expect(updates[0]).toEqual({ status: 'cancelled', cancelled_by: 'client', cancellation_fee: 0 });
+      expect(calls).toContainEqual(['bookings', 'eq', 'basket_id', 'basket-1']);
+      expect(calls).toContainEqual(['bookings', 'neq', 'id', 'booking-1']);
+      expect(waitlistController.processWaitlistForCancelledBooking).toHaveBeenCalledWith('salon-1', 'service-2', '2030-02-01', '10:30:00');
+    });
+
+    it('should do nothing for a booking outside a basket', async () => {
+      mockQueries();
+
+      await expect(bookingController._cancelBasketSegments(segment({ basket_id: null }), cancelled)).resolves.toEqual([]);
+      expect(supabaseAdmin.from).not.toHaveBeenCalled();
+    });
+
+    it('should fail when the segments can\'t be cancelled', async () => {
+      mockQueries({ data: null, error: { message: 'boom' } });
+
+      await expect(bookingController._cancelBasketSegments(segment(), cancelled))
+        .rejects.toMatchObject({ statusCode: 500, code: 'BOOKING_CANCEL_FAILED' });
+    });
+  });
+
+  describe('cancelBookingAsClient', () => {
+    const quote = { late: false, fee: 0, refund: 100, amount: 100 };
+
+    beforeEach(() => {
+      jest.spyOn(bookingController, '_getClientBookingForCancel').mockResolvedValue(segment());
+      jest.spyOn(bookingController, '_quoteClientCancellation').mockReturnValue({ policy: {}, quote });
+      jest.spyOn(bookingController, '_settleCancellation').mockResolvedValue({ refundAmount: 100 });
+      jest.spyOn(promotionService, 'releaseForBooking').mockResolvedValue();
+      jest.spyOn(emailService, 'sendCancellationNotice').mockResolvedValue();
+    });
+
+    it('should settle the visit once on its first booking and cancel every segment', async () => {
+      const { updates } = mockQueries(
+        basketRow,
+        { data: segment({ status: 'cancelled' }), error: null },
+        { data: [second], error: null }
+      );
+
+      const { status } = await runHandler(bookingController.cancelBookingAsClient, {
+        params: { bookingId: 'booking-2' },
+        body: {},
+        user: { id: 'client-1' }
+      });
+
+      expect(status).toBe(200);
+      expect(bookingController._getClientBookingForCancel).toHaveBeenCalledWith('booking-1', 'client-1');
+      expect(bookingController._settleCancellation).toHaveBeenCalledTimes(1);
+      expect(promotionService.releaseForBooking).toHaveBeenCalledWith('booking-1');
+      expect(updates.map(update => update.status)).toEqual(['cancelled', 'cancelled']);
+      expect(updates[1].cancellation_fee).toBe(0);
+    });
+  });
+
+  describe('rescheduleBooking', () => {
+    beforeEach(() => {
+      jest.spyOn(availabilityService, 'assertBookableTime').mockImplementation(() => ({}));
+      jest.spyOn(availabilityService, 'planBasket').mockResolvedValue(planned);
+      jest.spyOn(bookingHoldService, 'moveBasketAtomic').mockResolvedValue();
+      jest.spyOn(bookingHoldService, 'moveBookingAtomic').mockResolvedValue();
+      jest.spyOn(emailService, 'sendBookingRescheduleNotice').mockResolvedValue();
+    });
+
+    it('should move the whole visit, whichever segment was picked', async () => {
+      mockQueries({ data: second, error: null }, segmentRows, { data: second, error: null });
+
+      const { status } = await runHandler(bookingController.rescheduleBooking, {
+        params: { bookingId: 'booking-2' },
+        body: { appointment_date: '2030-02-02', start_time: '11:00' },
+        user: { id: 'client-1' }
+      });
+
+      expect(status).toBe(200);
+      expect(availabilityService.planBasket).toHaveBeenCalledWith(expect.objectContaining({
+        date: '2030-02-02',
+        startTime: '11:00',
+        items: [{ service: cut, staffId: 'staff-1' }, { service: colour, staffId: 'staff-1' }],
+        excludeBookingIds: ['booking-1', 'booking-2']
+      }));
+      expect(bookingHoldService.moveBasketAtomic).toHaveBeenCalledWith(expect.objectContaining({
+        basketId: 'basket-1',
+        status: 'pending',
+        segments: [
+          expect.objectContaining({ bookingId: 'booking-1', start_time: '11:00' }),
+          expect.objectContaining({ bookingId: 'booking-2', start_time: '11:30' })
+        ]
+      }));
+      expect(bookingHoldService.moveBookingAtomic).not.toHaveBeenCalled();
+    });
+
+    it('should leave the visit where it is when it doesn\'t fit', async () => {
+      availabilityService.planBasket.mockRejectedValue(new AppError('Time slot not available', 409, 'TIME_SLOT_CONFLICT'));
+      mockQueries({ data: second, error: null }, segmentRows);
+
+      const { error } = await runHandler(bookingController.rescheduleBooking, {
+        params: { bookingId: 'booking-2' },
+        body: { appointment_date: '2030-02-02', start_time: '11:00' },
+        user: { id: 'client-1' }
+      });
+
+      expect(error).toMatchObject({ statusCode: 409, code: 'TIME_SLOT_CONFLICT' });
+      expect(bookingHoldService.moveBasketAtomic).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('reassignBooking', () => {
+    beforeEach(() => {
+      jest.spyOn(availabilityService, 'planBasket').mockResolvedValue(planned);
+      jest.spyOn(availabilityService, 'assertSlotAvailable').mockResolvedValue('staff-2');
+      jest.spyOn(bookingHoldService, 'moveBasketAtomic').mockResolvedValue();
+      jest.spyOn(bookingHoldService, 'moveBookingAtomic').mockResolvedValue();
+    });
+
+    it('should re-plan the visit at its own time with the new stylist on that segment', async () => {
+      mockQueries({ data: second, error: null }, segmentRows, { data: second, error: null });
+
+      const { status } = await runHandler(bookingController.reassignBooking, {
+        params: { bookingId: 'booking-2' },
+        body: { staff_id: 'staff-2' },
+        user: { id: 'owner-1' }
+      });
+
+      expect(status).toBe(200);
+      expect(availabilityService.planBasket).toHaveBeenCalledWith(expect.objectContaining({
+        date: '2030-02-01',
+        startTime: '10:00:00',
+        items: [{ service: cut, staffId: 'staff-1' }, { service: colour, staffId: 'staff-2' }]
+      }));
+      expect(bookingHoldService.moveBasketAtomic).toHaveBeenCalledWith(expect.objectContaining({ basketId: 'basket-1', status: null }));
+      expect(availabilityService.assertSlotAvailable).not.toHaveBeenCalled();
+      expect(bookingHoldService.moveBookingAtomic).not.toHaveBeenCalled();
+    });
+  });
+});
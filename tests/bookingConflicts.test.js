@@ -0,0 +1,121 @@
+// Mock dependencies
+jest.mock('../src/config/database');
+
+const { supabase, supabaseAdmin, getAuthenticatedClient } = require('../src/config/database');
+const availabilityService = require('../src/services/availabilityService');
+const bookingHoldService = require('../src/services/bookingHoldService');
+const clientReliabilityService = require('../src/services/clientReliabilityService');
+const promotionService = require('../src/services/promotionService');
+const packageService = require('../src/services/packageService');
+const bookingController = require('../src/controllers/bookingController');
+const { mockTables } = require('./helpers/mockQueries');
+const { runHandler } = require('./helpers/runHandler');
+
+// 2030-01-05 is a Saturday; "now" is 09:00 in Amsterdam that morning
+const SATURDAY = '2030-01-05';
+const NOW = new Date('2030-01-05T08:00:00Z');
+
+const salon = {
+  id: 'salon-1',
+  owner_id: 'owner-1',
+  timezone: 'Europe/Amsterdam',
+  business_hours: { saturday: { open: '09:00', close: '18:00' } }
+};
+const service = { id: 'service-1', salon_id: 'salon-1', name: 'Knippen', duration: 60, price: 40 };
+// Existing appointment of staff-1 whose service needs 15 minutes of cleanup afterwards
+const existing = {
+  id: 'booking-0',
+  appointment_date: SATURDAY,
+  start_time: '10:00:00',
+  end_time: '11:00:00',
+  staff_id: 'staff-1',
+  services: { buffer_after_minutes: 15 }
+};
+
+describe('Booking conflict check', () => {
+  const book = (startTime, { salonOverrides = {}, serviceOverrides = {} } = {}) => {
+    mockTables(supabase, {
+      services: { data: { ...service, ...serviceOverrides }, error: null },
+      salons: { data: { ...salon, ...salonOverrides }, error: null },
+      bookings: { data: { id: 'booking-1', appointment_date: SATURDAY, start_time: startTime }, error: null },
+      payments: { data: { id: 'payment-1' }, error: null },
+      user_profiles: { data: { id: 'client-1', first_name: 'Anna' }, error: null }
+    });
+    return runHandler(bookingController.createBooking, {
+      body: { salon_id: 'salon-1', service_id: 'service-1', staff_id: 'staff-1', appointment_date: SATURDAY, start_time: startTime },
+      user: { id: 'client-1' },
+      token: 'token'
+    });
+  };
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: NOW });
+    mockTables(supabaseAdmin, {
+      staff: { data: [{ id: 'staff-1', name: 'Sanne', availability_schedule: null }], error: null },
+      bookings: { data: [existing], error: null },
+      booking_holds: { data: [], error: null }
+    });
+    supabaseAdmin.rpc = jest.fn().mockResolvedValue({ data: null, error: null });
+    getAuthenticatedClient.mockReturnValue(supabase);
+    jest.spyOn(availabilityService, 'assertSlotAvailable');
+    jest.spyOn(bookingHoldService, 'createBookingAtomic').mockResolvedValue('booking-1');
+    jest.spyOn(clientReliabilityService, 'getDepositRequirement').mockResolvedValue({ required: false });
+    jest.spyOn(promotionService, 'quote').mockResolvedValue({ price: 40, discount: 0, total: 40, currency: 'EUR', promotion: null });
+    jest.spyOn(packageService, 'consumeCredit').mockResolvedValue(null);
+    jest.spyOn(bookingController, '_sendNewBookingNotifications').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  it('should reject a time overlapping another appointment of the stylist', async () => {
+    const { error } = await book('10:30');
+
+    expect(error).toMatchObject({ statusCode: 409, code: 'TIME_SLOT_CONFLICT' });
+    expect(bookingHoldService.createBookingAtomic).not.toHaveBeenCalled();
+  });
+
+  it('should keep the other appointment\'s cleanup buffer free', async () => {
+    const { error } = await book('11:00');
+
+    expect(error).toMatchObject({ statusCode: 409, code: 'TIME_SLOT_CONFLICT' });
+  });
+
+  it('should accept a time starting exactly when the buffer ends', async () => {
+    const { status } = await book('11:15');
+
+    expect(status).toBe(201);
+    expect(availabilityService.assertSlotAvailable).toHaveBeenCalledWith(expect.objectContaining({ startTime: '11:15', staffId: 'staff-1' }));
+    expect(bookingHoldService.createBookingAtomic).toHaveBeenCalledWith(expect.objectContaining({
+      staffId: 'staff-1', startTime: '11:15', endTime: '12:15'
+    }));
+  });
+
+  it('should accept back-to-back before another appointment unless the new service needs a buffer', async () => {
+    expect((await book('09:00')).status).toBe(201);
+
+    const { error } = await book('09:00', { serviceOverrides: { buffer_after_minutes: 10 } });
+    expect(error).toMatchObject({ statusCode: 409, code: 'TIME_SLOT_CONFLICT' });
+  });
+
+  it('should reject times within the salon\'s minimum lead time', async () => {
+    const { error } = await book('12:00', { salonOverrides: { min_lead_time_minutes: 240 } });
+
+    expect(error).toMatchObject({ statusCode: 400, code: 'BOOKING_TOO_SOON' });
+    expect(availabilityService.assertSlotAvailable).not.toHaveBeenCalled();
+  });
+
+  it('should accept a time exactly at the end of the lead time', async () => {
+    const { status } = await book('13:00', { salonOverrides: { min_lead_time_minutes: 240 } });
+
+    expect(status).toBe(201);
+  });
+
+  it('should reject times that already passed today', async () => {
+    const { error } = await book('08:00');
+
+    expect(error).toMatchObject({ statusCode: 400, code: 'BOOKING_TOO_SOON' });
+  });
+});
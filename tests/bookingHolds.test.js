@@ -0,0 +1,276 @@
+// Mock dependencies
+jest.mock('../src/config/database');
+
+const { supabase, supabaseAdmin } = require('../src/config/database');
+const bookingHoldService = require('../src/services/bookingHoldService');
+const availabilityService = require('../src/services/availabilityService');
+const bookingController = require('../src/controllers/bookingController');
+const { mockQueries, mockTables } = require('./helpers/mockQueries');
+const { runHandler } = require('./helpers/runHandler');
+
+const MINUTE_MS = 60 * 1000;
+const SLOT_TAKEN = { code: 'P0409', message: 'Time slot not available' };
+
+const salon = { id: 'salon-1', buffer_after_minutes: 10, business_hours: {} };
+const service = { id: 'service-1', salon_id: 'salon-1', duration: 45, buffer_before_minutes: 5 };
+
+describe('BookingHoldService', () => {
+  beforeEach(() => {
+    supabaseAdmin.rpc = jest.fn();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('createHold', () => {
+    it('should hold the slot with the service\'s buffers until the hold expires', async () => {
+      supabaseAdmin.rpc.mockResolvedValue({ data: { id: 'hold-1' }, error: null });
+      const before = Date.now();
+
+      const hold = await bookingHoldService.createHold({
+        salon, service, clientId: 'client-1', date: '2030-01-05', startTime: '10:00', staffId: 'staff-1'
+      });
+
+      expect(hold).toEqual({ id: 'hold-1' });
+      const [fn, params] = supabaseAdmin.rpc.mock.calls[0];
+      expect(fn).toBe('create_booking_hold');
+      expect(params).toMatchObject({
+        p_salon_id: 'salon-1',
+        p_staff_id: 'staff-1',
+        p_client_id: 'client-1',
+        p_start: '10:00',
+        p_end: '10:45',
+        p_buffer_before: 5,
+        p_buffer_after: 10
+      });
+      expect(new Date(params.p_expires_at).getTime() - before).toBeGreaterThanOrEqual(10 * MINUTE_MS);
+    });
+
+    it('should report a taken slot as a conflict', async () => {
+      supabaseAdmin.rpc.mockResolvedValue({ data: null, error: SLOT_TAKEN });
+
+      await expect(bookingHoldService.createHold({
+        salon, service, clientId: 'client-1', date: '2030-01-05', startTime: '10:00'
+      })).rejects.toMatchObject({ statusCode: 409, code: 'TIME_SLOT_CONFLICT' });
+    });
+
+    it('should fail with a 500 on other database errors', async () => {
+      supabaseAdmin.rpc.mockResolvedValue({ data: null, error: { code: '42P01', message: 'missing' } });
+
+      await expect(bookingHoldService.createHold({
+        salon, service, clientId: 'client-1', date: '2030-01-05', startTime: '10:00'
+      })).rejects.toMatchObject({ statusCode: 500, code: 'HOLD_CREATION_FAILED' });
+    });
+  });
+
+  describe('releaseHold', () => {
+    it('should release only the client\'s own active hold', async () => {
+      const { calls, updates } = mockQueries({ data: [{ id: 'hold-1' }], error: null });
+
+      await expect(bookingHoldService.releaseHold('hold-1', 'client-1')).resolves.toBe(true);
+      expect(updates[0]).toMatchObject({ status: 'released' });
+      expect(calls).toContainEqual(['booking_holds', 'eq', 'client_id', 'client-1']);
+      expect(calls).toContainEqual(['booking_holds', 'eq', 'status', 'active']);
+    });
+
+    it('should report when there was nothing to release', async () => {
+      mockQueries({ data: [], error: null });
+      await expect(bookingHoldService.releaseHold('hold-1', 'client-2')).resolves.toBe(false);
+    });
+  });
+
+  describe('expireHolds', () => {
+    it('should expire active holds past their expiry', async () => {
+      const { calls, updates } = mockQueries({ data: [{ id: 'hold-1' }, { id: 'hold-2' }], error: null });
+
+      await expect(bookingHoldService.expireHolds()).resolves.toBe(2);
+      expect(updates[0]).toMatchObject({ status: 'expired' });
+      expect(calls.find(call => call[1] === 'lt')).toEqual(['booking_holds', 'lt', 'expires_at', expect.any(String)]);
+    });
+
+    it('should pass database errors on to the cron job', async () => {
+      mockQueries({ data: null, error: { message: 'timeout' } });
+      await expect(bookingHoldService.expireHolds()).rejects.toEqual({ message: 'timeout' });
+    });
+  });
+
+  describe('createBookingAtomic', () => {
+    const params = {
+      salon, service, clientId: 'client-1', staffId: 'staff-1', date: '2030-01-05', startTime: '10:00', endTime: '10:45', holdId: 'hold-1'
+    };
+
+    it('should insert through the locking function and consume the hold', async () => {
+      supabaseAdmin.rpc.mockResolvedValue({ data: 'booking-1', error: null });
+
+      await expect(bookingHoldService.createBookingAtomic(params)).resolves.toBe('booking-1');
+      expect(supabaseAdmin.rpc).toHaveBeenCalledWith('create_booking_atomic', expect.objectContaining({
+        p_staff_id: 'staff-1',
+        p_status: 'confirmed',
+        p_hold_id: 'hold-1',
+        p_buffer_before: 5,
+        p_buffer_after: 10
+      }));
+    });
+
+    it('should report a slot taken under the lock as a conflict', async () => {
+      supabaseAdmin.rpc.mockResolvedValue({ data: null, error: SLOT_TAKEN });
+      await expect(bookingHoldService.createBookingAtomic(params))
+        .rejects.toMatchObject({ statusCode: 409, code: 'TIME_SLOT_CONFLICT' });
+    });
+
+    it('should fail with a 500 on other database errors', async () => {
+      supabaseAdmin.rpc.mockResolvedValue({ data: null, error: { code: '23503', message: 'fk' } });
+      await expect(bookingHoldService.createBookingAtomic(params))
+        .rejects.toMatchObject({ statusCode: 500, code: 'BOOKING_CREATION_FAILED' });
+    });
+  });
+
+  describe('moveBookingAtomic', () => {
+    const params = { bookingId: 'booking-1', salon, service, staffId: 'staff-2', date: '2030-01-06', startTime: '11:00', endTime: '11:45' };
+
+    it('should move the booking through the locking function', async () => {
+      supabaseAdmin.rpc.mockResolvedValue({ data: null, error: null });
+
+      await bookingHoldService.moveBookingAtomic(params);
+      expect(supabaseAdmin.rpc).toHaveBeenCalledWith('move_booking_atomic', expect.objectContaining({
+        p_booking_id: 'booking-1',
+        p_staff_id: 'staff-2',
+        p_date: '2030-01-06',
+        p_status: null
+      }));
+    });
+
+    it('should report a taken slot as a conflict', async () => {
+      supabaseAdmin.rpc.mockResolvedValue({ data: null, error: SLOT_TAKEN });
+      await expect(bookingHoldService.moveBookingAtomic(params))
+        .rejects.toMatchObject({ statusCode: 409, code: 'TIME_SLOT_CONFLICT' });
+    });
+
+    it('should fail with a 500 on other database errors', async () => {
+      supabaseAdmin.rpc.mockResolvedValue({ data: null, error: { code: '42501', message: 'denied' } });
+      await expect(bookingHoldService.moveBookingAtomic(params))
+        .rejects.toMatchObject({ statusCode: 500, code: 'BOOKING_MOVE_FAILED' });
+    });
+  });
+
+  describe('createBasketAtomic', () => {
+    const colour = { id: 'service-2', duration: 90, buffer_after_minutes: 20 };
+    const segments = [
+      { service, staffId: 'staff-1', appointment_date: '2030-01-05', start_time: '10:00', end_time: '10:45' },
+      { service: colour, staffId: 'staff-1', appointment_date: '2030-01-05', start_time: '10:45', end_time: '12:15' }
+    ];
+
+    it('should reserve every segment with its own buffers in one call', async () => {
+      supabaseAdmin.rpc.mockResolvedValue({ data: 'basket-1', error: null });
+
+      await expect(bookingHoldService.createBasketAtomic({
+        salon, clientId: 'client-1', segments, totalDuration: 135, totalPrice: 120
+      })).resolves.toBe('basket-1');
+
+      const [fn, params] = supabaseAdmin.rpc.mock.calls[0];
+      expect(fn).toBe('create_booking_basket_atomic');
+      expect(params.p_items).toEqual([
+        { service_id: 'service-1', staff_id: 'staff-1', date: '2030-01-05', start: '10:00', end: '10:45', buffer_before: 5, buffer_after: 10 },
+        { service_id: 'service-2', staff_id: 'staff-1', date: '2030-01-05', start: '10:45', end: '12:15', buffer_before: 0, buffer_after: 20 }
+      ]);
+      expect(params).toMatchObject({ p_total_duration: 135, p_total_price: 120, p_currency: 'EUR' });
+    });
+
+    it('should report a taken slot as a conflict', async () => {
+      supabaseAdmin.rpc.mockResolvedValue({ data: null, error: SLOT_TAKEN });
+      await expect(bookingHoldService.createBasketAtomic({
+        salon, clientId: 'client-1', segments, totalDuration: 135, totalPrice: 120
+      })).rejects.toMatchObject({ statusCode: 409, code: 'TIME_SLOT_CONFLICT' });
+    });
+  });
+
+  describe('moveBasketAtomic', () => {
+    const segments = [
+      { bookingId: 'booking-1', service, staffId: 'staff-2', appointment_date: '2030-01-06', start_time: '11:00', end_time: '11:45' },
+      { bookingId: 'booking-2', service, staffId: 'staff-1', appointment_date: '2030-01-06', start_time: '11:45', end_time: '12:30' }
+    ];
+
+    it('should move every segment of the basket in one call', async () => {
+      supabaseAdmin.rpc.mockResolvedValue({ data: 'basket-1', error: null });
+
+      await bookingHoldService.moveBasketAtomic({ basketId: 'basket-1', salon, segments, status: 'pending' });
+
+      const [fn, params] = supabaseAdmin.rpc.mock.calls[0];
+      expect(fn).toBe('move_booking_basket_atomic');
+      expect(params).toMatchObject({ p_basket_id: 'basket-1', p_status: 'pending' });
+      expect(params.p_items.map(item => [item.booking_id, item.staff_id, item.start, item.end])).toEqual([
+        ['booking-1', 'staff-2', '11:00', '11:45'],
+        ['booking-2', 'staff-1', '11:45', '12:30']
+      ]);
+    });
+
+    it('should report a taken slot as a conflict', async () => {
+      supabaseAdmin.rpc.mockResolvedValue({ data: null, error: SLOT_TAKEN });
+      await expect(bookingHoldService.moveBasketAtomic({ basketId: 'basket-1', salon, segments }))
+        .rejects.toMatchObject({ statusCode: 409, code: 'TIME_SLOT_CONFLICT' });
+    });
+  });
+});
+
+describe('Booking with a hold', () => {
+  const hold = {
+    id: 'hold-1',
+    client_id: 'client-1',
+    salon_id: 'salon-1',
+    service_id: 'service-1',
+    staff_id: 'staff-1',
+    appointment_date: '2030-01-05',
+    start_time: '10:00:00',
+    status: 'active',
+    expires_at: new Date(Date.now() + 5 * MINUTE_MS).toISOString()
+  };
+  const body = { salon_id: 'salon-1', service_id: 'service-1', appointment_date: '2030-01-05', start_time: '10:00', hold_id: 'hold-1' };
+  const book = () => runHandler(bookingController.createBooking, { body, user: { id: 'client-1' }, token: 'token' });
+
+  beforeEach(() => {
+    mockTables(supabase, { services: { data: service, error: null }, salons: { data: salon, error: null } });
+    jest.spyOn(availabilityService, 'assertSlotAvailable');
+    jest.spyOn(bookingHoldService, 'createBookingAtomic');
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should reject a hold for another slot', async () => {
+    mockQueries({ data: { ...hold, start_time: '11:00:00' }, error: null });
+
+    const { error } = await book();
+
+    expect(error).toMatchObject({ statusCode: 400, code: 'HOLD_MISMATCH' });
+    expect(availabilityService.assertSlotAvailable).not.toHaveBeenCalled();
+    expect(bookingHoldService.createBookingAtomic).not.toHaveBeenCalled();
+  });
+
+  it('should reject a hold that has expired', async () => {
+    mockQueries({ data: { ...hold, expires_at: new Date(Date.now() - MINUTE_MS).toISOString() }, error: null });
+
+    const { error } = await book();
+
+    expect(error).toMatchObject({ statusCode: 410, code: 'HOLD_EXPIRED' });
+    expect(bookingHoldService.createBookingAtomic).not.toHaveBeenCalled();
+  });
+
+  it('should reject a hold that was released', async () => {
+    mockQueries({ data: { ...hold, status: 'released' }, error: null });
+
+    const { error } = await book();
+
+    expect(error).toMatchObject({ statusCode: 410, code: 'HOLD_EXPIRED' });
+  });
+
+  it('should reject someone else\'s hold', async () => {
+    const { calls } = mockQueries({ data: null, error: null });
+
+    const { error } = await book();
+
+    expect(error).toMatchObject({ statusCode: 404, code: 'HOLD_NOT_FOUND' });
+    expect(calls).toContainEqual(['booking_holds', 'eq', 'client_id', 'client-1']);
+  });
+});
@@ -0,0 +1,153 @@
+// Mock dependencies
+jest.mock('../src/config/database');
+
+const { supabaseAdmin } = require('../src/config/database');
+const bookingRemindersService = require('../src/services/bookingRemindersService');
+const notificationService = require('../src/services/notificationService');
+const { validateReminderOffsets, normalizeReminderOffsets } = require('../src/utils/reminders');
+const { mockQueries } = require('./helpers/mockQueries');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const dueReminder = (overrides = {}) => ({
+  id: 'reminder-1',
+  booking_id: 'booking-1',
+  offset_hours: 24,
+  starts_at: new Date(Date.now() + 23 * HOUR_MS).toISOString(),
+  status: 'scheduled',
+  attempts: 0,
+  bookings: {
+    id: 'booking-1',
+    client_id: 'client-1',
+    status: 'confirmed',
+    appointment_date: '2026-01-20',
+    start_time: '10:00:00',
+    services: { name: 'Haircut' },
+    salons: { id: 'salon-1', business_name: 'Studio Noord' }
+  },
+  ...overrides
+});
+
+// What the claim update returns: the record as this worker now holds it
+const claimed = reminder => {
+  const { bookings, ...record } = reminder;
+  return { data: { ...record, status: 'sending', attempts: record.attempts + 1 }, error: null };
+};
+
+describe('Reminder offsets', () => {
+  it('should accept up to three whole hours within a week', () => {
+    expect(validateReminderOffsets([48, 24, 2])).toBeNull();
+    expect(validateReminderOffsets([])).toBeNull();
+    expect(validateReminderOffsets(['12'])).toBeNull();
+  });
+
+  it('should reject bad offsets', () => {
+    expect(validateReminderOffsets(24)).toMatch(/list of hours/);
+    expect(validateReminderOffsets([72, 48, 24, 2])).toMatch(/At most 3/);
+    expect(validateReminderOffsets([0])).toMatch(/between 1 and 168/);
+    expect(validateReminderOffsets([1.5])).toMatch(/whole hours/);
+    expect(validateReminderOffsets([200])).toMatch(/between 1 and 168/);
+  });
+
+  it('should store offsets earliest reminder first without duplicates', () => {
+    expect(normalizeReminderOffsets([2, '24', 48, 24])).toEqual([48, 24, 2]);
+  });
+});
+
+describe('BookingRemindersService.processDue', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(notificationService, 'notify').mockResolvedValue({
+      dispatch_id: 'dispatch-1',
+      deliveries: [{ channel: 'email', status: 'sent' }, { channel: 'push', status: 'skipped', reason: 'no_device' }]
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should send a due reminder once and mark it sent', async () => {
+    const reminder = dueReminder();
+    const { updates } = mockQueries({ data: [reminder], error: null }, claimed(reminder), { data: null, error: null });
+
+    const summary = await bookingRemindersService.processDue();
+
+    expect(summary).toMatchObject({ due: 1, sent: 1 });
+    expect(notificationService.notify).toHaveBeenCalledWith('client-1', 'booking_reminder', expect.objectContaining({
+      serviceName: 'Haircut',
+      salon: reminder.bookings.salons,
+      booking: expect.objectContaining({ id: 'booking-1', service_name: 'Haircut' })
+    }));
+    expect(updates[0]).toMatchObject({ status: 'sending', attempts: 1 });
+    expect(updates[1]).toMatchObject({ status: 'sent', dispatch_id: 'dispatch-1', next_attempt_at: null });
+  });
+
+  it('should leave a reminder another run already claimed', async () => {
+    const { updates } = mockQueries({ data: [dueReminder()], error: null }, { data: null, error: null });
+
+    const summary = await bookingRemindersService.processDue();
+
+    expect(summary.sent).toBe(0);
+    expect(notificationService.notify).not.toHaveBeenCalled();
+    expect(updates).toHaveLength(1);
+  });
+
+  it('should cancel reminders of bookings that are no longer on', async () => {
+    const reminder = dueReminder({ bookings: { ...dueReminder().bookings, status: 'cancelled' } });
+    const { updates } = mockQueries({ data: [reminder], error: null }, claimed(reminder));
+
+    const summary = await bookingRemindersService.processDue();
+
+    expect(summary.cancelled).toBe(1);
+    expect(notificationService.notify).not.toHaveBeenCalled();
+    expect(updates[1]).toMatchObject({ status: 'cancelled' });
+  });
+
+  it('should skip reminders for appointments that already started', async () => {
+    const reminder = dueReminder({ starts_at: new Date(Date.now() - HOUR_MS).toISOString() });
+    const { updates } = mockQueries({ data: [reminder], error: null }, claimed(reminder));
+
+    const summary = await bookingRemindersService.processDue();
+
+    expect(summary.skipped).toBe(1);
+    expect(updates[1]).toMatchObject({ status: 'skipped' });
+  });
+
+  it('should retry when no channel got through, then give up', async () => {
+    notificationService.notify.mockResolvedValue({
+      dispatch_id: 'dispatch-2',
+      deliveries: [{ channel: 'email', status: 'failed', reason: 'SMTP down' }]
+    });
+
+    let reminder = dueReminder();
+    let { updates } = mockQueries({ data: [reminder], error: null }, claimed(reminder));
+    let summary = await bookingRemindersService.processDue();
+
+    expect(summary.retrying).toBe(1);
+    expect(updates[1]).toMatchObject({ status: 'scheduled', last_error: 'email: SMTP down' });
+    expect(new Date(updates[1].next_attempt_at).getTime()).toBeGreaterThan(Date.now());
+
+    reminder = dueReminder({ attempts: 2 });
+    ({ updates } = mockQueries({ data: [reminder], error: null }, claimed(reminder)));
+    summary = await bookingRemindersService.processDue();
+
+    expect(summary.failed).toBe(1);
+    expect(updates[1]).toMatchObject({ status: 'failed', next_attempt_at: null });
+  });
+
+  it('should count a reminder the client opted out of as done', async () => {
+    notificationService.notify.mockResolvedValue({
+      dispatch_id: 'dispatch-3',
+      deliveries: [{ channel: 'email', status: 'skipped', reason: 'disabled' }, { channel: 'push', status: 'skipped', reason: 'disabled' }]
+    });
+    const reminder = dueReminder();
+    const { updates } = mockQueries({ data: [reminder], error: null }, claimed(reminder));
+
+    const summary = await bookingRemindersService.processDue();
+
+    expect(summary.sent).toBe(1);
+    expect(updates[1]).toMatchObject({ status: 'sent' });
+  });
+});
@@ -0,0 +1,330 @@
+// Mock dependencies
+jest.mock('../src/config/database');
+
+const { supabaseAdmin } = require('../src/config/database');
+const bookingSeriesService = require('../src/services/bookingSeriesService');
+const availabilityService = require('../src/services/availabilityService');
+const bookingHoldService = require('../src/services/bookingHoldService');
+const clientReliabilityService = require('../src/services/clientReliabilityService');
+const packageService = require('../src/services/packageService');
+const emailService = require('../src/services/emailService');
+const bookingController = require('../src/controllers/bookingController');
+const waitlistController = require('../src/controllers/waitlistController');
+const { AppError } = require('../src/middleware/errorHandler');
+const { mockQueries, mockTables } = require('./helpers/mockQueries');
+const { runHandler } = require('./helpers/runHandler');
+
+const salon = { id: 'salon-1', owner_id: 'owner-1' };
+const service = { id: 'service-1', duration: 60, price: 40, currency: 'EUR' };
+
+// Second occurrence of a four-weekly series
+const occurrence = (overrides = {}) => ({
+  id: 'booking-2',
+  client_id: 'client-1',
+  salon_id: 'salon-1',
+  service_id: 'service-1',
+  staff_id: 'staff-1',
+  appointment_date: '2030-02-01',
+  start_time: '10:00:00',
+  status: 'confirmed',
+  series_id: 'series-1',
+  series_index: 1,
+  salons: salon,
+  services: service,
+  ...overrides
+});
+
+describe('BookingSeriesService', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('parseScope', () => {
+    it('should default to this occurrence only', () => {
+      expect(bookingSeriesService.parseScope(undefined)).toBe('this');
+      expect(bookingSeriesService.parseScope('following')).toBe('following');
+      expect(bookingSeriesService.parseScope('all')).toBe('all');
+    });
+
+    it('should reject unknown scopes', () => {
+      expect(() => bookingSeriesService.parseScope('future')).toThrow(expect.objectContaining({ statusCode: 400, code: 'INVALID_SCOPE' }));
+    });
+  });
+
+  describe('getScopeBookings', () => {
+    it('should not look further for "this" or a one-off booking', async () => {
+      mockQueries();
+
+      await expect(bookingSeriesService.getScopeBookings(occurrence(), 'this')).resolves.toEqual([occurrence()]);
+      await expect(bookingSeriesService.getScopeBookings(occurrence({ series_id: null }), 'all')).resolves.toHaveLength(1);
+      expect(supabaseAdmin.from).not.toHaveBeenCalled();
+    });
+
+    it('should take this and the later upcoming occurrences for "following"', async () => {
+      const { calls } = mockQueries({ data: [occurrence(), { id: 'booking-3' }], error: null });
+
+      const bookings = await bookingSeriesService.getScopeBookings(occurrence(), 'following');
+
+      expect(bookings.map(b => b.id)).toEqual(['booking-2', 'booking-3']);
+      expect(calls).toContainEqual(['bookings', 'gte', 'series_index', 1]);
+      expect(calls).toContainEqual(['bookings', 'in', 'status', ['pending', 'confirmed']]);
+    });
+
+    it('should take every upcoming occurrence for "all", the chosen one first', async () => {
+      const { calls } = mockQueries({ data: [{ id: 'booking-1' }, occurrence(), { id: 'booking-3' }], error: null });
+
+      const bookings = await bookingSeriesService.getScopeBookings(occurrence(), 'all');
+
+      expect(bookings.map(b => b.id)).toEqual(['booking-2', 'booking-1', 'booking-3']);
+      expect(calls.some(call => call[1] === 'gte')).toBe(false);
+    });
+
+    it('should fail when the series can\'t be read', async () => {
+      mockQueries({ data: null, error: { message: 'timeout' } });
+
+      await expect(bookingSeriesService.getScopeBookings(occurrence(), 'all'))
+        .rejects.toMatchObject({ statusCode: 500, code: 'SERIES_FETCH_FAILED' });
+    });
+  });
+
+  describe('closeSeries', () => {
+    it('should end the series the day before when following occurrences are cancelled', async () => {
+      const { calls, updates } = mockQueries();
+
+      await bookingSeriesService.closeSeries(occurrence(), 'following');
+
+      expect(updates[0]).toMatchObject({ status: 'ended', until_date: '2030-01-31' });
+      expect(calls).toContainEqual(['booking_series', 'eq', 'id', 'series-1']);
+    });
+
+    it('should cancel the series when everything is cancelled', async () => {
+      let { updates } = mockQueries();
+      await bookingSeriesService.closeSeries(occurrence(), 'all');
+      expect(updates[0]).toMatchObject({ status: 'cancelled' });
+
+      ({ updates } = mockQueries());
+      await bookingSeriesService.closeSeries(occurrence({ series_index: 0 }), 'following');
+      expect(updates[0]).toMatchObject({ status: 'cancelled' });
+    });
+
+    it('should leave the series alone for a single occurrence', async () => {
+      mockQueries();
+      await bookingSeriesService.closeSeries(occurrence(), 'this');
+      expect(supabaseAdmin.from).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('updateSeriesTime', () => {
+    it('should store the new time on the series', async () => {
+      const { calls, updates } = mockQueries();
+
+      await bookingSeriesService.updateSeriesTime('series-1', '11:30');
+
+      expect(updates[0]).toMatchObject({ start_time: '11:30' });
+      expect(calls).toContainEqual(['booking_series', 'eq', 'id', 'series-1']);
+    });
+  });
+
+  describe('createSeries', () => {
+    const firstBooking = { id: 'booking-1', appointment_date: '2030-01-04', start_time: '10:00:00' };
+
+    beforeEach(() => {
+      jest.spyOn(availabilityService, 'assertBookableTime').mockImplementation(() => ({}));
+      jest.spyOn(availabilityService, 'assertSlotAvailable').mockResolvedValue('staff-1');
+      jest.spyOn(bookingHoldService, 'createBookingAtomic')
+        .mockResolvedValueOnce('booking-2')
+        .mockResolvedValueOnce('booking-3');
+    });
+
+    it('should book every date with a price and a pending payment of its own', async () => {
+      const { calls, updates } = mockTables(supabaseAdmin, { booking_series: { data: { id: 'series-1' }, error: null } });
+
+      const { series, occurrences } = await bookingSeriesService.createSeries({
+        salon, service, clientId: 'client-1', firstBooking, rule: bookingSeriesService.parseRule({ interval_weeks: 4, count: 3 })
+      });
+
+      expect(series.id).toBe('series-1');
+      expect(occurrences.map(o => [o.appointment_date, o.booking_id])).toEqual([
+        ['2030-01-04', 'booking-1'],
+        ['2030-02-01', 'booking-2'],
+        ['2030-03-01', 'booking-3']
+      ]);
+      // The first booking went through createBooking and already has its price
+      expect(updates[0]).toEqual({ series_id: 'series-1', series_index: 0 });
+      expect(updates[1]).toEqual({ series_id: 'series-1', series_index: 1, total_price: 40, discount_amount: 0 });
+      const payments = calls.filter(call => call[0] === 'payments' && call[1] === 'insert').map(call => call[2][0]);
+      expect(payments).toEqual([
+        { booking_id: 'booking-2', amount: 40, discount_amount: 0, currency: 'EUR', status: 'pending' },
+        { booking_id: 'booking-3', amount: 40, discount_amount: 0, currency: 'EUR', status: 'pending' }
+      ]);
+    });
+
+    it('should report dates that can\'t be booked without a payment for them', async () => {
+      availabilityService.assertSlotAvailable
+        .mockRejectedValueOnce(new AppError('Time slot not available', 409, 'TIME_SLOT_CONFLICT'));
+      const { calls } = mockTables(supabaseAdmin, { booking_series: { data: { id: 'series-1' }, error: null } });
+
+      const { occurrences } = await bookingSeriesService.createSeries({
+        salon, service, clientId: 'client-1', firstBooking, rule: bookingSeriesService.parseRule({ interval_weeks: 4, count: 3 })
+      });
+
+      expect(occurrences[1]).toMatchObject({ status: 'conflict', reason: 'TIME_SLOT_CONFLICT' });
+      expect(occurrences[2]).toMatchObject({ status: 'booked', booking_id: 'booking-2' });
+      expect(calls.filter(call => call[0] === 'payments' && call[1] === 'insert')).toHaveLength(1);
+    });
+  });
+
+  describe('assertSeriesPayable', () => {
+    const params = { salon, service, clientId: 'client-1' };
+
+    beforeEach(() => {
+      jest.spyOn(clientReliabilityService, 'getDepositRequirement').mockResolvedValue({ required: false });
+      jest.spyOn(packageService, 'getClientCredits').mockResolvedValue([{ service: { id: 'service-9' } }]);
+    });
+
+    it('should accept a series paid at the salon', async () => {
+      await expect(bookingSeriesService.assertSeriesPayable(params)).resolves.toBeUndefined();
+    });
+
+    it('should reject payments that only cover the first appointment', async () => {
+      const rejected = { statusCode: 400, code: 'SERIES_PAYMENT_NOT_SUPPORTED' };
+
+      await expect(bookingSeriesService.assertSeriesPayable({ ...params, paymentIntentId: 'pi_1' })).rejects.toMatchObject(rejected);
+      await expect(bookingSeriesService.assertSeriesPayable({ ...params, promoCode: 'SPRING' })).rejects.toMatchObject(rejected);
+
+      clientReliabilityService.getDepositRequirement.mockResolvedValueOnce({ required: true });
+      await expect(bookingSeriesService.assertSeriesPayable(params)).rejects.toMatchObject(rejected);
+    });
+
+    it('should reject package credits unless the client opts out of them', async () => {
+      packageService.getClientCredits.mockResolvedValue([{ service: { id: 'service-1' } }]);
+
+      await expect(bookingSeriesService.assertSeriesPayable(params))
+        .rejects.toMatchObject({ code: 'SERIES_PAYMENT_NOT_SUPPORTED' });
+      await expect(bookingSeriesService.assertSeriesPayable({ ...params, usePackageCredit: false })).resolves.toBeUndefined();
+    });
+  });
+});
+
+describe('Editing a recurring booking', () => {
+  const reschedule = scope => runHandler(bookingController.rescheduleBooking, {
+    params: { bookingId: 'booking-2' },
+    body: { appointment_date: '2030-02-02', start_time: '11:00', scope },
+    user: { id: 'client-1' }
+  });
+  const moved = () => bookingHoldService.moveBookingAtomic.mock.calls.map(call => [call[0].bookingId, call[0].date]);
+
+  beforeEach(() => {
+    jest.spyOn(availabilityService, 'assertBookableTime').mockImplementation(() => ({}));
+    jest.spyOn(availabilityService, 'assertSlotAvailable').mockResolvedValue('staff-1');
+    jest.spyOn(bookingHoldService, 'moveBookingAtomic').mockResolvedValue();
+    jest.spyOn(emailService, 'sendBookingRescheduleNotice').mockResolvedValue();
+    jest.spyOn(bookingController, '_notifyBookingChange').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should move only the chosen occurrence for "this"', async () => {
+    mockQueries({ data: occurrence(), error: null }, { data: occurrence(), error: null });
+
+    const { status, body } = await reschedule('this');
+
+    expect(status).toBe(200);
+    expect(body.data.occurrences).toBeUndefined();
+    expect(moved()).toEqual([['booking-2', '2030-02-02']]);
+  });
+
+  it('should shift the following occurrences by the same number of days', async () => {
+    const { calls } = mockQueries(
+      { data: occurrence(), error: null },
+      { data: [occurrence(), occurrence({ id: 'booking-3', appointment_date: '2030-03-01', series_index: 2 })], error: null },
+      { data: occurrence(), error: null }
+    );
+
+    const { body } = await reschedule('following');
+
+    expect(moved()).toEqual([['booking-2', '2030-02-02'], ['booking-3', '2030-03-02']]);
+    expect(body.data.occurrences).toEqual([{ booking_id: 'booking-3', appointment_date: '2030-03-02', status: 'moved' }]);
+    expect(calls).toContainEqual(['bookings', 'gte', 'series_index', 1]);
+    expect(calls.some(call => call[0] === 'booking_series')).toBe(false);
+  });
+
+  it('should move all occurrences, report conflicts and keep the series time in sync', async () => {
+    bookingHoldService.moveBookingAtomic
+      .mockResolvedValueOnce()
+      .mockRejectedValueOnce(new AppError('Time slot not available', 409, 'TIME_SLOT_CONFLICT'));
+    const { updates } = mockQueries(
+      { data: occurrence(), error: null },
+      { data: [occurrence({ id: 'booking-1', appointment_date: '2030-01-04', series_index: 0 }), occurrence()], error: null },
+      { data: null, error: null },
+      { data: occurrence(), error: null }
+    );
+
+    const { body } = await reschedule('all');
+
+    expect(body.data.occurrences).toEqual([
+      expect.objectContaining({ booking_id: 'booking-1', appointment_date: '2030-01-05', status: 'conflict', reason: 'TIME_SLOT_CONFLICT' })
+    ]);
+    expect(updates[0]).toMatchObject({ start_time: '11:00' });
+  });
+
+  it('should reject an unknown scope before touching the booking', async () => {
+    mockQueries();
+
+    const { error } = await reschedule('some');
+
+    expect(error).toMatchObject({ statusCode: 400, code: 'INVALID_SCOPE' });
+    expect(supabaseAdmin.from).not.toHaveBeenCalled();
+  });
+});
+
+describe('Cancelling a recurring booking', () => {
+  const cancelled = { status: 'cancelled', cancelled_by: 'client' };
+
+  beforeEach(() => {
+    jest.spyOn(waitlistController, 'processWaitlistForCancelledBooking').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should cancel nothing else for "this"', async () => {
+    mockQueries();
+
+    await expect(bookingController._cancelSeriesOccurrences(occurrence(), 'this', cancelled)).resolves.toEqual([]);
+    expect(supabaseAdmin.from).not.toHaveBeenCalled();
+  });
+
+  it('should cancel the following occurrences, free their slots and end the series', async () => {
+    const later = occurrence({ id: 'booking-3', appointment_date: '2030-03-01', series_index: 2 });
+    const { calls, updates } = mockQueries(
+      { data: [occurrence(), later], error: null },
+      { data: null, error: null },
+      { data: null, error: null }
+    );
+
+    const others = await bookingController._cancelSeriesOccurrences(occurrence(), 'following', cancelled);
+
+    expect(others.map(b => b.id)).toEqual(['booking-3']);
+    expect(updates[0]).toEqual(cancelled);
+    expect(calls).toContainEqual(['bookings', 'in', 'id', ['booking-3']]);
+    expect(waitlistController.processWaitlistForCancelledBooking).toHaveBeenCalledWith('salon-1', 'service-1', '2030-03-01', '10:00:00');
+    expect(updates[1]).toMatchObject({ status: 'ended', until_date: '2030-01-31' });
+  });
+
+  it('should cancel every occurrence and the series for "all"', async () => {
+    const { updates } = mockQueries(
+      { data: [occurrence({ id: 'booking-1', series_index: 0 }), occurrence()], error: null },
+      { data: null, error: null },
+      { data: null, error: null }
+    );
+
+    const others = await bookingController._cancelSeriesOccurrences(occurrence(), 'all', cancelled);
+
+    expect(others.map(b => b.id)).toEqual(['booking-1']);
+    expect(updates[1]).toMatchObject({ status: 'cancelled' });
+  });
+});
@@ -0,0 +1,45 @@
+const {
+  resolveCancellationPolicy,
+  quoteCancellation,
+  validateCancellationPolicy
+} = require('../src/utils/cancellationPolicy');
+
+describe('Cancellation policy', () => {
+  const now = new Date('2030-01-04T10:00:00Z');
+  const hoursFromNow = hours => new Date(now.getTime() + hours * 3600000);
+  const policy = { freeCancelWindowHours: 24, lateCancelFeePercent: 50, noShowFeePercent: 100 };
+
+  describe('resolveCancellationPolicy', () => {
+    it('should use salon values and fall back to defaults', () => {
+      const resolved = resolveCancellationPolicy({ free_cancel_window_hours: 48, late_cancel_fee_percent: '25.00' });
+      expect(resolved.freeCancelWindowHours).toBe(48);
+      expect(resolved.lateCancelFeePercent).toBe(25);
+      expect(typeof resolved.noShowFeePercent).toBe('number');
+    });
+  });
+
+  describe('quoteCancellation', () => {
+    it('should be free outside the window and refund everything paid', () => {
+      const quote = quoteCancellation({ policy, startsAt: hoursFromNow(30), amount: 40, paidAmount: 40, now });
+      expect(quote).toMatchObject({ late: false, fee: 0, refund: 40, chargeDue: 0 });
+    });
+
+    it('should keep the late fee from a prepaid booking', () => {
+      const quote = quoteCancellation({ policy, startsAt: hoursFromNow(5), amount: 45, paidAmount: 45, now });
+      expect(quote).toMatchObject({ late: true, feePercent: 50, fee: 22.5, refund: 22.5, chargeDue: 0 });
+    });
+
+    it('should charge the late fee when nothing was paid', () => {
+      const quote = quoteCancellation({ policy, startsAt: hoursFromNow(2), amount: 39.99, now });
+      expect(quote).toMatchObject({ late: true, fee: 20, refund: 0, chargeDue: 20 });
+    });
+  });
+
+  describe('validateCancellationPolicy', () => {
+    it('should reject percentages outside 0-100 and negative windows', () => {
+      expect(validateCancellationPolicy({ late_cancel_fee_percent: 150 })).toBeTruthy();
+      expect(validateCancellationPolicy({ free_cancel_window_hours: -1 })).toBeTruthy();
+      expect(validateCancellationPolicy({ no_show_fee_percent: 100, free_cancel_window_hours: 12 })).toBeNull();
+    });
+  });
+});
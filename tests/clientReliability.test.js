@@ -0,0 +1,245 @@
+// Mock dependencies
+jest.mock('../src/config/database');
+
+const clientReliabilityService = require('../src/services/clientReliabilityService');
+const refundService = require('../src/services/refundService');
+const stripeService = require('../src/services/stripeService');
+const bookingController = require('../src/controllers/bookingController');
+const availabilityService = require('../src/services/availabilityService');
+const bookingHoldService = require('../src/services/bookingHoldService');
+const { supabase, supabaseAdmin, getAuthenticatedClient } = require('../src/config/database');
+const { mockQueries, mockTables } = require('./helpers/mockQueries');
+const { runHandler } = require('./helpers/runHandler');
+
+describe('ClientReliabilityService', () => {
+  describe('summarize', () => {
+    it('should report new clients without a score', () => {
+      expect(clientReliabilityService.summarize([])).toMatchObject({
+        total_bookings: 0,
+        reliability_score: null,
+        rating: 'new'
+      });
+    });
+
+    it('should count no-shows and late cancellations', () => {
+      const summary = clientReliabilityService.summarize([
+        { status: 'completed' },
+        { status: 'completed' },
+        { status: 'completed' },
+        { status: 'no_show' },
+        { status: 'cancelled', cancelled_by: 'client', cancellation_fee: 15 },
+        { status: 'cancelled', cancelled_by: 'client', cancellation_fee: 0 },
+        { status: 'confirmed' }
+      ]);
+      expect(summary).toMatchObject({
+        total_bookings: 7,
+        completed: 3,
+        no_shows: 1,
+        late_cancellations: 1,
+        reliability_score: 70,
+        rating: 'fair'
+      });
+    });
+  });
+
+  describe('getDepositRequirement', () => {
+    const service = { id: 'service-1', price: 60 };
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should not require a deposit when the salon has no rule', async () => {
+      const spy = jest.spyOn(clientReliabilityService, 'getNoShowCount');
+      const result = await clientReliabilityService.getDepositRequirement(
+        { id: 'salon-1', deposit_after_no_shows: 0 }, service, 'client-1'
+      );
+      expect(result.required).toBe(false);
+      expect(spy).not.toHaveBeenCalled();
+    });
+
+    it('should require a deposit once the client reaches the no-show threshold', async () => {
+      jest.spyOn(clientReliabilityService, 'getNoShowCount').mockResolvedValue(2);
+      const result = await clientReliabilityService.getDepositRequirement(
+        { id: 'salon-1', deposit_after_no_shows: 2, deposit_percent: 25 }, service, 'client-1'
+      );
+      expect(result).toEqual({ required: true, noShows: 2, threshold: 2, percent: 25, amount: 15 });
+    });
+
+    it('should not require a deposit below the threshold', async () => {
+      jest.spyOn(clientReliabilityService, 'getNoShowCount').mockResolvedValue(1);
+      const result = await clientReliabilityService.getDepositRequirement(
+        { id: 'salon-1', deposit_after_no_shows: 2, deposit_percent: 25 }, service, 'client-1'
+      );
+      expect(result).toMatchObject({ required: false, amount: 0 });
+    });
+  });
+});
+
+describe('Deposits on client cancellation', () => {
+  // 25% deposit paid by card up front, the rest at the salon
+  const booking = (salon = {}) => ({
+    id: 'booking-1',
+    client_id: 'client-1',
+    appointment_date: '2030-01-10',
+    start_time: '10:00:00',
+    services: { price: 60 },
+    salons: { id: 'salon-1', timezone: 'Europe/Amsterdam', free_cancel_window_hours: 24, stripe_account_id: 'acct_1', ...salon },
+    payments: [
+      { id: 'payment-1', payment_type: 'booking', amount: 45, status: 'pending' },
+      { id: 'deposit-1', payment_type: 'deposit', amount: 15, status: 'succeeded', stripe_payment_intent_id: 'pi_deposit' }
+    ]
+  });
+  const cancel = async b => {
+    const { quote } = bookingController._quoteClientCancellation(b);
+    return { quote, settlement: await bookingController._settleCancellation(b, quote) };
+  };
+
+  const stripeEnabled = stripeService.isEnabled;
+
+  beforeEach(() => {
+    stripeService.isEnabled = true;
+    mockQueries();
+    jest.spyOn(refundService, 'refundPayment').mockImplementation(async (payment, { amount }) => ({ amount }));
+    jest.spyOn(stripeService, 'createFeePaymentIntent').mockResolvedValue({ id: 'pi_fee', client_secret: 'secret' });
+  });
+
+  afterEach(() => {
+    stripeService.isEnabled = stripeEnabled;
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  it('should refund the whole deposit on a free cancellation', async () => {
+    jest.useFakeTimers({ now: new Date('2030-01-01T10:00:00Z') });
+
+    const { quote, settlement } = await cancel(booking({ late_cancel_fee_percent: 50 }));
+
+    expect(quote).toMatchObject({ late: false, fee: 0, refund: 15, chargeDue: 0 });
+    expect(refundService.refundPayment).toHaveBeenCalledTimes(1);
+    expect(refundService.refundPayment).toHaveBeenCalledWith(
+      expect.objectContaining({ id: 'deposit-1' }),
+      expect.objectContaining({ amount: 15, initiatedBy: 'client_cancellation' })
+    );
+    expect(settlement.refundAmount).toBe(15);
+  });
+
+  it('should keep a late fee from the deposit and refund the rest of it', async () => {
+    jest.useFakeTimers({ now: new Date('2030-01-10T07:00:00Z') });
+
+    const { quote, settlement } = await cancel(booking({ late_cancel_fee_percent: 20 }));
+
+    // 20% of the full 60, not of the 45 still to pay
+    expect(quote).toMatchObject({ late: true, fee: 12, refund: 3, chargeDue: 0 });
+    expect(refundService.refundPayment).toHaveBeenCalledWith(expect.objectContaining({ id: 'deposit-1' }), expect.objectContaining({ amount: 3 }));
+    expect(stripeService.createFeePaymentIntent).not.toHaveBeenCalled();
+    expect(settlement).toMatchObject({ refundAmount: 3, feePayment: null });
+  });
+
+  it('should only charge the part of a late fee the deposit doesn\'t cover', async () => {
+    jest.useFakeTimers({ now: new Date('2030-01-10T07:00:00Z') });
+
+    const { quote, settlement } = await cancel(booking({ late_cancel_fee_percent: 50 }));
+
+    expect(quote).toMatchObject({ fee: 30, refund: 0, chargeDue: 15 });
+    expect(refundService.refundPayment).not.toHaveBeenCalled();
+    expect(stripeService.createFeePaymentIntent).toHaveBeenCalledWith(expect.objectContaining({ amount: 15, feeType: 'cancellation_fee' }));
+    expect(settlement.feePayment).toMatchObject({ amount: 15 });
+  });
+});
+
+describe('Deposits on basket and group bookings', () => {
+  const salon = { id: 'salon-1', owner_id: 'owner-1' };
+  const services = [
+    { id: 'cut', salon_id: 'salon-1', name: 'Knippen', duration: 30, price: 40, currency: 'EUR' },
+    { id: 'color', salon_id: 'salon-1', name: 'Kleuren', duration: 60, price: 20, currency: 'EUR' }
+  ];
+  const request = body => ({
+    body: { salon_id: 'salon-1', appointment_date: '2030-01-10', start_time: '10:00', ...body },
+    user: { id: 'client-1' },
+    token: 'token'
+  });
+  let clientCalls;
+  let adminCalls;
+  const inserts = (calls, table) => calls
+    .filter(call => call[0] === table && call[1] === 'insert')
+    .map(call => call[2][0]);
+
+  beforeEach(() => {
+    ({ calls: clientCalls } = mockTables(supabase, {
+      salons: { data: salon, error: null },
+      services: { data: services, error: null },
+      bookings: {
+        data: [
+          { id: 'booking-1', services: services[0] },
+          { id: 'booking-2', services: services[1] }
+        ],
+        error: null
+      }
+    }));
+    ({ calls: adminCalls } = mockTables(supabaseAdmin, { payments: { data: [], error: null } }));
+    supabaseAdmin.rpc = jest.fn().mockResolvedValue({ data: null, error: null });
+    getAuthenticatedClient.mockReturnValue(supabase);
+    jest.spyOn(availabilityService, 'assertBookableTime').mockImplementation(() => ({}));
+    jest.spyOn(availabilityService, 'planBasket').mockResolvedValue([]);
+    jest.spyOn(availabilityService, 'planGroup').mockResolvedValue([]);
+    jest.spyOn(bookingHoldService, 'createBasketAtomic').mockResolvedValue('basket-1');
+    jest.spyOn(bookingHoldService, 'createGroupAtomic').mockResolvedValue('group-1');
+    jest.spyOn(clientReliabilityService, 'getDepositRule').mockReturnValue({ afterNoShows: 2, percent: 25 });
+    jest.spyOn(clientReliabilityService, 'getNoShowCount').mockResolvedValue(2);
+    jest.spyOn(stripeService, 'verifyDepositPayment').mockResolvedValue({ id: 'pi_deposit', amount: 1500, currency: 'eur', status: 'succeeded' });
+    jest.spyOn(bookingController, '_loadFamilyMembers').mockResolvedValue(new Map([['kid-1', { id: 'kid-1' }]]));
+    jest.spyOn(bookingController, '_sendNewBookingNotifications').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should not book a basket without the deposit for the whole visit', async () => {
+    const { error } = await runHandler(bookingController.createBasketBooking, request({
+      items: [{ service_id: 'cut' }, { service_id: 'color' }]
+    }));
+
+    expect(error).toMatchObject({ statusCode: 402, code: 'DEPOSIT_REQUIRED', message: expect.stringContaining('15.00') });
+    expect(bookingHoldService.createBasketAtomic).not.toHaveBeenCalled();
+  });
+
+  it('should record a basket deposit and take it off the basket payment', async () => {
+    const { status } = await runHandler(bookingController.createBasketBooking, request({
+      items: [{ service_id: 'cut' }, { service_id: 'color' }],
+      deposit_payment_intent_id: 'pi_deposit'
+    }));
+
+    expect(status).toBe(201);
+    expect(stripeService.verifyDepositPayment).toHaveBeenCalledWith('pi_deposit', expect.objectContaining({ amount: 15 }));
+    expect(inserts(adminCalls, 'payments')).toEqual([
+      expect.objectContaining({ booking_id: 'booking-1', amount: 15, payment_type: 'deposit', stripe_payment_intent_id: 'pi_deposit' })
+    ]);
+    expect(inserts(clientCalls, 'payments')).toEqual([expect.objectContaining({ booking_id: 'booking-1', amount: 45 })]);
+  });
+
+  it('should not book a group without the deposit', async () => {
+    const { error } = await runHandler(bookingController.createGroupBooking, request({
+      guests: [{ service_id: 'cut' }, { service_id: 'color', family_member_id: 'kid-1' }]
+    }));
+
+    expect(error).toMatchObject({ statusCode: 402, code: 'DEPOSIT_REQUIRED' });
+    expect(bookingHoldService.createGroupAtomic).not.toHaveBeenCalled();
+  });
+
+  it('should split a group deposit over the appointments by price', async () => {
+    const { status } = await runHandler(bookingController.createGroupBooking, request({
+      guests: [{ service_id: 'cut' }, { service_id: 'color', family_member_id: 'kid-1' }],
+      deposit_payment_intent_id: 'pi_deposit'
+    }));
+
+    expect(status).toBe(201);
+    expect(inserts(adminCalls, 'payments').map(p => [p.booking_id, p.amount, p.payment_type])).toEqual([
+      ['booking-1', 10, 'deposit'],
+      ['booking-2', 5, 'deposit']
+    ]);
+    const payments = clientCalls.filter(call => call[0] === 'payments' && call[1] === 'insert')[0][2];
+    expect(payments.map(p => [p.booking_id, p.amount])).toEqual([['booking-1', 30], ['booking-2', 15]]);
+  });
+});
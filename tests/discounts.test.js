@@ -0,0 +1,253 @@
+// Mock dependencies
+jest.mock('../src/config/database');
+
+const { supabase, supabaseAdmin, getAuthenticatedClient } = require('../src/config/database');
+const {
+  dayOfWeek,
+  promotionMismatch,
+  discountAmount,
+  bestDiscount,
+  validatePromotion
+} = require('../src/utils/discounts');
+const promotionService = require('../src/services/promotionService');
+const availabilityService = require('../src/services/availabilityService');
+const bookingHoldService = require('../src/services/bookingHoldService');
+const bookingSeriesService = require('../src/services/bookingSeriesService');
+const clientReliabilityService = require('../src/services/clientReliabilityService');
+const packageService = require('../src/services/packageService');
+const bookingController = require('../src/controllers/bookingController');
+const { AppError } = require('../src/middleware/errorHandler');
+const { mockTables } = require('./helpers/mockQueries');
+const { runHandler } = require('./helpers/runHandler');
+
+describe('Discounts', () => {
+  const now = new Date('2030-01-04T10:00:00Z');
+  // 2030-01-08 is a Tuesday
+  const booking = { serviceId: 'service-1', date: '2030-01-08', startTime: '10:30', firstVisit: false, now };
+  const promotion = overrides => ({
+    id: 'promo-1',
+    name: 'Promo',
+    code: null,
+    discount_type: 'percentage',
+    discount_value: 20,
+    first_visit_only: false,
+    days_of_week: null,
+    start_time: null,
+    end_time: null,
+    service_ids: null,
+    valid_from: null,
+    valid_until: null,
+    max_uses: null,
+    max_uses_per_client: null,
+    uses_count: 0,
+    is_active: true,
+    ...overrides
+  });
+
+  describe('dayOfWeek', () => {
+    it('should read the weekday from the date string', () => {
+      expect(dayOfWeek('2030-01-08')).toBe(2);
+      expect(dayOfWeek('2030-01-06T23:30:00')).toBe(0);
+    });
+  });
+
+  describe('promotionMismatch', () => {
+    it('should match an off-peak window by day and start time', () => {
+      const offPeak = promotion({ days_of_week: [1, 2, 3], start_time: '09:00:00', end_time: '12:00:00' });
+      expect(promotionMismatch(offPeak, booking)).toBeNull();
+      expect(promotionMismatch(offPeak, { ...booking, startTime: '12:00' })).toMatch(/time/);
+      expect(promotionMismatch(offPeak, { ...booking, date: '2030-01-11' })).toMatch(/day/);
+    });
+
+    it('should enforce first visits, services, validity and usage limits', () => {
+      expect(promotionMismatch(promotion({ first_visit_only: true }), booking)).toMatch(/first visits/);
+      expect(promotionMismatch(promotion({ first_visit_only: true }), { ...booking, firstVisit: true })).toBeNull();
+      expect(promotionMismatch(promotion({ service_ids: ['service-2'] }), booking)).toMatch(/service/);
+      expect(promotionMismatch(promotion({ valid_until: '2030-01-01T00:00:00Z' }), booking)).toMatch(/not available/);
+      expect(promotionMismatch(promotion({ valid_from: '2030-02-01T00:00:00Z' }), booking)).toMatch(/not available/);
+      expect(promotionMismatch(promotion({ max_uses: 10, uses_count: 10 }), booking)).toMatch(/not available/);
+      expect(promotionMismatch(promotion({ is_active: false }), booking)).toMatch(/not available/);
+    });
+  });
+
+  describe('discountAmount', () => {
+    it('should take a percentage or a fixed amount, never more than the price', () => {
+      expect(discountAmount(promotion({ discount_value: '15' }), 39.99)).toBe(6);
+      expect(discountAmount(promotion({ discount_type: 'fixed', discount_value: 10 }), 45)).toBe(10);
+      expect(discountAmount(promotion({ discount_type: 'fixed', discount_value: 50 }), 45)).toBe(45);
+    });
+  });
+
+  describe('bestDiscount', () => {
+    it('should pick the single largest matching discount', () => {
+      const promotions = [
+        promotion({ id: 'ten-percent', discount_value: 10 }),
+        promotion({ id: 'fixed', discount_type: 'fixed', discount_value: 8 }),
+        promotion({ id: 'first-visit', discount_value: 50, first_visit_only: true })
+      ];
+
+      expect(bestDiscount(promotions, booking, 60)).toMatchObject({ promotion: { id: 'fixed' }, discount: 8 });
+      expect(bestDiscount(promotions, { ...booking, firstVisit: true }, 60)).toMatchObject({ promotion: { id: 'first-visit' }, discount: 30 });
+      expect(bestDiscount([], booking, 60)).toBeNull();
+    });
+  });
+
+  describe('validatePromotion', () => {
+    const valid = { name: 'Spring', discount_type: 'percentage', discount_value: 20 };
+
+    it('should accept a minimal promotion', () => {
+      expect(validatePromotion(valid)).toBeNull();
+      expect(validatePromotion({ ...valid, code: 'SPRING-20', days_of_week: [1, 2], start_time: '09:00', end_time: '12:00' })).toBeNull();
+    });
+
+    it('should reject bad values', () => {
+      expect(validatePromotion({ ...valid, discount_value: 120 })).toMatch(/more than 100/);
+      expect(validatePromotion({ ...valid, discount_type: 'free' })).toMatch(/discount_type/);
+      expect(validatePromotion({ ...valid, code: 'a b' })).toMatch(/code/);
+      expect(validatePromotion({ ...valid, days_of_week: [7] })).toMatch(/days_of_week/);
+      expect(validatePromotion({ ...valid, start_time: '12:00' })).toMatch(/go together/);
+      expect(validatePromotion({ ...valid, start_time: '12:00', end_time: '09:00' })).toMatch(/before/);
+      expect(validatePromotion({ ...valid, valid_from: '2030-02-01', valid_until: '2030-01-01' })).toMatch(/after/);
+      expect(validatePromotion({ ...valid, max_uses_per_client: 0 })).toMatch(/1 or more/);
+    });
+  });
+
+  describe('PromotionService.quote', () => {
+    const salon = { id: 'salon-1' };
+    const service = { id: 'service-1', price: '50.00', currency: 'EUR' };
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should price the booking with the best discount', async () => {
+      jest.spyOn(promotionService, '_candidatePromotions').mockResolvedValue([
+        promotion({ id: 'auto', discount_value: 10 }),
+        promotion({ id: 'code', code: 'SAVE15', discount_type: 'fixed', discount_value: 15 })
+      ]);
+      jest.spyOn(promotionService, 'isFirstVisit').mockResolvedValue(false);
+
+      const quote = await promotionService.quote({
+        salon, service, clientId: 'client-1', date: '2030-01-08', startTime: '10:30', promoCode: ' save15 '
+      });
+
+      expect(quote).toMatchObject({ price: 50, discount: 15, total: 35, currency: 'EUR', promotion: { id: 'code', code: 'SAVE15' } });
+    });
+
+    it('should reject a promo code that does not apply', async () => {
+      jest.spyOn(promotionService, '_candidatePromotions').mockResolvedValue([
+        promotion({ id: 'code', code: 'NEWHERE', first_visit_only: true })
+      ]);
+      jest.spyOn(promotionService, 'isFirstVisit').mockResolvedValue(false);
+      const quote = code => promotionService.quote({
+        salon, service, clientId: 'client-1', date: '2030-01-08', startTime: '10:30', promoCode: code
+      });
+
+      await expect(quote('NEWHERE')).rejects.toMatchObject({ statusCode: 400, code: 'PROMO_CODE_NOT_APPLICABLE' });
+      await expect(quote('OTHER')).rejects.toMatchObject({ statusCode: 404, code: 'PROMO_CODE_NOT_FOUND' });
+      await expect(quote('x,code.is.null')).rejects.toMatchObject({ code: 'PROMO_CODE_NOT_FOUND' });
+    });
+
+    it('should look the code up exactly, with no wildcards', async () => {
+      const { calls } = mockTables(supabaseAdmin, { promotions: { data: [], error: null } });
+
+      await promotionService._candidatePromotions('salon-1', 'SUMMER_10');
+
+      expect(calls).toContainEqual(['promotions', 'or', 'code.is.null,code.eq.SUMMER_10']);
+    });
+
+    it('should map a lost race for the last use to a conflict', async () => {
+      supabaseAdmin.rpc = jest.fn().mockResolvedValue({ data: null, error: { code: 'P0410' } });
+      await expect(promotionService.claim({ promotion: { id: 'promo-1' }, discount: 5 }, 'client-1'))
+        .rejects.toMatchObject({ statusCode: 409, code: 'PROMOTION_UNAVAILABLE' });
+      expect(await promotionService.claim({ promotion: null, discount: 0 }, 'client-1')).toBeNull();
+    });
+  });
+});
+
+describe('Promotion use of a new booking', () => {
+  const redemption = { id: 'redemption-1' };
+  const created = { data: { id: 'booking-1', client_id: 'client-1', appointment_date: '2030-01-08', start_time: '10:30:00' }, error: null };
+  const book = (body = {}) => runHandler(bookingController.createBooking, {
+    body: { salon_id: 'salon-1', service_id: 'service-1', appointment_date: '2030-01-08', start_time: '10:30', ...body },
+    user: { id: 'client-1' },
+    token: 'token'
+  });
+  const mockClientTables = (overrides = {}) => mockTables(supabase, {
+    services: { data: { id: 'service-1', salon_id: 'salon-1', duration: 60, price: 50 }, error: null },
+    salons: { data: { id: 'salon-1', owner_id: 'owner-1' }, error: null },
+    bookings: created,
+    payments: { data: { id: 'payment-1' }, error: null },
+    user_profiles: { data: { id: 'client-1' }, error: null },
+    ...overrides
+  });
+
+  beforeEach(() => {
+    mockClientTables();
+    mockTables(supabaseAdmin, {});
+    supabaseAdmin.rpc = jest.fn().mockResolvedValue({ data: null, error: null });
+    getAuthenticatedClient.mockReturnValue(supabase);
+    jest.spyOn(availabilityService, 'assertBookableTime').mockImplementation(() => ({}));
+    jest.spyOn(availabilityService, 'assertSlotAvailable').mockResolvedValue('staff-1');
+    jest.spyOn(bookingHoldService, 'createBookingAtomic').mockResolvedValue('booking-1');
+    jest.spyOn(clientReliabilityService, 'getDepositRequirement').mockResolvedValue({ required: false });
+    jest.spyOn(promotionService, 'quote').mockResolvedValue({
+      price: 50, discount: 10, total: 40, currency: 'EUR', promotion: { id: 'promo-1' }
+    });
+    jest.spyOn(promotionService, 'claim').mockResolvedValue(redemption);
+    jest.spyOn(promotionService, 'release').mockResolvedValue();
+    jest.spyOn(packageService, 'consumeCredit').mockResolvedValue(null);
+    jest.spyOn(bookingController, '_sendNewBookingNotifications').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should keep the use of a booking that was made', async () => {
+    const { status } = await book();
+
+    expect(status).toBe(201);
+    expect(promotionService.release).not.toHaveBeenCalledWith(redemption);
+  });
+
+  it('should give the use back when the slot is taken under the lock', async () => {
+    bookingHoldService.createBookingAtomic.mockRejectedValue(new AppError('Time slot not available', 409, 'TIME_SLOT_CONFLICT'));
+
+    const { error } = await book();
+
+    expect(error).toMatchObject({ statusCode: 409 });
+    expect(promotionService.release).toHaveBeenCalledTimes(1);
+    expect(promotionService.release).toHaveBeenCalledWith(redemption);
+  });
+
+  it('should keep the use claimed once the booking exists and a later step fails', async () => {
+    mockClientTables({ bookings: { data: null, error: { message: 'timeout' } } });
+
+    const { error } = await book();
+
+    expect(error).toMatchObject({ statusCode: 500, code: 'BOOKING_CREATION_FAILED' });
+    expect(bookingHoldService.createBookingAtomic).toHaveBeenCalled();
+    expect(promotionService.release).not.toHaveBeenCalled();
+  });
+
+  it('should keep the use claimed when the rest of a series can\'t be created', async () => {
+    jest.spyOn(packageService, 'getClientCredits').mockResolvedValue([]);
+    jest.spyOn(bookingSeriesService, 'createSeries')
+      .mockRejectedValue(new AppError('Failed to create recurring booking', 500, 'SERIES_CREATION_FAILED'));
+
+    const { error } = await book({ recurrence: { interval_weeks: 4, count: 3 } });
+
+    expect(error).toMatchObject({ code: 'SERIES_CREATION_FAILED' });
+    expect(promotionService.release).not.toHaveBeenCalled();
+  });
+
+  it('should give the use back once when a package credit pays and a later step fails', async () => {
+    packageService.consumeCredit.mockResolvedValue({ id: 'purchase-1', credits_remaining: 4, credits_total: 5, price_paid: 200 });
+    mockClientTables({ bookings: { data: null, error: { message: 'timeout' } } });
+
+    await book();
+
+    expect(promotionService.release.mock.calls.filter(call => call[0] === redemption)).toHaveLength(1);
+  });
+});
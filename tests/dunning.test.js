@@ -0,0 +1,168 @@
+// Mock dependencies
+jest.mock('../src/config/database');
+
+const { supabaseAdmin } = require('../src/config/database');
+const config = require('../src/config');
+const emailService = require('../src/services/emailService');
+const dunningService = require('../src/services/dunningService');
+const { activePlan } = require('../src/utils/plans');
+const { mockQueries } = require('./helpers/mockQueries');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('DunningService', () => {
+  const originalSubscription = { ...config.subscription };
+  const owner = { email: 'owner@example.com', first_name: 'Sam' };
+  const salon = {
+    id: 'salon-1',
+    owner_id: 'owner-1',
+    business_name: 'Studio',
+    subscription_plan: 'premium',
+    subscription_status: 'active',
+    stripe_subscription_id: 'sub_1',
+    payment_failed_at: null,
+    dunning_emails_sent: 0
+  };
+  const invoice = { id: 'in_1', subscription: 'sub_1', amount_due: 4900, currency: 'eur', hosted_invoice_url: 'https://pay' };
+
+  beforeEach(() => {
+    Object.assign(config.subscription, { grace_period_days: 7, dunning_email_days: [0, 3, 6] });
+    jest.spyOn(dunningService, '_getOwner').mockResolvedValue(owner);
+    jest.spyOn(emailService, 'sendSubscriptionPaymentFailed').mockResolvedValue();
+    jest.spyOn(emailService, 'sendSubscriptionDowngraded').mockResolvedValue();
+    jest.spyOn(emailService, 'sendSubscriptionRecovered').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  afterAll(() => {
+    Object.assign(config.subscription, originalSubscription);
+  });
+
+  describe('grace period', () => {
+    it('should keep the plan while the grace period runs', () => {
+      const pastDue = { ...salon, subscription_status: 'past_due' };
+      expect(activePlan({ ...pastDue, grace_period_ends_at: new Date(Date.now() + DAY_MS).toISOString() })).toBe('premium');
+      expect(activePlan({ ...pastDue, grace_period_ends_at: new Date(Date.now() - DAY_MS).toISOString() })).toBe('basic');
+      expect(activePlan(pastDue)).toBe('basic');
+    });
+  });
+
+  describe('handlePaymentFailed', () => {
+    it('should start the grace period and send the first dunning email', async () => {
+      jest.spyOn(dunningService, '_findSalon').mockResolvedValue(salon);
+      const started = { ...salon, payment_failed_at: new Date().toISOString(), grace_period_ends_at: new Date(Date.now() + 7 * DAY_MS).toISOString() };
+      const { updates } = mockQueries({ data: [started], error: null }, { data: [{ id: 'salon-1' }], error: null });
+
+      await dunningService.handlePaymentFailed(invoice);
+
+      expect(updates[0]).toMatchObject({ subscription_status: 'past_due', dunning_emails_sent: 0 });
+      const graceDays = (new Date(updates[0].grace_period_ends_at) - new Date(updates[0].payment_failed_at)) / DAY_MS;
+      expect(graceDays).toBe(7);
+      expect(updates[1]).toEqual({ dunning_emails_sent: 1 });
+      expect(emailService.sendSubscriptionPaymentFailed).toHaveBeenCalledWith(owner, started, expect.objectContaining({
+        attempt: 1,
+        finalNotice: false,
+        amountDue: 4900,
+        paymentUrl: 'https://pay'
+      }));
+    });
+
+    it('should ignore invoices that are not for a salon subscription', async () => {
+      jest.spyOn(dunningService, '_findSalon').mockResolvedValue(null);
+      await dunningService.handlePaymentFailed(invoice);
+      await dunningService.handlePaymentFailed({ id: 'in_2', subscription: null });
+      expect(emailService.sendSubscriptionPaymentFailed).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('sendDueReminder', () => {
+    const inDunning = (daysAgo, sent) => ({
+      ...salon,
+      subscription_status: 'past_due',
+      payment_failed_at: new Date(Date.now() - daysAgo * DAY_MS).toISOString(),
+      dunning_emails_sent: sent
+    });
+
+    it('should wait until the next reminder is due', async () => {
+      mockQueries();
+      expect(await dunningService.sendDueReminder(inDunning(2, 1))).toBe(false);
+      expect(supabaseAdmin.from).not.toHaveBeenCalled();
+    });
+
+    it('should send the final notice last', async () => {
+      mockQueries({ data: [{ id: 'salon-1' }], error: null });
+      expect(await dunningService.sendDueReminder(inDunning(6.5, 2))).toBe(true);
+      expect(emailService.sendSubscriptionPaymentFailed).toHaveBeenCalledWith(owner, expect.anything(), expect.objectContaining({ attempt: 3, finalNotice: true }));
+
+      expect(await dunningService.sendDueReminder(inDunning(6.5, 3))).toBe(false);
+    });
+
+    it('should not send a reminder another run already claimed', async () => {
+      mockQueries({ data: [], error: null });
+      expect(await dunningService.sendDueReminder(inDunning(4, 1))).toBe(false);
+      expect(emailService.sendSubscriptionPaymentFailed).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('processDunning', () => {
+    it('should downgrade salons whose grace period ran out and drop featured placement', async () => {
+      const lapsed = {
+        ...salon,
+        subscription_status: 'past_due',
+        is_featured: true,
+        payment_failed_at: new Date(Date.now() - 8 * DAY_MS).toISOString(),
+        grace_period_ends_at: new Date(Date.now() - DAY_MS).toISOString(),
+        dunning_emails_sent: 3
+      };
+      const { updates } = mockQueries({ data: [lapsed], error: null }, { data: [{ id: 'salon-1' }], error: null });
+
+      const summary = await dunningService.processDunning();
+
+      expect(summary).toEqual({ reminded: 0, downgraded: 1 });
+      expect(updates[0]).toMatchObject({
+        subscription_plan: 'basic',
+        downgraded_from_plan: 'premium',
+        is_featured: false,
+        featured_until: null
+      });
+      expect(emailService.sendSubscriptionDowngraded).toHaveBeenCalledWith(owner, lapsed, expect.objectContaining({ previousPlanName: 'Premium' }));
+    });
+  });
+
+  describe('handleInvoicePaid', () => {
+    it('should end dunning and restore the plan of a downgraded salon', async () => {
+      jest.spyOn(dunningService, '_findSalon').mockResolvedValue({
+        ...salon,
+        subscription_plan: 'basic',
+        payment_failed_at: new Date(Date.now() - 10 * DAY_MS).toISOString(),
+        downgraded_at: new Date(Date.now() - 2 * DAY_MS).toISOString(),
+        downgraded_from_plan: 'premium'
+      });
+      const { updates } = mockQueries({ data: null, error: null }, { data: [{ id: 'salon-1' }], error: null });
+
+      await dunningService.handleInvoicePaid({ ...invoice, lines: { data: [{ period: { end: 1900000000 } }] } });
+
+      expect(updates[0]).toMatchObject({ subscription_status: 'active' });
+      expect(updates[1]).toMatchObject({
+        payment_failed_at: null,
+        grace_period_ends_at: null,
+        downgraded_at: null,
+        subscription_plan: 'premium'
+      });
+      expect(emailService.sendSubscriptionRecovered).toHaveBeenCalledWith(owner, expect.anything(), { planName: 'Premium' });
+    });
+
+    it('should only record the payment for salons in good standing', async () => {
+      jest.spyOn(dunningService, '_findSalon').mockResolvedValue(salon);
+      const { updates } = mockQueries({ data: null, error: null });
+
+      await dunningService.handleInvoicePaid(invoice);
+
+      expect(updates).toHaveLength(1);
+      expect(emailService.sendSubscriptionRecovered).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,155 @@
+// Mock dependencies
+jest.mock('../src/config/database');
+
+const { supabaseAdmin } = require('../src/config/database');
+const emailService = require('../src/services/emailService');
+const { EMAIL_TEMPLATES, renderEmail, previewEmail, listEmailTemplates } = require('../src/services/emailTemplates');
+const { SUPPORTED_LANGUAGES, resolveLanguage, createTranslator } = require('../src/utils/i18n');
+const en = require('../src/locales/en');
+const nl = require('../src/locales/nl');
+
+// Dotted paths of every string in a bundle
+const keysOf = (bundle, prefix = '') => Object.entries(bundle).flatMap(([key, value]) => (
+  typeof value === 'object' ? keysOf(value, `${prefix}${key}.`) : [`${prefix}${key}`]
+));
+
+describe('Email translations', () => {
+  it('should translate every English string into Dutch', () => {
+    expect(keysOf(nl).sort()).toEqual(keysOf(en).sort());
+  });
+
+  it('should pick the bundle from the language setting', () => {
+    expect(resolveLanguage('nl')).toBe('nl');
+    expect(resolveLanguage('nl-BE')).toBe('nl');
+    expect(resolveLanguage('de')).toBe('en');
+    expect(resolveLanguage(null)).toBe('en');
+  });
+
+  it('should escape params but not the string itself', () => {
+    const t = createTranslator('en');
+
+    expect(t('subscription_recovered.intro', { plan: 'Premium', salon: 'Hair & <Co>' }))
+      .toContain('<strong>Hair &amp; &lt;Co&gt;</strong>');
+    expect(t.plain('gift_card.subject', { salon: 'Hair & Co' })).toBe('Your gift card for Hair & Co');
+  });
+});
+
+describe('Email templates', () => {
+  it('should preview every template in every language', () => {
+    expect(listEmailTemplates().map(template => template.name)).toEqual(Object.keys(EMAIL_TEMPLATES));
+
+    for (const { name } of listEmailTemplates()) {
+      for (const language of SUPPORTED_LANGUAGES) {
+        const { subject, html } = previewEmail(name, language);
+
+        expect(subject).toBeTruthy();
+        expect(html).toContain(`<html lang="${language}">`);
+        expect(html).not.toMatch(/undefined|NaN|\{\w+\}/);
+      }
+    }
+  });
+
+  it('should render in the recipient\'s language with the shared layout', () => {
+    const data = {
+      booking: { appointment_date: '2026-01-20', start_time: '10:00:00', cancellation_fee: 10 },
+      client: { first_name: 'Anna' },
+      salon: { business_name: 'Studio Noord' },
+      reason: ''
+    };
+
+    const dutch = renderEmail('booking_cancelled', data, 'nl');
+    expect(dutch.subject).toBe('Afspraak geannuleerd - SalonTime');
+    expect(dutch.html).toContain('Hallo Anna,');
+    expect(dutch.html).toContain('dinsdag 20 januari 2026');
+    expect(dutch.html).toMatch(/€\s10,00/);
+    expect(dutch.html).not.toContain('Reden');
+    expect(dutch.html).toContain('Alle rechten voorbehouden');
+
+    const english = renderEmail('booking_cancelled', data, 'fr');
+    expect(english.language).toBe('en');
+    expect(english.html).toContain('Tuesday, 20 January 2026');
+  });
+
+  it('should escape what users wrote', () => {
+    const { html } = renderEmail('review_received', {
+      review: { rating: 4, comment: '<script>alert(1)</script>', created_at: '2026-01-20T10:00:00Z' },
+      client: { first_name: 'Anna' },
+      owner: { first_name: 'Sanne' },
+      salon: { business_name: 'Studio Noord' }
+    }, 'en');
+
+    expect(html).not.toContain('<script>');
+    expect(html).toContain('&lt;script&gt;');
+  });
+
+  it('should reject previews of unknown templates', () => {
+    expect(() => previewEmail('nope', 'en')).toThrow(expect.objectContaining({ statusCode: 404, code: 'EMAIL_TEMPLATE_NOT_FOUND' }));
+  });
+});
+
+describe('EmailService', () => {
+  let sendMail;
+  let original;
+
+  beforeEach(() => {
+    original = { isEnabled: emailService.isEnabled, transporter: emailService.transporter };
+    sendMail = jest.fn().mockResolvedValue({ messageId: 'message-1' });
+    emailService.isEnabled = true;
+    emailService.transporter = { sendMail };
+  });
+
+  afterEach(() => {
+    Object.assign(emailService, original);
+    jest.restoreAllMocks();
+  });
+
+  const mockLanguages = ({ settings, profile }) => {
+    supabaseAdmin.from = jest.fn(table => {
+      const result = { data: table === 'user_settings' ? settings : profile, error: null };
+      const query = {};
+      ['select', 'eq'].forEach(method => {
+        query[method] = jest.fn(() => query);
+      });
+      query.maybeSingle = jest.fn().mockResolvedValue(result);
+      return query;
+    });
+  };
+
+  it('should send in the language of the recipient\'s settings', async () => {
+    mockLanguages({ settings: { language: 'nl' }, profile: null });
+
+    await emailService.sendWaitlistConfirmation(
+      { requested_date: '2026-01-20', service_name: 'Knippen' },
+      { id: 'client-1', email: 'anna@example.com', first_name: 'Anna', language: 'en' },
+      { business_name: 'Studio Noord' }
+    );
+
+    expect(sendMail).toHaveBeenCalledWith(expect.objectContaining({
+      to: 'anna@example.com',
+      subject: 'Je staat op de wachtlijst - SalonTime'
+    }));
+  });
+
+  it('should fall back to the profile language', async () => {
+    mockLanguages({ settings: null, profile: { language: 'nl' } });
+
+    await emailService.sendSubscriptionRecovered(
+      { id: 'owner-1', email: 'sanne@example.com', first_name: 'Sanne' },
+      { business_name: 'Studio Noord' },
+      { planName: 'Premium' }
+    );
+
+    expect(sendMail.mock.calls[0][0].subject).toBe('Betaling ontvangen - je SalonTime-abonnement is actief');
+  });
+
+  it('should not throw when sending fails', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    mockLanguages({ settings: null, profile: null });
+    sendMail.mockRejectedValue(new Error('SMTP down'));
+
+    await expect(emailService.sendGiftCard(
+      { recipient_email: 'lotte@example.com', code: 'GIFT-1', initial_amount: 25, currency: 'EUR' },
+      { business_name: 'Studio Noord', owner_id: 'owner-1' }
+    )).resolves.toBeNull();
+  });
+});
@@ -0,0 +1,112 @@
+const config = require('../src/config');
+const {
+  toMinorUnits,
+  fromMinorUnits,
+  resolveFeePercent,
+  calculateApplicationFee,
+  destinationChargeParams
+} = require('../src/utils/feePolicy');
+const { PLANS } = require('../src/utils/plans');
+
+describe('Fee policy', () => {
+  const originalPayment = { ...config.payment };
+  const plusSalon = { subscription_plan: 'plus', subscription_status: 'active', stripe_account_id: 'acct_1' };
+
+  beforeEach(() => {
+    Object.assign(config.payment, {
+      platform_fee_enabled: true,
+      application_fee_percent: 5,
+      plan_application_fee_percent: { plus: 3, premium: 2, enterprise: 1 },
+      min_application_fee: 0,
+      max_application_fee: 0
+    });
+  });
+
+  afterAll(() => {
+    Object.assign(config.payment, originalPayment);
+  });
+
+  describe('currency units', () => {
+    it('should convert two-, zero- and three-decimal currencies', () => {
+      expect(toMinorUnits(12.5, 'EUR')).toBe(1250);
+      expect(toMinorUnits(19.99, 'usd')).toBe(1999);
+      expect(toMinorUnits(1200, 'JPY')).toBe(1200);
+      expect(toMinorUnits(1.234, 'kwd')).toBe(1230);
+      expect(fromMinorUnits(1250, 'eur')).toBe(12.5);
+      expect(fromMinorUnits(1200, 'jpy')).toBe(1200);
+    });
+  });
+
+  describe('resolveFeePercent', () => {
+    it('should use the default rate for salons without a paid plan', () => {
+      expect(resolveFeePercent({ subscription_plan: 'basic' })).toMatchObject({ percent: 5, source: 'default' });
+      expect(resolveFeePercent(null)).toMatchObject({ percent: 5, source: 'default' });
+    });
+
+    it('should give active plus subscribers the lower rate', () => {
+      expect(resolveFeePercent(plusSalon)).toMatchObject({ percent: 3, source: 'plan', plan: 'plus' });
+    });
+
+    it('should give every paid plan its own rate', () => {
+      const onPlan = plan => ({ subscription_plan: plan, subscription_status: 'active' });
+      expect(resolveFeePercent(onPlan('premium'))).toMatchObject({ percent: 2, source: 'plan', plan: 'premium' });
+      expect(resolveFeePercent(onPlan('enterprise'))).toMatchObject({ percent: 1, source: 'plan', plan: 'enterprise' });
+    });
+
+    it('should configure a rate for every paid plan that never goes up with an upgrade', () => {
+      const paidPlans = Object.values(PLANS).filter(plan => plan.rank > 0).sort((a, b) => a.rank - b.rank);
+      const rates = paidPlans.map(plan => originalPayment.plan_application_fee_percent[plan.id]);
+
+      rates.forEach(rate => expect(rate).toBeGreaterThanOrEqual(0));
+      [originalPayment.application_fee_percent, ...rates].reduce((previous, rate) => {
+        expect(rate).toBeLessThanOrEqual(previous);
+        return rate;
+      });
+    });
+
+    it('should not give the plan rate once the trial has ended', () => {
+      const salon = { subscription_plan: 'plus', subscription_status: 'trialing', trial_ends_at: '2000-01-01T00:00:00Z' };
+      expect(resolveFeePercent(salon)).toMatchObject({ percent: 5, plan: 'basic' });
+    });
+
+    it('should prefer the salon override, including 0', () => {
+      expect(resolveFeePercent({ ...plusSalon, application_fee_percent: '1.50' })).toMatchObject({ percent: 1.5, source: 'salon' });
+      expect(resolveFeePercent({ application_fee_percent: 0 })).toMatchObject({ percent: 0, source: 'salon' });
+    });
+
+    it('should charge nothing when platform fees are disabled', () => {
+      config.payment.platform_fee_enabled = false;
+      expect(resolveFeePercent(plusSalon)).toMatchObject({ percent: 0, source: 'disabled' });
+    });
+  });
+
+  describe('calculateApplicationFee', () => {
+    it('should apply the rate to the amount in minor units', () => {
+      expect(calculateApplicationFee({ amount: 4500, currency: 'eur', salon: {} })).toBe(225);
+      expect(calculateApplicationFee({ amount: 4500, currency: 'eur', salon: plusSalon })).toBe(135);
+    });
+
+    it('should apply the minimum and maximum caps in the payment currency', () => {
+      config.payment.min_application_fee = 0.5;
+      config.payment.max_application_fee = 10;
+      expect(calculateApplicationFee({ amount: 500, currency: 'eur', salon: {} })).toBe(50);
+      expect(calculateApplicationFee({ amount: 100000, currency: 'eur', salon: {} })).toBe(1000);
+      // 10 JPY, not 10 * 100
+      expect(calculateApplicationFee({ amount: 5000, currency: 'jpy', salon: {} })).toBe(10);
+    });
+
+    it('should never take more than the payment', () => {
+      config.payment.min_application_fee = 1;
+      expect(calculateApplicationFee({ amount: 50, currency: 'eur', salon: {} })).toBe(50);
+    });
+  });
+
+  describe('destinationChargeParams', () => {
+    it('should leave out the application fee when there is none', () => {
+      expect(destinationChargeParams({ amount: 1000, currency: 'eur', salon: { ...plusSalon, application_fee_percent: 0 } }))
+        .toEqual({ transfer_data: { destination: 'acct_1' } });
+      expect(destinationChargeParams({ amount: 1000, currency: 'eur', salon: plusSalon }))
+        .toEqual({ application_fee_amount: 30, transfer_data: { destination: 'acct_1' } });
+    });
+  });
+});
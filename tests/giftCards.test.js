@@ -0,0 +1,144 @@
+// Mock dependencies
+jest.mock('../src/config/database');
+
+const { supabaseAdmin } = require('../src/config/database');
+const config = require('../src/config');
+const giftCardService = require('../src/services/giftCardService');
+
+describe('GiftCardService', () => {
+  const originalGiftCard = { ...config.gift_card };
+  const payment = { id: 'payment-1', booking_id: 'booking-1', amount: 60, gift_card_amount: 0, currency: 'EUR' };
+
+  beforeEach(() => {
+    Object.assign(config.gift_card, { min_amount: 5, max_amount: 500, validity_months: 12 });
+    supabaseAdmin.rpc = jest.fn();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  afterAll(() => {
+    Object.assign(config.gift_card, originalGiftCard);
+  });
+
+  describe('codes', () => {
+    it('should generate codes without look-alike characters', () => {
+      for (let i = 0; i < 50; i++) {
+        expect(giftCardService.generateCode()).toMatch(/^GC-[A-HJ-NP-Z2-9]{4}-[A-HJ-NP-Z2-9]{4}-[A-HJ-NP-Z2-9]{4}$/);
+      }
+    });
+
+    it('should normalise typed codes', () => {
+      expect(giftCardService.normalizeCode('  gc-abcd-efgh-jkmn ')).toBe('GC-ABCD-EFGH-JKMN');
+      expect(giftCardService.normalizeCode(undefined)).toBe('');
+    });
+  });
+
+  describe('validateNewCard', () => {
+    it('should reject amounts outside the configured range', () => {
+      expect(() => giftCardService.validateNewCard({ amount: 2 })).toThrow('between 5 and 500');
+      expect(() => giftCardService.validateNewCard({ amount: 'lots' })).toThrow('between 5 and 500');
+    });
+
+    it('should default the expiry to the validity period', () => {
+      const { amount, expiresAt } = giftCardService.validateNewCard({ amount: '50.004' });
+      const months = (new Date(expiresAt).getFullYear() - new Date().getFullYear()) * 12 +
+        new Date(expiresAt).getMonth() - new Date().getMonth();
+
+      expect(amount).toBe(50);
+      expect(months).toBe(12);
+    });
+
+    it('should not expire when the validity period is off', () => {
+      config.gift_card.validity_months = 0;
+      expect(giftCardService.validateNewCard({ amount: 50 }).expiresAt).toBeNull();
+      expect(() => giftCardService.validateNewCard({ amount: 50, expiresAt: '2001-01-01' })).toThrow('future');
+    });
+  });
+
+  describe('effectiveStatus', () => {
+    it('should report active cards past their expiry as expired', () => {
+      expect(giftCardService.effectiveStatus({ status: 'active', expires_at: '2001-01-01T00:00:00Z' })).toBe('expired');
+      expect(giftCardService.effectiveStatus({ status: 'active', expires_at: null })).toBe('active');
+      expect(giftCardService.effectiveStatus({ status: 'void', expires_at: '2001-01-01T00:00:00Z' })).toBe('void');
+    });
+  });
+
+  describe('redeem', () => {
+    it('should redeem through the database function', async () => {
+      const transaction = { gift_card_id: 'card-1', type: 'redeem', amount: -25, balance_after: 0 };
+      supabaseAdmin.rpc.mockResolvedValue({ data: transaction, error: null });
+
+      const result = await giftCardService.redeem({
+        code: 'gc-abcd-efgh-jkmn',
+        salonId: 'salon-1',
+        payment,
+        userId: 'client-1'
+      });
+
+      expect(result).toBe(transaction);
+      expect(supabaseAdmin.rpc).toHaveBeenCalledWith('redeem_gift_card', {
+        p_code: 'GC-ABCD-EFGH-JKMN',
+        p_salon_id: 'salon-1',
+        p_payment_id: 'payment-1',
+        p_amount: null,
+        p_user_id: 'client-1'
+      });
+    });
+
+    it('should map database errors to API errors', async () => {
+      const redeem = () => giftCardService.redeem({ code: 'GC-1', salonId: 'salon-1', payment, amount: 10 });
+
+      supabaseAdmin.rpc.mockResolvedValue({ data: null, error: { code: 'P0404' } });
+      await expect(redeem()).rejects.toMatchObject({ statusCode: 404, code: 'GIFT_CARD_NOT_FOUND' });
+
+      supabaseAdmin.rpc.mockResolvedValue({ data: null, error: { code: 'P0410' } });
+      await expect(redeem()).rejects.toMatchObject({ statusCode: 400, code: 'GIFT_CARD_NOT_USABLE' });
+
+      supabaseAdmin.rpc.mockResolvedValue({ data: null, error: { code: 'P0422' } });
+      await expect(redeem()).rejects.toMatchObject({ statusCode: 400, code: 'GIFT_CARD_NOT_APPLICABLE' });
+    });
+
+    it('should reject a missing code or a non-positive amount', async () => {
+      await expect(giftCardService.redeem({ code: ' ', salonId: 'salon-1', payment }))
+        .rejects.toMatchObject({ code: 'MISSING_GIFT_CARD_CODE' });
+      await expect(giftCardService.redeem({ code: 'GC-1', salonId: 'salon-1', payment, amount: -5 }))
+        .rejects.toMatchObject({ code: 'INVALID_GIFT_CARD_AMOUNT' });
+      expect(supabaseAdmin.rpc).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('releaseForPayment', () => {
+    it('should put the gift card part of a payment back', async () => {
+      supabaseAdmin.rpc.mockResolvedValue({ data: '20.00', error: null });
+
+      const released = await giftCardService.releaseForPayment(
+        { ...payment, gift_card_amount: 20 },
+        { amount: 12.5, userId: 'client-1', note: 'Booking cancelled' }
+      );
+
+      expect(released).toBe(20);
+      expect(supabaseAdmin.rpc).toHaveBeenCalledWith('release_gift_card_payment', {
+        p_payment_id: 'payment-1',
+        p_amount: 12.5,
+        p_user_id: 'client-1',
+        p_note: 'Booking cancelled'
+      });
+    });
+
+    it('should do nothing for payments without gift cards or nothing to release', async () => {
+      expect(await giftCardService.releaseForPayment(payment)).toBe(0);
+      expect(await giftCardService.releaseForPayment({ ...payment, gift_card_amount: 20 }, { amount: 0 })).toBe(0);
+      expect(supabaseAdmin.rpc).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('handleCheckoutPaid', () => {
+    it('should ignore booking checkout sessions', async () => {
+      supabaseAdmin.from = jest.fn();
+      await giftCardService.handleCheckoutPaid({ id: 'cs_1', payment_status: 'paid', metadata: { booking_id: 'booking-1' } });
+      expect(supabaseAdmin.from).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,57 @@
+const { supabaseAdmin } = require('../../src/config/database');
+
+const QUERY_METHODS = [
+  'select', 'insert', 'upsert', 'update', 'delete',
+  'eq', 'neq', 'is', 'not', 'in', 'gt', 'gte', 'lt', 'lte', 'or',
+  'order', 'range', 'limit', 'maybeSingle', 'single'
+];
+
+const EMPTY = { data: null, error: null };
+
+// Query on one table whose every call chains and which resolves to result
+const chainedQuery = (table, result, calls, updates) => {
+  const query = {
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+  };
+  QUERY_METHODS.forEach(method => {
+    query[method] = jest.fn((...args) => {
+      calls.push([table, method, ...args]);
+      if (method === 'update') updates.push(args[0]);
+      return query;
+    });
+  });
+  return query;
+};
+
+/**
+ * Stand-in for supabaseAdmin.from() (the test file must jest.mock('../src/config/database')).
+ * Every query method chains, and awaiting a query gives the next queued result, or
+ * { data: null, error: null } once the queue is empty.
+ *
+ * @param {...Object} results - { data, error, count } per query, in the order they run
+ * @returns {{ calls: Array, updates: Array }} Each chained call as [table, method, ...args],
+ *   and the values passed to update()
+ */
+function mockQueries(...results) {
+  const calls = [];
+  const updates = [];
+  supabaseAdmin.from = jest.fn(table => chainedQuery(table, results.shift() || EMPTY, calls, updates));
+  return { calls, updates };
+}
+
+/**
+ * Stand-in for client.from() that answers by table instead of by order, for code that
+ * reads several tables through more than one client
+ *
+ * @param {Object} client - supabase, supabaseAdmin or an authenticated client
+ * @param {Object} tables - Result per table name; other tables give { data: null, error: null }
+ * @returns {{ calls: Array, updates: Array }} Same as mockQueries
+ */
+function mockTables(client, tables) {
+  const calls = [];
+  const updates = [];
+  client.from = jest.fn(table => chainedQuery(table, tables[table] || EMPTY, calls, updates));
+  return { calls, updates };
+}
+
+module.exports = { mockQueries, mockTables };
@@ -0,0 +1,20 @@
+/**
+ * Run an asyncHandler-wrapped controller method and wait until it responds or calls next(error)
+ *
+ * @param {Function} handler - e.g. bookingController.createBooking
+ * @param {Object} req - { body, params, query, user, token }
+ * @returns {Promise<{ status?: number, body?: Object, error?: Error }>}
+ */
+function runHandler(handler, req) {
+  return new Promise(resolve => {
+    const res = {};
+    res.status = jest.fn(code => {
+      res.statusCode = code;
+      return res;
+    });
+    res.json = jest.fn(body => resolve({ status: res.statusCode, body }));
+    handler({ body: {}, params: {}, query: {}, ...req }, res, error => resolve({ error }));
+  });
+}
+
+module.exports = { runHandler };
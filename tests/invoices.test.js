@@ -0,0 +1,148 @@
+// Mock dependencies
+jest.mock('../src/config/database');
+
+const { supabaseAdmin } = require('../src/config/database');
+const {
+  validateVatRate,
+  validateCompanyDetails,
+  normalizeVatNumber,
+  splitVat,
+  paymentInvoiceLines,
+  creditNoteLines,
+  invoiceTotals
+} = require('../src/utils/invoices');
+const { renderInvoicePdf } = require('../src/utils/invoicePdf');
+const invoiceService = require('../src/services/invoiceService');
+
+describe('Invoices', () => {
+  const payment = {
+    id: 'payment-1',
+    payment_type: 'booking',
+    amount: '50.00',
+    discount_amount: '10.00',
+    tip_amount: '5.00',
+    currency: 'EUR',
+    status: 'completed'
+  };
+
+  describe('validation', () => {
+    it('should check VAT rates', () => {
+      expect(validateVatRate(undefined)).toBeNull();
+      expect(validateVatRate(9)).toBeNull();
+      expect(validateVatRate('21')).toBeNull();
+      expect(validateVatRate(-1)).toMatch(/between 0 and 100/);
+      expect(validateVatRate('')).toMatch(/between 0 and 100/);
+    });
+
+    it('should check KvK and VAT numbers', () => {
+      expect(validateCompanyDetails({ kvk_number: '12345678', vat_number: 'nl 1234.56.789 b01' })).toBeNull();
+      expect(validateCompanyDetails({ kvk_number: '1234' })).toMatch(/kvk_number/);
+      expect(validateCompanyDetails({ vat_number: 'DE123456789' })).toMatch(/vat_number/);
+      expect(normalizeVatNumber('nl 1234.56.789 b01')).toBe('NL123456789B01');
+    });
+  });
+
+  describe('lines and totals', () => {
+    it('should split VAT out of inclusive prices', () => {
+      expect(splitVat(60, 21)).toEqual({ net: 49.59, vat: 10.41 });
+      expect(splitVat(10, 0)).toEqual({ net: 10, vat: 0 });
+    });
+
+    it('should invoice the full price, the discount and the tip', () => {
+      const lines = paymentInvoiceLines(payment, { name: 'Haircut', vatRate: 21 });
+
+      expect(lines.map(line => [line.description, line.gross, line.vat_rate])).toEqual([
+        ['Haircut', 60, 21],
+        ['Discount', -10, 21],
+        ['Tip (not subject to VAT)', 5, 0]
+      ]);
+      expect(invoiceTotals(lines)).toMatchObject({ total: 55, vat_amount: 8.67, subtotal: 46.33 });
+    });
+
+    it('should label fees and deposits', () => {
+      const lines = paymentInvoiceLines({ payment_type: 'no_show_fee', amount: 25 }, { name: 'Haircut', vatRate: 21 });
+      expect(lines).toHaveLength(1);
+      expect(lines[0].description).toBe('No-show fee: Haircut');
+    });
+
+    it('should spread a refund over the VAT rates of the invoice', () => {
+      const lines = paymentInvoiceLines(payment, { name: 'Haircut', vatRate: 21 });
+      const credit = creditNoteLines(lines, 55, '2030-00001');
+
+      expect(credit.map(line => [line.vat_rate, line.gross])).toEqual([[21, -50], [0, -5]]);
+      expect(credit[0].description).toBe('Refund on invoice 2030-00001 (21% VAT)');
+      expect(invoiceTotals(credit).total).toBe(-55);
+
+      const partial = creditNoteLines(lines, 11, '2030-00001');
+      expect(invoiceTotals(partial).total).toBe(-11);
+    });
+  });
+
+  describe('renderInvoicePdf', () => {
+    it('should render a PDF', async () => {
+      const lines = paymentInvoiceLines(payment, { name: 'Haircut', vatRate: 21 });
+      const pdf = await renderInvoicePdf({
+        type: 'invoice',
+        number: '2030-00001',
+        issued_at: '2030-01-08T10:00:00Z',
+        currency: 'EUR',
+        lines,
+        ...invoiceTotals(lines),
+        seller: { name: 'Studio B.V.', address: 'Main 1, 1000 AA Amsterdam', kvk_number: '12345678', vat_number: 'NL123456789B01' },
+        buyer: { name: 'Alex', email: 'alex@example.com' }
+      });
+
+      expect(pdf.subarray(0, 5).toString()).toBe('%PDF-');
+    });
+  });
+
+  describe('InvoiceService', () => {
+    beforeEach(() => {
+      supabaseAdmin.rpc = jest.fn();
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should require the salon company details', () => {
+      expect(() => invoiceService.sellerDetails({ business_name: 'Studio' }))
+        .toThrow(expect.objectContaining({ code: 'INVOICE_DETAILS_MISSING' }));
+      expect(invoiceService.sellerDetails({
+        business_name: 'Studio',
+        address: 'Main 1',
+        zip_code: '1000 AA',
+        city: 'Amsterdam',
+        kvk_number: '12345678',
+        vat_number: 'NL123456789B01'
+      })).toMatchObject({ name: 'Studio', address: 'Main 1, 1000 AA Amsterdam' });
+    });
+
+    it('should not credit refunds of payments without an invoice', async () => {
+      jest.spyOn(invoiceService, '_findInvoice').mockResolvedValue(null);
+
+      const creditNote = await invoiceService.issueCreditNote({ id: 'refund-1', payment_id: 'payment-1', amount: 10, status: 'succeeded' });
+
+      expect(creditNote).toBeNull();
+      expect(supabaseAdmin.rpc).not.toHaveBeenCalled();
+    });
+
+    it('should credit a refund of an invoiced payment', async () => {
+      const lines = paymentInvoiceLines({ ...payment, tip_amount: 0, discount_amount: 0 }, { name: 'Haircut', vatRate: 21 });
+      const invoice = { id: 'invoice-1', salon_id: 'salon-1', number: '2030-00001', currency: 'EUR', lines, seller: { name: 'Studio' }, buyer: { name: 'Alex' } };
+      jest.spyOn(invoiceService, '_findInvoice').mockResolvedValue(invoice);
+      supabaseAdmin.rpc.mockResolvedValue({ data: [{ id: 'credit-1', number: '2030-00002' }], error: null });
+
+      const creditNote = await invoiceService.issueCreditNote({ id: 'refund-1', payment_id: 'payment-1', amount: 20, status: 'succeeded' });
+
+      expect(creditNote).toEqual({ id: 'credit-1', number: '2030-00002' });
+      expect(supabaseAdmin.rpc).toHaveBeenCalledWith('issue_invoice', expect.objectContaining({
+        p_type: 'credit_note',
+        p_refund_id: 'refund-1',
+        p_credited_invoice_id: 'invoice-1',
+        p_total: -20,
+        p_seller: { name: 'Studio' }
+      }));
+    });
+  });
+});
@@ -0,0 +1,333 @@
+// Mock dependencies
+jest.mock('../src/config/database');
+
+const { supabaseAdmin } = require('../src/config/database');
+const notificationService = require('../src/services/notificationService');
+const bookingController = require('../src/controllers/bookingController');
+const { renderNotification } = require('../src/services/notificationEvents');
+const {
+  DEFAULT_SETTINGS,
+  isInQuietHours,
+  channelSkipReason,
+  validateQuietHours
+} = require('../src/utils/notificationPreferences');
+const { mockQueries } = require('./helpers/mockQueries');
+
+const quietNights = { ...DEFAULT_SETTINGS, quiet_hours_start: '22:00', quiet_hours_end: '07:00', timezone: 'UTC' };
+const at = time => new Date(`2026-01-15T${time}:00Z`);
+
+describe('Notification preferences', () => {
+  describe('isInQuietHours', () => {
+    it('should handle a window that wraps past midnight', () => {
+      expect(isInQuietHours(quietNights, at('23:30'))).toBe(true);
+      expect(isInQuietHours(quietNights, at('06:59'))).toBe(true);
+      expect(isInQuietHours(quietNights, at('07:00'))).toBe(false);
+      expect(isInQuietHours(quietNights, at('12:00'))).toBe(false);
+    });
+
+    it('should handle a window within a day', () => {
+      const afternoon = { ...quietNights, quiet_hours_start: '13:00', quiet_hours_end: '15:00' };
+      expect(isInQuietHours(afternoon, at('14:00'))).toBe(true);
+      expect(isInQuietHours(afternoon, at('15:00'))).toBe(false);
+    });
+
+    it('should use the user\'s timezone', () => {
+      const amsterdam = { ...quietNights, timezone: 'Europe/Amsterdam' };
+      // 21:30 UTC is 22:30 in Amsterdam in winter
+      expect(isInQuietHours(amsterdam, at('21:30'))).toBe(true);
+    });
+
+    it('should be off without a window', () => {
+      expect(isInQuietHours(DEFAULT_SETTINGS, at('23:30'))).toBe(false);
+    });
+  });
+
+  describe('channelSkipReason', () => {
+    const event = { category: 'booking' };
+
+    it('should send everything by default', () => {
+      ['email', 'whatsapp', 'in_app', 'push'].forEach(channel => {
+        expect(channelSkipReason(DEFAULT_SETTINGS, channel, event)).toBeNull();
+      });
+    });
+
+    it('should respect the master and channel switches', () => {
+      const off = { ...DEFAULT_SETTINGS, notifications_enabled: false };
+      expect(channelSkipReason(off, 'email', event)).toBe('disabled');
+      expect(channelSkipReason(off, 'in_app', event)).toBeNull();
+
+      const noWhatsapp = { ...DEFAULT_SETTINGS, whatsapp_notifications: false };
+      expect(channelSkipReason(noWhatsapp, 'whatsapp', event)).toBe('disabled');
+      expect(channelSkipReason(noWhatsapp, 'email', event)).toBeNull();
+    });
+
+    it('should respect reminder and marketing preferences', () => {
+      const noReminders = { ...DEFAULT_SETTINGS, booking_reminders: false };
+      expect(channelSkipReason(noReminders, 'email', { category: 'reminder' })).toBe('disabled');
+      expect(channelSkipReason(DEFAULT_SETTINGS, 'email', { category: 'marketing' })).toBe('disabled');
+    });
+
+    it('should hold back interrupting channels during quiet hours unless urgent', () => {
+      const night = at('23:30');
+      expect(channelSkipReason(quietNights, 'whatsapp', event, night)).toBe('quiet_hours');
+      expect(channelSkipReason(quietNights, 'push', event, night)).toBe('quiet_hours');
+      expect(channelSkipReason(quietNights, 'email', event, night)).toBeNull();
+      expect(channelSkipReason(quietNights, 'push', { ...event, urgent: true }, night)).toBeNull();
+    });
+  });
+
+  describe('validateQuietHours', () => {
+    it('should accept a window, no window or a partial update', () => {
+      expect(validateQuietHours({ quiet_hours_start: '22:00', quiet_hours_end: '07:30' })).toBeNull();
+      expect(validateQuietHours({ quiet_hours_start: null, quiet_hours_end: null })).toBeNull();
+      expect(validateQuietHours({ timezone: 'Europe/Amsterdam' })).toBeNull();
+      expect(validateQuietHours({})).toBeNull();
+    });
+
+    it('should reject bad values', () => {
+      expect(validateQuietHours({ quiet_hours_start: '25:00', quiet_hours_end: '07:00' })).toMatch(/quiet_hours_start/);
+      expect(validateQuietHours({ quiet_hours_start: '22:00', quiet_hours_end: null })).toMatch(/go together/);
+      expect(validateQuietHours({ timezone: 'Mars/Olympus' })).toBe('Invalid timezone');
+    });
+  });
+});
+
+describe('NotificationService', () => {
+  const recipient = {
+    id: 'user-1',
+    email: 'client@example.com',
+    phone: '+31612345678',
+    first_name: 'Anna',
+    language: 'nl',
+    settings: { ...DEFAULT_SETTINGS }
+  };
+  const payload = {
+    payment: { id: 'payment-1', booking_id: 'booking-1' },
+    amount: '45.00',
+    salon: { id: 'salon-1', business_name: 'Studio Noord' },
+    date: '2026-01-20'
+  };
+  let recorded;
+
+  beforeEach(() => {
+    recorded = [];
+    supabaseAdmin.from = jest.fn(() => ({
+      insert: jest.fn(rows => {
+        recorded.push(...rows);
+        return Promise.resolve({ error: null });
+      })
+    }));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(notificationService, '_sendWhatsapp').mockResolvedValue({ status: 'sent', provider_message_id: 'wamid-1' });
+    jest.spyOn(notificationService, '_sendInApp').mockResolvedValue({ status: 'sent', notification_id: 'notification-1' });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should send on every channel of the event and record the deliveries', async () => {
+    jest.spyOn(notificationService, '_getRecipient').mockResolvedValue(recipient);
+
+    const result = await notificationService.notify('user-1', 'payment_received', payload);
+
+    expect(result.deliveries).toEqual([
+      { channel: 'whatsapp', status: 'sent', provider_message_id: 'wamid-1' },
+      { channel: 'in_app', status: 'sent', notification_id: 'notification-1' },
+      { channel: 'push', status: 'skipped', reason: 'not_configured' }
+    ]);
+    expect(notificationService._sendInApp).toHaveBeenCalledWith(
+      recipient,
+      expect.objectContaining({ title: 'Betaling ontvangen', data: expect.objectContaining({ payment_id: 'payment-1' }) }),
+      'payment_received'
+    );
+    expect(recorded).toHaveLength(3);
+    expect(recorded.every(row => row.dispatch_id === result.dispatch_id && row.user_id === 'user-1')).toBe(true);
+    expect(recorded[1]).toMatchObject({ channel: 'in_app', status: 'sent', notification_id: 'notification-1' });
+  });
+
+  it('should skip channels the user turned off but keep the inbox', async () => {
+    jest.spyOn(notificationService, '_getRecipient').mockResolvedValue({
+      ...recipient,
+      settings: { ...DEFAULT_SETTINGS, notifications_enabled: false }
+    });
+
+    const { deliveries } = await notificationService.notify('user-1', 'payment_received', payload);
+
+    expect(notificationService._sendWhatsapp).not.toHaveBeenCalled();
+    expect(deliveries.map(d => [d.channel, d.status, d.reason])).toEqual([
+      ['whatsapp', 'skipped', 'disabled'],
+      ['in_app', 'sent', undefined],
+      ['push', 'skipped', 'disabled']
+    ]);
+  });
+
+  it('should record a failed channel without failing the others', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(notificationService, '_getRecipient').mockResolvedValue(recipient);
+    notificationService._sendWhatsapp.mockRejectedValue(new Error('Template not approved'));
+
+    const { deliveries } = await notificationService.notify('user-1', 'payment_received', payload);
+
+    expect(deliveries[0]).toEqual({ channel: 'whatsapp', status: 'failed', reason: 'Template not approved' });
+    expect(deliveries[1].status).toBe('sent');
+  });
+
+  it('should notify each user once', async () => {
+    jest.spyOn(notificationService, 'notify').mockResolvedValue({ dispatch_id: 'd', deliveries: [] });
+
+    await notificationService.notifyMany(['user-1', 'user-2', 'user-1', null], 'payment_received', payload);
+
+    expect(notificationService.notify.mock.calls.map(call => call[0])).toEqual(['user-1', 'user-2']);
+  });
+
+  it('should reject unknown events', async () => {
+    await expect(notificationService.notify('user-1', 'nope', {})).rejects.toThrow('Unknown notification event');
+  });
+
+  it('should reach contacts without an account on WhatsApp only', async () => {
+    const delivery = await notificationService.notifyContact({ phone: '+31687654321' }, 'payment_received', payload);
+
+    expect(delivery).toEqual({ channel: 'whatsapp', status: 'sent', provider_message_id: 'wamid-1' });
+    expect(notificationService._sendWhatsapp).toHaveBeenCalledWith(
+      expect.objectContaining({ id: null, phone: '+31687654321', language: 'en' }),
+      expect.any(Object),
+      payload
+    );
+    expect(notificationService._sendInApp).not.toHaveBeenCalled();
+    expect(recorded).toHaveLength(0);
+  });
+
+  it('should skip contacts for events without a WhatsApp message', async () => {
+    const delivery = await notificationService.notifyContact({ phone: '+31687654321' }, 'review_received', payload);
+
+    expect(delivery).toMatchObject({ channel: 'whatsapp', status: 'skipped' });
+    expect(notificationService._sendWhatsapp).not.toHaveBeenCalled();
+  });
+});
+
+describe('New booking notifications', () => {
+  const salon = { id: 'salon-1', owner_id: 'owner-1', business_name: 'Studio Noord' };
+  const booking = { id: 'booking-1', client_id: 'client-1' };
+
+  beforeEach(() => {
+    jest.spyOn(notificationService, 'notify').mockResolvedValue({ dispatch_id: 'd', deliveries: [] });
+    jest.spyOn(notificationService, 'notifyMany').mockResolvedValue([]);
+    jest.spyOn(notificationService, 'notifyContact').mockResolvedValue({ channel: 'whatsapp', status: 'sent' });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should alert staff with an account in the app and staff with only a phone number on WhatsApp', async () => {
+    const { calls } = mockQueries(
+      { data: [{ user_id: 'staff-user-1' }], error: null },
+      { data: [{ phone: '+31611111111' }, { phone: '+31622222222' }, { phone: '+31611111111' }], error: null }
+    );
+
+    await bookingController._sendNewBookingNotifications({
+      booking, client: { id: 'client-1' }, salon, serviceName: 'Knippen', totalAmount: 40, appointmentDate: '2026-01-20', startTime: '10:00'
+    });
+
+    expect(notificationService.notify).toHaveBeenCalledWith('client-1', 'booking_confirmed', expect.any(Object));
+    expect(notificationService.notifyMany).toHaveBeenCalledWith(['owner-1', 'staff-user-1'], 'booking_received', expect.any(Object));
+    expect(notificationService.notifyContact.mock.calls.map(call => [call[0], call[1]])).toEqual([
+      [{ phone: '+31611111111' }, 'booking_received'],
+      [{ phone: '+31622222222' }, 'booking_received']
+    ]);
+    expect(calls).toContainEqual(['staff', 'is', 'user_id', null]);
+    expect(calls).toContainEqual(['staff', 'eq', 'is_active', true]);
+  });
+});
+
+describe('Notification events', () => {
+  const booking = { id: 'booking-1', client_id: 'client-1' };
+  const payload = {
+    booking,
+    salon: { id: 'salon-1', business_name: 'Studio Noord' },
+    client: { first_name: 'Anna', last_name: 'de Vries' },
+    serviceName: 'Haircut',
+    date: '2026-01-20',
+    time: '10:00'
+  };
+
+  it('should word a cancellation for the client and for the salon', () => {
+    const toClient = renderNotification('booking_cancelled', 'in_app', payload, { id: 'client-1', language: 'en' });
+    const toOwner = renderNotification('booking_cancelled', 'in_app', payload, { id: 'owner-1', language: 'nl' });
+
+    expect(toClient.body).toBe('Your Haircut at Studio Noord on 2026-01-20 at 10:00 was cancelled.');
+    expect(toOwner.title).toBe('Afspraak geannuleerd');
+    expect(toOwner.body).toMatch(/^Anna de Vries heeft Haircut/);
+    expect(toOwner.data).toEqual({ booking_id: 'booking-1', salon_id: 'salon-1' });
+  });
+
+  it('should push the in-app rendering when an event has no push one', () => {
+    const push = renderNotification('booking_rescheduled', 'push', payload, { id: 'client-1', language: 'en' });
+    expect(push.title).toBe('Booking moved');
+  });
+
+  it('should not render channels an event does not use', () => {
+    expect(renderNotification('chat_message', 'email', {}, { language: 'en' })).toBeNull();
+  });
+
+  it('should shorten long chat messages', () => {
+    const message = { id: 'message-1', content: 'x'.repeat(300) };
+    const rendered = renderNotification('chat_message', 'in_app', { conversationId: 'c-1', message, senderName: 'Anna' }, { language: 'en' });
+
+    expect(rendered.title).toBe('Anna');
+    expect(rendered.body).toHaveLength(140);
+  });
+});
+
+describe('Notification inbox', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should page through the inbox and filter unread ones', async () => {
+    const { calls } = mockQueries({ data: [{ id: 'n-1' }], error: null, count: 41 });
+
+    const inbox = await notificationService.getInbox('user-1', { page: 3, limit: 20, unreadOnly: true });
+
+    expect(inbox).toEqual({ notifications: [{ id: 'n-1' }], total: 41 });
+    expect(calls).toContainEqual(['notifications', 'eq', 'user_id', 'user-1']);
+    expect(calls).toContainEqual(['notifications', 'range', 40, 59]);
+    expect(calls).toContainEqual(['notifications', 'is', 'read_at', null]);
+  });
+
+  it('should count unread notifications', async () => {
+    mockQueries({ data: null, error: null, count: 4 });
+    await expect(notificationService.getUnreadCount('user-1')).resolves.toBe(4);
+  });
+
+  it('should mark a notification read once', async () => {
+    const { updates } = mockQueries(
+      { data: { id: 'n-1', user_id: 'user-1', read_at: null }, error: null },
+      { data: { id: 'n-1', read_at: '2026-01-20T10:00:00Z' }, error: null }
+    );
+
+    const notification = await notificationService.markRead('user-1', 'n-1');
+
+    expect(notification.read_at).toBe('2026-01-20T10:00:00Z');
+    expect(updates[0]).toHaveProperty('read_at');
+
+    mockQueries({ data: { id: 'n-1', read_at: '2026-01-20T10:00:00Z' }, error: null });
+    await notificationService.markRead('user-1', 'n-1');
+    expect(supabaseAdmin.from).toHaveBeenCalledTimes(1);
+  });
+
+  it('should not touch other users\' notifications', async () => {
+    mockQueries({ data: null, error: null });
+
+    await expect(notificationService.deleteNotification('user-2', 'n-1'))
+      .rejects.toMatchObject({ statusCode: 404, code: 'NOTIFICATION_NOT_FOUND' });
+  });
+
+  it('should mark everything read', async () => {
+    const { calls } = mockQueries({ data: [{ id: 'n-1' }, { id: 'n-2' }], error: null });
+
+    await expect(notificationService.markAllRead('user-1')).resolves.toBe(2);
+    expect(calls).toContainEqual(['notifications', 'is', 'read_at', null]);
+  });
+});
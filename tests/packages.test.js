@@ -0,0 +1,128 @@
+// Mock dependencies
+jest.mock('../src/config/database');
+
+const { supabaseAdmin } = require('../src/config/database');
+const packageService = require('../src/services/packageService');
+const { mockQueries } = require('./helpers/mockQueries');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('PackageService', () => {
+  const credit = { clientId: 'client-1', salonId: 'salon-1', serviceId: 'service-1', bookingId: 'booking-1' };
+
+  beforeEach(() => {
+    supabaseAdmin.rpc = jest.fn();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('consumeCredit', () => {
+    it('should return the purchase the credit came from', async () => {
+      supabaseAdmin.rpc.mockResolvedValue({ data: [{ id: 'purchase-1', credits_remaining: 3 }], error: null });
+
+      const purchase = await packageService.consumeCredit(credit);
+
+      expect(purchase).toEqual({ id: 'purchase-1', credits_remaining: 3 });
+      expect(supabaseAdmin.rpc).toHaveBeenCalledWith('consume_package_credit', {
+        p_client_id: 'client-1',
+        p_salon_id: 'salon-1',
+        p_service_id: 'service-1',
+        p_booking_id: 'booking-1'
+      });
+    });
+
+    it('should return null when the client has no usable credit', async () => {
+      supabaseAdmin.rpc.mockResolvedValue({ data: [], error: null });
+      expect(await packageService.consumeCredit(credit)).toBeNull();
+    });
+
+    it('should surface database errors', async () => {
+      supabaseAdmin.rpc.mockResolvedValue({ data: null, error: { message: 'boom' } });
+      await expect(packageService.consumeCredit(credit)).rejects.toMatchObject({ code: 'PACKAGE_CREDIT_FAILED' });
+    });
+  });
+
+  describe('restoreCredit', () => {
+    it('should report whether a credit was given back', async () => {
+      supabaseAdmin.rpc.mockResolvedValueOnce({ data: true, error: null });
+      supabaseAdmin.rpc.mockResolvedValueOnce({ data: false, error: null });
+
+      expect(await packageService.restoreCredit('booking-1')).toBe(true);
+      expect(await packageService.restoreCredit('booking-1')).toBe(false);
+    });
+  });
+
+  describe('handleCheckoutPaid', () => {
+    it('should ignore other checkout sessions', async () => {
+      supabaseAdmin.from = jest.fn();
+      await packageService.handleCheckoutPaid({ id: 'cs_1', payment_status: 'paid', metadata: { payment_type: 'gift_card' } });
+      expect(supabaseAdmin.from).not.toHaveBeenCalled();
+    });
+
+    it('should add the credits with an expiry from the package validity', async () => {
+      const { updates } = mockQueries(
+        { data: { id: 'purchase-1', status: 'pending_payment', credits_total: 5, service_packages: { validity_days: 30 } }, error: null },
+        { data: [{ id: 'purchase-1' }], error: null }
+      );
+
+      const before = Date.now();
+      await packageService.handleCheckoutPaid({
+        id: 'cs_1',
+        payment_status: 'paid',
+        payment_intent: 'pi_1',
+        metadata: { payment_type: 'service_package', package_purchase_id: 'purchase-1' }
+      });
+
+      expect(updates).toHaveLength(1);
+      expect(updates[0]).toMatchObject({ status: 'active', credits_remaining: 5, stripe_payment_intent_id: 'pi_1' });
+      const expiresIn = new Date(updates[0].expires_at).getTime() - before;
+      expect(expiresIn).toBeGreaterThanOrEqual(30 * DAY_MS);
+      expect(expiresIn).toBeLessThan(30 * DAY_MS + 60 * 1000);
+    });
+
+    it('should not credit a purchase twice', async () => {
+      const { updates } = mockQueries({ data: { id: 'purchase-1', status: 'active', credits_total: 5 }, error: null });
+
+      await packageService.handleCheckoutPaid({
+        id: 'cs_1',
+        payment_status: 'paid',
+        metadata: { payment_type: 'service_package', package_purchase_id: 'purchase-1' }
+      });
+
+      expect(updates).toHaveLength(0);
+    });
+  });
+
+  describe('getClientCredits', () => {
+    it('should list credits per purchase', async () => {
+      mockQueries({
+        data: [{
+          id: 'purchase-1',
+          credits_total: 5,
+          credits_remaining: 2,
+          expires_at: '2030-02-01T00:00:00.000Z',
+          purchased_at: '2030-01-01T00:00:00.000Z',
+          service_packages: { id: 'package-1', name: '5 blow-dries' },
+          services: { id: 'service-1', name: 'Blow-dry' },
+          salons: { id: 'salon-1', business_name: 'Studio' }
+        }],
+        error: null
+      });
+
+      const credits = await packageService.getClientCredits('client-1');
+
+      expect(credits).toEqual([{
+        purchase_id: 'purchase-1',
+        package: { id: 'package-1', name: '5 blow-dries' },
+        service: { id: 'service-1', name: 'Blow-dry' },
+        salon: { id: 'salon-1', business_name: 'Studio' },
+        credits_total: 5,
+        credits_remaining: 2,
+        expires_at: '2030-02-01T00:00:00.000Z',
+        purchased_at: '2030-01-01T00:00:00.000Z'
+      }]);
+    });
+  });
+});
@@ -0,0 +1,124 @@
+// Mock dependencies
+jest.mock('../src/config/database');
+
+const { supabase } = require('../src/config/database');
+const planService = require('../src/services/planService');
+const { requireEntitlement } = require('../src/middleware/subscription');
+const {
+  getPlan,
+  planForPriceId,
+  activePlan,
+  hasEntitlement,
+  plansWith,
+  cheapestPlanWith
+} = require('../src/utils/plans');
+const config = require('../src/config');
+
+describe('Plans', () => {
+  const salonOn = (plan, extra = {}) => ({ id: 'salon-1', subscription_plan: plan, subscription_status: 'active', ...extra });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('catalogue', () => {
+    it('should map Stripe prices to plans', () => {
+      expect(planForPriceId(config.stripe.premium_plan_price_id).id).toBe('premium');
+      expect(planForPriceId(config.stripe.enterprise_plan_price_id).id).toBe('enterprise');
+      expect(planForPriceId('price_unknown')).toBeNull();
+    });
+
+    it('should treat the old professional plan as premium', () => {
+      expect(getPlan('professional').id).toBe('premium');
+      expect(activePlan(salonOn('professional'))).toBe('premium');
+      expect(plansWith('featured_listing')).toEqual(['premium', 'enterprise', 'professional']);
+    });
+
+    it('should fall back to basic when the subscription is not active', () => {
+      expect(activePlan(salonOn('premium', { subscription_status: 'past_due' }))).toBe('basic');
+      expect(activePlan(salonOn('plus', { subscription_status: 'trialing', trial_ends_at: '2000-01-01T00:00:00Z' }))).toBe('basic');
+      expect(activePlan(null)).toBe('basic');
+    });
+  });
+
+  describe('hasEntitlement', () => {
+    it('should follow the salon plan', () => {
+      expect(hasEntitlement(salonOn('basic'), 'ai_assistant')).toBe(false);
+      expect(hasEntitlement(salonOn('plus'), 'ai_assistant')).toBe(true);
+      expect(hasEntitlement(salonOn('plus'), 'featured_listing')).toBe(false);
+      expect(hasEntitlement(salonOn('premium'), 'featured_listing')).toBe(true);
+      expect(hasEntitlement(salonOn('basic'), 'whatsapp_notifications')).toBe(false);
+    });
+
+    it('should count unlimited limits as included', () => {
+      expect(hasEntitlement(salonOn('enterprise'), 'max_staff')).toBe(true);
+      expect(cheapestPlanWith('featured_listing').id).toBe('premium');
+    });
+  });
+
+  describe('requireEntitlement', () => {
+    const mockSalon = (salon) => {
+      supabase.from = jest.fn().mockReturnValue({
+        select: jest.fn().mockReturnValue({
+          eq: jest.fn().mockReturnValue({
+            maybeSingle: jest.fn().mockResolvedValue({ data: salon, error: null })
+          })
+        })
+      });
+    };
+    const run = async (middleware) => {
+      const req = { user: { id: 'owner-1' } };
+      const next = jest.fn();
+      await middleware(req, {}, next);
+      return { req, next };
+    };
+
+    it('should let salons whose plan includes the feature through', async () => {
+      mockSalon(salonOn('plus'));
+      const { req, next } = await run(requireEntitlement('ai_assistant'));
+
+      expect(next).toHaveBeenCalledWith();
+      expect(req.salonPlan).toBe('plus');
+      expect(req.entitlements.max_staff).toBe(5);
+    });
+
+    it('should ask for an upgrade otherwise', async () => {
+      mockSalon(salonOn('plus'));
+      const { next } = await run(requireEntitlement('featured_listing'));
+
+      expect(next).toHaveBeenCalledWith(expect.objectContaining({ statusCode: 403, code: 'PLAN_UPGRADE_REQUIRED' }));
+    });
+
+    it('should let users without a salon through only when allowed', async () => {
+      mockSalon(null);
+      expect((await run(requireEntitlement('ai_assistant', { allowWithoutSalon: true }))).next).toHaveBeenCalledWith();
+
+      mockSalon(null);
+      expect((await run(requireEntitlement('ai_assistant'))).next)
+        .toHaveBeenCalledWith(expect.objectContaining({ code: 'SALON_NOT_FOUND' }));
+    });
+
+    it('should reject unknown entitlements up front', () => {
+      expect(() => requireEntitlement('teleportation')).toThrow('Unknown entitlement');
+    });
+  });
+
+  describe('staff limits', () => {
+    it('should stop adding staff once the plan is full', async () => {
+      jest.spyOn(planService, 'countActiveStaff').mockResolvedValue(5);
+
+      await expect(planService.assertCanAddStaff(salonOn('plus')))
+        .rejects.toMatchObject({ statusCode: 403, code: 'STAFF_LIMIT_REACHED' });
+      await expect(planService.assertCanAddStaff(salonOn('premium'))).resolves.toBeUndefined();
+      await expect(planService.assertCanAddStaff(salonOn('enterprise'))).resolves.toBeUndefined();
+    });
+
+    it('should block downgrades to a plan with fewer seats than staff', async () => {
+      jest.spyOn(planService, 'countActiveStaff').mockResolvedValue(8);
+
+      await expect(planService.assertFitsPlan(salonOn('premium'), 'plus'))
+        .rejects.toMatchObject({ statusCode: 409, code: 'STAFF_LIMIT_EXCEEDED' });
+      await expect(planService.assertFitsPlan(salonOn('enterprise'), 'premium')).resolves.toBeUndefined();
+    });
+  });
+});
@@ -0,0 +1,193 @@
+// Mock dependencies
+jest.mock('../src/config/database');
+
+const { supabaseAdmin } = require('../src/config/database');
+const pushService = require('../src/services/pushService');
+const notificationService = require('../src/services/notificationService');
+const { FakePushProvider, FcmProvider, createPushProvider } = require('../src/services/pushProviders');
+const { DEFAULT_SETTINGS } = require('../src/utils/notificationPreferences');
+const { mockQueries } = require('./helpers/mockQueries');
+
+describe('Push providers', () => {
+  it('should pick the provider from the config', () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    expect(createPushProvider({ provider: null, fcm: {} })).toBeNull();
+    expect(createPushProvider({ provider: 'fake', fcm: {} })).toBeInstanceOf(FakePushProvider);
+    expect(createPushProvider({ provider: 'fcm', fcm: { project_id: 'salontime' } })).toBeNull();
+    expect(createPushProvider({
+      provider: 'fcm',
+      fcm: { project_id: 'salontime', client_email: 'push@salontime.iam.gserviceaccount.com', private_key: 'key' }
+    })).toBeInstanceOf(FcmProvider);
+
+    jest.restoreAllMocks();
+  });
+});
+
+describe('PushService', () => {
+  let provider;
+
+  beforeEach(() => {
+    provider = new FakePushProvider();
+    pushService.setProvider(provider);
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    pushService.setProvider(null);
+    jest.restoreAllMocks();
+  });
+
+  describe('registerDevice', () => {
+    const device = { device_id: 'device-1', token: 'fcm-token-1', platform: 'ios', locale: 'nl-NL' };
+
+    it('should reject incomplete devices', async () => {
+      await expect(pushService.registerDevice('user-1', { ...device, platform: 'symbian' }))
+        .rejects.toMatchObject({ statusCode: 400, code: 'INVALID_DEVICE' });
+      await expect(pushService.registerDevice('user-1', { ...device, token: '' }))
+        .rejects.toMatchObject({ statusCode: 400 });
+      await expect(pushService.registerDevice('user-1', { ...device, locale: 'not a locale' }))
+        .rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    it('should move a token registered for someone else and upsert per device', async () => {
+      const { calls } = mockQueries(
+        { data: [{ id: 'old-row', user_id: 'user-2', device_id: 'device-1' }], error: null },
+        { data: null, error: null },
+        { data: { id: 'row-1', user_id: 'user-1', ...device }, error: null }
+      );
+
+      const registered = await pushService.registerDevice('user-1', device);
+
+      expect(registered.id).toBe('row-1');
+      expect(calls).toContainEqual(['push_devices', 'in', 'id', ['old-row']]);
+      const upsert = calls.find(call => call[1] === 'upsert');
+      expect(upsert[2]).toMatchObject({ user_id: 'user-1', device_id: 'device-1', token: 'fcm-token-1', platform: 'ios', locale: 'nl-NL' });
+      expect(upsert[3]).toEqual({ onConflict: 'user_id,device_id' });
+    });
+
+    it('should keep its own row when the same device registers again', async () => {
+      const { calls } = mockQueries(
+        { data: [{ id: 'row-1', user_id: 'user-1', device_id: 'device-1' }], error: null },
+        { data: { id: 'row-1' }, error: null }
+      );
+
+      await pushService.registerDevice('user-1', device);
+
+      expect(calls.some(call => call[1] === 'delete')).toBe(false);
+    });
+  });
+
+  it('should drop a device whose token is gone', async () => {
+    provider.invalidTokens.add('stale-token');
+    const { calls } = mockQueries({ data: null, error: null });
+
+    const result = await pushService.sendToDevice({ id: 'row-9', token: 'stale-token', platform: 'android' }, { title: 'Hi' });
+
+    expect(result.success).toBe(false);
+    expect(calls).toContainEqual(['push_devices', 'eq', 'id', 'row-9']);
+    expect(provider.sent).toHaveLength(0);
+  });
+});
+
+describe('Push notifications', () => {
+  const recipient = {
+    id: 'client-1',
+    email: 'client@example.com',
+    first_name: 'Anna',
+    language: 'en',
+    settings: { ...DEFAULT_SETTINGS }
+  };
+  const payload = {
+    booking: { id: 'booking-1', client_id: 'client-1' },
+    salon: { id: 'salon-1', business_name: 'Studio Noord' },
+    client: { first_name: 'Anna' },
+    serviceName: 'Haircut',
+    date: '2026-01-20',
+    time: '10:00'
+  };
+  let provider;
+
+  beforeEach(() => {
+    provider = new FakePushProvider();
+    pushService.setProvider(provider);
+    mockQueries();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(notificationService, '_getRecipient').mockResolvedValue(recipient);
+    jest.spyOn(notificationService, '_sendInApp').mockResolvedValue({ status: 'sent', notification_id: 'n-1' });
+    jest.spyOn(pushService, 'getDevices').mockResolvedValue([
+      { id: 'row-1', token: 'phone-token', platform: 'ios', locale: 'nl-NL' },
+      { id: 'row-2', token: 'tablet-token', platform: 'android', locale: null }
+    ]);
+  });
+
+  afterEach(() => {
+    pushService.setProvider(null);
+    jest.restoreAllMocks();
+  });
+
+  it('should push to every device in its own language', async () => {
+    const { deliveries } = await notificationService.notify('client-1', 'booking_rescheduled', payload);
+
+    expect(deliveries.find(d => d.channel === 'push')).toEqual({ channel: 'push', status: 'sent', provider_message_id: 'fake-1' });
+    expect(provider.sent).toEqual([
+      {
+        token: 'phone-token',
+        platform: 'ios',
+        title: 'Afspraak verzet',
+        body: 'Je afspraak voor Haircut bij Studio Noord is verzet naar 2026-01-20 om 10:00.',
+        data: { booking_id: 'booking-1', salon_id: 'salon-1', type: 'booking_rescheduled' }
+      },
+      expect.objectContaining({ token: 'tablet-token', title: 'Booking moved' })
+    ]);
+  });
+
+  it('should push booking confirmations, reminders, chat messages and waitlist slots', async () => {
+    jest.spyOn(notificationService, '_sendEmail').mockResolvedValue({ status: 'skipped', reason: 'not_configured' });
+    pushService.getDevices.mockResolvedValue([{ id: 'row-1', token: 'phone-token', platform: 'ios', locale: 'en' }]);
+
+    await notificationService.notify('client-1', 'booking_confirmed', payload);
+    await notificationService.notify('client-1', 'booking_reminder', {
+      booking: { id: 'booking-1', appointment_date: '2026-01-20', start_time: '10:00:00' },
+      salon: payload.salon,
+      serviceName: 'Haircut'
+    });
+    await notificationService.notify('client-1', 'chat_message', {
+      conversationId: 'conversation-1',
+      message: { id: 'message-1', content: 'See you tomorrow!' },
+      senderName: 'Studio Noord'
+    });
+    await notificationService.notify('client-1', 'waitlist_slot_open', {
+      entry: { id: 'waitlist-1', service_id: 'service-1' },
+      salon: payload.salon,
+      serviceName: 'Haircut',
+      date: '2026-01-20',
+      time: '11:00'
+    });
+
+    expect(provider.sent.map(message => [message.data.type, message.title])).toEqual([
+      ['booking_confirmed', 'Booking confirmed'],
+      ['booking_reminder', 'Appointment reminder'],
+      ['chat_message', 'Studio Noord'],
+      ['waitlist_slot_open', 'A slot opened up']
+    ]);
+    expect(provider.sent[1].body).toBe('Haircut at Studio Noord on 2026-01-20 at 10:00.');
+    expect(provider.sent[2].data).toMatchObject({ conversation_id: 'conversation-1', message_id: 'message-1' });
+  });
+
+  it('should not push when the user turned push off or has no device', async () => {
+    notificationService._getRecipient.mockResolvedValue({
+      ...recipient,
+      settings: { ...DEFAULT_SETTINGS, push_notifications: false }
+    });
+    let result = await notificationService.notify('client-1', 'booking_rescheduled', payload);
+    expect(result.deliveries.find(d => d.channel === 'push')).toMatchObject({ status: 'skipped', reason: 'disabled' });
+
+    notificationService._getRecipient.mockResolvedValue(recipient);
+    pushService.getDevices.mockResolvedValue([]);
+    result = await notificationService.notify('client-1', 'booking_rescheduled', payload);
+    expect(result.deliveries.find(d => d.channel === 'push')).toMatchObject({ status: 'skipped', reason: 'no_device' });
+
+    expect(provider.sent).toHaveLength(0);
+  });
+});
@@ -0,0 +1,37 @@
+const { parseRecurrence, expandRecurrence } = require('../src/utils/recurrence');
+
+describe('Recurrence helpers', () => {
+  describe('parseRecurrence', () => {
+    it('should accept an interval with a count', () => {
+      expect(parseRecurrence({ interval_weeks: '5', count: 4 })).toEqual({
+        intervalWeeks: 5, until: null, count: 4, error: null
+      });
+    });
+
+    it('should require an until date or a count', () => {
+      expect(parseRecurrence({ interval_weeks: 4 }).error).toBeTruthy();
+    });
+
+    it('should reject invalid intervals and dates', () => {
+      expect(parseRecurrence({ interval_weeks: 0, count: 3 }).error).toBeTruthy();
+      expect(parseRecurrence({ interval_weeks: 4, until: 'next year' }).error).toBeTruthy();
+    });
+  });
+
+  describe('expandRecurrence', () => {
+    it('should repeat every N weeks for count occurrences', () => {
+      const dates = expandRecurrence('2030-01-04', { intervalWeeks: 4, until: null, count: 3 }, 26);
+      expect(dates).toEqual(['2030-01-04', '2030-02-01', '2030-03-01']);
+    });
+
+    it('should stop at the until date (inclusive)', () => {
+      const dates = expandRecurrence('2030-01-04', { intervalWeeks: 6, until: '2030-02-15', count: null }, 26);
+      expect(dates).toEqual(['2030-01-04', '2030-02-15']);
+    });
+
+    it('should never exceed the maximum number of occurrences', () => {
+      const dates = expandRecurrence('2030-01-04', { intervalWeeks: 1, until: null, count: 100 }, 5);
+      expect(dates).toHaveLength(5);
+    });
+  });
+});
@@ -0,0 +1,115 @@
+// Mock dependencies
+jest.mock('../src/config/database');
+
+const stripeService = require('../src/services/stripeService');
+const refundService = require('../src/services/refundService');
+
+describe('RefundService', () => {
+  const payment = {
+    id: 'payment-1',
+    booking_id: 'booking-1',
+    amount: 60,
+    refunded_amount: 20,
+    currency: 'EUR',
+    status: 'completed',
+    stripe_payment_intent_id: 'pi_123'
+  };
+
+  beforeEach(() => {
+    jest.spyOn(stripeService, 'refundPayment').mockImplementation(async ({ amount }) => ({
+      id: 're_123',
+      amount: Math.round(amount * 100),
+      currency: 'eur',
+      status: 'succeeded'
+    }));
+    jest.spyOn(refundService, '_saveRefund').mockImplementation(async (stripeRefund, p) => ({
+      id: 'refund-1',
+      payment_id: p.id,
+      booking_id: p.booking_id,
+      stripe_refund_id: stripeRefund.id,
+      amount: stripeRefund.amount / 100,
+      status: stripeRefund.status
+    }));
+    jest.spyOn(refundService, '_recalculatePayment').mockResolvedValue();
+    jest.spyOn(refundService, '_sendReceiptOnce').mockResolvedValue();
+    jest.spyOn(refundService, '_issueCreditNote').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('refundableAmount', () => {
+    it('should subtract earlier refunds and ignore unpaid payments', () => {
+      expect(refundService.refundableAmount(payment)).toBe(40);
+      expect(refundService.refundableAmount({ ...payment, status: 'pending' })).toBe(0);
+    });
+
+    it('should leave out the part paid with gift cards', () => {
+      expect(refundService.refundableAmount({ ...payment, gift_card_amount: 25 })).toBe(15);
+      expect(refundService.refundableAmount({ ...payment, gift_card_amount: 60, refunded_amount: 0 })).toBe(0);
+    });
+
+    it('should include the tip charged on top', () => {
+      expect(refundService.refundableAmount({ ...payment, tip_amount: '6.50' })).toBe(46.5);
+    });
+  });
+
+  describe('refundPayment', () => {
+    it('should refund what is left when no amount is given', async () => {
+      const refund = await refundService.refundPayment(payment, { note: 'Stylist sick', initiatedBy: 'salon', userId: 'owner-1' });
+
+      expect(stripeService.refundPayment).toHaveBeenCalledWith(expect.objectContaining({
+        paymentReference: 'pi_123',
+        amount: 40,
+        metadata: expect.objectContaining({ payment_id: 'payment-1', initiated_by: 'salon', note: 'Stylist sick' })
+      }));
+      expect(refund.amount).toBe(40);
+      expect(refundService._recalculatePayment).toHaveBeenCalledWith('payment-1');
+      expect(refundService._sendReceiptOnce).toHaveBeenCalledWith(refund);
+    });
+
+    it('should issue partial refunds', async () => {
+      const refund = await refundService.refundPayment(payment, { amount: 12.5, initiatedBy: 'salon' });
+      expect(refund.amount).toBe(12.5);
+    });
+
+    it('should reject more than is left to refund', async () => {
+      await expect(refundService.refundPayment(payment, { amount: 45, initiatedBy: 'salon' }))
+        .rejects.toMatchObject({ code: 'INVALID_REFUND_AMOUNT' });
+      expect(stripeService.refundPayment).not.toHaveBeenCalled();
+    });
+
+    it('should reject payments that were not made by card', async () => {
+      await expect(refundService.refundPayment({ ...payment, stripe_payment_intent_id: null }, { initiatedBy: 'salon' }))
+        .rejects.toMatchObject({ code: 'PAYMENT_NOT_REFUNDABLE' });
+    });
+
+    it('should reject fully refunded payments', async () => {
+      await expect(refundService.refundPayment({ ...payment, refunded_amount: 60, status: 'refunded' }, { initiatedBy: 'salon' }))
+        .rejects.toMatchObject({ code: 'PAYMENT_ALREADY_REFUNDED' });
+    });
+  });
+
+  describe('syncStripeRefund', () => {
+    it('should skip refunds that are not for a booking payment', async () => {
+      jest.spyOn(refundService, '_findPaymentForRefund').mockResolvedValue(null);
+
+      const result = await refundService.syncStripeRefund({ id: 're_other', payment_intent: 'pi_other', amount: 500, status: 'succeeded' });
+
+      expect(result).toBeNull();
+      expect(refundService._saveRefund).not.toHaveBeenCalled();
+    });
+
+    it('should only send a receipt once the refund succeeded', async () => {
+      jest.spyOn(refundService, '_findPaymentForRefund').mockResolvedValue(payment);
+
+      await refundService.syncStripeRefund({ id: 're_1', payment_intent: 'pi_123', amount: 1000, status: 'pending' });
+      expect(refundService._sendReceiptOnce).not.toHaveBeenCalled();
+
+      await refundService.syncStripeRefund({ id: 're_1', payment_intent: 'pi_123', amount: 1000, status: 'succeeded' });
+      expect(refundService._sendReceiptOnce).toHaveBeenCalledTimes(1);
+      expect(refundService._recalculatePayment).toHaveBeenCalledTimes(2);
+    });
+  });
+});
@@ -0,0 +1,112 @@
+// Mock dependencies
+jest.mock('../src/config/database');
+
+const {
+  isValidTimezone,
+  getSalonTimezone,
+  nowInZone,
+  zonedTimeToUtc,
+  getTimezoneAbbreviation
+} = require('../src/utils/timezone');
+const { renderEmail } = require('../src/services/emailTemplates');
+
+const AMSTERDAM = 'Europe/Amsterdam';
+
+// In 2026 the Netherlands moves to summer time on 29 March (02:00 -> 03:00)
+// and back on 25 October (03:00 -> 02:00)
+describe('Timezone helpers', () => {
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  describe('zonedTimeToUtc', () => {
+    it('should convert winter and summer time', () => {
+      expect(zonedTimeToUtc('2026-01-15', '10:00', AMSTERDAM).toISOString()).toBe('2026-01-15T09:00:00.000Z');
+      expect(zonedTimeToUtc('2026-07-15', '10:00:00', AMSTERDAM).toISOString()).toBe('2026-07-15T08:00:00.000Z');
+    });
+
+    it('should switch offset on the day summer time starts', () => {
+      expect(zonedTimeToUtc('2026-03-29', '01:30', AMSTERDAM).toISOString()).toBe('2026-03-29T00:30:00.000Z');
+      expect(zonedTimeToUtc('2026-03-29', '03:30', AMSTERDAM).toISOString()).toBe('2026-03-29T01:30:00.000Z');
+    });
+
+    it('should switch offset on the day summer time ends', () => {
+      expect(zonedTimeToUtc('2026-10-25', '01:30', AMSTERDAM).toISOString()).toBe('2026-10-24T23:30:00.000Z');
+      expect(zonedTimeToUtc('2026-10-25', '04:00', AMSTERDAM).toISOString()).toBe('2026-10-25T03:00:00.000Z');
+    });
+
+    it('should leave UTC times as they are', () => {
+      expect(zonedTimeToUtc('2026-03-29', '02:30', 'UTC').toISOString()).toBe('2026-03-29T02:30:00.000Z');
+    });
+  });
+
+  describe('nowInZone', () => {
+    it('should give the salon\'s date when it is already tomorrow there', () => {
+      jest.useFakeTimers({ now: new Date('2026-01-14T23:30:00Z') });
+
+      expect(nowInZone(AMSTERDAM)).toEqual({ date: '2026-01-15', time: '00:30', minutes: 30 });
+      expect(nowInZone('UTC').date).toBe('2026-01-14');
+    });
+
+    it('should skip the missing hour when summer time starts', () => {
+      jest.useFakeTimers({ now: new Date('2026-03-29T00:59:00Z') });
+      expect(nowInZone(AMSTERDAM).time).toBe('01:59');
+
+      jest.setSystemTime(new Date('2026-03-29T01:00:00Z'));
+      expect(nowInZone(AMSTERDAM)).toEqual({ date: '2026-03-29', time: '03:00', minutes: 180 });
+    });
+
+    it('should repeat the hour when summer time ends', () => {
+      jest.useFakeTimers({ now: new Date('2026-10-25T00:30:00Z') });
+      expect(nowInZone(AMSTERDAM).time).toBe('02:30');
+
+      jest.setSystemTime(new Date('2026-10-25T01:30:00Z'));
+      expect(nowInZone(AMSTERDAM)).toEqual({ date: '2026-10-25', time: '02:30', minutes: 150 });
+    });
+  });
+
+  describe('getTimezoneAbbreviation', () => {
+    it('should name the offset in force at the time', () => {
+      expect(getTimezoneAbbreviation(new Date('2026-01-15T09:00:00Z'), AMSTERDAM)).toBe('CET');
+      expect(getTimezoneAbbreviation(new Date('2026-07-15T08:00:00Z'), AMSTERDAM)).toBe('CEST');
+    });
+  });
+
+  describe('getSalonTimezone', () => {
+    it('should fall back to the platform default for missing or invalid zones', () => {
+      expect(isValidTimezone('Europe/Lisbon')).toBe(true);
+      expect(isValidTimezone('Mars/Olympus')).toBe(false);
+      expect(getSalonTimezone({ timezone: 'Europe/Lisbon' })).toBe('Europe/Lisbon');
+      expect(getSalonTimezone({ timezone: 'Mars/Olympus' })).toBe(AMSTERDAM);
+      expect(getSalonTimezone(null)).toBe(AMSTERDAM);
+    });
+  });
+});
+
+describe('Booking reminders in the salon\'s timezone', () => {
+  const reminder = (salon, booking) => renderEmail('booking_reminder', {
+    booking: { service_name: 'Knippen', ...booking },
+    client: { first_name: 'Anna' },
+    salon: { business_name: 'Studio Noord', ...salon }
+  }, 'en').html;
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('should resolve "tomorrow" from the salon\'s date, not the server\'s', () => {
+    // 00:30 on 29 March in Amsterdam, still 28 March in UTC
+    jest.useFakeTimers({ now: new Date('2026-03-28T23:30:00Z') });
+    const booking = { appointment_date: '2026-03-30', start_time: '10:00:00' };
+
+    expect(reminder({ timezone: AMSTERDAM }, booking)).toContain('tomorrow');
+    expect(reminder({ timezone: 'UTC' }, booking)).not.toContain('tomorrow');
+  });
+
+  it('should show the appointment time with the offset in force on that day', () => {
+    jest.useFakeTimers({ now: new Date('2026-03-28T09:00:00Z') });
+
+    expect(reminder({ timezone: AMSTERDAM }, { appointment_date: '2026-03-28', start_time: '10:00:00' })).toContain('10:00 (CET)');
+    expect(reminder({ timezone: AMSTERDAM }, { appointment_date: '2026-03-29', start_time: '10:00:00' })).toContain('10:00 (CEST)');
+  });
+});
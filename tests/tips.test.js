@@ -0,0 +1,44 @@
+const config = require('../src/config');
+const { validateTip, tipAmount, hasTip } = require('../src/utils/tips');
+
+describe('Tips', () => {
+  describe('validateTip', () => {
+    it('should accept no tip, a fixed tip or a percentage', () => {
+      expect(validateTip({})).toBeNull();
+      expect(validateTip(undefined)).toBeNull();
+      expect(validateTip({ tip_amount: 5 })).toBeNull();
+      expect(validateTip({ tip_percentage: '15' })).toBeNull();
+      expect(validateTip({ tip_amount: 0 })).toBeNull();
+    });
+
+    it('should reject bad tips', () => {
+      expect(validateTip({ tip_amount: 5, tip_percentage: 10 })).toMatch(/not both/);
+      expect(validateTip({ tip_amount: -1 })).toMatch(/0 or more/);
+      expect(validateTip({ tip_amount: 'lots' })).toMatch(/0 or more/);
+      expect(validateTip({ tip_amount: 'Infinity' })).toMatch(/0 or more/);
+      expect(validateTip({ tip_amount: config.payment.max_tip_amount + 1 })).toMatch(/at most/);
+      expect(validateTip({ tip_amount: config.payment.max_tip_amount })).toBeNull();
+      expect(validateTip({ tip_percentage: 150 })).toMatch(/between 0 and 100/);
+    });
+  });
+
+  describe('tipAmount', () => {
+    it('should take a percentage of the service amount', () => {
+      expect(tipAmount({ tip_percentage: 15 }, 39.99)).toBe(6);
+      expect(tipAmount({ tip_percentage: 0 }, 50)).toBe(0);
+    });
+
+    it('should round a fixed tip', () => {
+      expect(tipAmount({ tip_amount: '4.255' }, 50)).toBe(4.26);
+      expect(tipAmount({}, 50)).toBe(0);
+    });
+  });
+
+  describe('hasTip', () => {
+    it('should tell whether a tip was given', () => {
+      expect(hasTip({ tip_amount: 0 })).toBe(true);
+      expect(hasTip({ tip_percentage: '' })).toBe(false);
+      expect(hasTip({ gift_card_code: 'GC-1' })).toBe(false);
+    });
+  });
+});
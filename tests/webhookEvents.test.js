@@ -0,0 +1,103 @@
+// Mock dependencies
+jest.mock('../src/config/database');
+
+const config = require('../src/config');
+const webhookEventService = require('../src/services/webhookEventService');
+
+describe('WebhookEventService', () => {
+  const event = {
+    id: 'evt_123',
+    type: 'test.event',
+    livemode: false,
+    data: { object: { id: 'pi_123' } }
+  };
+  const stored = { id: event.id, type: event.type, payload: event, status: 'received', attempts: 0 };
+
+  let handler;
+
+  beforeAll(() => {
+    handler = jest.fn();
+    webhookEventService.register('test.event', (...args) => handler(...args));
+  });
+
+  beforeEach(() => {
+    handler = jest.fn().mockResolvedValue(undefined);
+    jest.spyOn(webhookEventService, '_update').mockImplementation(async (record, fields) => ({ ...record, ...fields }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should dispatch a new event to its handlers and mark it processed', async () => {
+    jest.spyOn(webhookEventService, '_insertEvent').mockResolvedValue(stored);
+
+    const result = await webhookEventService.ingest(event);
+
+    expect(result).toEqual({ event_id: 'evt_123', status: 'processed', duplicate: false });
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(handler).toHaveBeenCalledWith(event.data.object, event);
+  });
+
+  it('should not handle an event delivered twice', async () => {
+    jest.spyOn(webhookEventService, '_insertEvent').mockResolvedValue(null);
+
+    const result = await webhookEventService.ingest(event);
+
+    expect(result).toMatchObject({ status: 'duplicate', duplicate: true });
+    expect(handler).not.toHaveBeenCalled();
+  });
+
+  it('should skip an event another worker has claimed', async () => {
+    webhookEventService._update.mockResolvedValue(null);
+
+    const result = await webhookEventService.process(stored);
+
+    expect(result).toBe(stored);
+    expect(handler).not.toHaveBeenCalled();
+  });
+
+  it('should schedule a retry when a handler fails', async () => {
+    handler.mockRejectedValue(new Error('database unavailable'));
+
+    const result = await webhookEventService.process(stored);
+
+    expect(result.status).toBe('failed');
+    expect(result.attempts).toBe(1);
+    expect(result.last_error).toBe('database unavailable');
+    expect(new Date(result.next_attempt_at).getTime()).toBeGreaterThan(Date.now());
+  });
+
+  it('should dead-letter an event after the last attempt', async () => {
+    handler.mockRejectedValue(new Error('still failing'));
+    const lastTry = { ...stored, status: 'failed', attempts: config.stripe.webhook_max_attempts - 1 };
+
+    const result = await webhookEventService.process(lastTry);
+
+    expect(result.status).toBe('dead_letter');
+    expect(result.next_attempt_at).toBeNull();
+  });
+
+  it('should back off exponentially', () => {
+    const base = config.stripe.webhook_retry_base_seconds;
+    expect(webhookEventService.retryDelaySeconds(1)).toBe(base);
+    expect(webhookEventService.retryDelaySeconds(3)).toBe(base * 4);
+  });
+
+  it('should replay a processed event', async () => {
+    jest.spyOn(webhookEventService, 'getEvent').mockResolvedValue({ ...stored, status: 'processed', attempts: 1 });
+
+    const result = await webhookEventService.replay('evt_123');
+
+    expect(result.status).toBe('processed');
+    expect(handler).toHaveBeenCalledTimes(1);
+  });
+
+  it('should not replay an event that is being processed', async () => {
+    const leaseEnd = new Date(Date.now() + 60000).toISOString();
+    jest.spyOn(webhookEventService, 'getEvent').mockResolvedValue({ ...stored, status: 'processing', attempts: 1, next_attempt_at: leaseEnd });
+
+    await expect(webhookEventService.replay('evt_123')).rejects.toMatchObject({ code: 'WEBHOOK_EVENT_IN_PROGRESS' });
+    expect(handler).not.toHaveBeenCalled();
+  });
+});